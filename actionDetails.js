@@ -0,0 +1,191 @@
+const { toInstant } = require('./timezone');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// What messageGrouper stores when the AI suggests nothing; not worth copying onto an item
+const PLACEHOLDER_SUGGESTED_ACTIONS = ['Review and take action'];
+
+// Action types stored as another item type (see InternalItemsManager.createInternalItemFromAction)
+const ITEM_TYPE_ALIASES = {
+  research: 'learning',
+  communication: 'contact',
+  follow_up: 'note',
+  question: 'note'
+};
+
+/*
+ * Type-specific fields the AI extracts into an action's details.fields, keyed by the item
+ * column they fill. `option` is the createInternal* option, `kind` how the value is checked:
+ * text (up to `max` characters), number, integer, boolean, datetime, list, currency or one of `values`.
+ * `hint` explains the field in the AI prompt.
+ */
+const ITEM_FIELDS = {
+  event: {
+    end_datetime: { option: 'endDatetime', kind: 'datetime', hint: 'when it ends' },
+    location: { option: 'location', kind: 'text', max: 255 },
+    attendees: { option: 'attendees', kind: 'list', hint: 'names of the people attending' },
+    event_type: { option: 'eventType', kind: 'text', max: 50, hint: 'meeting, call, appointment, social...' }
+  },
+  task: {
+    estimated_hours: { option: 'estimatedHours', kind: 'integer' },
+    tags: { option: 'tags', kind: 'list' },
+    task_type: { option: 'taskType', kind: 'text', max: 50 }
+  },
+  note: {
+    tags: { option: 'tags', kind: 'list' }
+  },
+  contact: {
+    contact_name: { option: 'contactName', kind: 'text', max: 255 },
+    contact_phone: { option: 'contactPhone', kind: 'text', max: 50 },
+    contact_email: { option: 'contactEmail', kind: 'text', max: 255 },
+    contact_company: { option: 'contactCompany', kind: 'text', max: 255 }
+  },
+  issue: {
+    severity: { option: 'severity', kind: 'text', values: ['critical', 'major', 'minor', 'trivial'] },
+    issue_type: { option: 'issueType', kind: 'text', max: 50 },
+    assigned_to: { option: 'assignedTo', kind: 'text', max: 255 }
+  },
+  learning: {
+    resource_url: { option: 'resourceUrl', kind: 'text', max: 500 },
+    estimated_duration: { option: 'estimatedDuration', kind: 'integer', hint: 'in minutes' },
+    learning_type: { option: 'learningType', kind: 'text', max: 50, hint: 'course, book, article, video...' },
+    tags: { option: 'tags', kind: 'list' }
+  },
+  finance: {
+    finance_type: { option: 'financeType', kind: 'text', values: ['expense', 'income', 'bill', 'payment', 'transfer', 'investment'] },
+    amount: { option: 'amount', kind: 'number' },
+    currency: { option: 'currency', kind: 'currency', hint: 'ISO 4217 code, e.g. MYR for RM' },
+    due_date: { option: 'dueDate', kind: 'datetime' },
+    category: { option: 'category', kind: 'text', max: 100, hint: 'e.g. utilities, rent, groceries' },
+    account: { option: 'account', kind: 'text', max: 100 }
+  },
+  health: {
+    appointment_datetime: { option: 'appointmentDatetime', kind: 'datetime' },
+    doctor_name: { option: 'doctorName', kind: 'text', max: 255 },
+    location: { option: 'location', kind: 'text', max: 255 },
+    symptoms: { option: 'symptoms', kind: 'list' },
+    medications: { option: 'medications', kind: 'list' },
+    health_type: { option: 'healthType', kind: 'text', max: 50 }
+  },
+  shopping: {
+    item_name: { option: 'itemName', kind: 'text', max: 255 },
+    quantity: { option: 'quantity', kind: 'integer' },
+    estimated_price: { option: 'estimatedPrice', kind: 'number' },
+    store: { option: 'store', kind: 'text', max: 255 },
+    category: { option: 'category', kind: 'text', max: 100 }
+  },
+  travel: {
+    departure_date: { option: 'departureDate', kind: 'datetime' },
+    return_date: { option: 'returnDate', kind: 'datetime' },
+    destination: { option: 'destination', kind: 'text', max: 255 },
+    departure_location: { option: 'departureLocation', kind: 'text', max: 255 },
+    booking_reference: { option: 'bookingReference', kind: 'text', max: 100 },
+    travel_type: { option: 'travelType', kind: 'text', max: 50, hint: 'flight, train, bus, drive, hotel...' }
+  },
+  creative: {
+    project_name: { option: 'projectName', kind: 'text', max: 255 },
+    deadline: { option: 'deadline', kind: 'datetime' },
+    inspiration_links: { option: 'inspirationLinks', kind: 'list' },
+    tags: { option: 'tags', kind: 'list' }
+  },
+  administrative: {
+    document_reference: { option: 'documentReference', kind: 'text', max: 255 },
+    deadline: { option: 'deadline', kind: 'datetime' },
+    department: { option: 'department', kind: 'text', max: 100 },
+    approval_required: { option: 'approvalRequired', kind: 'boolean' }
+  }
+};
+
+function getItemFields(type) {
+  return ITEM_FIELDS[ITEM_TYPE_ALIASES[type] || type] || {};
+}
+
+function readText(value, max) {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const text = String(value).trim();
+  return text ? text.slice(0, max) : undefined;
+}
+
+// `value` as `field` describes it, or undefined when it doesn't fit the column
+function readField(field, value, timeZone) {
+  if (value === null || value === undefined || value === '') return undefined;
+
+  switch (field.kind) {
+    case 'number':
+    case 'integer': {
+      // "RM 1,250.50" and "2 hours" are common answers
+      const match = typeof value === 'number' ? null : /\d[\d,]*(\.\d+)?/.exec(String(value));
+      const number = typeof value === 'number' ? value : match ? parseFloat(match[0].replace(/,/g, '')) : NaN;
+      if (!Number.isFinite(number) || number < 0) return undefined;
+      return field.kind === 'integer' ? Math.round(number) : Math.round(number * 100) / 100;
+    }
+    case 'currency': {
+      const code = String(value).trim().toUpperCase();
+      if (code === 'RM') return 'MYR';
+      return /^[A-Z]{3}$/.test(code) ? code : undefined;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'datetime': {
+      const instant = typeof value === 'string' ? toInstant(value, timeZone) : null;
+      return instant && !isNaN(instant) ? instant.toISOString() : undefined;
+    }
+    case 'list': {
+      const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => readText(item, 255))
+        .filter(Boolean);
+      return items.length > 0 ? items : undefined;
+    }
+    default: {
+      const text = readText(value, field.max || 255);
+      if (text === undefined || !field.values) return text;
+      return field.values.includes(text.toLowerCase()) ? text.toLowerCase() : undefined;
+    }
+  }
+}
+
+/**
+ * createInternal* options for the type-specific fields in an action's details. Values that don't
+ * fit their column are dropped so the item falls back to its defaults. `timeZone` is the user's,
+ * for datetimes without a UTC offset.
+ */
+function readItemFields(type, details, { timeZone = 'UTC' } = {}) {
+  const { fields: given, category: actionCategory } = details || {};
+  const fields = given && typeof given === 'object' && !Array.isArray(given) ? given : {};
+  const options = {};
+
+  for (const [column, field] of Object.entries(getItemFields(type))) {
+    const value = readField(field, fields[column], timeZone);
+    if (value !== undefined) {
+      options[field.option] = value;
+    }
+  }
+
+  // The action's own category, when it says more than the action type
+  const category = getItemFields(type).category;
+  if (category && options.category === undefined && actionCategory !== type) {
+    const value = readField(category, actionCategory, timeZone);
+    if (value !== undefined) options.category = value;
+  }
+
+  return options;
+}
+
+// One line per item type for the AI prompt, e.g. "- event: end_datetime (when it ends), location, ..."
+function describeItemFields() {
+  return Object.entries(ITEM_FIELDS).map(([type, fields]) => {
+    const names = Object.entries(fields).map(([column, field]) => {
+      const hint = field.values ? field.values.join('|') : field.hint;
+      return hint ? `${column} (${hint})` : column;
+    });
+    return `- ${type}: ${names.join(', ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  ITEM_FIELDS,
+  PLACEHOLDER_SUGGESTED_ACTIONS,
+  PRIORITIES,
+  describeItemFields,
+  readItemFields
+};
@@ -1,9 +1,11 @@
 const OpenAI = require('openai');
+const { describeItemFields } = require('./actionDetails');
+const { toZonedISOString } = require('./timezone');
 
 class AIProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+      apiKey: options.apiKey,
     });
   }
 
@@ -11,7 +13,8 @@ class AIProcessor {
     return this.processMessageWithHistory(messageData, [], new Set());
   }
 
-  async processMessageWithHistory(messageData, conversationHistory = [], duplicateSignatures = new Set(), groupTopicContext = null) {
+  // `timeZone` is the user's, so "tomorrow at 3pm" comes back as 3pm on their clock
+  async processMessageWithHistory(messageData, conversationHistory = [], duplicateSignatures = new Set(), groupTopicContext = null, { timeZone = 'UTC' } = {}) {
     console.log(`AI Processor: Processing message "${messageData.body}" for user ${messageData.userId || 'unknown'}`);
     console.log(`AI Processor: fromMe=${messageData.fromMe}, conversationHistory=${conversationHistory.length}, groupTopicContext=${groupTopicContext ? groupTopicContext.length : 0}, duplicateSignatures=${duplicateSignatures.size}`);
     try {
@@ -95,7 +98,7 @@ Message details:
 From: ${messageData.fromName} (${messageData.from})
 ${messageData.isGroup ? `Group: ${messageData.chatName}` : 'Private chat'}
 Message: "${messageData.body}"
-Timestamp: ${new Date(messageData.timestamp * 1000).toISOString()}
+Timestamp: ${toZonedISOString(new Date(messageData.timestamp * 1000), timeZone)} (user's time zone: ${timeZone})
 From Me: ${messageData.fromMe}${messageTypeContext}${conversationContext}${duplicateContext}${groupTopicContext_str}
 
 IMPORTANT CONTEXT FOR ACTION DETECTION:
@@ -111,12 +114,14 @@ Response format - JSON array of action objects:
   "details": {
     "title": "Concise title",
     "content": "Full context and details",
-    "datetime": "ISO datetime if time-sensitive",
+    "datetime": "ISO datetime with the user's UTC offset if time-sensitive (the first occurrence for repeating items)",
+    "recurrence": "iCalendar RRULE without DTSTART if it repeats, e.g. FREQ=WEEKLY;BYDAY=MO, otherwise null",
     "priority": "low|medium|high|urgent",
     "category": "specific category",
     "urgency_reason": "why this priority level",
     "suggested_actions": ["action1", "action2"],
-    "context": "additional context"
+    "context": "additional context",
+    "fields": { "field_name": "value of each item field below that the message states" }
   },
   "confidence": 0.0-1.0
 }
@@ -141,6 +146,18 @@ DETECTION GUIDELINES:
 - Return only the most relevant action per message (highest confidence)
 - Confidence > 0.7 is required for action creation
 - Prioritize the most actionable and urgent items
+- Repeating reminders, tasks and events ("every", "each", "daily", "weekdays", "setiap", "tiap") get a recurrence RRULE; add UNTIL=YYYYMMDDTHHMMSSZ or COUNT=n when an end is given
+
+ITEM FIELDS (details.fields, by type; research is learning, communication is contact, follow_up and question are notes):
+${describeItemFields()}
+- Only include fields the message actually states; leave the rest out rather than guessing
+- Datetimes carry the user's UTC offset, amounts and quantities are plain numbers, lists are JSON arrays
+
+EXAMPLES OF RECURRENCE:
+- "every Monday remind me to send the report" → reminder, recurrence "FREQ=WEEKLY;BYDAY=MO"
+- "standup weekdays at 9" → event, recurrence "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+- "pay rent on the last day of the month" → task, recurrence "FREQ=MONTHLY;BYMONTHDAY=-1"
+- "committee meeting every 2nd Tuesday until 31 Dec 2026" → event, recurrence "FREQ=MONTHLY;BYDAY=2TU;UNTIL=20261231T235959Z"
 
 EXAMPLES OF ACTIONABLE TECHNICAL COMMITMENTS (fromMe: true):
 - "ill get it up and running in real server by then more stable" → task
@@ -0,0 +1,106 @@
+// Express authentication for the /api routes.
+// Every failure is answered with the same body shape: { success: false, error: <code>, message }
+
+// Routes that must stay reachable without an access token
+const PUBLIC_ROUTES = new Set([
+  '/api/auth/login',
+  '/api/auth/login/verify',
+  '/api/auth/refresh'
+]);
+
+function sendAuthError(res, statusCode, code, message) {
+  return res.status(statusCode).json({ success: false, error: code, message });
+}
+
+// Verifies the Bearer access token and attaches the authenticated user as req.user
+function createAuthMiddleware(authSessionManager, db, options = {}) {
+  const publicRoutes = options.publicRoutes || PUBLIC_ROUTES;
+  const defaultTimezone = options.defaultTimezone || 'UTC';
+  const defaultLocale = options.defaultLocale || 'en-MY';
+
+  return async (req, res, next) => {
+    if (publicRoutes.has(`${req.baseUrl}${req.path}`.replace(/\/$/, ''))) {
+      return next();
+    }
+
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return sendAuthError(res, 401, 'token_missing', 'No token provided');
+    }
+
+    let decoded;
+    try {
+      decoded = await authSessionManager.verifyAccessToken(authHeader.substring(7));
+    } catch (error) {
+      if (!error.code) {
+        console.error('❌ Access token verification failed:', error);
+        return sendAuthError(res, 500, 'auth_unavailable', 'Failed to verify access token');
+      }
+      return sendAuthError(res, error.statusCode || 401, error.code, error.message);
+    }
+
+    try {
+      const result = await db.query(
+        `SELECT u.id, u.phone_number, u.name, u.role, u.timezone, u.locale, apn.is_active AS is_authorized
+         FROM users u
+         LEFT JOIN authorized_phone_numbers apn
+           ON regexp_replace(apn.phone_number, '[^0-9]', '', 'g') = regexp_replace(u.phone_number, '[^0-9]', '', 'g')
+         WHERE u.id = $1`,
+        [decoded.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return sendAuthError(res, 401, 'user_not_found', 'User not found');
+      }
+
+      const user = result.rows[0];
+
+      // A valid token is not enough once the number has been removed from the allow list
+      if (!user.is_authorized) {
+        return sendAuthError(res, 403, 'account_disabled', 'This phone number is no longer authorized to access the system');
+      }
+
+      req.user = {
+        id: user.id,
+        phoneNumber: user.phone_number,
+        name: user.name,
+        role: user.role,
+        timezone: user.timezone || defaultTimezone,
+        locale: user.locale || defaultLocale,
+        sessionId: decoded.sid
+      };
+
+      next();
+    } catch (error) {
+      console.error('❌ Error loading authenticated user:', error);
+      return sendAuthError(res, 500, 'auth_unavailable', 'Failed to verify access token');
+    }
+  };
+}
+
+// Only lets through authenticated users holding the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return sendAuthError(res, 403, 'forbidden', 'You do not have permission to perform this action');
+    }
+    next();
+  };
+}
+
+// Rejects requests whose :userId route parameter is not the authenticated user
+function requireOwnUserParam(req, res, next, userId) {
+  if (!req.user || String(req.user.id) !== String(userId)) {
+    return sendAuthError(res, 403, 'forbidden', 'You do not have access to this resource');
+  }
+  next();
+}
+
+module.exports = {
+  PUBLIC_ROUTES,
+  createAuthMiddleware,
+  requireOwnUserParam,
+  requireRole,
+  sendAuthError
+};
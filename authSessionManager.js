@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ClientError } = require('./clientError');
+
+// Error raised when a token or session can't be used. `code` is stable and safe to return to clients.
+class AuthError extends ClientError {
+  constructor(code, message, statusCode = 401) {
+    super(message, statusCode);
+    this.code = code;
+  }
+}
+
+class AuthSessionManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.secret = options.secret;
+
+    // Configuration
+    this.ACCESS_TOKEN_TTL_SECONDS = options.accessTokenTtlSeconds || 15 * 60; // 15 minutes
+    this.REFRESH_TOKEN_TTL_DAYS = options.refreshTokenTtlDays || 30;
+  }
+
+  // ================================
+  // SESSION LIFECYCLE
+  // ================================
+
+  // Start a new session for a freshly authenticated user
+  async createSession(user, meta = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshSecret = this.generateRefreshSecret();
+
+    await this.db.query(
+      `INSERT INTO user_auth_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+      [sessionId, user.id, this.hashSecret(refreshSecret), meta.userAgent || null, meta.ipAddress || null, this.REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    console.log(`🔑 Auth session ${sessionId} created for user ${user.id}`);
+
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      expiresIn: this.ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  // Exchange a refresh token for a new access token, rotating the refresh token
+  async refreshSession(refreshToken) {
+    const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+
+    if (!sessionId || !refreshSecret || !this.isUuid(sessionId)) {
+      throw new AuthError('token_invalid', 'Malformed refresh token');
+    }
+
+    const result = await this.db.query(
+      `SELECT s.*, s.expires_at < NOW() AS expired, u.phone_number
+       FROM user_auth_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [sessionId]
+    );
+
+    const session = result.rows[0];
+
+    if (!session || session.revoked_at) {
+      throw new AuthError('session_revoked', 'Session has been revoked');
+    }
+
+    if (session.expired) {
+      throw new AuthError('token_expired', 'Refresh token has expired');
+    }
+
+    const presentedHash = this.hashSecret(refreshSecret);
+
+    // A rotated-out token showing up again means it leaked - kill the whole session
+    if (session.previous_token_hash && this.hashesMatch(presentedHash, session.previous_token_hash)) {
+      await this.revokeSession(sessionId, 'token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for session ${sessionId} (user ${session.user_id})`);
+      throw new AuthError('session_revoked', 'Session has been revoked');
+    }
+
+    if (!this.hashesMatch(presentedHash, session.refresh_token_hash)) {
+      throw new AuthError('token_invalid', 'Invalid refresh token');
+    }
+
+    const nextSecret = this.generateRefreshSecret();
+
+    // Compare-and-swap on the current hash so two concurrent refreshes can't both succeed
+    const rotated = await this.db.query(
+      `UPDATE user_auth_sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1, last_used_at = NOW()
+       WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+       RETURNING id`,
+      [this.hashSecret(nextSecret), sessionId, presentedHash]
+    );
+
+    if (rotated.rows.length === 0) {
+      throw new AuthError('token_invalid', 'Refresh token has already been used');
+    }
+
+    const user = { id: session.user_id, phone_number: session.phone_number };
+
+    return {
+      sessionId,
+      userId: session.user_id,
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: `${sessionId}.${nextSecret}`,
+      expiresIn: this.ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    const result = await this.db.query(
+      `UPDATE user_auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING user_id`,
+      [sessionId, reason]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🔒 Auth session ${sessionId} revoked (${reason})`);
+    }
+
+    return result.rows.length > 0;
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const result = await this.db.query(
+      `UPDATE user_auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId, reason]
+    );
+
+    console.log(`🔒 Revoked ${result.rowCount} auth session(s) for user ${userId} (${reason})`);
+    return result.rowCount;
+  }
+
+  // ================================
+  // ACCESS TOKENS
+  // ================================
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, phoneNumber: user.phone_number, sid: sessionId },
+      this.secret,
+      { expiresIn: this.ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  // Verify signature, expiry and that the backing session is still alive
+  async verifyAccessToken(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, this.secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('token_expired', 'Access token has expired');
+      }
+      throw new AuthError('token_invalid', 'Invalid access token');
+    }
+
+    // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+    if (!decoded.sid) {
+      throw new AuthError('token_invalid', 'Session expired, please log in again');
+    }
+
+    const isActive = await this.isSessionActive(decoded.sid);
+    if (!isActive) {
+      throw new AuthError('session_revoked', 'Session has been revoked');
+    }
+
+    return decoded;
+  }
+
+  async isSessionActive(sessionId) {
+    const result = await this.db.query(
+      'SELECT 1 FROM user_auth_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+      [sessionId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // ================================
+  // HELPER FUNCTIONS
+  // ================================
+
+  generateRefreshSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  hashesMatch(a, b) {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  isUuid(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+  }
+}
+
+module.exports = AuthSessionManager;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,285 @@
+const { ClientError } = require('./clientError');
+
+class AuthorizedNumberError extends ClientError {}
+
+// Numbers are compared by their digits, so "+60 12-345 6789" matches "+60123456789"
+function phoneDigits(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+class AuthorizedNumbersManager {
+  constructor(db, options = {}) {
+    this.db = db;
+
+    // Numbers that are always whitelisted and promoted to admin (bootstrap for a fresh install)
+    this.adminPhoneNumbers = new Set((options.adminPhoneNumbers || []).map(number => this.normalizePhoneNumber(number)));
+  }
+
+  // ================================
+  // WHITELIST
+  // ================================
+
+  async listNumbers({ includeInactive = true } = {}) {
+    const result = await this.db.query(
+      `SELECT apn.*, u.id AS user_id, u.role
+       FROM authorized_phone_numbers apn
+       LEFT JOIN users u ON u.phone_number = apn.phone_number
+       ${includeInactive ? '' : 'WHERE apn.is_active = true'}
+       ORDER BY apn.is_active DESC, apn.created_at ASC`
+    );
+    return result.rows;
+  }
+
+  // The number as it is stored on the whitelist if it is active, however the caller formatted it, or null
+  async findActiveNumber(phoneNumber) {
+    const digits = phoneDigits(phoneNumber);
+    if (!digits) return null;
+
+    const result = await this.db.query(
+      `SELECT phone_number FROM authorized_phone_numbers
+       WHERE is_active = true AND regexp_replace(phone_number, '[^0-9]', '', 'g') = $1
+       ORDER BY id
+       LIMIT 1`,
+      [digits]
+    );
+    return result.rows[0]?.phone_number || null;
+  }
+
+  async getNumber(id) {
+    const result = await this.db.query('SELECT * FROM authorized_phone_numbers WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async addNumber({ phoneNumber, name, notes } = {}, performedBy = null) {
+    const normalized = this.normalizePhoneNumber(phoneNumber);
+
+    return this.withTransaction(async (client) => {
+      // However the existing row was formatted, so one number can't be whitelisted twice
+      const existing = await client.query(
+        `SELECT id, is_active FROM authorized_phone_numbers
+         WHERE regexp_replace(phone_number, '[^0-9]', '', 'g') = $1
+         ORDER BY is_active DESC, id
+         LIMIT 1`,
+        [phoneDigits(normalized)]
+      );
+
+      if (existing.rows.length > 0) {
+        throw new AuthorizedNumberError(
+          existing.rows[0].is_active
+            ? 'This phone number is already authorized'
+            : 'This phone number was deactivated - reactivate it instead',
+          409
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO authorized_phone_numbers (phone_number, name, notes, added_by, is_active)
+         VALUES ($1, $2, $3, $4, true)
+         RETURNING *`,
+        [normalized, name || null, notes || null, performedBy]
+      );
+
+      const number = result.rows[0];
+      await this.recordAudit(client, number, 'added', performedBy, { name: number.name, notes: number.notes });
+
+      console.log(`✅ Authorized phone number added: ${normalized}`);
+      return number;
+    });
+  }
+
+  // Undefined leaves a field as it is, null clears it
+  async updateNumber(id, { name, notes } = {}, performedBy = null) {
+    return this.withTransaction(async (client) => {
+      const current = await this.lockNumber(client, id);
+
+      const changes = {};
+      if (name !== undefined && name !== current.name) changes.name = { from: current.name, to: name };
+      if (notes !== undefined && notes !== current.notes) changes.notes = { from: current.notes, to: notes };
+
+      if (Object.keys(changes).length === 0) {
+        return current;
+      }
+
+      const result = await client.query(
+        `UPDATE authorized_phone_numbers
+         SET name = CASE WHEN $2 THEN $3 ELSE name END,
+             notes = CASE WHEN $4 THEN $5 ELSE notes END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, name !== undefined, name || null, notes !== undefined, notes || null]
+      );
+
+      await this.recordAudit(client, result.rows[0], 'updated', performedBy, changes);
+      return result.rows[0];
+    });
+  }
+
+  async deactivateNumber(id, performedBy = null, { reason } = {}) {
+    return this.withTransaction(async (client) => {
+      const current = await this.lockNumber(client, id);
+
+      if (!current.is_active) {
+        throw new AuthorizedNumberError('This phone number is already deactivated', 409);
+      }
+
+      if (this.isBootstrapAdmin(current.phone_number)) {
+        throw new AuthorizedNumberError('Bootstrap admin numbers cannot be deactivated', 409);
+      }
+
+      const result = await client.query(
+        `UPDATE authorized_phone_numbers
+         SET is_active = false, deactivated_at = CURRENT_TIMESTAMP, deactivated_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, performedBy]
+      );
+
+      await this.recordAudit(client, result.rows[0], 'deactivated', performedBy, { reason: reason || null });
+
+      console.log(`🚫 Authorized phone number deactivated: ${current.phone_number}`);
+      return result.rows[0];
+    });
+  }
+
+  async reactivateNumber(id, performedBy = null, { reason } = {}) {
+    return this.withTransaction(async (client) => {
+      const current = await this.lockNumber(client, id);
+
+      if (current.is_active) {
+        throw new AuthorizedNumberError('This phone number is already active', 409);
+      }
+
+      const result = await client.query(
+        `UPDATE authorized_phone_numbers
+         SET is_active = true, deactivated_at = NULL, deactivated_by = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+
+      await this.recordAudit(client, result.rows[0], 'reactivated', performedBy, { reason: reason || null });
+
+      console.log(`✅ Authorized phone number reactivated: ${current.phone_number}`);
+      return result.rows[0];
+    });
+  }
+
+  async getAuditLog({ phoneNumber, limit = 100, offset = 0 } = {}) {
+    const params = [];
+    let whereClause = '';
+
+    if (phoneNumber) {
+      params.push(phoneNumber);
+      whereClause = 'WHERE a.phone_number = $1';
+    }
+
+    params.push(limit, offset);
+
+    const result = await this.db.query(
+      `SELECT a.*, u.phone_number AS performed_by_phone_number, u.name AS performed_by_name
+       FROM authorized_phone_number_audit a
+       LEFT JOIN users u ON u.id = a.performed_by
+       ${whereClause}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  // ================================
+  // ADMIN BOOTSTRAP
+  // ================================
+
+  isBootstrapAdmin(phoneNumber) {
+    return this.adminPhoneNumbers.has(`+${phoneDigits(phoneNumber)}`);
+  }
+
+  // Make sure every bootstrap admin is whitelisted and holds the admin role
+  async bootstrapAdmins() {
+    for (const phoneNumber of this.adminPhoneNumbers) {
+      await this.withTransaction(async (client) => {
+        // Skipped when the number is already whitelisted in another format
+        const result = await client.query(
+          `INSERT INTO authorized_phone_numbers (phone_number, name, is_active)
+           SELECT $1, 'Admin', true
+           WHERE NOT EXISTS (
+             SELECT 1 FROM authorized_phone_numbers WHERE regexp_replace(phone_number, '[^0-9]', '', 'g') = $2
+           )
+           ON CONFLICT (phone_number) DO NOTHING
+           RETURNING *`,
+          [phoneNumber, phoneDigits(phoneNumber)]
+        );
+
+        if (result.rows.length > 0) {
+          await this.recordAudit(client, result.rows[0], 'added', null, { source: 'ADMIN_PHONE_NUMBERS' });
+        }
+      });
+    }
+
+    if (this.adminPhoneNumbers.size > 0) {
+      await this.db.query(
+        `UPDATE users SET role = 'admin', updated_at = NOW()
+         WHERE regexp_replace(phone_number, '[^0-9]', '', 'g') = ANY($1) AND role <> 'admin'`,
+        [Array.from(this.adminPhoneNumbers, phoneDigits)]
+      );
+      console.log(`✅ Bootstrapped ${this.adminPhoneNumbers.size} admin phone number(s)`);
+    }
+  }
+
+  // ================================
+  // HELPER FUNCTIONS
+  // ================================
+
+  normalizePhoneNumber(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/[^\d+]/g, '');
+    const normalized = digits.startsWith('+') ? digits : `+${digits}`;
+
+    if (!/^\+\d{8,15}$/.test(normalized)) {
+      throw new AuthorizedNumberError('Phone number must be in international format, e.g. +60123456789');
+    }
+
+    return normalized;
+  }
+
+  async lockNumber(client, id) {
+    const result = await client.query(
+      'SELECT * FROM authorized_phone_numbers WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AuthorizedNumberError('Authorized phone number not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async recordAudit(client, number, action, performedBy, changes = {}) {
+    await client.query(
+      `INSERT INTO authorized_phone_number_audit (authorized_number_id, phone_number, action, performed_by, changes)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [number.id, number.phone_number, action, performedBy, JSON.stringify(changes)]
+    );
+  }
+
+  // Whitelist changes and their audit rows are written together or not at all
+  async withTransaction(callback) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = AuthorizedNumbersManager;
+module.exports.AuthorizedNumberError = AuthorizedNumberError;
@@ -1,9 +1,9 @@
 const OpenAI = require('openai');
 
 class ChatProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+      apiKey: options.apiKey,
     });
     this.conversationHistory = [];
     this.pendingActions = new Map(); // Store pending actions by ID
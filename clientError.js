@@ -0,0 +1,23 @@
+// Error whose message is safe to report back to the client, answered with `statusCode`.
+// Modules subclass it so callers can tell where it came from (RecurrenceError, QuietHoursError...).
+class ClientError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+  }
+}
+
+// Answer a failed request: client errors with their own message and status, anything else
+// with `fallback`, so internal details never leak into a response
+function sendError(res, error, fallback, fallbackStatus = 500) {
+  return res.status(error.statusCode || fallbackStatus).json({
+    success: false,
+    error: error.statusCode ? error.message : fallback
+  });
+}
+
+module.exports = {
+  ClientError,
+  sendError
+};
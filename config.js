@@ -0,0 +1,213 @@
+const path = require('path');
+const { parseKey } = require('./credentialCipher');
+const { isValidLocale, isValidTimeZone } = require('./timezone');
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+// Raised when the environment is missing or has invalid settings
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Development-only fallback. Production refuses to start without a real JWT_SECRET.
+const DEV_JWT_SECRET = 'dev-only-insecure-jwt-secret';
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Load and validate every setting. Problems are collected so one run reports all of them.
+function loadConfig(env = process.env) {
+  const nodeEnv = env.NODE_ENV || 'development';
+  const isProduction = nodeEnv === 'production';
+  const problems = [];
+  const warnings = [];
+
+  // Must be set in production; development falls back to `devDefault` with a warning
+  const secret = (name, devDefault = null) => {
+    if (env[name]) return env[name];
+    if (isProduction) {
+      problems.push(`${name} is required in production`);
+      return null;
+    }
+    warnings.push(`${name} is not set${devDefault ? ', using an insecure development default' : ''}`);
+    return devDefault;
+  };
+
+  const positiveInt = (name, defaultValue) => {
+    if (env[name] === undefined || env[name] === '') return defaultValue;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+      problems.push(`${name} must be a positive integer (got "${env[name]}")`);
+      return defaultValue;
+    }
+    return value;
+  };
+
+  const config = {
+    nodeEnv,
+    isProduction,
+    port: positiveInt('PORT', 3002),
+    databaseUrl: secret('DATABASE_URL'),
+    jwtSecret: secret('JWT_SECRET', DEV_JWT_SECRET),
+    oneSignal: {
+      appId: secret('ONESIGNAL_APP_ID'),
+      apiKey: secret('ONESIGNAL_API_KEY')
+    },
+    openai: {
+      apiKey: secret('OPENAI_API_KEY')
+    },
+    chromePath: env.CHROME_PATH || '/usr/bin/google-chrome',
+    corsOrigins: parseList(env.CORS_ORIGINS),
+    otpSender: env.OTP_SENDER || (isProduction ? 'whatsapp' : 'console'),
+    adminPhoneNumbers: parseList(env.ADMIN_PHONE_NUMBERS),
+    seedFile: env.SEED_FILE ? path.resolve(__dirname, env.SEED_FILE) : null,
+    messagingTransport: env.MESSAGING_TRANSPORT || 'whatsapp-web',
+    defaultTimezone: env.DEFAULT_TIMEZONE || 'Asia/Kuala_Lumpur',
+    defaultLocale: env.DEFAULT_LOCALE || 'en-MY',
+    whatsappSessions: {
+      store: env.WHATSAPP_SESSION_STORE || 'local',
+      backupIntervalMs: positiveInt('WHATSAPP_SESSION_BACKUP_MS', 5 * 60 * 1000)
+    },
+    sessionBoot: {
+      concurrency: positiveInt('SESSION_BOOT_CONCURRENCY', 2),
+      bootTimeoutMs: positiveInt('SESSION_BOOT_TIMEOUT_MS', 2 * 60 * 1000),
+      lazyAfterDays: positiveInt('SESSION_LAZY_AFTER_DAYS', 14)
+    },
+    sessionSupervisor: {
+      baseDelayMs: positiveInt('SESSION_RESTART_BASE_DELAY_MS', 5000),
+      maxDelayMs: positiveInt('SESSION_RESTART_MAX_DELAY_MS', 5 * 60 * 1000),
+      maxRestarts: positiveInt('SESSION_MAX_RESTARTS', 8),
+      initTimeoutMs: positiveInt('SESSION_INIT_TIMEOUT_MS', 3 * 60 * 1000)
+    },
+    catchUp: {
+      windowHours: positiveInt('CATCHUP_WINDOW_HOURS', 24),
+      maxWindowHours: positiveInt('CATCHUP_MAX_WINDOW_HOURS', 72),
+      maxChats: positiveInt('CATCHUP_MAX_CHATS', 30),
+      messagesPerChat: positiveInt('CATCHUP_MESSAGES_PER_CHAT', 50)
+    },
+    telegram: {
+      botToken: env.TELEGRAM_BOT_TOKEN || null,
+      botUsername: env.TELEGRAM_BOT_USERNAME || null,
+      webhookSecret: env.TELEGRAM_WEBHOOK_SECRET || null
+    },
+    email: {
+      credentialsKey: env.EMAIL_CREDENTIALS_KEY ? parseKey(env.EMAIL_CREDENTIALS_KEY) : null,
+      pollIntervalMs: positiveInt('EMAIL_POLL_INTERVAL_MS', 5 * 60 * 1000)
+    },
+    media: {
+      provider: env.MEDIA_PROVIDER || (isProduction ? 'openai' : 'local'),
+      storageDir: path.resolve(__dirname, env.MEDIA_STORAGE_DIR || 'media'),
+      maxBytes: positiveInt('MEDIA_MAX_BYTES', 16 * 1024 * 1024)
+    },
+    notifications: {
+      pollIntervalMs: positiveInt('NOTIFICATION_POLL_INTERVAL_MS', 15000),
+      retryBaseDelayMs: positiveInt('NOTIFICATION_RETRY_BASE_DELAY_MS', 30000),
+      retryMaxDelayMs: positiveInt('NOTIFICATION_RETRY_MAX_DELAY_MS', 60 * 60 * 1000),
+      maxAttempts: positiveInt('NOTIFICATION_MAX_ATTEMPTS', 6),
+      smtpUrl: env.SMTP_URL || null,
+      emailFrom: env.NOTIFICATION_EMAIL_FROM || null
+    },
+    reminders: {
+      pollIntervalMs: positiveInt('REMINDER_POLL_INTERVAL_MS', 30000),
+      catchUpHours: positiveInt('REMINDER_CATCHUP_HOURS', 24)
+    },
+    grouper: {
+      groupDelayMs: positiveInt('GROUP_DELAY_MS', 15000),
+      maxGroupSize: positiveInt('MAX_GROUP_SIZE', 5)
+    }
+  };
+
+  if (config.corsOrigins.length === 0) {
+    if (isProduction) {
+      problems.push('CORS_ORIGINS is required in production');
+    } else {
+      config.corsOrigins = ['http://localhost:3001'];
+    }
+  }
+
+  if (isProduction && config.jwtSecret && config.jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters in production');
+  }
+
+  if (!['whatsapp-web', 'memory'].includes(config.messagingTransport)) {
+    problems.push(`MESSAGING_TRANSPORT must be "whatsapp-web" or "memory" (got "${config.messagingTransport}")`);
+  } else if (isProduction && config.messagingTransport === 'memory') {
+    problems.push('MESSAGING_TRANSPORT=memory is for tests and local development only');
+  }
+
+  if (!isValidTimeZone(config.defaultTimezone)) {
+    problems.push(`DEFAULT_TIMEZONE must be an IANA time zone such as Asia/Kuala_Lumpur (got "${config.defaultTimezone}")`);
+  }
+
+  if (!isValidLocale(config.defaultLocale)) {
+    problems.push(`DEFAULT_LOCALE must be a BCP 47 language tag such as en-MY or ms-MY (got "${config.defaultLocale}")`);
+  }
+
+  if (!['local', 'postgres'].includes(config.whatsappSessions.store)) {
+    problems.push(`WHATSAPP_SESSION_STORE must be "local" or "postgres" (got "${config.whatsappSessions.store}")`);
+  }
+
+  if (config.whatsappSessions.backupIntervalMs < 60000) {
+    problems.push('WHATSAPP_SESSION_BACKUP_MS must be at least 60000');
+  }
+
+  if (config.catchUp.windowHours > config.catchUp.maxWindowHours) {
+    problems.push('CATCHUP_WINDOW_HOURS must not exceed CATCHUP_MAX_WINDOW_HOURS');
+  }
+
+  if (isProduction && config.telegram.webhookSecret && !config.telegram.botToken) {
+    problems.push('TELEGRAM_BOT_TOKEN is required in production when TELEGRAM_WEBHOOK_SECRET is set');
+  }
+
+  if (env.EMAIL_CREDENTIALS_KEY && !config.email.credentialsKey) {
+    problems.push('EMAIL_CREDENTIALS_KEY must be 32 bytes, hex or base64 encoded');
+  }
+
+  if (config.email.pollIntervalMs < 60000) {
+    problems.push('EMAIL_POLL_INTERVAL_MS must be at least 60000');
+  }
+
+  if (!['openai', 'local'].includes(config.media.provider)) {
+    problems.push(`MEDIA_PROVIDER must be "openai" or "local" (got "${config.media.provider}")`);
+  }
+
+  if (config.notifications.retryBaseDelayMs > config.notifications.retryMaxDelayMs) {
+    problems.push('NOTIFICATION_RETRY_BASE_DELAY_MS must not exceed NOTIFICATION_RETRY_MAX_DELAY_MS');
+  }
+
+  if (config.notifications.smtpUrl && !config.notifications.emailFrom) {
+    problems.push('NOTIFICATION_EMAIL_FROM is required when SMTP_URL is set');
+  }
+
+  if (!['whatsapp', 'console'].includes(config.otpSender)) {
+    problems.push(`OTP_SENDER must be "whatsapp" or "console" (got "${config.otpSender}")`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  warnings.forEach(warning => console.warn(`⚠️ Config: ${warning}`));
+
+  return Object.freeze(config);
+}
+
+let cachedConfig = null;
+
+// Shared, validated config for modules that are not handed one explicitly
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+module.exports = {
+  ConfigError,
+  getConfig,
+  loadConfig
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for third-party credentials (e.g. mailbox passwords) kept in the database.
+// Stored format: v1:<iv>:<auth tag>:<ciphertext>, all base64.
+
+const VERSION = 'v1';
+
+// Key from config: 32 bytes, base64 or hex encoded
+function parseKey(encodedKey) {
+  if (!encodedKey) return null;
+  const key = /^[0-9a-f]{64}$/i.test(encodedKey)
+    ? Buffer.from(encodedKey, 'hex')
+    : Buffer.from(encodedKey, 'base64');
+  return key.length === 32 ? key : null;
+}
+
+function encryptSecret(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decryptSecret(stored, key) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognised encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  decryptSecret,
+  encryptSecret,
+  parseKey
+};
@@ -1,28 +1,32 @@
 const { Pool } = require('pg');
+const { expandOccurrences } = require('./recurrence');
+const { startOfZonedDay } = require('./timezone');
 
+// "Today" and the dates stats are grouped by are the user's, in their time zone
 class DashboardManager {
-  constructor(db, internalItemsCRUD) {
+  constructor(db, internalItemsCRUD, options = {}) {
     this.db = db;
     this.crud = internalItemsCRUD;
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
   }
 
   // ================================
   // MAIN DASHBOARD DATA FUNCTION
   // ================================
 
-  async getUserDashboardData(userId) {
+  async getUserDashboardData(userId, timeZone = this.defaultTimezone) {
     try {
       console.log(`📊 Getting dashboard data for user ${userId}`);
 
       const dashboardData = {
         summary: await this.getDashboardSummary(userId),
-        upcomingItems: await this.getUpcomingItems(userId),
-        overdueTasks: await this.getOverdueTasks(userId),
-        todayEvents: await this.getTodayEvents(userId),
+        upcomingItems: await this.getUpcomingItems(userId, 24, timeZone),
+        overdueTasks: await this.getOverdueTasks(userId, timeZone),
+        todayEvents: await this.getTodayEvents(userId, timeZone),
         recentActivity: await this.getRecentActivity(userId),
         actionStats: await this.getActionStats(userId),
         priorityBreakdown: await this.getPriorityBreakdown(userId),
-        completionStats: await this.getCompletionStats(userId)
+        completionStats: await this.getCompletionStats(userId, timeZone)
       };
 
       console.log(`✅ Dashboard data retrieved for user ${userId}`);
@@ -98,10 +102,9 @@ class DashboardManager {
   // UPCOMING ITEMS
   // ================================
 
-  async getUpcomingItems(userId, hours = 24) {
+  async getUpcomingItems(userId, hours = 24, timeZone = this.defaultTimezone) {
     try {
-      const endTime = new Date();
-      endTime.setHours(endTime.getHours() + hours);
+      const endTime = new Date(Date.now() + hours * 60 * 60 * 1000);
 
       const upcomingItems = [];
 
@@ -117,17 +120,21 @@ class DashboardManager {
         ORDER BY reminder_datetime ASC
       `, [userId, endTime.toISOString()]);
 
-      // Get upcoming events
+      // Get upcoming events, with one entry per occurrence of repeating ones
       const events = await this.db.query(`
         SELECT 
-          id, title, content, event_datetime as datetime, priority, location,
+          id, title, content, event_datetime, priority, location,
+          recurrence_rule, recurrence_start, recurrence_exceptions,
           'event' as type, 'internal_events' as table_name
         FROM internal_events 
         WHERE user_id = $1 
           AND status = 'active' 
-          AND event_datetime BETWEEN CURRENT_TIMESTAMP AND $2
+          AND (event_datetime BETWEEN CURRENT_TIMESTAMP AND $2
+            OR (recurrence_rule IS NOT NULL AND event_datetime <= $2))
         ORDER BY event_datetime ASC
       `, [userId, endTime.toISOString()]);
+      const eventOccurrences = expandOccurrences(events.rows, 'event', new Date(), endTime, { timeZone })
+        .map(({ event_datetime, recurrence_start, recurrence_exceptions, ...event }) => ({ ...event, datetime: event_datetime }));
 
       // Get due tasks
       const tasks = await this.db.query(`
@@ -153,7 +160,7 @@ class DashboardManager {
         ORDER BY appointment_datetime ASC
       `, [userId, endTime.toISOString()]);
 
-      upcomingItems.push(...reminders.rows, ...events.rows, ...tasks.rows, ...healthItems.rows);
+      upcomingItems.push(...reminders.rows, ...eventOccurrences, ...tasks.rows, ...healthItems.rows);
 
       // Sort by datetime
       upcomingItems.sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
@@ -170,18 +177,19 @@ class DashboardManager {
   // OVERDUE TASKS
   // ================================
 
-  async getOverdueTasks(userId) {
+  async getOverdueTasks(userId, timeZone = this.defaultTimezone) {
     try {
+      // Days overdue counts calendar days on the user's clock: due last night is 1 day overdue this morning
       const result = await this.db.query(`
         SELECT 
           id, title, content, due_datetime, priority, task_type,
-          EXTRACT(DAY FROM (CURRENT_TIMESTAMP - due_datetime)) as days_overdue
+          (CURRENT_TIMESTAMP AT TIME ZONE $2)::date - (due_datetime AT TIME ZONE $2)::date as days_overdue
         FROM internal_tasks 
         WHERE user_id = $1 
           AND status = 'active' 
           AND due_datetime < CURRENT_TIMESTAMP
         ORDER BY due_datetime ASC
-      `, [userId]);
+      `, [userId, timeZone]);
 
       return result.rows.map(task => ({
         ...task,
@@ -199,26 +207,27 @@ class DashboardManager {
   // TODAY'S EVENTS
   // ================================
 
-  async getTodayEvents(userId) {
+  async getTodayEvents(userId, timeZone = this.defaultTimezone) {
     try {
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date();
-      endOfDay.setHours(23, 59, 59, 999);
+      const now = new Date();
+      const startOfDay = startOfZonedDay(now, timeZone);
+      const endOfDay = new Date(startOfZonedDay(now, timeZone, 1).getTime() - 1);
 
       const result = await this.db.query(`
         SELECT 
           id, title, content, event_datetime, end_datetime, 
-          location, priority, event_type, attendees
+          location, priority, event_type, attendees,
+          recurrence_rule, recurrence_start, recurrence_exceptions
         FROM internal_events 
         WHERE user_id = $1 
           AND status = 'active' 
-          AND event_datetime BETWEEN $2 AND $3
+          AND (event_datetime BETWEEN $2 AND $3
+            OR (recurrence_rule IS NOT NULL AND event_datetime <= $3))
         ORDER BY event_datetime ASC
       `, [userId, startOfDay.toISOString(), endOfDay.toISOString()]);
 
-      return result.rows.map(event => ({
+      // Repeating events that recur today appear with today's date
+      return expandOccurrences(result.rows, 'event', startOfDay, endOfDay, { timeZone }).map(event => ({
         ...event,
         type: 'event'
       }));
@@ -379,12 +388,12 @@ class DashboardManager {
   // COMPLETION STATS
   // ================================
 
-  async getCompletionStats(userId) {
+  async getCompletionStats(userId, timeZone = this.defaultTimezone) {
     try {
-      // Get completion stats for the last 30 days
+      // Get completion stats for the last 30 days, by the user's calendar date (YYYY-MM-DD)
       const result = await this.db.query(`
         SELECT 
-          DATE(updated_at) as completion_date,
+          TO_CHAR(updated_at AT TIME ZONE $2, 'YYYY-MM-DD') as completion_date,
           COUNT(*) as completed_count
         FROM (
           SELECT updated_at FROM internal_reminders WHERE user_id = $1 AND status = 'completed' AND updated_at > (CURRENT_TIMESTAMP - INTERVAL '30 days')
@@ -413,9 +422,9 @@ class DashboardManager {
           UNION ALL
           SELECT updated_at FROM internal_admin_items WHERE user_id = $1 AND status = 'completed' AND updated_at > (CURRENT_TIMESTAMP - INTERVAL '30 days')
         ) all_completions
-        GROUP BY DATE(updated_at)
+        GROUP BY completion_date
         ORDER BY completion_date DESC
-      `, [userId]);
+      `, [userId, timeZone]);
 
       // Calculate daily averages and totals
       const dailyStats = result.rows;
@@ -478,7 +487,7 @@ class DashboardManager {
   // HELPER FUNCTIONS
   // ================================
 
-  async getQuickStats(userId) {
+  async getQuickStats(userId, timeZone = this.defaultTimezone) {
     try {
       const stats = {
         pendingActions: 0,
@@ -539,8 +548,7 @@ class DashboardManager {
       stats.overdueItems = parseInt(overdueResult.rows[0].total_overdue || 0);
 
       // Completed today
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
+      const startOfDay = startOfZonedDay(new Date(), timeZone);
 
       const completedTodayResult = await this.db.query(`
         SELECT SUM(completed_count) as total_completed FROM (
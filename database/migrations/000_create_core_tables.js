@@ -0,0 +1,132 @@
+const { Pool } = require('pg');
+
+class Migration000CreateCoreTables {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '000_create_core_tables';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        users: ['id', 'phone_number', 'name', 'is_verified', 'onesignal_player_id', 'created_at', 'updated_at'],
+        ai_actions: ['id', 'action_id', 'type', 'description', 'status', 'original_message', 'details', 'user_id', 'created_at', 'updated_at'],
+        notification_logs: ['id', 'user_id', 'action_id', 'notification_type', 'status', 'reason', 'created_at']
+      },
+      createIndexes: ['idx_unique_message_action']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // IF NOT EXISTS throughout: databases created before migrations existed already have these tables
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          phone_number VARCHAR(20) UNIQUE NOT NULL,
+          name VARCHAR(255),
+          is_verified BOOLEAN DEFAULT false,
+          onesignal_player_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT NOW(),
+          updated_at TIMESTAMP DEFAULT NOW()
+        )
+      `);
+      await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS onesignal_player_id VARCHAR(255)`);
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS ai_actions (
+          id SERIAL PRIMARY KEY,
+          action_id VARCHAR(255) UNIQUE NOT NULL,
+          type VARCHAR(100) NOT NULL,
+          description TEXT NOT NULL,
+          status VARCHAR(50) DEFAULT 'pending',
+          original_message JSONB NOT NULL,
+          details JSONB,
+          user_id INTEGER REFERENCES users(id) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query(`ALTER TABLE ai_actions ADD COLUMN IF NOT EXISTS details JSONB`);
+
+      // Prevent duplicate actions from the same message
+      await this.db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_message_action 
+        ON ai_actions ((original_message->>'id'), type, description)
+      `);
+
+      // Fallback log for notifications that could not be delivered
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS notification_logs (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          action_id VARCHAR(255) NOT NULL,
+          notification_type VARCHAR(50) NOT NULL,
+          status VARCHAR(50) NOT NULL,
+          reason TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS notification_logs CASCADE`);
+      await this.db.query(`DROP TABLE IF EXISTS ai_actions CASCADE`);
+      await this.db.query(`DROP TABLE IF EXISTS users CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration000CreateCoreTables;
@@ -4,6 +4,13 @@ class Migration002CreateAuthorizedPhoneNumbers {
   constructor(db) {
     this.db = db;
     this.migrationName = '002_create_authorized_phone_numbers';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        authorized_phone_numbers: ['id', 'phone_number', 'name', 'is_active', 'created_at', 'updated_at']
+      }
+    };
   }
 
   async up() {
@@ -22,21 +29,7 @@ class Migration002CreateAuthorizedPhoneNumbers {
         )
       `);
 
-      // Insert the existing authorized phone numbers
-      const authorizedNumbers = [
-        { phone: '+601121677522', name: 'Firaz' },
-        { phone: '+601121677672', name: 'Admin 2' },
-        { phone: '+60126268707', name: 'Admin 3' },
-        { phone: '+60126851668', name: 'Admin 4' }
-      ];
-
-      for (const { phone, name } of authorizedNumbers) {
-        await this.db.query(`
-          INSERT INTO authorized_phone_numbers (phone_number, name, is_active) 
-          VALUES ($1, $2, $3) 
-          ON CONFLICT (phone_number) DO NOTHING
-        `, [phone, name, true]);
-      }
+      // Numbers are managed through the admin API; the first admins come from ADMIN_PHONE_NUMBERS
       
       // Create migrations tracking table if it doesn't exist
       await this.db.query(`
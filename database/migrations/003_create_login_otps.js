@@ -0,0 +1,97 @@
+const { Pool } = require('pg');
+
+class Migration003CreateLoginOtps {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '003_create_login_otps';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        login_otps: ['id', 'phone_number', 'code_hash', 'attempts', 'max_attempts', 'expires_at', 'consumed_at', 'created_at']
+      },
+      createIndexes: ['idx_login_otps_phone_created']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // One-time login codes. Only a hash of the code is stored.
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS login_otps (
+          id SERIAL PRIMARY KEY,
+          phone_number VARCHAR(20) NOT NULL,
+          code_hash VARCHAR(128) NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 5,
+          expires_at TIMESTAMP NOT NULL,
+          consumed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_login_otps_phone_created 
+        ON login_otps(phone_number, created_at DESC)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS login_otps CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration003CreateLoginOtps;
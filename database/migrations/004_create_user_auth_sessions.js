@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+
+class Migration004CreateUserAuthSessions {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '004_create_user_auth_sessions';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        user_auth_sessions: ['id', 'user_id', 'refresh_token_hash', 'previous_token_hash', 'user_agent', 'ip_address', 'expires_at', 'last_used_at', 'revoked_at', 'revoked_reason', 'created_at']
+      },
+      createIndexes: ['idx_user_auth_sessions_user_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // One row per signed-in device. The refresh token itself is never stored, only its hash.
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS user_auth_sessions (
+          id UUID PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          refresh_token_hash VARCHAR(128) NOT NULL,
+          previous_token_hash VARCHAR(128),
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          expires_at TIMESTAMP NOT NULL,
+          last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          revoked_at TIMESTAMP,
+          revoked_reason VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_auth_sessions_user_id 
+        ON user_auth_sessions(user_id)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS user_auth_sessions CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration004CreateUserAuthSessions;
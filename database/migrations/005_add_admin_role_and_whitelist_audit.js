@@ -0,0 +1,123 @@
+const { Pool } = require('pg');
+
+class Migration005AddAdminRoleAndWhitelistAudit {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '005_add_admin_role_and_whitelist_audit';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      addColumns: {
+        users: ['role'],
+        authorized_phone_numbers: ['notes', 'added_by', 'deactivated_at', 'deactivated_by']
+      },
+      createTables: {
+        authorized_phone_number_audit: ['id', 'authorized_number_id', 'phone_number', 'action', 'performed_by', 'changes', 'created_at']
+      },
+      createIndexes: ['idx_authorized_phone_number_audit_phone']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Admins can manage the phone number whitelist
+      await this.db.query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+        CHECK (role IN ('user', 'admin'))
+      `);
+
+      await this.db.query(`
+        ALTER TABLE authorized_phone_numbers
+        ADD COLUMN IF NOT EXISTS notes TEXT,
+        ADD COLUMN IF NOT EXISTS added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deactivated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      `);
+
+      // Append-only history of whitelist changes
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS authorized_phone_number_audit (
+          id SERIAL PRIMARY KEY,
+          authorized_number_id INTEGER REFERENCES authorized_phone_numbers(id) ON DELETE SET NULL,
+          phone_number VARCHAR(20) NOT NULL,
+          action VARCHAR(20) NOT NULL CHECK (action IN ('added', 'updated', 'deactivated', 'reactivated')),
+          performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          changes JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_authorized_phone_number_audit_phone 
+        ON authorized_phone_number_audit(phone_number, created_at DESC)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS authorized_phone_number_audit CASCADE`);
+      await this.db.query(`
+        ALTER TABLE authorized_phone_numbers
+        DROP COLUMN IF EXISTS notes,
+        DROP COLUMN IF EXISTS added_by,
+        DROP COLUMN IF EXISTS deactivated_at,
+        DROP COLUMN IF EXISTS deactivated_by
+      `);
+      await this.db.query(`ALTER TABLE users DROP COLUMN IF EXISTS role`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration005AddAdminRoleAndWhitelistAudit;
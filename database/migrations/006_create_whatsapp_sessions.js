@@ -0,0 +1,95 @@
+const { Pool } = require('pg');
+
+class Migration006CreateWhatsappSessions {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '006_create_whatsapp_sessions';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        whatsapp_sessions: ['session_name', 'user_id', 'data', 'size_bytes', 'created_at', 'updated_at']
+      },
+      createIndexes: ['idx_whatsapp_sessions_user_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Zipped whatsapp-web.js browser profiles, keyed by RemoteAuth session name
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+          session_name VARCHAR(255) PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          data BYTEA NOT NULL,
+          size_bytes INTEGER NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_user_id 
+        ON whatsapp_sessions(user_id)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS whatsapp_sessions CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration006CreateWhatsappSessions;
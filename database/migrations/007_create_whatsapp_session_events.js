@@ -0,0 +1,96 @@
+const { Pool } = require('pg');
+
+class Migration007CreateWhatsappSessionEvents {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '007_create_whatsapp_session_events';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        whatsapp_session_events: ['id', 'user_id', 'from_state', 'to_state', 'reason', 'attempt', 'created_at']
+      },
+      createIndexes: ['idx_whatsapp_session_events_user_created']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // State history of each user's WhatsApp session, written by the session supervisor
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS whatsapp_session_events (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          from_state VARCHAR(20),
+          to_state VARCHAR(20) NOT NULL CHECK (to_state IN ('initializing', 'qr', 'authenticated', 'ready', 'disconnected', 'failed')),
+          reason TEXT,
+          attempt INTEGER DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_whatsapp_session_events_user_created 
+        ON whatsapp_session_events(user_id, created_at DESC)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS whatsapp_session_events CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration007CreateWhatsappSessionEvents;
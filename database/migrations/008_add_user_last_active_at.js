@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+
+class Migration008AddUserLastActiveAt {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '008_add_user_last_active_at';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      addColumns: {
+        users: ['last_active_at']
+      },
+      createIndexes: ['idx_users_last_active_at']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // When the user last used the app, used to order and defer WhatsApp session startup
+      await this.db.query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS last_active_at TIMESTAMP
+      `);
+
+      // Best guess for existing users: their most recent token refresh
+      await this.db.query(`
+        UPDATE users u
+        SET last_active_at = COALESCE(
+          (SELECT MAX(s.last_used_at) FROM user_auth_sessions s WHERE s.user_id = u.id),
+          u.updated_at
+        )
+        WHERE u.last_active_at IS NULL
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_users_last_active_at 
+        ON users(last_active_at DESC NULLS LAST)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP INDEX IF EXISTS idx_users_last_active_at`);
+      await this.db.query(`ALTER TABLE users DROP COLUMN IF EXISTS last_active_at`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration008AddUserLastActiveAt;
@@ -0,0 +1,122 @@
+const { Pool } = require('pg');
+
+class Migration009CreateTelegramTables {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '009_create_telegram_tables';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        telegram_accounts: ['user_id', 'telegram_user_id', 'telegram_username', 'private_chat_id', 'linked_at'],
+        telegram_link_codes: ['id', 'user_id', 'code_hash', 'expires_at', 'consumed_at', 'created_at'],
+        telegram_chat_subscriptions: ['id', 'user_id', 'chat_id', 'chat_title', 'created_at']
+      },
+      createIndexes: ['idx_telegram_chat_subscriptions_chat_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // One Telegram account per user, linked through the bot
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS telegram_accounts (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          telegram_user_id BIGINT UNIQUE NOT NULL,
+          telegram_username VARCHAR(255),
+          private_chat_id BIGINT,
+          linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Short-lived codes the user sends to the bot to link their account. Only a hash is stored.
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS telegram_link_codes (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          code_hash VARCHAR(128) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          consumed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Group chats whose messages are analysed for a user
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS telegram_chat_subscriptions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          chat_id BIGINT NOT NULL,
+          chat_title VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, chat_id)
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_telegram_chat_subscriptions_chat_id 
+        ON telegram_chat_subscriptions(chat_id)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS telegram_chat_subscriptions CASCADE`);
+      await this.db.query(`DROP TABLE IF EXISTS telegram_link_codes CASCADE`);
+      await this.db.query(`DROP TABLE IF EXISTS telegram_accounts CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration009CreateTelegramTables;
@@ -0,0 +1,121 @@
+const { Pool } = require('pg');
+
+class Migration010CreateEmailIngestionTables {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '010_create_email_ingestion_tables';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        email_accounts: ['id', 'user_id', 'label', 'email_address', 'imap_host', 'imap_port', 'imap_secure', 'imap_username', 'password_encrypted', 'mailbox', 'is_active', 'uid_validity', 'last_uid', 'last_polled_at', 'last_error', 'created_at', 'updated_at'],
+        ingested_emails: ['user_id', 'message_id', 'email_account_id', 'source', 'ingested_at']
+      },
+      createIndexes: ['idx_email_accounts_user_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // IMAP mailboxes polled for each user. The password is AES-GCM encrypted (credentialCipher).
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS email_accounts (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          label VARCHAR(100),
+          email_address VARCHAR(255) NOT NULL,
+          imap_host VARCHAR(255) NOT NULL,
+          imap_port INTEGER NOT NULL DEFAULT 993,
+          imap_secure BOOLEAN NOT NULL DEFAULT true,
+          imap_username VARCHAR(255) NOT NULL,
+          password_encrypted TEXT NOT NULL,
+          mailbox VARCHAR(255) NOT NULL DEFAULT 'INBOX',
+          is_active BOOLEAN NOT NULL DEFAULT true,
+          uid_validity BIGINT,
+          last_uid BIGINT,
+          last_polled_at TIMESTAMP,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, imap_host, imap_username, mailbox)
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_email_accounts_user_id 
+        ON email_accounts(user_id)
+      `);
+
+      // Mails already sent through the pipeline, so re-polls and re-imports don't analyse them twice
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS ingested_emails (
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          message_id VARCHAR(512) NOT NULL,
+          email_account_id INTEGER REFERENCES email_accounts(id) ON DELETE SET NULL,
+          source VARCHAR(20) NOT NULL,
+          ingested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, message_id)
+        )
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS ingested_emails CASCADE`);
+      await this.db.query(`DROP TABLE IF EXISTS email_accounts CASCADE`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration010CreateEmailIngestionTables;
@@ -0,0 +1,100 @@
+const { Pool } = require('pg');
+
+class Migration012CreateChatSyncState {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '012_create_chat_sync_state';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        chat_sync_state: ['user_id', 'chat_id', 'last_message_at', 'last_message_id', 'updated_at']
+      },
+      addColumns: {
+        users: ['catchup_window_hours']
+      },
+      createIndexes: []
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Newest message seen per chat, so a reconnecting session knows where to catch up from
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS chat_sync_state (
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          chat_id VARCHAR(255) NOT NULL,
+          last_message_at BIGINT NOT NULL,
+          last_message_id VARCHAR(255),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, chat_id)
+        )
+      `);
+
+      // Per-user catch-up window in hours; NULL uses the server default, 0 turns catch-up off
+      await this.db.query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS catchup_window_hours INTEGER
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`ALTER TABLE users DROP COLUMN IF EXISTS catchup_window_hours`);
+      await this.db.query(`DROP TABLE IF EXISTS chat_sync_state`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration012CreateChatSyncState;
@@ -0,0 +1,116 @@
+const { Pool } = require('pg');
+
+class Migration013CreateMediaAttachments {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '013_create_media_attachments';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        media_attachments: ['id', 'user_id', 'message_id', 'kind', 'mime_type', 'filename', 'size_bytes', 'sha256', 'storage_key', 'extracted_text', 'provider', 'status', 'error', 'created_at'],
+        action_media_attachments: ['action_id', 'media_id', 'created_at']
+      },
+      createIndexes: ['idx_action_media_attachments_media_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Voice notes, images and documents received in messages, with the text extracted from them
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS media_attachments (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          message_id VARCHAR(255) NOT NULL,
+          kind VARCHAR(20),
+          mime_type VARCHAR(255) NOT NULL,
+          filename VARCHAR(255),
+          size_bytes INTEGER NOT NULL,
+          sha256 VARCHAR(64) NOT NULL,
+          storage_key VARCHAR(255),
+          extracted_text TEXT,
+          provider VARCHAR(50),
+          status VARCHAR(20) NOT NULL CHECK (status IN ('processed', 'failed', 'unsupported', 'too_large')),
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, message_id)
+        )
+      `);
+
+      // Media an action was detected from; internal items reach it through their action_id
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS action_media_attachments (
+          action_id VARCHAR(255) REFERENCES ai_actions(action_id) ON DELETE CASCADE NOT NULL,
+          media_id INTEGER REFERENCES media_attachments(id) ON DELETE CASCADE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (action_id, media_id)
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_action_media_attachments_media_id 
+        ON action_media_attachments(media_id)
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS action_media_attachments`);
+      await this.db.query(`DROP TABLE IF EXISTS media_attachments`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration013CreateMediaAttachments;
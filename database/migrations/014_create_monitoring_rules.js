@@ -0,0 +1,95 @@
+const { Pool } = require('pg');
+
+class Migration014CreateMonitoringRules {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '014_create_monitoring_rules';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        monitoring_rules: ['id', 'user_id', 'list', 'target_type', 'target_value', 'target_label', 'mode', 'is_enabled', 'created_at', 'updated_at']
+      },
+      createIndexes: []
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Allow/deny lists deciding which chats, contacts and keywords are analysed for a user
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS monitoring_rules (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          list VARCHAR(10) NOT NULL CHECK (list IN ('allow', 'deny')),
+          target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('chat', 'contact', 'group', 'keyword')),
+          target_value VARCHAR(255) NOT NULL,
+          target_label VARCHAR(255),
+          mode VARCHAR(20) DEFAULT 'all' NOT NULL CHECK (mode IN ('all', 'from_me', 'mentions')),
+          is_enabled BOOLEAN DEFAULT true NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, list, target_type, target_value)
+        )
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS monitoring_rules`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration014CreateMonitoringRules;
@@ -0,0 +1,113 @@
+const { Pool } = require('pg');
+
+class Migration015CreateQuietHoursTables {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '015_create_quiet_hours_tables';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        notification_preferences: ['user_id', 'quiet_hours_enabled', 'timezone', 'quiet_schedule', 'allow_urgent', 'snoozed_until', 'updated_at'],
+        queued_notifications: ['id', 'user_id', 'action_id', 'action_type', 'description', 'priority', 'deliver_after', 'delivered_at', 'created_at']
+      },
+      createIndexes: ['idx_queued_notifications_pending']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // Quiet hours schedule and snooze, per user
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS notification_preferences (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          quiet_hours_enabled BOOLEAN DEFAULT false NOT NULL,
+          timezone VARCHAR(64) NOT NULL,
+          quiet_schedule JSONB DEFAULT '[]' NOT NULL,
+          allow_urgent BOOLEAN DEFAULT true NOT NULL,
+          snoozed_until TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Notifications held back during quiet hours, sent as one digest when they end
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS queued_notifications (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          action_id VARCHAR(255) REFERENCES ai_actions(action_id) ON DELETE CASCADE,
+          action_type VARCHAR(100),
+          description TEXT,
+          priority VARCHAR(20),
+          deliver_after TIMESTAMP NOT NULL,
+          delivered_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_queued_notifications_pending 
+        ON queued_notifications(deliver_after) WHERE delivered_at IS NULL
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS queued_notifications`);
+      await this.db.query(`DROP TABLE IF EXISTS notification_preferences`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration015CreateQuietHoursTables;
@@ -0,0 +1,124 @@
+const { Pool } = require('pg');
+
+class Migration016CreateUserDevices {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '016_create_user_devices';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        user_devices: ['id', 'user_id', 'player_id', 'platform', 'device_name', 'app_version', 'created_at', 'last_seen_at']
+      },
+      dropColumns: {
+        users: ['onesignal_player_id']
+      },
+      createIndexes: ['idx_user_devices_user_id']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // OneSignal subscriptions, one row per device a user is signed in on
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS user_devices (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          player_id VARCHAR(255) UNIQUE NOT NULL,
+          platform VARCHAR(20),
+          device_name VARCHAR(255),
+          app_version VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_devices_user_id ON user_devices(user_id)
+      `);
+
+      // Carry over the single player ID users registered before
+      await this.db.query(`
+        INSERT INTO user_devices (user_id, player_id, last_seen_at)
+        SELECT DISTINCT ON (onesignal_player_id) id, onesignal_player_id, updated_at
+        FROM users
+        WHERE onesignal_player_id IS NOT NULL AND onesignal_player_id <> ''
+        ORDER BY onesignal_player_id, updated_at DESC
+        ON CONFLICT (player_id) DO NOTHING
+      `);
+
+      await this.db.query(`ALTER TABLE users DROP COLUMN IF EXISTS onesignal_player_id`);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS onesignal_player_id VARCHAR(255)`);
+
+      // Keep the most recently seen device of each user
+      await this.db.query(`
+        UPDATE users SET onesignal_player_id = latest.player_id
+        FROM (
+          SELECT DISTINCT ON (user_id) user_id, player_id
+          FROM user_devices
+          ORDER BY user_id, last_seen_at DESC
+        ) latest
+        WHERE users.id = latest.user_id
+      `);
+
+      await this.db.query(`DROP TABLE IF EXISTS user_devices`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration016CreateUserDevices;
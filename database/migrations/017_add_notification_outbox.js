@@ -0,0 +1,143 @@
+const { Pool } = require('pg');
+
+class Migration017AddNotificationOutbox {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '017_add_notification_outbox';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {
+        notification_channels: ['user_id', 'channel', 'is_enabled', 'address', 'secret', 'created_at', 'updated_at']
+      },
+      addColumns: {
+        notification_logs: ['channel', 'payload', 'attempts', 'next_attempt_at', 'delivered_at', 'read_at', 'updated_at']
+      },
+      createIndexes: ['idx_notification_logs_outbox', 'idx_notification_logs_user_created']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // notification_logs becomes the outbox: one row per notification and channel, retried until it settles
+      await this.db.query(`
+        ALTER TABLE notification_logs
+          ADD COLUMN IF NOT EXISTS channel VARCHAR(20),
+          ADD COLUMN IF NOT EXISTS payload JSONB,
+          ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0 NOT NULL,
+          ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS read_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      `);
+
+      // Digests and tests are not about a single action
+      await this.db.query(`ALTER TABLE notification_logs ALTER COLUMN action_id DROP NOT NULL`);
+
+      // Earlier rows were only ever written when a OneSignal push failed
+      await this.db.query(`
+        UPDATE notification_logs SET channel = 'push', status = 'failed'
+        WHERE channel IS NULL AND notification_type = 'fallback'
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_notification_logs_outbox
+        ON notification_logs(next_attempt_at) WHERE status = 'pending'
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_notification_logs_user_created
+        ON notification_logs(user_id, created_at DESC)
+      `);
+
+      // Which channels each user is notified on; users without a row get the defaults (push and in-app)
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS notification_channels (
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          channel VARCHAR(20) NOT NULL,
+          is_enabled BOOLEAN DEFAULT true NOT NULL,
+          address TEXT,
+          secret VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, channel)
+        )
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP TABLE IF EXISTS notification_channels`);
+      await this.db.query(`DROP INDEX IF EXISTS idx_notification_logs_user_created`);
+      await this.db.query(`DROP INDEX IF EXISTS idx_notification_logs_outbox`);
+
+      // action_id can't be made required again while digest and test rows exist
+      await this.db.query(`DELETE FROM notification_logs WHERE action_id IS NULL`);
+      await this.db.query(`ALTER TABLE notification_logs ALTER COLUMN action_id SET NOT NULL`);
+
+      await this.db.query(`
+        ALTER TABLE notification_logs
+          DROP COLUMN IF EXISTS channel,
+          DROP COLUMN IF EXISTS payload,
+          DROP COLUMN IF EXISTS attempts,
+          DROP COLUMN IF EXISTS next_attempt_at,
+          DROP COLUMN IF EXISTS delivered_at,
+          DROP COLUMN IF EXISTS read_at,
+          DROP COLUMN IF EXISTS updated_at
+      `);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration017AddNotificationOutbox;
@@ -0,0 +1,87 @@
+const { Pool } = require('pg');
+
+class Migration018AddReminderLastFiredAt {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '018_add_reminder_last_fired_at';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      addColumns: {
+        internal_reminders: ['last_fired_at']
+      },
+      createIndexes: ['idx_internal_reminders_due']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // When the reminder scheduler last fired the reminder; it is due again once reminder_datetime is later
+      await this.db.query(`ALTER TABLE internal_reminders ADD COLUMN IF NOT EXISTS last_fired_at TIMESTAMP`);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_internal_reminders_due
+        ON internal_reminders(reminder_datetime) WHERE status IN ('active', 'snoozed')
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`DROP INDEX IF EXISTS idx_internal_reminders_due`);
+      await this.db.query(`ALTER TABLE internal_reminders DROP COLUMN IF EXISTS last_fired_at`);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration018AddReminderLastFiredAt;
@@ -0,0 +1,135 @@
+const { Pool } = require('pg');
+
+class Migration019AddItemRecurrence {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '019_add_item_recurrence';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      addColumns: {
+        internal_reminders: ['recurrence_rule', 'recurrence_start', 'recurrence_exceptions'],
+        internal_events: ['recurrence_rule', 'recurrence_start', 'recurrence_exceptions', 'recurrence_parent_id'],
+        internal_tasks: ['recurrence_rule', 'recurrence_start', 'recurrence_exceptions', 'recurrence_parent_id']
+      },
+      createIndexes: ['idx_internal_events_recurring', 'idx_internal_tasks_recurring']
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      // RRULE series: the rule, its first occurrence and the occurrences skipped (see recurrence.js)
+      for (const table of ['internal_reminders', 'internal_events', 'internal_tasks']) {
+        await this.db.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+            ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS recurrence_exceptions JSONB DEFAULT '[]' NOT NULL
+        `);
+      }
+
+      // Completing an event or task occurrence creates the next one as a new row in the same series
+      for (const table of ['internal_events', 'internal_tasks']) {
+        await this.db.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN IF NOT EXISTS recurrence_parent_id INTEGER REFERENCES ${table}(id) ON DELETE SET NULL
+        `);
+      }
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_internal_events_recurring
+        ON internal_events(user_id) WHERE recurrence_rule IS NOT NULL
+      `);
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_internal_tasks_recurring
+        ON internal_tasks(user_id) WHERE recurrence_rule IS NOT NULL
+      `);
+
+      // Reminders with a rule other than plain daily/weekly/monthly/yearly
+      await this.db.query(`ALTER TABLE internal_reminders DROP CONSTRAINT IF EXISTS internal_reminders_repeat_type_check`);
+      await this.db.query(`
+        ALTER TABLE internal_reminders ADD CONSTRAINT internal_reminders_repeat_type_check
+        CHECK (repeat_type IN ('none', 'daily', 'weekly', 'monthly', 'yearly', 'custom'))
+      `);
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      // Custom rules can't be expressed without recurrence_rule; those reminders stop repeating
+      await this.db.query(`UPDATE internal_reminders SET repeat_type = 'none' WHERE repeat_type = 'custom'`);
+      await this.db.query(`ALTER TABLE internal_reminders DROP CONSTRAINT IF EXISTS internal_reminders_repeat_type_check`);
+      await this.db.query(`
+        ALTER TABLE internal_reminders ADD CONSTRAINT internal_reminders_repeat_type_check
+        CHECK (repeat_type IN ('none', 'daily', 'weekly', 'monthly', 'yearly'))
+      `);
+
+      await this.db.query(`DROP INDEX IF EXISTS idx_internal_tasks_recurring`);
+      await this.db.query(`DROP INDEX IF EXISTS idx_internal_events_recurring`);
+
+      for (const table of ['internal_events', 'internal_tasks']) {
+        await this.db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS recurrence_parent_id`);
+      }
+      for (const table of ['internal_reminders', 'internal_events', 'internal_tasks']) {
+        await this.db.query(`
+          ALTER TABLE ${table}
+            DROP COLUMN IF EXISTS recurrence_rule,
+            DROP COLUMN IF EXISTS recurrence_start,
+            DROP COLUMN IF EXISTS recurrence_exceptions
+        `);
+      }
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration019AddItemRecurrence;
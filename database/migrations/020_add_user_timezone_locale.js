@@ -0,0 +1,175 @@
+const { Pool } = require('pg');
+const { isValidTimeZone } = require('../../timezone');
+
+// TIMESTAMP columns hold wall-clock times in whichever zone wrote them:
+// - node-postgres wrote JavaScript Dates in the app server's zone. Those are the item times
+//   (matching internalItemsCRUD's DATETIME_COLUMNS) and the scheduling columns below.
+// - Everything else was filled by DEFAULT CURRENT_TIMESTAMP or NOW() in the database session's
+//   zone: created_at/updated_at, expires_at, consumed_at, delivered_at and the like.
+// Both zones are assumed to be the ones this migration runs with. Set LEGACY_APP_TIMEZONE or
+// LEGACY_DB_TIMEZONE when the server or the database ran in a different zone before.
+const APP_WRITTEN_COLUMNS = /_datetime$|^(due_date|departure_date|return_date|deadline|recurrence_start|deliver_after|snoozed_until|last_fired_at)$/;
+
+function checkedZone(zone, source) {
+  if (!isValidTimeZone(zone)) {
+    throw new Error(`Can't convert timestamps from unknown ${source} time zone "${zone}"`);
+  }
+  return zone;
+}
+
+// Zone the app server ran in
+function legacyTimeZone() {
+  return checkedZone(
+    process.env.LEGACY_APP_TIMEZONE || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    'app'
+  );
+}
+
+class Migration020AddUserTimezoneLocale {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '020_add_user_timezone_locale';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      addColumns: {
+        users: ['timezone', 'locale']
+      },
+      dropColumns: {
+        notification_preferences: ['timezone']
+      }
+    };
+  }
+
+  async up() {
+    console.log(`Running migration: ${this.migrationName}`);
+    
+    try {
+      await this.db.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS locale VARCHAR(35)
+      `);
+
+      // The quiet hours time zone becomes the user's own
+      await this.db.query(`
+        UPDATE users SET timezone = np.timezone
+        FROM notification_preferences np
+        WHERE np.user_id = users.id AND users.timezone IS NULL
+      `);
+      await this.db.query(`ALTER TABLE notification_preferences DROP COLUMN IF EXISTS timezone`);
+
+      // Store instants rather than the server's wall-clock time
+      await this.convertTimestamps('timestamp without time zone', 'TIMESTAMPTZ');
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} completed successfully`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} failed:`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(`Rolling back migration: ${this.migrationName}`);
+    
+    try {
+      await this.convertTimestamps('timestamp with time zone', 'TIMESTAMP');
+
+      await this.db.query(`ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)`);
+      await this.db.query(`
+        UPDATE notification_preferences np SET timezone = COALESCE(u.timezone, $1)
+        FROM users u
+        WHERE u.id = np.user_id
+      `, [legacyTimeZone()]);
+      await this.db.query(`ALTER TABLE notification_preferences ALTER COLUMN timezone SET NOT NULL`);
+
+      await this.db.query(`
+        ALTER TABLE users
+          DROP COLUMN IF EXISTS timezone,
+          DROP COLUMN IF EXISTS locale
+      `);
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(`✅ Migration ${this.migrationName} rollback completed`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Migration ${this.migrationName} rollback failed:`, error);
+      throw error;
+    }
+  }
+
+  // Reads the schema and settings. Under dry-run these still run, so the plan lists every column.
+  inspect(sql, params) {
+    return this.db.inspect ? this.db.inspect(sql, params) : this.db.query(sql, params);
+  }
+
+  // Zone the database sessions ran in
+  async legacyDatabaseTimeZone() {
+    if (process.env.LEGACY_DB_TIMEZONE) return checkedZone(process.env.LEGACY_DB_TIMEZONE, 'database');
+    const result = await this.inspect(`SELECT current_setting('TimeZone') AS zone`);
+    return checkedZone(result.rows[0]?.zone || 'UTC', 'database');
+  }
+
+  // Change every `from` column in the app's tables to `to`, reading and writing wall-clock times
+  // in the zone that wrote them (see APP_WRITTEN_COLUMNS)
+  async convertTimestamps(from, to) {
+    const appZone = legacyTimeZone();
+    const databaseZone = await this.legacyDatabaseTimeZone();
+    const columns = await this.inspect(`
+      SELECT table_name, column_name
+      FROM information_schema.columns
+      WHERE table_schema = 'public' AND data_type = $1 AND table_name <> 'migrations'
+      ORDER BY table_name, ordinal_position
+    `, [from]);
+
+    let appWritten = 0;
+    for (const { table_name: table, column_name: column } of columns.rows) {
+      const fromApp = APP_WRITTEN_COLUMNS.test(column);
+      if (fromApp) appWritten++;
+      const zone = (fromApp ? appZone : databaseZone).replace(/'/g, "''");
+      await this.db.query(
+        `ALTER TABLE "${table}" ALTER COLUMN "${column}" TYPE ${to} USING "${column}" AT TIME ZONE '${zone}'`
+      );
+    }
+    console.log(
+      `🕒 Converted ${columns.rows.length} column(s) to ${to}: ${appWritten} using ${appZone} (app), ` +
+      `${columns.rows.length - appWritten} using ${databaseZone} (database)`
+    );
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = Migration020AddUserTimezoneLocale;
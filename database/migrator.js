@@ -2,6 +2,103 @@ const { Pool } = require('pg');
 const path = require('path');
 const fs = require('fs');
 
+// Raised when the live database no longer matches what the executed migrations define
+class SchemaDriftError extends Error {
+  constructor(problems) {
+    super(`Database schema has drifted from the migration history:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'SchemaDriftError';
+    this.problems = problems;
+  }
+}
+
+// Arbitrary constant identifying the migration lock in pg_advisory_lock
+const MIGRATION_LOCK_KEY = 727001;
+
+// Bookkeeping table owned by the migrator itself
+const MIGRATOR_TABLES = new Set(['migrations']);
+
+// Skeleton written by `node migrate.js create <name>`
+const MIGRATION_TEMPLATE = `const { Pool } = require('pg');
+
+class __CLASS_NAME__ {
+  constructor(db) {
+    this.db = db;
+    this.migrationName = '__MIGRATION_NAME__';
+
+    // Objects this migration owns, used by the schema drift check
+    this.schema = {
+      createTables: {},
+      addColumns: {},
+      createIndexes: []
+    };
+  }
+
+  async up() {
+    console.log(\`Running migration: \${this.migrationName}\`);
+    
+    try {
+      // TODO: schema changes
+      
+      // Create migrations tracking table if it doesn't exist
+      await this.db.query(\`
+        CREATE TABLE IF NOT EXISTS migrations (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      \`);
+      
+      // Record this migration
+      await this.db.query(
+        'INSERT INTO migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+        [this.migrationName]
+      );
+      
+      console.log(\`✅ Migration \${this.migrationName} completed successfully\`);
+      return true;
+    } catch (error) {
+      console.error(\`❌ Migration \${this.migrationName} failed:\`, error);
+      throw error;
+    }
+  }
+
+  async down() {
+    console.log(\`Rolling back migration: \${this.migrationName}\`);
+    
+    try {
+      // TODO: undo the schema changes
+      
+      // Remove migration record
+      await this.db.query(
+        'DELETE FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      
+      console.log(\`✅ Migration \${this.migrationName} rollback completed\`);
+      return true;
+    } catch (error) {
+      console.error(\`❌ Migration \${this.migrationName} rollback failed:\`, error);
+      throw error;
+    }
+  }
+
+  async isExecuted() {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM migrations WHERE name = $1',
+        [this.migrationName]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      // If migrations table doesn't exist, this migration hasn't run
+      return false;
+    }
+  }
+}
+
+module.exports = __CLASS_NAME__;
+`;
+
 class DatabaseMigrator {
   constructor(databaseUrl) {
     this.db = new Pool({
@@ -13,38 +110,26 @@ class DatabaseMigrator {
     try {
       console.log('🚀 Starting database migrations...');
 
-      // Create migrations table if it doesn't exist
-      await this.db.query(`
-        CREATE TABLE IF NOT EXISTS migrations (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+      await this.withMigrationLock(async (client) => {
+        await this.ensureMigrationsTable(client);
 
-      // Get all migration files
-      const migrationsDir = path.join(__dirname, 'migrations');
-      const migrationFiles = fs.readdirSync(migrationsDir)
-        .filter(file => file.endsWith('.js'))
-        .sort();
+        const migrationFiles = this.getMigrationFiles();
+        console.log(`📁 Found ${migrationFiles.length} migration files`);
 
-      console.log(`📁 Found ${migrationFiles.length} migration files`);
+        // Read executed migrations only once the lock is held - another instance may have just run them
+        const executed = await this.getExecutedMigrations(client);
 
-      for (const file of migrationFiles) {
-        const MigrationClass = require(path.join(migrationsDir, file));
-        const migration = new MigrationClass(this.db);
+        for (const file of migrationFiles) {
+          if (executed.has(path.basename(file, '.js'))) {
+            console.log(`⏭️  Migration ${file} already executed, skipping`);
+            continue;
+          }
 
-        // Check if migration was already executed
-        const isExecuted = await migration.isExecuted();
-        
-        if (!isExecuted) {
           console.log(`⚡ Running migration: ${file}`);
-          await migration.up();
+          await this.inTransaction(client, () => this.loadMigration(file, client).up());
           console.log(`✅ Migration ${file} completed`);
-        } else {
-          console.log(`⏭️  Migration ${file} already executed, skipping`);
         }
-      }
+      });
 
       console.log('🎉 All migrations completed successfully!');
       return true;
@@ -58,37 +143,103 @@ class DatabaseMigrator {
     try {
       console.log('🔄 Rolling back last migration...');
 
-      // Get the last executed migration
-      const result = await this.db.query(
-        'SELECT name FROM migrations ORDER BY executed_at DESC LIMIT 1'
-      );
+      return await this.withMigrationLock(async (client) => {
+        // Get the last executed migration in migration order (not execution order - an
+        // older migration can be executed late, e.g. 000 on a database that predates it)
+        const result = await client.query(
+          'SELECT name FROM migrations ORDER BY name DESC LIMIT 1'
+        );
 
-      if (result.rows.length === 0) {
-        console.log('📭 No migrations to rollback');
+        if (result.rows.length === 0) {
+          console.log('📭 No migrations to rollback');
+          return true;
+        }
+
+        await this.rollbackMigration(client, result.rows[0].name);
         return true;
+      });
+    } catch (error) {
+      console.error('❌ Rollback failed:', error);
+      throw error;
+    }
+  }
+
+  // Migrate up or down until `target` is the last executed migration
+  async migrateTo(target) {
+    const migrationFiles = this.getMigrationFiles();
+    const targetFile = this.resolveMigrationFile(target, migrationFiles);
+    const targetName = path.basename(targetFile, '.js');
+
+    return this.withMigrationLock(async (client) => {
+      await this.ensureMigrationsTable(client);
+      const executed = await this.getExecutedMigrations(client);
+
+      // Roll back everything after the target, newest first
+      const toRollback = Array.from(executed).filter(name => name > targetName).sort().reverse();
+      for (const name of toRollback) {
+        await this.rollbackMigration(client, name);
       }
 
-      const lastMigrationName = result.rows[0].name;
-      const migrationFile = `${lastMigrationName}.js`;
-      const migrationPath = path.join(__dirname, 'migrations', migrationFile);
-
-      if (fs.existsSync(migrationPath)) {
-        const MigrationClass = require(migrationPath);
-        const migration = new MigrationClass(this.db);
-        
-        console.log(`⚡ Rolling back: ${migrationFile}`);
-        await migration.down();
-        console.log(`✅ Rollback completed for ${migrationFile}`);
-      } else {
-        console.error(`❌ Migration file not found: ${migrationFile}`);
-        return false;
+      // Then apply anything up to and including the target
+      const toApply = migrationFiles.filter(file => {
+        const name = path.basename(file, '.js');
+        return name <= targetName && !executed.has(name);
+      });
+      for (const file of toApply) {
+        console.log(`⚡ Running migration: ${file}`);
+        await this.inTransaction(client, () => this.loadMigration(file, client).up());
+        console.log(`✅ Migration ${file} completed`);
       }
 
-      return true;
-    } catch (error) {
-      console.error('❌ Rollback failed:', error);
-      throw error;
+      if (toRollback.length === 0 && toApply.length === 0) {
+        console.log(`⏭️  Already at ${targetName}`);
+      }
+
+      return { rolledBack: toRollback, applied: toApply.map(file => path.basename(file, '.js')) };
+    });
+  }
+
+  // Print the SQL that pending migrations would run, without changing the database
+  async dryRun() {
+    // A missing migrations table just means nothing has run yet
+    const executed = await this.getExecutedMigrations(this.db).catch(() => new Set());
+    const pending = this.getMigrationFiles().filter(file => !executed.has(path.basename(file, '.js')));
+
+    if (pending.length === 0) {
+      console.log('📭 No pending migrations');
+      return [];
+    }
+
+    const plan = [];
+
+    for (const file of pending) {
+      const statements = [];
+      const recorder = {
+        query: async (sql, params = []) => {
+          statements.push({ sql: sql.trim(), params });
+          return { rows: [], rowCount: 0 };
+        },
+        // Read-only lookups a migration plans its statements from (catalog, settings) run for real
+        inspect: (sql, params) => this.db.query(sql, params)
+      };
+
+      // Silence the migration's own progress logs - it is not really running
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await this.loadMigration(file, recorder).up();
+      } finally {
+        console.log = log;
+      }
+      plan.push({ file, statements });
+
+      console.log(`\n-- ${file}`);
+      statements.forEach(({ sql, params }) => {
+        console.log(`${sql};${params.length > 0 ? ` -- params: ${JSON.stringify(params)}` : ''}`);
+      });
     }
+
+    return plan;
   }
 
   async getMigrationStatus() {
@@ -113,9 +264,245 @@ class DatabaseMigrator {
     }
   }
 
+  // Scaffold the next numbered migration file and return its path
+  createMigrationFile(name) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error('Migration name is required, e.g. create add_user_timezone');
+    }
+
+    const lastNumber = this.getMigrationFiles()
+      .map(file => parseInt(file.split('_')[0], 10))
+      .filter(number => !Number.isNaN(number))
+      .reduce((max, number) => Math.max(max, number), -1);
+
+    const migrationName = `${String(lastNumber + 1).padStart(3, '0')}_${slug}`;
+    const className = `Migration${migrationName.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`;
+    const filePath = path.join(__dirname, 'migrations', `${migrationName}.js`);
+
+    fs.writeFileSync(filePath, MIGRATION_TEMPLATE
+      .replace(/__CLASS_NAME__/g, className)
+      .replace(/__MIGRATION_NAME__/g, migrationName));
+
+    console.log(`📝 Created ${path.relative(process.cwd(), filePath)}`);
+    return filePath;
+  }
+
+  // ================================
+  // SCHEMA DRIFT CHECK
+  // ================================
+
+  // Compare the live schema with the tables, columns and indexes declared by executed migrations
+  async checkSchemaDrift() {
+    const problems = [];
+    const executed = await this.db.query('SELECT name FROM migrations ORDER BY name ASC');
+    const availableFiles = new Set(this.getMigrationFiles());
+
+    const expected = { tables: new Map(), indexes: new Set() };
+
+    for (const { name } of executed.rows) {
+      const file = `${name}.js`;
+
+      if (!availableFiles.has(file)) {
+        problems.push(`Migration "${name}" is recorded as executed but ${file} no longer exists`);
+        continue;
+      }
+
+      const migration = this.loadMigration(file);
+      if (!migration.schema) {
+        problems.push(`Migration "${name}" does not declare its schema changes`);
+        continue;
+      }
+
+      this.applySchemaChanges(expected, migration.schema, name, problems);
+    }
+
+    const actual = await this.getLiveSchema();
+
+    for (const [table, columns] of expected.tables) {
+      const liveColumns = actual.tables.get(table);
+      if (!liveColumns) {
+        problems.push(`Table "${table}" is missing`);
+        continue;
+      }
+      for (const column of columns) {
+        if (!liveColumns.has(column)) problems.push(`Column "${table}.${column}" is missing`);
+      }
+      for (const column of liveColumns) {
+        if (!columns.has(column)) problems.push(`Column "${table}.${column}" is not defined by any migration`);
+      }
+    }
+
+    for (const table of actual.tables.keys()) {
+      if (!expected.tables.has(table) && !MIGRATOR_TABLES.has(table)) {
+        problems.push(`Table "${table}" is not defined by any migration`);
+      }
+    }
+
+    for (const index of expected.indexes) {
+      if (!actual.indexes.has(index)) problems.push(`Index "${index}" is missing`);
+    }
+    for (const index of actual.indexes) {
+      if (!expected.indexes.has(index)) problems.push(`Index "${index}" is not defined by any migration`);
+    }
+
+    return problems;
+  }
+
+  async assertNoSchemaDrift() {
+    const problems = await this.checkSchemaDrift();
+    if (problems.length > 0) {
+      throw new SchemaDriftError(problems);
+    }
+    console.log('✅ Database schema matches the migration history');
+  }
+
+  // Fold one migration's declared changes into the expected schema
+  applySchemaChanges(expected, schema, migrationName, problems) {
+    Object.entries(schema.createTables || {}).forEach(([table, columns]) => {
+      expected.tables.set(table, new Set(columns));
+    });
+
+    Object.entries(schema.addColumns || {}).forEach(([table, columns]) => {
+      if (!expected.tables.has(table)) {
+        problems.push(`Migration "${migrationName}" adds columns to unknown table "${table}"`);
+        return;
+      }
+      columns.forEach(column => expected.tables.get(table).add(column));
+    });
+
+    Object.entries(schema.dropColumns || {}).forEach(([table, columns]) => {
+      const tableColumns = expected.tables.get(table);
+      if (tableColumns) columns.forEach(column => tableColumns.delete(column));
+    });
+
+    (schema.dropTables || []).forEach(table => expected.tables.delete(table));
+    (schema.createIndexes || []).forEach(index => expected.indexes.add(index));
+    (schema.dropIndexes || []).forEach(index => expected.indexes.delete(index));
+  }
+
+  async getLiveSchema() {
+    const columns = await this.db.query(`
+      SELECT c.table_name, c.column_name
+      FROM information_schema.columns c
+      JOIN information_schema.tables t
+        ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+      WHERE c.table_schema = current_schema() AND t.table_type = 'BASE TABLE'
+    `);
+
+    // Indexes backing primary key / unique constraints come with their table, so only count standalone ones
+    const indexes = await this.db.query(`
+      SELECT i.relname AS index_name
+      FROM pg_index x
+      JOIN pg_class i ON i.oid = x.indexrelid
+      JOIN pg_namespace n ON n.oid = i.relnamespace
+      WHERE n.nspname = current_schema()
+        AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = x.indexrelid)
+    `);
+
+    const tables = new Map();
+    columns.rows.forEach(({ table_name, column_name }) => {
+      if (!tables.has(table_name)) tables.set(table_name, new Set());
+      tables.get(table_name).add(column_name);
+    });
+
+    return {
+      tables,
+      indexes: new Set(indexes.rows.map(row => row.index_name))
+    };
+  }
+
+  // ================================
+  // HELPER FUNCTIONS
+  // ================================
+
+  // Run `callback` on a dedicated connection holding the migration advisory lock,
+  // so concurrent server instances apply migrations one at a time
+  async withMigrationLock(callback) {
+    const client = await this.db.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      try {
+        return await callback(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async inTransaction(client, callback) {
+    await client.query('BEGIN');
+    try {
+      const result = await callback();
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async rollbackMigration(client, name) {
+    const migrationFile = `${name}.js`;
+
+    if (!fs.existsSync(path.join(__dirname, 'migrations', migrationFile))) {
+      throw new Error(`Migration file not found: ${migrationFile}`);
+    }
+
+    console.log(`⚡ Rolling back: ${migrationFile}`);
+    await this.inTransaction(client, () => this.loadMigration(migrationFile, client).down());
+    console.log(`✅ Rollback completed for ${migrationFile}`);
+  }
+
+  async ensureMigrationsTable(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS migrations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getExecutedMigrations(db) {
+    const result = await db.query('SELECT name FROM migrations');
+    return new Set(result.rows.map(row => row.name));
+  }
+
+  // Accept a full migration name, a file name or just its number prefix ("003")
+  resolveMigrationFile(target, migrationFiles = this.getMigrationFiles()) {
+    const wanted = String(target || '').replace(/\.js$/, '');
+    const matches = migrationFiles.filter(file => {
+      const name = path.basename(file, '.js');
+      return name === wanted || name.startsWith(`${wanted}_`);
+    });
+
+    if (matches.length !== 1) {
+      throw new Error(matches.length === 0
+        ? `No migration matches "${target}"`
+        : `"${target}" matches more than one migration: ${matches.join(', ')}`);
+    }
+
+    return matches[0];
+  }
+
+  getMigrationFiles() {
+    return fs.readdirSync(path.join(__dirname, 'migrations'))
+      .filter(file => file.endsWith('.js'))
+      .sort();
+  }
+
+  loadMigration(file, db = this.db) {
+    const MigrationClass = require(path.join(__dirname, 'migrations', file));
+    return new MigrationClass(db);
+  }
+
   async close() {
     await this.db.end();
   }
 }
 
-module.exports = DatabaseMigrator;
\ No newline at end of file
+module.exports = DatabaseMigrator;
+module.exports.SchemaDriftError = SchemaDriftError;
\ No newline at end of file
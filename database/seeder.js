@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+/**
+ * Loads optional seed data from a JSON file (see database/seeds/example.json).
+ * Seeding is idempotent - existing rows are left untouched.
+ */
+class DatabaseSeeder {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async seedFromFile(filePath) {
+    console.log(`🌱 Seeding database from ${filePath}`);
+
+    let seed;
+    try {
+      seed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read seed file ${filePath}: ${error.message}`);
+    }
+
+    const authorizedNumbers = await this.seedAuthorizedNumbers(seed.authorizedNumbers || []);
+    const users = await this.seedUsers(seed.users || []);
+
+    console.log(`✅ Seeded ${authorizedNumbers} authorized number(s) and ${users} user(s)`);
+    return { authorizedNumbers, users };
+  }
+
+  async seedAuthorizedNumbers(numbers) {
+    let inserted = 0;
+
+    for (const { phoneNumber, name, notes } of numbers) {
+      if (!phoneNumber) {
+        throw new Error('Seed authorizedNumbers entries require a phoneNumber');
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO authorized_phone_numbers (phone_number, name, notes, is_active)
+         VALUES ($1, $2, $3, true)
+         ON CONFLICT (phone_number) DO NOTHING
+         RETURNING id`,
+        [phoneNumber, name || null, notes || null]
+      );
+      inserted += result.rows.length;
+    }
+
+    return inserted;
+  }
+
+  async seedUsers(users) {
+    let inserted = 0;
+
+    for (const { phoneNumber, name, role, isVerified } of users) {
+      if (!phoneNumber) {
+        throw new Error('Seed users entries require a phoneNumber');
+      }
+
+      const result = await this.db.query(
+        `INSERT INTO users (phone_number, name, role, is_verified)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (phone_number) DO NOTHING
+         RETURNING id`,
+        [phoneNumber, name || null, role || 'user', Boolean(isVerified)]
+      );
+      inserted += result.rows.length;
+    }
+
+    return inserted;
+  }
+}
+
+module.exports = DatabaseSeeder;
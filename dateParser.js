@@ -0,0 +1,478 @@
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+/*
+ * Natural-language dates and times in English and Malay, as people write them in chat:
+ * "esok pukul 3 petang", "next Friday 10am", "lusa", "minggu depan hari Isnin", "in 2 hours",
+ * "12/10/2025", "3-5pm", "from Monday to Wednesday".
+ *
+ * Everything is resolved against the wall clock in the user's time zone. Numeric dates are
+ * day-first (12/10 is 12 October), as written in Malaysia.
+ */
+
+const WEEKDAYS = {
+  sunday: 0, ahad: 0,
+  monday: 1, mon: 1, isnin: 1,
+  tuesday: 2, tues: 2, tue: 2, selasa: 2,
+  wednesday: 3, wed: 3, rabu: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4, khamis: 4,
+  friday: 5, fri: 5, jumaat: 5, jumat: 5,
+  saturday: 6, sabtu: 6
+};
+
+const MONTHS = {
+  january: 1, januari: 1, jan: 1,
+  february: 2, februari: 2, feb: 2,
+  march: 3, mac: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5, mei: 5,
+  june: 6, jun: 6,
+  july: 7, julai: 7, jul: 7,
+  august: 8, ogos: 8, aug: 8, ogo: 8,
+  september: 9, sept: 9, sep: 9,
+  october: 10, oktober: 10, oct: 10, okt: 10,
+  november: 11, nov: 11,
+  december: 12, disember: 12, dec: 12, dis: 12
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, se: 1, satu: 1,
+  two: 2, dua: 2,
+  three: 3, tiga: 3,
+  four: 4, empat: 4,
+  five: 5, lima: 5,
+  six: 6, enam: 6,
+  seven: 7, tujuh: 7,
+  eight: 8, lapan: 8,
+  nine: 9, sembilan: 9,
+  ten: 10, sepuluh: 10,
+  twelve: 12,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+  'forty-five': 45
+};
+
+// Relative days, longest phrases first so "day after tomorrow" wins over "tomorrow"
+const RELATIVE_DAYS = [
+  ['the day after tomorrow', 2], ['day after tomorrow', 2], ['hari ini', 0], ['harini', 0],
+  ['tonight', 0], ['malam ini', 0], ['malam ni', 0], ['today', 0],
+  ['tomorrow', 1], ['tmrw', 1], ['tmr', 1], ['esok', 1], ['besok', 1], ['lusa', 2], ['tulat', 3],
+  ['yesterday', -1], ['semalam', -1]
+];
+
+// Hour and minute for a bare part of the day ("esok pagi", "tomorrow evening")
+const PERIODS = [
+  ['tengah malam', 24, 0, 0.85], ['midnight', 24, 0, 0.85],
+  ['tengah hari', 12, 0, 0.85], ['tengahari', 12, 0, 0.85], ['noon', 12, 0, 0.85], ['midday', 12, 0, 0.85],
+  ['morning', 9, 0, 0.6], ['pagi', 9, 0, 0.6], ['subuh', 6, 0, 0.6],
+  ['afternoon', 14, 0, 0.6], ['petang', 16, 0, 0.6],
+  ['evening', 18, 0, 0.6], ['tonight', 20, 0, 0.6], ['night', 20, 0, 0.6], ['malam', 20, 0, 0.6]
+];
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+const alternatives = (words) => words
+  .slice()
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+  .join('|');
+
+const WEEKDAY_RE = alternatives(Object.keys(WEEKDAYS));
+const MONTH_RE = alternatives(Object.keys(MONTHS));
+const NUMBER_RE = `\\d+|${alternatives(Object.keys(NUMBER_WORDS))}`;
+const ORDINAL = '(?:st|nd|rd|th|hb)?';
+const TIME_SUFFIX = '(pagi|tengah\\s+hari|tengahari|petang|malam|subuh|in\\s+the\\s+morning|in\\s+the\\s+afternoon|in\\s+the\\s+evening|at\\s+night|o\'?clock)';
+const TIME_PREFIX = '(?:at|@|pukul|pkl|jam)';
+const RANGE_JOIN = '(?:-|to|until|till|through|thru|hingga|sehingga|sampai|ke)';
+
+// ================================
+// CALENDAR HELPERS
+// ================================
+
+// Calendar days are { year, month, day } in the user's zone; arithmetic goes through UTC to dodge DST
+function addDays({ year, month, day }, count) {
+  const date = new Date(Date.UTC(year, month - 1, day + count));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function isValidDay({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Monday of the week after `today`
+function startOfNextWeek(today) {
+  return addDays(today, 7 - ((weekdayOf(today) + 6) % 7));
+}
+
+function toNumber(value) {
+  const word = value.toLowerCase().replace(/\s+/g, ' ');
+  return NUMBER_WORDS[word] !== undefined ? NUMBER_WORDS[word] : parseInt(word, 10);
+}
+
+// ================================
+// SCANNER
+// ================================
+
+// Matches are taken one pattern at a time and blanked out of the text, so later, looser
+// patterns (a bare weekday, a bare "pagi") can't claim words an earlier one already used
+class Scanner {
+  constructor(text) {
+    this.text = text.toLowerCase().replace(/[\u2013\u2014]/g, '-').replace(/[\u2018\u2019]/g, '\'');
+  }
+
+  *matches(pattern) {
+    const re = new RegExp(`(?<![\\w/'])(?:${pattern})(?![\\w/])`, 'gi');
+    let match;
+    while ((match = re.exec(this.text)) !== null) {
+      if (match[0].trim() === '') {
+        re.lastIndex++;
+        continue;
+      }
+      yield match;
+    }
+  }
+
+  take(match) {
+    this.text = this.text.slice(0, match.index) + ' '.repeat(match[0].length) + this.text.slice(match.index + match[0].length);
+  }
+}
+
+// ================================
+// DATES
+// ================================
+
+function findDates(scanner, today) {
+  const dates = [];
+  const add = (match, found) => {
+    if (!found || !isValidDay(found.day) || (found.lastDay && !isValidDay(found.lastDay))) return;
+    scanner.take(match);
+    dates.push({ ...found, index: match.index, length: match[0].length });
+  };
+  // Dates written without a year are the next time that day comes round
+  const upcoming = (month, day) => {
+    const candidate = { year: today.year, month, day };
+    return compareDays(candidate, today) < 0 ? { year: today.year + 1, month, day } : candidate;
+  };
+  const fullYear = (year) => (year.length === 2 ? 2000 + Number(year) : Number(year));
+  // "Mon, 2 Nov": the weekday just restates the date
+  const dayName = `(?:(?:${WEEKDAY_RE})\\.?,?\\s+)?`;
+
+  // 2025-10-12
+  for (const match of scanner.matches('(\\d{4})-(\\d{1,2})-(\\d{1,2})')) {
+    add(match, { day: { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, confidence: 0.95 });
+  }
+
+  // 12/10/2025, 12-10-25, 12.10.2025
+  for (const match of scanner.matches(`${dayName}(\\d{1,2})([/.-])(\\d{1,2})\\2(\\d{4}|\\d{2})`)) {
+    const day = Number(match[1]);
+    const month = Number(match[3]);
+    add(match, {
+      day: { year: fullYear(match[4]), month, day },
+      confidence: day <= 12 && month <= 12 && day !== month ? 0.85 : 0.9
+    });
+  }
+
+  // 12-14 Oct, 12 hingga 14 Oktober 2025
+  for (const match of scanner.matches(`(\\d{1,2})${ORDINAL}\\s*${RANGE_JOIN}\\s*(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${MONTH_RE})\\.?(?:,?\\s+(\\d{4}))?`)) {
+    const month = MONTHS[match[3].replace(/\s+/g, ' ')];
+    const first = match[4] ? { year: Number(match[4]), month, day: Number(match[1]) } : upcoming(month, Number(match[1]));
+    add(match, { day: first, lastDay: { ...first, day: Number(match[2]) }, confidence: 0.9 });
+  }
+
+  // 12 October 2025, 12th of Oct, 12 Okt
+  for (const match of scanner.matches(`${dayName}(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${MONTH_RE})\\.?(?:,?\\s+(\\d{4}))?`)) {
+    const month = MONTHS[match[2].replace(/\s+/g, ' ')];
+    const day = Number(match[1]);
+    add(match, { day: match[3] ? { year: Number(match[3]), month, day } : upcoming(month, day), confidence: 0.9 });
+  }
+
+  // October 12, Oct 12th 2025
+  for (const match of scanner.matches(`${dayName}(${MONTH_RE})\\.?\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?`)) {
+    const month = MONTHS[match[1].replace(/\s+/g, ' ')];
+    const day = Number(match[2]);
+    add(match, { day: match[3] ? { year: Number(match[3]), month, day } : upcoming(month, day), confidence: 0.9 });
+  }
+
+  // 12/10
+  for (const match of scanner.matches(`${dayName}(\\d{1,2})/(\\d{1,2})`)) {
+    add(match, { day: upcoming(Number(match[2]), Number(match[1])), confidence: 0.75 });
+  }
+
+  // in 3 days, dalam 2 minggu, 2 hari lagi
+  const dayUnits = '(days?|hari|weeks?|minggu)';
+  for (const match of scanner.matches(`(?:in|dalam)\\s+(${NUMBER_RE})\\s+${dayUnits}|(${NUMBER_RE})\\s+${dayUnits}\\s+(?:lagi|from\\s+now|later)`)) {
+    const count = toNumber(match[1] || match[3]);
+    const unit = match[2] || match[4];
+    if (!count) continue;
+    add(match, { day: addDays(today, /^(week|minggu)/.test(unit) ? count * 7 : count), confidence: 0.85 });
+  }
+
+  // Monday next week, minggu depan hari Isnin, Isnin minggu depan, next week on Monday
+  const nextWeek = '(?:next\\s+week|minggu\\s+depan)';
+  for (const match of scanner.matches(
+    `(?:on\\s+|hari\\s+)?(${WEEKDAY_RE})\\s+(?:of\\s+)?${nextWeek}|${nextWeek}\\s*,?\\s+(?:on\\s+|hari\\s+)?(${WEEKDAY_RE})`
+  )) {
+    const weekday = WEEKDAYS[(match[1] || match[2]).toLowerCase()];
+    add(match, { day: addDays(startOfNextWeek(today), (weekday + 6) % 7), confidence: 0.9 });
+  }
+
+  // next Friday, Jumaat depan: the Friday of next week. this Friday, Jumaat ni, coming Friday: the
+  // upcoming one, which may be today. A bare Friday is the upcoming one after today.
+  for (const match of scanner.matches(
+    `(next|this|coming|the\\s+coming|on)?\\s*(?:hari\\s+)?(${WEEKDAY_RE})(?:\\s+(depan|ini|ni))?`
+  )) {
+    const weekday = WEEKDAYS[match[2].toLowerCase()];
+    const qualifier = (match[1] || match[3] || '').replace(/\s+/g, ' ');
+    let day;
+    let confidence = 0.85;
+    if (qualifier === 'next' || qualifier === 'depan') {
+      day = addDays(startOfNextWeek(today), (weekday + 6) % 7);
+      confidence = 0.8;
+    } else {
+      const ahead = (weekday - weekdayOf(today) + 7) % 7;
+      const allowToday = ['this', 'ini', 'ni'].includes(qualifier);
+      day = addDays(today, ahead === 0 && !allowToday ? 7 : ahead);
+    }
+    add(match, { day, confidence, weekday: true });
+  }
+
+  // today, esok, lusa, the day after tomorrow
+  for (const match of scanner.matches(alternatives(RELATIVE_DAYS.map(([phrase]) => phrase)))) {
+    const phrase = match[0].toLowerCase().replace(/\s+/g, ' ');
+    const [, offset] = RELATIVE_DAYS.find(([candidate]) => candidate === phrase);
+    const evening = ['tonight', 'malam ini', 'malam ni'].includes(phrase);
+    add(match, { day: addDays(today, offset), confidence: 0.9, evening });
+  }
+
+  // this weekend, hujung minggu: Saturday to Sunday
+  for (const match of scanner.matches('(?:this\\s+|next\\s+)?(?:weekend|hujung\\s+minggu)(?:\\s+(?:ini|ni|depan))?')) {
+    const ahead = (6 - weekdayOf(today) + 7) % 7;
+    const saturday = addDays(today, ahead + (/next|depan/.test(match[0]) ? 7 : 0));
+    add(match, { day: saturday, lastDay: addDays(saturday, 1), confidence: 0.75 });
+  }
+
+  // next week, minggu depan: Monday to Sunday
+  for (const match of scanner.matches(nextWeek)) {
+    const monday = startOfNextWeek(today);
+    add(match, { day: monday, lastDay: addDays(monday, 6), confidence: 0.6 });
+  }
+
+  // end of the month, hujung bulan
+  for (const match of scanner.matches('(?:the\\s+)?end\\s+of\\s+(?:the\\s+)?month|hujung\\s+bulan')) {
+    add(match, { day: addDays({ year: today.year, month: today.month + 1, day: 1 }, -1), confidence: 0.7 });
+  }
+
+  // next month, bulan depan: the same day next month, or the month's last day
+  for (const match of scanner.matches('next\\s+month|bulan\\s+depan')) {
+    const lastDay = addDays({ year: today.year, month: today.month + 2, day: 1 }, -1);
+    add(match, { day: { ...lastDay, day: Math.min(today.day, lastDay.day) }, confidence: 0.5 });
+  }
+
+  return dates.sort((a, b) => a.index - b.index);
+}
+
+// ================================
+// TIMES
+// ================================
+
+// 24-hour clock from what was written. `meridiem` is am/pm; `suffix` a Malay or English part of
+// the day; without either, 1-6 o'clock is read as the afternoon (nobody books a 3am meeting).
+function toHour(hour, { meridiem, suffix, evening }) {
+  if (hour > 24) return null;
+  if (meridiem) {
+    if (hour > 12 || hour === 0) return null;
+    return (hour % 12) + (meridiem.startsWith('p') ? 12 : 0);
+  }
+  if (suffix) {
+    const part = suffix.replace(/\s+/g, ' ');
+    if (/pagi|subuh|morning/.test(part)) return hour === 12 ? 0 : hour;
+    if (/tengah hari|tengahari/.test(part)) return hour >= 11 ? hour : hour + 12;
+    if (/petang|afternoon|evening/.test(part)) return hour < 12 ? hour + 12 : hour;
+    // "pukul 2 malam" is 2am, "pukul 9 malam" 9pm, "12 malam" midnight
+    if (/malam|night/.test(part)) return hour === 12 ? 24 : (hour >= 6 && hour < 12 ? hour + 12 : hour);
+    return hour; // o'clock
+  }
+  if (evening && hour < 12) return hour + 12;
+  if (hour >= 1 && hour <= 6) return hour + 12;
+  return hour;
+}
+
+// Pattern for one clock time; `n` keeps group names apart when a range has two
+function timePattern(n) {
+  return `(?<prefix${n}>${TIME_PREFIX}\\s*)?(?<hour${n}>\\d{1,2})(?:(?<sep${n}>[:.])(?<minute${n}>\\d{2}))?` +
+    `(?:\\s*(?<meridiem${n}>a\\.?m\\.?|p\\.?m\\.?))?(?:\\s*(?<suffix${n}>${TIME_SUFFIX}))?`;
+}
+
+// The time written in a match's groups, or null for a bare number ("3 items", "RM 12.50")
+function readTime(groups, n, { evening, meridiem = groups[`meridiem${n}`], suffix = groups[`suffix${n}`] }) {
+  const hour = Number(groups[`hour${n}`]);
+  const minute = groups[`minute${n}`] !== undefined ? Number(groups[`minute${n}`]) : 0;
+  const marked = !!(meridiem || suffix || groups[`prefix${n}`] || groups[`sep${n}`] === ':');
+  if (!marked || minute > 59) return null;
+
+  const value = toHour(hour, { meridiem: meridiem && meridiem.replace(/\./g, ''), suffix, evening });
+  if (value === null) return null;
+  return {
+    hour: value,
+    minute,
+    confidence: meridiem || suffix || hour > 12 ? 0.9 : (groups[`sep${n}`] === ':' ? 0.8 : 0.7),
+    explicit: !!(meridiem || suffix)
+  };
+}
+
+function findTimes(scanner, { evening }) {
+  // 3-5pm, 2pm to 4pm, dari 2 hingga 4 petang, between 10 and 11am
+  for (const match of scanner.matches(`(?:from|between|dari|antara)?\\s*${timePattern(1)}\\s*(?:${RANGE_JOIN}|and|dan)\\s*${timePattern(2)}`)) {
+    const groups = match.groups;
+    const ownPart = groups.meridiem1 || groups.suffix1;
+    // A part of the day written once covers both ends
+    const startTime = readTime(groups, 1, {
+      evening,
+      meridiem: ownPart ? groups.meridiem1 : groups.meridiem2,
+      suffix: ownPart ? groups.suffix1 : groups.suffix2
+    });
+    const endTime = readTime(groups, 2, { evening });
+    if (!startTime || !endTime || !(startTime.explicit || endTime.explicit)) continue;
+    // "11-1pm": the start is the morning before
+    if (!ownPart && startTime.hour > endTime.hour && startTime.hour - 12 < endTime.hour) {
+      startTime.hour -= 12;
+    }
+    scanner.take(match);
+    return { start: startTime, end: endTime, confidence: Math.min(startTime.confidence, endTime.confidence) };
+  }
+
+  for (const match of scanner.matches(timePattern(1))) {
+    const found = readTime(match.groups, 1, { evening });
+    if (!found) continue;
+    scanner.take(match);
+    return { start: found, end: null, confidence: found.confidence };
+  }
+
+  for (const match of scanner.matches(alternatives(PERIODS.map(([phrase]) => phrase)))) {
+    const phrase = match[0].toLowerCase().replace(/\s+/g, ' ');
+    const [, hour, minute, confidence] = PERIODS.find(([candidate]) => candidate === phrase);
+    scanner.take(match);
+    return { start: { hour, minute }, end: null, confidence };
+  }
+
+  // "tonight" on its own
+  if (evening) {
+    return { start: { hour: 20, minute: 0 }, end: null, confidence: 0.7 };
+  }
+  return null;
+}
+
+// in 2 hours, dalam 30 minit, sejam lagi, setengah jam lagi, in half an hour
+function findOffset(scanner) {
+  const amount = `a\\s+couple\\s+of|half\\s+an?|setengah|sejam|${NUMBER_RE}`;
+  const units = '(hours?|hrs?|jam|minutes?|mins?|minit)?';
+  for (const match of scanner.matches(
+    `(?:in|dalam|lagi)\\s+(${amount})\\s*${units}|(${amount})\\s*${units}\\s+(?:lagi|from\\s+now|later)`
+  )) {
+    const written = (match[1] || match[3]).toLowerCase().replace(/\s+/g, ' ');
+    const unitWord = match[2] || match[4] || (written === 'sejam' ? 'jam' : null);
+    if (!unitWord) continue;
+
+    const unit = /^(h|jam)/.test(unitWord) ? 'hour' : 'minute';
+    let count = written === 'sejam' ? 1 : /^(half|setengah)/.test(written) ? 0.5 : written === 'a couple of' ? 2 : toNumber(written);
+    if (!count) continue;
+    if (/^(half|setengah)/.test(written) && unit === 'minute') count = 0.5;
+
+    scanner.take(match);
+    return { ms: count * UNIT_MS[unit], index: match.index };
+  }
+  return null;
+}
+
+// Grouped messages start each line with the time it was sent ("[3:45:12 PM] ok noted", see
+// MessageGrouper.createCombinedMessage), in whatever format the server's locale uses. That is
+// when the line was written, not a time it talks about.
+const SENT_TIME_PREFIX = /^\[\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\s*[ap]\.?m\.?)?\][ \t]*/gim;
+
+// ================================
+// PUBLIC API
+// ================================
+
+/**
+ * Find the date or time a message talks about.
+ *
+ * Resolves null when there is none, otherwise { start, end, allDay, confidence }:
+ * - a moment ("esok pukul 3 petang", "in 2 hours") has `end` null;
+ * - a time range ("3-5pm") or date range ("Monday to Wednesday", "this weekend") has both;
+ * - a day without a time ("lusa", "next Friday") is `allDay`, starting at `defaultHour` on the
+ *   first day and ending at the end of the last one.
+ * `confidence` (0-1) is lower for vague mentions ("next week", "petang") and ambiguous numeric dates.
+ */
+function parseDateTime(text, { now = new Date(), timeZone = 'UTC', defaultHour = 9 } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const scanner = new Scanner(text.replace(SENT_TIME_PREFIX, ''));
+  const local = getZonedParts(now, timeZone);
+  const today = { year: local.year, month: local.month, day: local.day };
+  const at = (day, hour = 0, minute = 0) => zonedTimeToUtc({ ...day, hour, minute }, timeZone);
+
+  const offset = findOffset(scanner);
+  const dates = findDates(scanner, today);
+  const evening = dates.some(date => date.evening);
+  const time = findTimes(scanner, { evening });
+
+  if (offset && dates.length === 0 && !time) {
+    return { start: new Date(now.getTime() + offset.ms), end: null, allDay: false, confidence: 0.9 };
+  }
+  if (dates.length === 0 && !time) return null;
+
+  // Two dates joined by "to", "-" or "hingga" are a range
+  const first = dates[0];
+  let lastDay = first && first.lastDay;
+  if (dates.length >= 2) {
+    const between = scanner.text.slice(dates[0].index + dates[0].length, dates[1].index);
+    if (new RegExp(`^\\s*${RANGE_JOIN}\\s*$`, 'i').test(between)) {
+      let end = dates[1].lastDay || dates[1].day;
+      // "Friday to Monday": the Monday after
+      if (dates[1].weekday && compareDays(end, first.day) < 0) end = addDays(end, 7);
+      if (compareDays(end, first.day) >= 0) lastDay = end;
+    }
+  }
+
+  if (!time) {
+    const end = at(addDays(lastDay || first.day, 1)).getTime() - 1;
+    return {
+      start: at(first.day, defaultHour),
+      end: new Date(end),
+      allDay: true,
+      confidence: Math.round(Math.max(0.3, first.confidence - 0.1) * 100) / 100
+    };
+  }
+
+  // A time on its own is today's, or tomorrow's once today's has passed
+  let day = first ? first.day : today;
+  let start = at(day, time.start.hour, time.start.minute);
+  let confidence = first ? Math.min(first.confidence, time.confidence) + 0.05 : time.confidence - 0.05;
+  if (!first && start <= now) {
+    day = addDays(day, 1);
+    start = at(day, time.start.hour, time.start.minute);
+  }
+
+  let end = null;
+  if (time.end) {
+    end = at(lastDay || day, time.end.hour, time.end.minute);
+    if (end <= start) end = at(addDays(lastDay || day, 1), time.end.hour, time.end.minute);
+  } else if (lastDay) {
+    end = at(lastDay, time.start.hour, time.start.minute);
+  }
+
+  return { start, end, allDay: false, confidence: Math.round(Math.min(0.95, confidence) * 100) / 100 };
+}
+
+module.exports = {
+  parseDateTime
+};
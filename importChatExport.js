@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * WhatsApp Chat Export Import Tool
+ *
+ * Backfills actions for one user from a WhatsApp "Export chat" file (.txt or .zip).
+ * Runs in backfill mode: no push notifications, actions are marked as imported.
+ *
+ * Usage:
+ *   node importChatExport.js <userId> <file> [options]   - Import and analyse
+ *   node importChatExport.js <userId> <file> --dry-run   - Print the parsed messages only
+ *
+ * Options:
+ *   --chat-name <name>     Chat name to show (default: taken from the file name)
+ *   --own-name <name>      How the user appears in the chat, to mark their own messages
+ *   --since-days <days>    Only analyse the last N days (default 30)
+ *   --date-order <DMY|MDY> Date order when the file is ambiguous (default DMY)
+ *   --utc-offset <+08:00>  Time zone of the phone that exported the chat (default: server time)
+ *
+ * Fixtures to try it with live in fixtures/whatsapp/.
+ */
+
+const fs = require('fs');
+const { getConfig } = require('./config');
+const ChatExportImporter = require('./transports/chatExportImporter');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [userIdArg, file] = args;
+  const dryRun = args.includes('--dry-run');
+
+  if (!/^\d+$/.test(userIdArg || '') || !file) {
+    console.log('Usage: node importChatExport.js <userId> <file> [--chat-name <name>] [--own-name <name>] [--since-days <days>] [--date-order DMY|MDY] [--utc-offset +08:00] [--dry-run]');
+    process.exit(1);
+  }
+
+  const userId = parseInt(userIdArg, 10);
+  const sinceDays = getOption(args, '--since-days');
+  const options = {
+    filename: file,
+    chatName: getOption(args, '--chat-name'),
+    ownName: getOption(args, '--own-name'),
+    dateOrder: getOption(args, '--date-order'),
+    utcOffset: getOption(args, '--utc-offset'),
+    sinceDays: sinceDays ? parseInt(sinceDays, 10) : undefined
+  };
+
+  console.log('💬 WhatsApp Chat Export Import Tool');
+  console.log('===================================');
+
+  const buffer = fs.readFileSync(file);
+
+  if (dryRun) {
+    const { messages, ...summary } = new ChatExportImporter(null).prepare(userId, buffer, options);
+    messages.forEach(messageData => console.log(messageData));
+    console.log(summary);
+    console.log(`📝 ${messages.length} message(s) would be analysed, nothing stored (dry run)`);
+    return;
+  }
+
+  const config = getConfig();
+  const SessionManager = require('./sessionManager');
+  const sessionManager = new SessionManager(config);
+  const importer = new ChatExportImporter(sessionManager.messageGrouper);
+
+  try {
+    const prepared = importer.prepare(userId, buffer, options);
+    const { analysed, actionsCreated } = await importer.run(userId, prepared, sessionManager.emitToUser.bind(sessionManager));
+
+    console.log(`🎉 Analysed ${analysed} message(s) from "${prepared.chatName}", ${actionsCreated} action(s) created`);
+  } finally {
+    await sessionManager.db.end();
+  }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
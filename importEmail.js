@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Email Import Tool
+ *
+ * Runs a .eml file or an mbox archive through the action pipeline for one user.
+ * Mails already ingested for that user (by Message-ID) are skipped.
+ *
+ * Usage:
+ *   node importEmail.js <userId> <file> [--from-me <address>]   - Import and analyse
+ *   node importEmail.js <userId> <file> --dry-run               - Print the parsed messages only
+ *
+ * --from-me marks mails sent from that address as the user's own (fromMe).
+ * Fixtures to try it with live in fixtures/email/.
+ */
+
+const { getConfig } = require('./config');
+const EmailIngestor = require('./transports/emailIngestor');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [userIdArg, file] = args;
+  const dryRun = args.includes('--dry-run');
+  const ownAddress = getOption(args, '--from-me');
+
+  if (!/^\d+$/.test(userIdArg || '') || !file) {
+    console.log('Usage: node importEmail.js <userId> <file> [--from-me <address>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const userId = parseInt(userIdArg, 10);
+  console.log('📧 Email Import Tool');
+  console.log('====================');
+
+  if (dryRun) {
+    const ingestor = new EmailIngestor(null, {}, { onMessage: async () => {} });
+    const { total, ingested } = await ingestor.importFile(userId, file, { dryRun: true, ownAddress });
+    ingested.forEach(messageData => console.log(messageData));
+    console.log(`📝 ${total} mail(s) parsed, nothing stored (dry run)`);
+    return;
+  }
+
+  const config = getConfig();
+  const SessionManager = require('./sessionManager');
+  const sessionManager = new SessionManager(config);
+  const ingestor = new EmailIngestor(sessionManager.db, config.email, {
+    onMessage: (id, messageData) => sessionManager.ingestMessage(id, messageData)
+  });
+
+  try {
+    const { total, ingested } = await ingestor.importFile(userId, file, { ownAddress });
+
+    // Don't wait for the grouping delay - analyse what was buffered now
+    await sessionManager.messageGrouper.flushAll(sessionManager.emitToUser.bind(sessionManager));
+
+    console.log(`🎉 Ingested ${ingested.length} of ${total} mail(s)${total > ingested.length ? ' (the rest were already ingested)' : ''}`);
+  } finally {
+    await sessionManager.db.end();
+  }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
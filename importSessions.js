@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * WhatsApp Session Import Tool
+ *
+ * Copies LocalAuth session folders (wwebjs_auth/session-<userId>) into the
+ * whatsapp_sessions table so they can be used with WHATSAPP_SESSION_STORE=postgres.
+ *
+ * Usage:
+ *   node importSessions.js              - Import every local session folder
+ *   node importSessions.js <userId>     - Import a single user's session
+ *   node importSessions.js --dry-run    - List what would be imported
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { getConfig } = require('./config');
+const { LOCAL_SESSIONS_DIR, PostgresSessionStore } = require('./sessionStore');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const onlyUserId = args.find(arg => /^\d+$/.test(arg));
+
+function findLocalSessions() {
+  if (!fs.existsSync(LOCAL_SESSIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(LOCAL_SESSIONS_DIR)
+    .map(name => /^session-(\d+)$/.exec(name))
+    .filter(Boolean)
+    .map(match => ({ userId: parseInt(match[1], 10), dir: path.join(LOCAL_SESSIONS_DIR, match[0]) }))
+    .filter(session => !onlyUserId || session.userId === parseInt(onlyUserId, 10));
+}
+
+async function main() {
+  const sessions = findLocalSessions();
+
+  console.log('📦 WhatsApp Session Import Tool');
+  console.log('==============================');
+
+  if (sessions.length === 0) {
+    console.log(`📭 No local sessions found in ${LOCAL_SESSIONS_DIR}`);
+    return;
+  }
+
+  if (dryRun) {
+    sessions.forEach(({ userId, dir }) => console.log(`  • user ${userId}: ${dir}`));
+    console.log(`📝 ${sessions.length} session(s) would be imported`);
+    return;
+  }
+
+  const db = new Pool({ connectionString: getConfig().databaseUrl });
+  const store = new PostgresSessionStore(db);
+  let imported = 0;
+  let failed = 0;
+
+  try {
+    for (const { userId, dir } of sessions) {
+      try {
+        const user = await db.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+        if (user.rows.length === 0) {
+          console.log(`⏭️  Skipping ${dir}: user ${userId} does not exist`);
+          continue;
+        }
+
+        const result = await store.importLocalSession(userId, dir);
+        console.log(`✅ Imported user ${userId} as ${result.session}`);
+        imported++;
+      } catch (error) {
+        console.error(`❌ Failed to import session for user ${userId}:`, error.message);
+        failed++;
+      }
+    }
+  } finally {
+    await db.end();
+  }
+
+  console.log(`🎉 Imported ${imported} session(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { requireOwnUserParam } = require('./authMiddleware');
+const { getConfig } = require('./config');
+const InternalItemsCRUD = require('./internalItemsCRUD');
+const { RECURRING_TYPES, recurrenceColumns } = require('./recurrence');
 
 // Database connection
 const db = new Pool({
-  connectionString: process.env.DATABASE_URL
+  connectionString: getConfig().databaseUrl
 });
+const crud = new InternalItemsCRUD(db, { defaultTimezone: getConfig().defaultTimezone });
 
 // Table mappings for different item types
 const ITEM_TABLES = {
@@ -24,6 +29,9 @@ const ITEM_TABLES = {
   administrative: 'internal_admin_items'
 };
 
+// req.user is set by the /api auth middleware - users may only address their own items
+router.param('userId', requireOwnUserParam);
+
 // Get all internal items for a user
 router.get('/all/:userId', async (req, res) => {
   try {
@@ -237,25 +245,23 @@ router.get('/dashboard/:userId', async (req, res) => {
 router.put('/status/:type/:id', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const { status, userId } = req.body;
+    const { status } = req.body;
+    const userId = req.user.id;
 
     if (!ITEM_TABLES[type]) {
       return res.status(400).json({ success: false, error: 'Invalid item type' });
     }
 
-    const table = ITEM_TABLES[type];
-    const result = await db.query(
-      `UPDATE ${table} SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 RETURNING *`,
-      [status, id, userId]
-    );
+    // Completing a repeating item schedules its next occurrence
+    const item = await crud.updateItemStatus(type, id, userId, status, { timeZone: req.user.timezone });
 
-    if (result.rows.length === 0) {
+    if (!item) {
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
 
     res.json({
       success: true,
-      item: {...result.rows[0], item_type: type}
+      item: {...item, item_type: type}
     });
 
   } catch (error) {
@@ -268,7 +274,9 @@ router.put('/status/:type/:id', async (req, res) => {
 router.post('/create/:type', async (req, res) => {
   try {
     const { type } = req.params;
-    const { actionId, userId, title, content, ...additionalFields } = req.body;
+    // A userId in the body is ignored - items are always created for the authenticated user
+    const { actionId, userId: _bodyUserId, title, content, recurrence, ...additionalFields } = req.body;
+    const userId = req.user.id;
 
     if (!ITEM_TABLES[type]) {
       return res.status(400).json({ success: false, error: 'Invalid item type' });
@@ -301,15 +309,34 @@ router.post('/create/:type', async (req, res) => {
       administrative: { datetime: 'admin_datetime' }
     };
 
-    // Add additional fields based on type and provided data
+    // Add additional fields based on type and provided data; datetimes without a UTC offset are
+    // times on the user's clock
     Object.entries(additionalFields).forEach(([key, value]) => {
       if (value !== undefined && value !== null) {
         const mappedKey = fieldMappings[type]?.[key] || key;
         additionalFieldsList.push(mappedKey);
-        additionalValuesList.push(value);
+        additionalValuesList.push(crud.resolveDatetimes({ [mappedKey]: value }, req.user.timezone)[mappedKey]);
       }
     });
 
+    // A repeating item's series; its date becomes the series' first occurrence
+    if (recurrence) {
+      const field = RECURRING_TYPES[type];
+      const datetimeIndex = additionalFieldsList.indexOf(field);
+      const columns = recurrenceColumns(
+        type, recurrence, datetimeIndex >= 0 ? additionalValuesList[datetimeIndex] : null, req.user.timezone
+      );
+      for (const [column, value] of Object.entries(columns)) {
+        const index = additionalFieldsList.indexOf(column);
+        if (index >= 0) {
+          additionalValuesList[index] = value;
+        } else {
+          additionalFieldsList.push(column);
+          additionalValuesList.push(value);
+        }
+      }
+    }
+
     const allFields = [...baseFields, ...additionalFieldsList];
     const allValues = [...baseValues, ...additionalValuesList];
     const placeholders = allValues.map((_, index) => `$${index + 1}`);
@@ -329,6 +356,38 @@ router.post('/create/:type', async (req, res) => {
 
   } catch (error) {
     console.error('Error creating internal item:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Voice notes, images and documents the item's action was extracted from
+router.get('/:type/:id/media', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const userId = req.user.id;
+
+    if (!ITEM_TABLES[type]) {
+      return res.status(400).json({ success: false, error: 'Invalid item type' });
+    }
+
+    const table = ITEM_TABLES[type];
+    const result = await db.query(
+      `SELECT m.id, m.kind, m.mime_type, m.filename, m.size_bytes, m.extracted_text, m.created_at
+       FROM ${table} i
+       JOIN action_media_attachments am ON am.action_id = i.action_id
+       JOIN media_attachments m ON m.id = am.media_id
+       WHERE i.id = $1 AND i.user_id = $2
+       ORDER BY m.created_at`,
+      [id, userId]
+    );
+
+    res.json({
+      success: true,
+      media: result.rows.map(row => ({ ...row, url: `/api/media/${row.id}` }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching item media:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -337,7 +396,7 @@ router.post('/create/:type', async (req, res) => {
 router.delete('/:type/:id', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     if (!ITEM_TABLES[type]) {
       return res.status(400).json({ success: false, error: 'Invalid item type' });
@@ -1,8 +1,20 @@
 const { Pool } = require('pg');
+const {
+  RECURRING_TYPES,
+  expandOccurrences,
+  getItemRule,
+  nextOccurrence,
+  recurrenceColumns
+} = require('./recurrence');
+const { toInstant } = require('./timezone');
+
+// Columns holding a moment in time
+const DATETIME_COLUMNS = /_datetime$|^(due_date|departure_date|return_date|deadline|recurrence_start)$/;
 
 class InternalItemsCRUD {
-  constructor(db) {
+  constructor(db, options = {}) {
     this.db = db;
+    this.defaultTimezone = options.defaultTimezone || 'UTC'; // For callers that don't pass the user's
     
     // Define table mappings
     this.tableMap = {
@@ -34,6 +46,16 @@ class InternalItemsCRUD {
     return this.tableMap[type] || 'internal_notes'; // Default to notes
   }
 
+  // Datetimes from a client without a UTC offset ("2026-10-20T15:00") are wall-clock times in the
+  // user's zone. Values that can't be read are left for Postgres to reject.
+  resolveDatetimes(data, timeZone) {
+    return Object.fromEntries(Object.entries(data).map(([field, value]) => {
+      if (!DATETIME_COLUMNS.test(field) || typeof value !== 'string') return [field, value];
+      const instant = toInstant(value, timeZone);
+      return [field, instant && !isNaN(instant) ? instant : value];
+    }));
+  }
+
   async getItem(type, itemId, userId) {
     try {
       const tableName = this.getTableName(type);
@@ -72,9 +94,23 @@ class InternalItemsCRUD {
     }
   }
 
-  async updateItem(type, itemId, userId, updates) {
+  async updateItem(type, itemId, userId, updates, { timeZone = this.defaultTimezone } = {}) {
     try {
       const tableName = this.getTableName(type);
+      updates = this.resolveDatetimes(updates, timeZone);
+
+      // `recurrence` replaces the item's series; changing only its date moves this occurrence
+      if (updates.recurrence !== undefined) {
+        const { recurrence, ...rest } = updates;
+        const field = RECURRING_TYPES[type];
+        let datetime = field && rest[field];
+        if (field && !datetime && recurrence !== null) {
+          const current = await this.getItem(type, itemId, userId);
+          if (!current) return null;
+          datetime = current[field];
+        }
+        updates = { ...rest, ...recurrenceColumns(type, recurrence, datetime, timeZone) };
+      }
       
       // Build dynamic update query
       const updateFields = [];
@@ -116,9 +152,18 @@ class InternalItemsCRUD {
     }
   }
 
-  async createItem(type, userId, itemData) {
+  async createItem(type, userId, itemData, { timeZone = this.defaultTimezone } = {}) {
     try {
       const tableName = this.getTableName(type);
+      itemData = this.resolveDatetimes(itemData, timeZone);
+
+      if (itemData.recurrence) {
+        const { recurrence, ...rest } = itemData;
+        itemData = { ...rest, ...recurrenceColumns(type, recurrence, rest[RECURRING_TYPES[type]], timeZone) };
+      } else if (itemData.recurrence === null) {
+        const { recurrence, ...rest } = itemData;
+        itemData = rest;
+      }
       
       // Prepare data without timestamp fields first
       const data = {
@@ -167,8 +212,15 @@ class InternalItemsCRUD {
   // STATUS MANAGEMENT
   // ================================
 
-  async updateItemStatus(type, itemId, userId, status) {
+  // `timeZone` is the user's, which repeating items follow
+  async updateItemStatus(type, itemId, userId, status, { timeZone = this.defaultTimezone } = {}) {
     try {
+      if (status === 'completed' && RECURRING_TYPES[type]) {
+        const item = await this.getItem(type, itemId, userId);
+        if (item && item.status !== 'completed' && getItemRule(item, timeZone)) {
+          return await this.completeOccurrence(type, item, timeZone);
+        }
+      }
       return await this.updateItem(type, itemId, userId, { status });
     } catch (error) {
       console.error(`Error updating ${type} item status:`, error);
@@ -176,9 +228,9 @@ class InternalItemsCRUD {
     }
   }
 
-  async completeItem(type, itemId, userId) {
+  async completeItem(type, itemId, userId, options = {}) {
     try {
-      return await this.updateItemStatus(type, itemId, userId, 'completed');
+      return await this.updateItemStatus(type, itemId, userId, 'completed', options);
     } catch (error) {
       console.error(`Error completing ${type} item:`, error);
       throw error;
@@ -194,6 +246,86 @@ class InternalItemsCRUD {
     }
   }
 
+  /**
+   * Complete one occurrence of a repeating item and schedule the next.
+   *
+   * A reminder row is the series' pending occurrence, so it moves forward in place and stays
+   * active. Tasks and events keep a row per occurrence: this one is marked completed and the next
+   * is inserted with recurrence_parent_id pointing at the series' first row. The next occurrence
+   * is the first one after both the completed one and now, so a task finished late isn't
+   * followed by occurrences that are already overdue. When the series has ended the item is simply
+   * completed. Resolves the updated row, with `next_item` for tasks and events.
+   */
+  async completeOccurrence(type, item, timeZone = this.defaultTimezone) {
+    const tableName = this.getTableName(type);
+    const field = RECURRING_TYPES[type];
+    const current = item[field] ? new Date(item[field]) : new Date();
+
+    if (type === 'reminder') {
+      const next = nextOccurrence(item, type, current, timeZone);
+      const result = await this.db.query(
+        `UPDATE internal_reminders
+         SET reminder_datetime = COALESCE($2, reminder_datetime),
+             status = CASE WHEN $2::timestamptz IS NULL THEN 'completed' ELSE 'active' END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [item.id, next]
+      );
+      return result.rows[0] || null;
+    }
+
+    const next = nextOccurrence(item, type, new Date(Math.max(current.getTime(), Date.now())), timeZone);
+
+    return await this.withTransaction(async (client) => {
+      const completed = await client.query(
+        `UPDATE ${tableName} SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+        [item.id]
+      );
+      if (!next) {
+        return completed.rows[0];
+      }
+
+      const { id, created_at, updated_at, ...copy } = item;
+      copy.status = 'active';
+      copy[field] = next;
+      copy.recurrence_parent_id = item.recurrence_parent_id || item.id;
+      if (type === 'event' && item.end_datetime && item.event_datetime) {
+        copy.end_datetime = new Date(next.getTime() + (new Date(item.end_datetime) - new Date(item.event_datetime)));
+      }
+
+      // JSONB columns come back parsed; node-pg would send arrays as Postgres arrays
+      const values = Object.values(copy).map(value =>
+        value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value
+      );
+      const fields = Object.keys(copy);
+      const created = await client.query(
+        `INSERT INTO ${tableName} (${fields.join(', ')}, created_at, updated_at)
+         VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING *`,
+        values
+      );
+
+      console.log(`🔁 Completed ${type} ${item.id}, next occurrence ${created.rows[0].id} on ${next.toISOString()}`);
+      return { ...completed.rows[0], next_item: created.rows[0] };
+    });
+  }
+
+  async withTransaction(callback) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // ================================
   // SPECIFIC ITEM TYPE FUNCTIONS
   // ================================
@@ -201,7 +333,7 @@ class InternalItemsCRUD {
   // Reminder-specific functions
   async getUserReminders(userId, options = {}) {
     try {
-      const { status = 'active', upcoming = false } = options;
+      const { status = 'active', upcoming = false, days = 30, timeZone = this.defaultTimezone } = options;
       let query = 'SELECT * FROM internal_reminders WHERE user_id = $1';
       const params = [userId];
 
@@ -217,21 +349,30 @@ class InternalItemsCRUD {
       query += ' ORDER BY reminder_datetime ASC';
 
       const result = await this.db.query(query, params);
-      return result.rows;
+      if (!upcoming) return result.rows;
+
+      // One entry per occurrence of repeating reminders over the next `days`
+      const now = new Date();
+      return expandOccurrences(result.rows, 'reminder', now, new Date(now.getTime() + days * 86400000), { timeZone });
     } catch (error) {
       console.error('Error getting user reminders:', error);
       throw error;
     }
   }
 
-  async snoozeReminder(reminderId, userId, newDateTime) {
+  async snoozeReminder(reminderId, userId, newDateTime, { timeZone = this.defaultTimezone } = {}) {
     try {
+      const until = toInstant(newDateTime, timeZone);
       const result = await this.db.query(
+        // A repeating reminder keeps its series anchored on the original schedule, so snoozing one
+        // occurrence doesn't shift the later ones
         `UPDATE internal_reminders 
-         SET reminder_datetime = $1, status = 'snoozed', updated_at = CURRENT_TIMESTAMP 
+         SET reminder_datetime = $1, status = 'snoozed', updated_at = CURRENT_TIMESTAMP,
+             recurrence_start = COALESCE(recurrence_start,
+               CASE WHEN repeat_type IS NOT NULL AND repeat_type != 'none' THEN reminder_datetime END)
          WHERE id = $2 AND user_id = $3 
          RETURNING *`,
-        [newDateTime, reminderId, userId]
+        [until && !isNaN(until) ? until : newDateTime, reminderId, userId]
       );
       return result.rows[0] || null;
     } catch (error) {
@@ -243,7 +384,10 @@ class InternalItemsCRUD {
   // Event-specific functions
   async getUserEvents(userId, options = {}) {
     try {
-      const { status = 'active', upcoming = false, dateRange } = options;
+      const { status = 'active', upcoming = false, days = 30, timeZone = this.defaultTimezone } = options;
+      const dateRange = options.dateRange && options.dateRange.start && options.dateRange.end
+        ? { start: toInstant(options.dateRange.start, timeZone), end: toInstant(options.dateRange.end, timeZone) }
+        : null;
       let query = 'SELECT * FROM internal_events WHERE user_id = $1';
       const params = [userId];
 
@@ -252,18 +396,28 @@ class InternalItemsCRUD {
         params.push(status);
       }
 
+      // Repeating events started before the window can still have occurrences inside it
       if (upcoming) {
-        query += ` AND event_datetime > CURRENT_TIMESTAMP`;
+        query += ` AND (event_datetime > CURRENT_TIMESTAMP OR recurrence_rule IS NOT NULL)`;
       }
 
-      if (dateRange && dateRange.start && dateRange.end) {
-        query += ` AND event_datetime BETWEEN $${params.length + 1} AND $${params.length + 2}`;
+      if (dateRange) {
+        query += ` AND (event_datetime BETWEEN $${params.length + 1} AND $${params.length + 2}
+                   OR (recurrence_rule IS NOT NULL AND event_datetime <= $${params.length + 2}))`;
         params.push(dateRange.start, dateRange.end);
       }
 
       query += ' ORDER BY event_datetime ASC';
 
       const result = await this.db.query(query, params);
+
+      if (dateRange) {
+        return expandOccurrences(result.rows, 'event', dateRange.start, dateRange.end, { timeZone });
+      }
+      if (upcoming) {
+        const now = new Date();
+        return expandOccurrences(result.rows, 'event', now, new Date(now.getTime() + days * 86400000), { timeZone });
+      }
       return result.rows;
     } catch (error) {
       console.error('Error getting user events:', error);
@@ -498,7 +652,9 @@ class InternalItemsCRUD {
 
   async filterByDateRange(userId, startDate, endDate, options = {}) {
     try {
-      const { types = [], limit = 50 } = options;
+      const { types = [], limit = 50, timeZone = this.defaultTimezone } = options;
+      const start = toInstant(startDate, timeZone);
+      const end = toInstant(endDate, timeZone);
       const results = [];
 
       const tablesToSearch = types.length > 0 
@@ -524,7 +680,7 @@ class InternalItemsCRUD {
           ORDER BY ${dateColumn} DESC
         `;
 
-        const result = await this.db.query(query, [userId, startDate, endDate]);
+        const result = await this.db.query(query, [userId, start, end]);
         results.push(...result.rows);
       }
 
@@ -549,9 +705,8 @@ class InternalItemsCRUD {
 
   async getUpcomingItems(userId, options = {}) {
     try {
-      const { hours = 24, limit = 10 } = options;
-      const endTime = new Date();
-      endTime.setHours(endTime.getHours() + hours);
+      const { hours = 24, limit = 10, timeZone = this.defaultTimezone } = options;
+      const endTime = new Date(Date.now() + hours * 60 * 60 * 1000);
 
       const results = [];
 
@@ -563,11 +718,12 @@ class InternalItemsCRUD {
         ORDER BY reminder_datetime ASC
       `, [userId, endTime.toISOString()]);
 
-      // Get upcoming events
+      // Get upcoming events, plus repeating ones that may recur inside the window
       const events = await this.db.query(`
         SELECT *, 'event' as item_type FROM internal_events 
         WHERE user_id = $1 AND status = 'active' 
-        AND event_datetime BETWEEN CURRENT_TIMESTAMP AND $2
+        AND (event_datetime BETWEEN CURRENT_TIMESTAMP AND $2
+          OR (recurrence_rule IS NOT NULL AND event_datetime <= $2))
         ORDER BY event_datetime ASC
       `, [userId, endTime.toISOString()]);
 
@@ -579,7 +735,13 @@ class InternalItemsCRUD {
         ORDER BY due_datetime ASC
       `, [userId, endTime.toISOString()]);
 
-      results.push(...reminders.rows, ...events.rows, ...tasks.rows);
+      // Repeating items show each occurrence in the window
+      const now = new Date();
+      results.push(
+        ...expandOccurrences(reminders.rows, 'reminder', now, endTime, { timeZone }),
+        ...expandOccurrences(events.rows, 'event', now, endTime, { timeZone }),
+        ...expandOccurrences(tasks.rows, 'task', now, endTime, { timeZone })
+      );
 
       // Sort by datetime
       results.sort((a, b) => {
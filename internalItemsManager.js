@@ -1,8 +1,30 @@
 const { Pool } = require('pg');
+const { parseDateTime } = require('./dateParser');
+const { recurrenceColumns } = require('./recurrence');
+const { PLACEHOLDER_SUGGESTED_ACTIONS, PRIORITIES, readItemFields } = require('./actionDetails');
+const { toInstant } = require('./timezone');
 
 class InternalItemsManager {
-  constructor(db) {
+  constructor(db, options = {}) {
     this.db = db;
+    this.timeZone = options.defaultTimezone || 'UTC'; // For users who haven't set one
+  }
+
+  // Series columns for an item created with a `recurrence` (see recurrence.js), repeating on the
+  // clock of `timeZone`. A repeating item without a date starts from now; an unusable rule leaves
+  // the item as a one-off.
+  getRecurrence(type, recurrence, datetime, timeZone = this.timeZone) {
+    const none = { recurrence_rule: null, recurrence_start: null, recurrence_exceptions: '[]', datetime };
+    if (!recurrence) return none;
+
+    try {
+      const columns = recurrenceColumns(type, recurrence, datetime || new Date(), timeZone);
+      const { recurrence_rule, recurrence_start, recurrence_exceptions } = columns;
+      return { recurrence_rule, recurrence_start, recurrence_exceptions, datetime: recurrence_start, repeat_type: columns.repeat_type };
+    } catch (error) {
+      console.warn(`⚠️ Ignoring recurrence for new ${type}: ${error.message}`);
+      return none;
+    }
   }
 
   // ================================
@@ -14,16 +36,21 @@ class InternalItemsManager {
       reminderDatetime = null,
       priority = 'medium',
       repeatType = 'none',
-      createdFrom = 'whatsapp'
+      recurrence = null,
+      createdFrom = 'whatsapp',
+      timeZone = this.timeZone
     } = options;
 
     try {
+      const series = this.getRecurrence('reminder', recurrence, reminderDatetime, timeZone);
       const result = await this.db.query(
         `INSERT INTO internal_reminders 
-         (action_id, title, content, reminder_datetime, priority, repeat_type, created_from, user_id) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+         (action_id, title, content, reminder_datetime, priority, repeat_type, created_from, user_id,
+          recurrence_rule, recurrence_start, recurrence_exceptions) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
          RETURNING *`,
-        [actionId, title, content, reminderDatetime, priority, repeatType, createdFrom, userId]
+        [actionId, title, content, series.datetime, priority, series.repeat_type || repeatType, createdFrom, userId,
+          series.recurrence_rule, series.recurrence_start, series.recurrence_exceptions]
       );
       
       console.log(`✅ Created internal reminder for user ${userId}`);
@@ -42,16 +69,25 @@ class InternalItemsManager {
       priority = 'medium',
       eventType = 'meeting',
       attendees = [],
-      createdFrom = 'whatsapp'
+      recurrence = null,
+      createdFrom = 'whatsapp',
+      timeZone = this.timeZone
     } = options;
 
     try {
+      const series = this.getRecurrence('event', recurrence, eventDatetime, timeZone);
+      // A series starting later than asked keeps the event's length
+      const end = endDatetime && eventDatetime && series.datetime !== eventDatetime
+        ? new Date(new Date(series.datetime).getTime() + (new Date(endDatetime) - new Date(eventDatetime)))
+        : endDatetime;
       const result = await this.db.query(
         `INSERT INTO internal_events 
-         (action_id, title, content, event_datetime, end_datetime, location, priority, event_type, attendees, created_from, user_id) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+         (action_id, title, content, event_datetime, end_datetime, location, priority, event_type, attendees, created_from, user_id,
+          recurrence_rule, recurrence_start, recurrence_exceptions) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
          RETURNING *`,
-        [actionId, title, content, eventDatetime, endDatetime, location, priority, eventType, JSON.stringify(attendees), createdFrom, userId]
+        [actionId, title, content, series.datetime, end, location, priority, eventType, JSON.stringify(attendees), createdFrom, userId,
+          series.recurrence_rule, series.recurrence_start, series.recurrence_exceptions]
       );
       
       console.log(`✅ Created internal event for user ${userId}`);
@@ -69,16 +105,21 @@ class InternalItemsManager {
       taskType = 'general',
       estimatedHours = null,
       tags = [],
-      createdFrom = 'whatsapp'
+      recurrence = null,
+      createdFrom = 'whatsapp',
+      timeZone = this.timeZone
     } = options;
 
     try {
+      const series = this.getRecurrence('task', recurrence, dueDatetime, timeZone);
       const result = await this.db.query(
         `INSERT INTO internal_tasks 
-         (action_id, title, content, due_datetime, priority, task_type, estimated_hours, tags, created_from, user_id) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+         (action_id, title, content, due_datetime, priority, task_type, estimated_hours, tags, created_from, user_id,
+          recurrence_rule, recurrence_start, recurrence_exceptions) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) 
          RETURNING *`,
-        [actionId, title, content, dueDatetime, priority, taskType, estimatedHours, JSON.stringify(tags), createdFrom, userId]
+        [actionId, title, content, series.datetime, priority, taskType, estimatedHours, JSON.stringify(tags), createdFrom, userId,
+          series.recurrence_rule, series.recurrence_start, series.recurrence_exceptions]
       );
       
       console.log(`✅ Created internal task for user ${userId}`);
@@ -387,56 +428,10 @@ class InternalItemsManager {
   // HELPER FUNCTIONS
   // ================================
 
-  extractDatetimeFromMessage(messageBody) {
-    const now = new Date();
-    let extractedDate = null;
-
-    // Common time patterns
-    const timePatterns = [
-      /(\d{1,2}):(\d{2})\s*(am|pm|AM|PM)/g,
-      /(\d{1,2})\s*(am|pm|AM|PM)/g,
-      /(\d{1,2}):(\d{2})/g
-    ];
-
-    // Common date patterns
-    const datePatterns = [
-      /(tomorrow|esok)/gi,
-      /(today|hari ini)/gi,
-      /(next week|minggu depan)/gi,
-      /(\d{1,2})\/(\d{1,2})\/(\d{4})/g,
-      /(\d{1,2})-(\d{1,2})-(\d{4})/g,
-      /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi
-    ];
-
-    // Check for explicit date/time mentions
-    for (const pattern of timePatterns) {
-      const match = messageBody.match(pattern);
-      if (match) {
-        // Create a date for tomorrow if time is specified
-        extractedDate = new Date(now);
-        extractedDate.setDate(now.getDate() + 1);
-        break;
-      }
-    }
-
-    for (const pattern of datePatterns) {
-      const match = messageBody.match(pattern);
-      if (match) {
-        const matchText = match[0].toLowerCase();
-        if (matchText.includes('tomorrow') || matchText.includes('esok')) {
-          extractedDate = new Date(now);
-          extractedDate.setDate(now.getDate() + 1);
-        } else if (matchText.includes('today') || matchText.includes('hari ini')) {
-          extractedDate = new Date(now);
-        } else if (matchText.includes('next week') || matchText.includes('minggu depan')) {
-          extractedDate = new Date(now);
-          extractedDate.setDate(now.getDate() + 7);
-        }
-        break;
-      }
-    }
-
-    return extractedDate ? extractedDate.toISOString() : null;
+  // When the message says the item happens: { start, end, allDay, confidence } or null.
+  // Read in the user's time zone, relative to when the message was sent.
+  extractDatetimeFromMessage(messageBody, sentAt = new Date(), timeZone = this.timeZone) {
+    return parseDateTime(messageBody, { now: sentAt, timeZone });
   }
 
   extractPriorityFromMessage(messageBody) {
@@ -457,6 +452,22 @@ class InternalItemsManager {
     return 'medium';
   }
 
+  // The AI's title for the action, if it gave one
+  getActionTitle(details) {
+    return typeof details.title === 'string' && details.title.trim() ? details.title.trim().slice(0, 255) : null;
+  }
+
+  // The AI's account of the action, or the message itself, followed by any next steps it suggested
+  getActionContent(details, messageBody) {
+    const content = typeof details.content === 'string' && details.content.trim() ? details.content.trim() : messageBody;
+    const steps = (Array.isArray(details.suggested_actions) ? details.suggested_actions : [])
+      .filter(step => typeof step === 'string' && step.trim() && !PLACEHOLDER_SUGGESTED_ACTIONS.includes(step));
+
+    return steps.length > 0
+      ? `${content}\n\nSuggested next steps:\n${steps.map(step => `- ${step.trim()}`).join('\n')}`
+      : content;
+  }
+
   generateTitle(actionType, messageBody, fromName) {
     const maxLength = 100;
     let title = '';
@@ -517,22 +528,46 @@ class InternalItemsManager {
   // MAIN CREATE INTERNAL ITEM FUNCTION
   // ================================
 
-  async createInternalItemFromAction(action, messageData, userId) {
+  /**
+   * Create the item for an approved action from its details (ai_actions.details): the AI's title,
+   * content, datetime, priority and the item type's own fields (see actionDetails.js). Title,
+   * datetime and priority are guessed from the message only where the details lack them.
+   * `timeZone` is the user's: "tomorrow at 3pm" is 3pm on their clock.
+   */
+  async createInternalItemFromAction(action, messageData, userId, { timeZone = this.timeZone } = {}) {
     const actionType = action.type;
+    const details = action.details || {};
     const messageBody = messageData.body || '';
     const fromName = messageData.fromName || 'Unknown';
 
-    // Generate title and extract metadata
-    const title = this.generateTitle(actionType, messageBody, fromName);
-    const content = messageBody;
-    const extractedDatetime = this.extractDatetimeFromMessage(messageBody);
-    const priority = this.extractPriorityFromMessage(messageBody);
+    const title = this.getActionTitle(details) || this.generateTitle(actionType, messageBody, fromName);
+    const content = this.getActionContent(details, messageBody);
+
+    let when = null;
+    let datetime = typeof details.datetime === 'string' ? toInstant(details.datetime, timeZone) : null;
+    if (datetime && !isNaN(datetime)) {
+      datetime = datetime.toISOString();
+    } else {
+      // Unix seconds; brain dumps used to store milliseconds, which land far in the future
+      const sentAt = messageData.timestamp && messageData.timestamp * 1000 <= Date.now()
+        ? new Date(messageData.timestamp * 1000)
+        : new Date();
+      when = this.extractDatetimeFromMessage(messageBody, sentAt, timeZone);
+      datetime = when ? when.start.toISOString() : null;
+    }
+
+    const priority = PRIORITIES.includes(details.priority) ? details.priority : this.extractPriorityFromMessage(messageBody);
+    // Location, attendees, amount, destination... override the defaults below
+    const fields = readItemFields(actionType, details, { timeZone });
 
     // Common options
     const baseOptions = {
       priority,
-      createdFrom: 'whatsapp'
+      createdFrom: messageData.source || 'whatsapp',
+      timeZone
     };
+    // Only reminders, events and tasks can repeat
+    const recurrence = details.recurrence || null;
 
     try {
       let result = null;
@@ -541,28 +576,34 @@ class InternalItemsManager {
         case 'reminder':
           result = await this.createInternalReminder(action.actionId, title, content, userId, {
             ...baseOptions,
-            reminderDatetime: extractedDatetime
+            reminderDatetime: datetime,
+            recurrence
           });
           break;
 
         case 'event':
           result = await this.createInternalEvent(action.actionId, title, content, userId, {
             ...baseOptions,
-            eventDatetime: extractedDatetime,
-            location: messageData.location || null
+            eventDatetime: datetime,
+            endDatetime: when && when.end && !when.allDay ? when.end.toISOString() : null,
+            location: messageData.location || null,
+            recurrence,
+            ...fields
           });
           break;
 
         case 'task':
           result = await this.createInternalTask(action.actionId, title, content, userId, {
             ...baseOptions,
-            dueDatetime: extractedDatetime
+            dueDatetime: datetime,
+            recurrence,
+            ...fields
           });
           break;
 
         case 'note':
         case 'follow_up':
-          result = await this.createInternalNote(action.actionId, title, content, userId, baseOptions);
+          result = await this.createInternalNote(action.actionId, title, content, userId, { ...baseOptions, ...fields });
           break;
 
         case 'contact':
@@ -570,52 +611,61 @@ class InternalItemsManager {
           result = await this.createInternalContact(action.actionId, title, content, userId, {
             ...baseOptions,
             contactName: fromName,
-            contactPhone: messageData.fromNumber || null
+            contactPhone: messageData.fromNumber || null,
+            ...fields
           });
           break;
 
         case 'issue':
-          result = await this.createInternalIssue(action.actionId, title, content, userId, baseOptions);
+          result = await this.createInternalIssue(action.actionId, title, content, userId, { ...baseOptions, ...fields });
           break;
 
         case 'learning':
         case 'research':
-          result = await this.createInternalLearningItem(action.actionId, title, content, userId, baseOptions);
+          result = await this.createInternalLearningItem(action.actionId, title, content, userId, { ...baseOptions, ...fields });
           break;
 
         case 'finance':
-          result = await this.createInternalFinanceItem(action.actionId, title, content, userId, baseOptions);
+          result = await this.createInternalFinanceItem(action.actionId, title, content, userId, {
+            ...baseOptions,
+            dueDate: datetime,
+            ...fields
+          });
           break;
 
         case 'health':
           result = await this.createInternalHealthItem(action.actionId, title, content, userId, {
             ...baseOptions,
-            appointmentDatetime: extractedDatetime
+            appointmentDatetime: datetime,
+            ...fields
           });
           break;
 
         case 'shopping':
-          result = await this.createInternalShoppingItem(action.actionId, title, content, userId, baseOptions);
+          result = await this.createInternalShoppingItem(action.actionId, title, content, userId, { ...baseOptions, ...fields });
           break;
 
         case 'travel':
           result = await this.createInternalTravelItem(action.actionId, title, content, userId, {
             ...baseOptions,
-            departureDate: extractedDatetime
+            departureDate: datetime,
+            ...fields
           });
           break;
 
         case 'creative':
           result = await this.createInternalCreativeItem(action.actionId, title, content, userId, {
             ...baseOptions,
-            deadline: extractedDatetime
+            deadline: datetime,
+            ...fields
           });
           break;
 
         case 'administrative':
           result = await this.createInternalAdminItem(action.actionId, title, content, userId, {
             ...baseOptions,
-            deadline: extractedDatetime
+            deadline: datetime,
+            ...fields
           });
           break;
 
@@ -623,7 +673,8 @@ class InternalItemsManager {
           // Questions become notes with special type
           result = await this.createInternalNote(action.actionId, title, content, userId, {
             ...baseOptions,
-            noteType: 'question'
+            noteType: 'question',
+            ...fields
           });
           break;
 
@@ -636,6 +687,11 @@ class InternalItemsManager {
           break;
       }
 
+      // Media the action came from stays linked through action_id; return it with the item
+      if (result && messageData.media && messageData.media.length > 0) {
+        result.media = messageData.media;
+      }
+
       console.log(`✅ Created internal item of type ${actionType} for action ${action.actionId}`);
       return result;
 
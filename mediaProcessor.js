@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Message types not worth downloading - nothing to extract from them
+const SKIPPED_TYPES = ['sticker', 'video', 'gif'];
+
+const LABELS = {
+  audio: 'Voice note transcript',
+  image: 'Text in image',
+  document: 'Document'
+};
+
+function getMediaKind(mimeType) {
+  if (!mimeType) return null;
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType.startsWith('image/') && mimeType !== 'image/webp') return 'image';
+  if (mimeType === 'application/pdf' || mimeType.startsWith('text/') || mimeType === 'application/json') return 'document';
+  return null;
+}
+
+/**
+ * Turns voice notes, images and documents into text the AI pipeline can read.
+ * The original file is kept under `storageDir` and recorded in media_attachments;
+ * messageData gets the extracted text in its body and a `media` list linking the file.
+ */
+class MediaProcessor {
+  constructor(db, provider, options = {}) {
+    this.db = db;
+    this.provider = provider;
+    this.storageDir = options.storageDir || path.join(__dirname, 'media');
+    this.maxBytes = options.maxBytes || 16 * 1024 * 1024;
+  }
+
+  /**
+   * Download, store and extract the media of a message. Resolves with the enriched
+   * messageData, or the original one when there was nothing usable. Never throws.
+   */
+  async process(userId, messageData, transport) {
+    if (!messageData.hasMedia || SKIPPED_TYPES.includes(messageData.type)) {
+      return messageData;
+    }
+
+    try {
+      // Catch-up and retries see the same message again - don't download or transcribe twice
+      const existing = await this.db.query(
+        'SELECT * FROM media_attachments WHERE user_id = $1 AND message_id = $2',
+        [userId, messageData.id]
+      );
+      if (existing.rows.length > 0) {
+        return this.enrich(messageData, existing.rows[0]);
+      }
+
+      const media = await transport.downloadMedia(messageData.id);
+      if (!media) {
+        console.log(`No media could be downloaded for message ${messageData.id}`);
+        return messageData;
+      }
+
+      const kind = getMediaKind(media.mimeType);
+      const record = {
+        kind,
+        mimeType: media.mimeType,
+        filename: media.filename || null,
+        sizeBytes: media.data.length,
+        sha256: crypto.createHash('sha256').update(media.data).digest('hex'),
+        storageKey: null,
+        extractedText: null,
+        status: 'processed',
+        error: null
+      };
+
+      if (record.sizeBytes > this.maxBytes) {
+        record.status = 'too_large';
+      } else if (!kind) {
+        record.status = 'unsupported';
+      } else {
+        record.storageKey = await this.store(userId, record.sha256, media.data);
+        try {
+          record.extractedText = await this.provider.extractText(kind, media.data, media);
+        } catch (error) {
+          console.error(`❌ Media extraction failed for message ${messageData.id}:`, error.message);
+          record.status = 'failed';
+          record.error = error.message;
+        }
+      }
+
+      const row = await this.save(userId, messageData.id, record);
+      console.log(`📎 ${kind || media.mimeType} from message ${messageData.id}: ${record.status}${record.extractedText ? `, ${record.extractedText.length} chars of text` : ''}`);
+      return this.enrich(messageData, row);
+    } catch (error) {
+      console.error(`❌ Media processing failed for message ${messageData.id}:`, error.message);
+      return messageData;
+    }
+  }
+
+  // Files are content-addressed per user, so forwarded copies are stored once
+  async store(userId, sha256, data) {
+    const storageKey = path.join(String(userId), sha256);
+    const filePath = path.join(this.storageDir, storageKey);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      await fs.promises.writeFile(filePath, data);
+    }
+    return storageKey;
+  }
+
+  async save(userId, messageId, record) {
+    const result = await this.db.query(
+      `INSERT INTO media_attachments
+       (user_id, message_id, kind, mime_type, filename, size_bytes, sha256, storage_key, extracted_text, provider, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (user_id, message_id) DO UPDATE SET message_id = EXCLUDED.message_id
+       RETURNING *`,
+      [userId, messageId, record.kind, record.mimeType, record.filename, record.sizeBytes, record.sha256,
+        record.storageKey, record.extractedText, this.provider.constructor.name, record.status, record.error]
+    );
+    return result.rows[0];
+  }
+
+  // Put the extracted text after the caption and link the stored file
+  enrich(messageData, row) {
+    const parts = [];
+    if (messageData.body && messageData.body.trim()) {
+      parts.push(messageData.body.trim());
+    }
+    if (row.extracted_text) {
+      const label = row.kind === 'document' && row.filename ? `${LABELS.document}: ${row.filename}` : LABELS[row.kind];
+      parts.push(`[${label}]\n${row.extracted_text}`);
+    }
+
+    return {
+      ...messageData,
+      body: parts.join('\n\n'),
+      media: row.storage_key ? [this.toLink(row)] : []
+    };
+  }
+
+  toLink(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      mimeType: row.mime_type,
+      filename: row.filename,
+      url: `/api/media/${row.id}`
+    };
+  }
+
+  // A stored file the user owns, with its absolute path, or null
+  async getMedia(userId, mediaId) {
+    const result = await this.db.query(
+      'SELECT * FROM media_attachments WHERE id = $1 AND user_id = $2 AND storage_key IS NOT NULL',
+      [mediaId, userId]
+    );
+    const row = result.rows[0];
+    return row ? { ...row, filePath: path.join(this.storageDir, row.storage_key) } : null;
+  }
+}
+
+module.exports = MediaProcessor;
+module.exports.getMediaKind = getMediaKind;
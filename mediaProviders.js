@@ -0,0 +1,103 @@
+// Text extraction for media attached to messages.
+// Every provider implements: async extractText(kind, data, { mimeType, filename }) -> string | null
+// where kind is 'audio' (speech to text), 'image' (text in / description of the picture) or 'document'.
+
+const MAX_DOCUMENT_CHARS = 20000;
+
+// Documents don't need a model: plain text is read as is and PDFs through their text layer
+async function extractDocumentText(data, { mimeType }) {
+  if (mimeType === 'application/pdf') {
+    const pdfParse = require('pdf-parse');
+    const { text } = await pdfParse(data);
+    return text.trim() ? text.trim().substring(0, MAX_DOCUMENT_CHARS) : null;
+  }
+
+  if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+    return data.toString('utf8').trim().substring(0, MAX_DOCUMENT_CHARS) || null;
+  }
+
+  return null;
+}
+
+// Whisper for voice notes, a vision model for images
+class OpenAIMediaProvider {
+  constructor({ apiKey, transcriptionModel = 'whisper-1', visionModel = 'gpt-4o-mini' } = {}) {
+    const OpenAI = require('openai');
+    this.openai = new OpenAI({ apiKey });
+    this.transcriptionModel = transcriptionModel;
+    this.visionModel = visionModel;
+  }
+
+  async extractText(kind, data, { mimeType, filename }) {
+    switch (kind) {
+      case 'audio': {
+        const { toFile } = require('openai');
+        const transcription = await this.openai.audio.transcriptions.create({
+          file: await toFile(data, filename || `voice-note.${mimeType.split('/')[1].split(';')[0]}`),
+          model: this.transcriptionModel
+        });
+        return transcription.text?.trim() || null;
+      }
+
+      case 'image': {
+        const completion = await this.openai.chat.completions.create({
+          model: this.visionModel,
+          max_tokens: 800,
+          messages: [{
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: 'Transcribe any text in this image exactly (whiteboards, notes, receipts, screenshots). ' +
+                  'Then add one sentence describing the image. Reply with plain text only.'
+              },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } }
+            ]
+          }]
+        });
+        return completion.choices[0]?.message?.content?.trim() || null;
+      }
+
+      case 'document':
+        return extractDocumentText(data, { mimeType });
+
+      default:
+        return null;
+    }
+  }
+}
+
+// Offline provider for development and tests. Documents are extracted for real; there is no
+// local speech or image recogniser, so audio and images whose bytes are UTF-8 text (which is
+// how fixtures carry the expected transcript) yield that text, and anything else yields nothing.
+class LocalMediaProvider {
+  async extractText(kind, data, { mimeType }) {
+    if (kind === 'document') {
+      return extractDocumentText(data, { mimeType });
+    }
+
+    const text = data.toString('utf8');
+    if (text.includes('\uFFFD') || /[\x00-\x08\x0E-\x1F]/.test(text)) {
+      return null;
+    }
+    return text.trim() || null;
+  }
+}
+
+function createMediaProvider(type, { apiKey } = {}) {
+  switch (type) {
+    case 'openai':
+      return new OpenAIMediaProvider({ apiKey });
+    case 'local':
+      return new LocalMediaProvider();
+    default:
+      throw new Error(`Unknown media provider: ${type}`);
+  }
+}
+
+module.exports = {
+  LocalMediaProvider,
+  OpenAIMediaProvider,
+  createMediaProvider,
+  extractDocumentText
+};
@@ -0,0 +1,142 @@
+const { ClientError } = require('./clientError');
+
+class CatchUpSettingsError extends ClientError {}
+
+/**
+ * Fetches messages that arrived while a user's session was down.
+ * The newest message seen in each chat is stored in chat_sync_state; when the session
+ * becomes ready again, active chats are read back to that point (bounded by the user's
+ * catch-up window) and fed through SessionManager.ingestMessage, whose
+ * original_message->>'id' check skips anything that was already handled.
+ */
+class MessageCatchUp {
+  constructor(sessionManager, db, options = {}) {
+    this.sessionManager = sessionManager;
+    this.db = db;
+    this.windowHours = options.windowHours || 24;
+    this.maxWindowHours = options.maxWindowHours || 72;
+    this.maxChats = options.maxChats || 30;
+    this.messagesPerChat = options.messagesPerChat || 50;
+    this.running = new Set(); // userIds currently catching up
+  }
+
+  // Remember the newest message seen in a chat
+  async recordSeen(userId, messageData) {
+    if (!messageData.chatId || !messageData.timestamp) return;
+
+    try {
+      await this.db.query(
+        `INSERT INTO chat_sync_state (user_id, chat_id, last_message_at, last_message_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, chat_id) DO UPDATE
+         SET last_message_at = GREATEST(chat_sync_state.last_message_at, EXCLUDED.last_message_at),
+             last_message_id = CASE WHEN EXCLUDED.last_message_at >= chat_sync_state.last_message_at
+                                    THEN EXCLUDED.last_message_id ELSE chat_sync_state.last_message_id END,
+             updated_at = CURRENT_TIMESTAMP`,
+        [userId, messageData.chatId, messageData.timestamp, messageData.id]
+      );
+    } catch (error) {
+      console.error(`Failed to record sync state for user ${userId}, chat ${messageData.chatId}:`, error.message);
+    }
+  }
+
+  // The user's catch-up window in hours; 0 means catch-up is off
+  async getWindowHours(userId) {
+    const result = await this.db.query('SELECT catchup_window_hours FROM users WHERE id = $1', [userId]);
+    const windowHours = result.rows[0]?.catchup_window_hours;
+    return windowHours === null || windowHours === undefined ? this.windowHours : windowHours;
+  }
+
+  // null resets the user to the server default
+  async setWindowHours(userId, windowHours) {
+    if (windowHours !== null && (!Number.isInteger(windowHours) || windowHours < 0 || windowHours > this.maxWindowHours)) {
+      throw new CatchUpSettingsError(`windowHours must be a whole number between 0 and ${this.maxWindowHours}`);
+    }
+
+    await this.db.query(
+      'UPDATE users SET catchup_window_hours = $1, updated_at = NOW() WHERE id = $2',
+      [windowHours, userId]
+    );
+    return this.getWindowHours(userId);
+  }
+
+  async getSettings(userId) {
+    return {
+      windowHours: await this.getWindowHours(userId),
+      defaultWindowHours: this.windowHours,
+      maxWindowHours: this.maxWindowHours
+    };
+  }
+
+  /**
+   * Read back what was missed in the user's active chats. Resolves with a summary;
+   * never throws, so it can run unattended after every reconnect.
+   */
+  async run(sessionData) {
+    const { userId, transport } = sessionData;
+
+    if (this.running.has(userId)) {
+      return { skipped: 'already_running' };
+    }
+    this.running.add(userId);
+
+    const summary = { chats: 0, fetched: 0, ingested: 0, truncatedChats: 0 };
+
+    try {
+      const windowHours = await this.getWindowHours(userId);
+      if (windowHours === 0) {
+        return { skipped: 'disabled' };
+      }
+
+      const windowStart = Math.floor(Date.now() / 1000) - windowHours * 60 * 60;
+      const chats = (await transport.listActiveChats({ since: windowStart })).slice(0, this.maxChats);
+
+      const stateResult = await this.db.query(
+        'SELECT chat_id, last_message_at FROM chat_sync_state WHERE user_id = $1',
+        [userId]
+      );
+      const lastSeen = new Map(stateResult.rows.map(row => [row.chat_id, Number(row.last_message_at)]));
+
+      for (const chat of chats) {
+        // Stop if the session went away while we were working through the chats
+        if (this.sessionManager.getUserSession(userId) !== sessionData || sessionData.isDestroying) {
+          break;
+        }
+
+        const since = Math.max(windowStart, lastSeen.get(chat.id) || 0);
+        if (chat.lastMessageAt && chat.lastMessageAt <= since) continue;
+
+        const history = await transport.fetchHistory(chat.id, { limit: this.messagesPerChat });
+        const missed = history.filter(messageData => messageData.timestamp > since);
+
+        summary.chats++;
+        summary.fetched += missed.length;
+        // The oldest fetched message is still inside the gap - there were more than we asked for
+        if (history.length === this.messagesPerChat && missed.length === history.length) {
+          summary.truncatedChats++;
+        }
+
+        for (const messageData of missed) {
+          if (await this.sessionManager.ingestMessage(userId, messageData, { transport })) {
+            summary.ingested++;
+          }
+        }
+
+        if (missed.length > 0) {
+          await this.recordSeen(userId, missed[missed.length - 1]);
+        }
+      }
+
+      console.log(`🔄 Catch-up for user ${userId}: ${summary.fetched} missed message(s) in ${summary.chats} chat(s), ${summary.ingested} queued for analysis`);
+      return summary;
+    } catch (error) {
+      console.error(`❌ Catch-up failed for user ${userId}:`, error.message);
+      return { ...summary, error: error.message };
+    } finally {
+      this.running.delete(userId);
+    }
+  }
+}
+
+module.exports = MessageCatchUp;
+module.exports.CatchUpSettingsError = CatchUpSettingsError;
@@ -1,8 +1,13 @@
+const { PLACEHOLDER_SUGGESTED_ACTIONS } = require('./actionDetails');
+const { parseDateTime } = require('./dateParser');
+const { RECURRING_TYPES, parseRecurrence } = require('./recurrence');
+const { toInstant } = require('./timezone');
+
 class MessageGrouper {
-  constructor(aiProcessor, db) {
+  constructor(aiProcessor, db, options = {}) {
     this.aiProcessor = aiProcessor;
     this.db = db;
-    this.oneSignalClient = null;
+    this.notificationService = null;
     this.messageBuffer = new Map(); // userId -> Map(chatId -> messages[])
     this.processingTimers = new Map(); // userId-chatId -> timer
     this.conversationHistory = new Map(); // userId-chatId -> actions history
@@ -10,62 +15,18 @@ class MessageGrouper {
     this.groupTopicTracker = new Map(); // chatId -> Map(topic -> {users, actions, lastUpdate})
     
     // Configuration
-    this.GROUP_DELAY_MS = 15000; // 15 seconds delay to group messages
-    this.MAX_GROUP_SIZE = 5; // Maximum messages in a group
+    this.GROUP_DELAY_MS = options.groupDelayMs || 15000; // 15 seconds delay to group messages
+    this.MAX_GROUP_SIZE = options.maxGroupSize || 5; // Maximum messages in a group
+    this.timeZone = options.defaultTimezone || 'UTC'; // For users who haven't set one
+    this.userSettings = options.userSettings || null; // Each user's own time zone
     this.CONVERSATION_MEMORY_HOURS = 24; // How long to remember conversations
     this.DUPLICATE_SIMILARITY_THRESHOLD = 0.8; // Similarity threshold for duplicate detection
     this.GROUP_TOPIC_SIMILARITY_THRESHOLD = 0.7; // Similarity threshold for group topic detection
     this.GROUP_TOPIC_TIMEOUT_HOURS = 6; // How long to track group topics
   }
 
-  setOneSignalClient(oneSignalClient) {
-    this.oneSignalClient = oneSignalClient;
-  }
-
-  // Send OneSignal notification for new action
-  async sendActionNotification(action, userId) {
-    try {
-      if (!this.oneSignalClient) {
-        console.log('OneSignal client not available');
-        return;
-      }
-
-      // Get user's OneSignal player ID from database
-      const userResult = await this.db.query(
-        'SELECT onesignal_player_id FROM users WHERE id = $1',
-        [userId]
-      );
-
-      if (userResult.rows.length === 0 || !userResult.rows[0].onesignal_player_id) {
-        console.log(`No OneSignal player ID found for user ${userId}`);
-        return;
-      }
-
-      const playerId = userResult.rows[0].onesignal_player_id;
-      
-      const notification = {
-        app_id: process.env.ONESIGNAL_APP_ID || '301d5b91-3055-4b33-8b34-902e885277f1',
-        included_segments: ["All"], // Send to all subscribed users
-        headings: {
-          en: '🤖 AI Suggestion - Approval Needed'
-        },
-        contents: {
-          en: `${action.type}: ${action.description} - Tap to approve or reject`
-        },
-        data: {
-          actionId: action.actionId,
-          actionType: action.type,
-          userId: userId,
-          targetPlayerId: playerId // Include for reference
-        },
-        url: 'juta-actions://action/' + action.actionId
-      };
-
-      const response = await this.oneSignalClient.createNotification(notification);
-      console.log(`✅ OneSignal notification sent for action ${action.actionId}:`, response);
-    } catch (error) {
-      console.error(`❌ Failed to send OneSignal notification for action ${action.actionId}:`, error);
-    }
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
   }
 
   async processMessage(messageData, userId, emitToUser) {
@@ -154,6 +115,48 @@ class MessageGrouper {
     }
   }
 
+  // Process everything still buffered right away, e.g. before a one-off import exits
+  async flushAll(emitToUser) {
+    for (const [userId, chatMap] of this.messageBuffer.entries()) {
+      for (const chatId of Array.from(chatMap.keys())) {
+        await this.processGroupedMessages(userId, chatId, emitToUser);
+      }
+    }
+  }
+
+  // Analyse past messages (e.g. an imported chat export) without the grouping delay.
+  // Actions are stored as imported and don't trigger push notifications.
+  // Returns the number of actions created.
+  async backfillMessages(messages, userId, emitToUser) {
+    const chats = new Map();
+    for (const messageData of messages) {
+      const chatId = messageData.isGroup ? messageData.chatName : messageData.from;
+      if (!chats.has(chatId)) chats.set(chatId, []);
+      chats.get(chatId).push(messageData);
+    }
+
+    let actionsCreated = 0;
+    for (const [chatId, chatMessages] of chats.entries()) {
+      const groupedMessages = this.groupMessagesByTimeAndSender(chatMessages);
+      const groupTopicContext = chatMessages[0].isGroup ? await this.loadGroupTopicContext(chatId) : null;
+      console.log(`Backfilling ${chatMessages.length} messages in ${groupedMessages.length} groups for user ${userId}, chat ${chatId}`);
+
+      for (const messageGroup of groupedMessages) {
+        const firstMessage = messageGroup[0];
+        const senderId = firstMessage.isGroup ?
+          (firstMessage.fromMe ? 'me' : firstMessage.from) :
+          firstMessage.from;
+
+        const senderConversationHistory = await this.loadConversationHistoryForSender(userId, chatId, senderId);
+        actionsCreated += await this.processMessageGroup(
+          messageGroup, userId, chatId, senderConversationHistory, groupTopicContext, emitToUser, { backfill: true }
+        );
+      }
+    }
+
+    return actionsCreated;
+  }
+
   groupMessagesByTimeAndSender(messages) {
     const groups = [];
     let currentGroup = [];
@@ -196,7 +199,8 @@ class MessageGrouper {
     return groups;
   }
 
-  async processMessageGroup(messageGroup, userId, chatId, conversationHistory, groupTopicContext, emitToUser) {
+  // Returns the number of actions created
+  async processMessageGroup(messageGroup, userId, chatId, conversationHistory, groupTopicContext, emitToUser, options = {}) {
     // Create combined message for AI processing
     const combinedMessage = this.createCombinedMessage(messageGroup);
     
@@ -204,7 +208,7 @@ class MessageGrouper {
     const existingActions = await this.checkExistingActions(messageGroup, userId);
     if (existingActions.length > 0) {
       console.log(`Some messages in group already processed for user ${userId}, skipping group`);
-      return;
+      return 0;
     }
     
     // Check for group topic conflicts if this is a group chat
@@ -215,7 +219,7 @@ class MessageGrouper {
     
     if (isGroupTopicDuplicate) {
       console.log(`Group topic duplicate detected for user ${userId}, skipping processing`);
-      return;
+      return 0;
     }
 
     // Process with enhanced AI that includes conversation history and group context
@@ -225,11 +229,14 @@ class MessageGrouper {
     console.log(`Group topic context length: ${groupTopicContext ? groupTopicContext.length : 0}`);
     console.log(`Duplicate signatures count: ${this.getDuplicateActionSignatures(userId).size}`);
     
+    // Dates like "esok pukul 3" are read on the user's clock
+    const timeZone = await this.getUserTimezone(userId);
     const potentialActions = await this.aiProcessor.processMessageWithHistory(
       combinedMessage, 
       conversationHistory,
       this.getDuplicateActionSignatures(userId),
-      groupTopicContext
+      groupTopicContext,
+      { timeZone }
     );
     
     console.log(`AI processor returned ${potentialActions ? potentialActions.length : 0} actions for user ${userId}`);
@@ -238,7 +245,7 @@ class MessageGrouper {
       const filteredActions = this.filterDuplicateActions(potentialActions, userId, conversationHistory);
       
       for (const action of filteredActions) {
-        await this.saveAndEmitAction(action, combinedMessage, userId, emitToUser);
+        await this.saveAndEmitAction(action, combinedMessage, userId, emitToUser, { ...options, timeZone });
       }
       
       // Update conversation history
@@ -248,7 +255,11 @@ class MessageGrouper {
       if (combinedMessage.isGroup) {
         await this.updateGroupTopicTracker(chatId, combinedMessage, filteredActions, userId);
       }
+
+      return filteredActions.length;
     }
+
+    return 0;
   }
 
   createCombinedMessage(messageGroup) {
@@ -263,12 +274,15 @@ class MessageGrouper {
       return `[${timeStr}] ${msg.body}`;
     }).join('\n');
     
+    const media = messageGroup.flatMap(msg => msg.media || []);
+
     return {
       ...firstMessage,
       body: combinedBody,
       messageCount: messageGroup.length,
       isGroupedMessage: true,
-      originalMessages: messageGroup
+      originalMessages: messageGroup,
+      ...(media.length > 0 ? { media } : {})
     };
   }
 
@@ -493,40 +507,64 @@ class MessageGrouper {
     return intersection.size / union.size;
   }
 
-  async saveAndEmitAction(action, messageData, userId, emitToUser) {
+  // The AI's recurrence rule in canonical form, or null when there is none or it isn't valid RRULE
+  extractRecurrence(action) {
+    const recurrence = action.details?.recurrence;
+    if (!recurrence || !RECURRING_TYPES[action.type]) return null;
+
+    try {
+      return parseRecurrence(recurrence).rule;
+    } catch (error) {
+      console.warn(`⚠️ Dropping recurrence "${recurrence}" from ${action.type} action: ${error.message}`);
+      return null;
+    }
+  }
+
+  async saveAndEmitAction(action, messageData, userId, emitToUser, { backfill = false, timeZone = this.timeZone } = {}) {
     const actionId = `action_${userId}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
     
-    const actionWithId = {
-      ...action,
-      actionId,
-      originalMessage: messageData,
-      userId: userId
-    };
-    
     try {
       const actionDetails = {
         title: action.details?.title || action.description || `${action.type} Action`,
         content: action.details?.content || this.generateActionContent(action, messageData),
-        datetime: action.details?.datetime || this.extractDatetime(messageData.body),
+        datetime: this.resolveDatetime(action.details?.datetime, timeZone) ||
+          this.extractDatetime(messageData.body, messageData.timestamp, timeZone),
         priority: action.details?.priority || 'medium',
         category: action.details?.category || action.type || 'general',
         urgency_reason: action.details?.urgency_reason || 'Detected from message analysis',
-        suggested_actions: action.details?.suggested_actions || ['Review and take action'],
-        context: action.details?.context || (messageData.isGroupedMessage ? 'Grouped message analysis' : 'Single message analysis')
+        suggested_actions: action.details?.suggested_actions || PLACEHOLDER_SUGGESTED_ACTIONS,
+        context: action.details?.context || (messageData.isGroupedMessage ? 'Grouped message analysis' : 'Single message analysis'),
+        recurrence: this.extractRecurrence(action),
+        // Type-specific fields (location, amount, destination...), read when the action is approved
+        fields: action.details?.fields && typeof action.details.fields === 'object' && !Array.isArray(action.details.fields)
+          ? action.details.fields
+          : {}
       };
 
       // Only save to database if connection is available
       if (this.db && typeof this.db.query === 'function') {
         await this.db.query(
-          'INSERT INTO ai_actions (action_id, type, description, original_message, details, user_id) VALUES ($1, $2, $3, $4, $5, $6)',
-          [actionId, action.type, action.description, JSON.stringify(messageData), JSON.stringify(actionDetails), userId]
+          'INSERT INTO ai_actions (action_id, type, description, original_message, details, user_id, is_imported) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          [actionId, action.type, action.description, JSON.stringify(messageData), JSON.stringify(actionDetails), userId, backfill]
         );
+
+        // Link the voice notes, images and documents the action came from
+        for (const media of messageData.media || []) {
+          await this.db.query(
+            'INSERT INTO action_media_attachments (action_id, media_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [actionId, media.id]
+          );
+        }
       } else {
         console.warn('Database connection not available, action not saved to database');
       }
       
-      // Send OneSignal notification
-      await this.sendActionNotification(actionWithId, userId);
+      // Notify the user, except for history being backfilled
+      if (!backfill && this.notificationService) {
+        await this.notificationService.notifyAction(userId, {
+          actionId, type: action.type, description: action.description, priority: actionDetails.priority
+        }).catch(error => console.error(`❌ Failed to queue notification for action ${actionId}:`, error.message));
+      }
       
       // Send to frontend (this should work even without database)
       emitToUser(userId, 'newAction', {
@@ -535,6 +573,7 @@ class MessageGrouper {
         description: action.description,
         details: actionDetails,
         confidence: action.confidence || 0.8,
+        imported: backfill,
         originalMessage: {
           fromName: messageData.fromName,
           from: messageData.from,
@@ -543,7 +582,8 @@ class MessageGrouper {
           timestamp: messageData.timestamp,
           isGroup: messageData.isGroup || false,
           isGroupedMessage: messageData.isGroupedMessage || false,
-          messageCount: messageData.messageCount || 1
+          messageCount: messageData.messageCount || 1,
+          media: messageData.media || []
         }
       });
       
@@ -595,21 +635,29 @@ class MessageGrouper {
     }
   }
 
-  extractDatetime(messageBody) {
-    // Enhanced datetime extraction
-    const timeRegex = /(\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))/g;
-    const dateRegex = /(esok|tomorrow|today|hari ini|next week|minggu depan|monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi;
-    
-    const timeMatch = messageBody.match(timeRegex);
-    const dateMatch = messageBody.match(dateRegex);
-    
-    if (timeMatch || dateMatch) {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      return tomorrow.toISOString();
+  // When the message says something happens, relative to when it was sent (a unix timestamp)
+  extractDatetime(messageBody, timestamp, timeZone = this.timeZone) {
+    const parsed = parseDateTime(messageBody, {
+      now: timestamp ? new Date(timestamp * 1000) : new Date(),
+      timeZone
+    });
+    return parsed ? parsed.start.toISOString() : null;
+  }
+
+  // The AI's datetime as a UTC ISO string; one without an offset is a time on the user's clock
+  resolveDatetime(datetime, timeZone = this.timeZone) {
+    const instant = typeof datetime === 'string' ? toInstant(datetime, timeZone) : null;
+    return instant && !isNaN(instant) ? instant.toISOString() : null;
+  }
+
+  async getUserTimezone(userId) {
+    if (!this.userSettings) return this.timeZone;
+    try {
+      return await this.userSettings.getTimezone(userId);
+    } catch (error) {
+      console.warn(`⚠️ Could not load the time zone of user ${userId}, using ${this.timeZone}:`, error.message);
+      return this.timeZone;
     }
-    
-    return null;
   }
 
   async loadGroupTopicContext(chatId) {
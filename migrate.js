@@ -7,17 +7,22 @@
  *   node migrate.js up       - Run all pending migrations
  *   node migrate.js down     - Rollback the last migration
  *   node migrate.js status   - Show migration status
+ *   node migrate.js check    - Verify the live schema matches the migration history
+ *   node migrate.js dry-run  - Print the SQL pending migrations would run, without running it
+ *   node migrate.js to <name>     - Migrate up or down so <name> is the last applied migration
+ *   node migrate.js create <name> - Scaffold a new migration file
  */
 
 const path = require('path');
-require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
 const DatabaseMigrator = require('./database/migrator');
 
 const command = process.argv[2] || 'up';
+const argument = process.argv[3];
 
 async function main() {
-  const databaseUrl = process.env.DATABASE_URL ;
+  const databaseUrl = process.env.DATABASE_URL;
   
   const migrator = new DatabaseMigrator(databaseUrl);
 
@@ -43,8 +48,32 @@ async function main() {
         await migrator.getMigrationStatus();
         break;
 
+      case 'dry-run':
+        console.log('📝 Pending migration SQL (nothing will be executed):');
+        await migrator.dryRun();
+        break;
+
+      case 'to':
+        if (!argument) {
+          console.log('❌ Usage: node migrate.js to <migration name>');
+          process.exit(1);
+        }
+        console.log(`🎯 Migrating to ${argument}...`);
+        await migrator.migrateTo(argument);
+        console.log('✅ Target migration reached!');
+        break;
+
+      case 'create':
+        migrator.createMigrationFile(argument);
+        break;
+
+      case 'check':
+        console.log('🔍 Checking schema against migration history...');
+        await migrator.assertNoSchemaDrift();
+        break;
+
       default:
-        console.log('❌ Unknown command. Use: up, down, or status');
+        console.log('❌ Unknown command. Use: up, down, status, check, dry-run, to <name>, or create <name>');
         process.exit(1);
     }
 
@@ -0,0 +1,226 @@
+const { ClientError } = require('./clientError');
+
+class MonitoringRuleError extends ClientError {}
+
+const RULE_LISTS = ['allow', 'deny'];
+const TARGET_TYPES = ['chat', 'contact', 'group', 'keyword'];
+const RULE_MODES = ['all', 'from_me', 'mentions'];
+
+/**
+ * Per-user rules deciding which messages reach the AI.
+ *
+ * - A matching deny rule drops the message. Its mode is an exception: with `from_me` or
+ *   `mentions`, the user's own messages or messages mentioning them still get through
+ *   ("ignore the family group unless I'm mentioned").
+ * - Once a user has any allow rule, only messages matching one are analysed. Its mode is a
+ *   condition: `from_me` or `mentions` narrows the rule to those messages.
+ *
+ * Targets: `chat` (one-to-one chat id), `group` (group chat id), `contact` (sender, phone
+ * numbers compared by digits) and `keyword` (case-insensitive word in the message).
+ */
+class MonitoringRules {
+  constructor(db) {
+    this.db = db;
+    this.cache = new Map(); // userId -> enabled rules
+  }
+
+  // ================================
+  // CRUD
+  // ================================
+
+  async listRules(userId) {
+    const result = await this.db.query(
+      'SELECT * FROM monitoring_rules WHERE user_id = $1 ORDER BY list DESC, target_type, created_at',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async createRule(userId, input = {}) {
+    const rule = this.validate(input);
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO monitoring_rules (user_id, list, target_type, target_value, target_label, mode, is_enabled)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, rule.list, rule.targetType, rule.targetValue, rule.targetLabel, rule.mode, rule.isEnabled]
+      );
+      this.cache.delete(userId);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new MonitoringRuleError('An identical rule already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  async updateRule(userId, ruleId, input = {}) {
+    const current = await this.getRule(userId, ruleId);
+    const rule = this.validate({
+      list: input.list ?? current.list,
+      targetType: input.targetType ?? current.target_type,
+      targetValue: input.targetValue ?? current.target_value,
+      targetLabel: input.targetLabel !== undefined ? input.targetLabel : current.target_label,
+      mode: input.mode ?? current.mode,
+      isEnabled: input.isEnabled ?? current.is_enabled
+    });
+
+    try {
+      const result = await this.db.query(
+        `UPDATE monitoring_rules
+         SET list = $3, target_type = $4, target_value = $5, target_label = $6, mode = $7, is_enabled = $8,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [ruleId, userId, rule.list, rule.targetType, rule.targetValue, rule.targetLabel, rule.mode, rule.isEnabled]
+      );
+      this.cache.delete(userId);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new MonitoringRuleError('An identical rule already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  async deleteRule(userId, ruleId) {
+    const result = await this.db.query(
+      'DELETE FROM monitoring_rules WHERE id = $1 AND user_id = $2',
+      [ruleId, userId]
+    );
+    if (result.rowCount === 0) {
+      throw new MonitoringRuleError('Rule not found', 404);
+    }
+    this.cache.delete(userId);
+  }
+
+  async getRule(userId, ruleId) {
+    const result = await this.db.query(
+      'SELECT * FROM monitoring_rules WHERE id = $1 AND user_id = $2',
+      [ruleId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new MonitoringRuleError('Rule not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  validate({ list, targetType, targetValue, targetLabel = null, mode = 'all', isEnabled = true }) {
+    if (!RULE_LISTS.includes(list)) {
+      throw new MonitoringRuleError(`list must be one of: ${RULE_LISTS.join(', ')}`);
+    }
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new MonitoringRuleError(`targetType must be one of: ${TARGET_TYPES.join(', ')}`);
+    }
+    if (!RULE_MODES.includes(mode)) {
+      throw new MonitoringRuleError(`mode must be one of: ${RULE_MODES.join(', ')}`);
+    }
+    if (typeof targetValue !== 'string' || !targetValue.trim()) {
+      throw new MonitoringRuleError('targetValue is required');
+    }
+    if (typeof isEnabled !== 'boolean') {
+      throw new MonitoringRuleError('isEnabled must be true or false');
+    }
+
+    const value = targetValue.trim();
+    return {
+      list,
+      targetType,
+      targetValue: targetType === 'keyword' ? value.toLowerCase() : value,
+      targetLabel: targetLabel ? String(targetLabel).substring(0, 255) : null,
+      mode,
+      isEnabled
+    };
+  }
+
+  // ================================
+  // EVALUATION
+  // ================================
+
+  async getEnabledRules(userId) {
+    if (!this.cache.has(userId)) {
+      const result = await this.db.query(
+        'SELECT * FROM monitoring_rules WHERE user_id = $1 AND is_enabled = true',
+        [userId]
+      );
+      this.cache.set(userId, result.rows);
+    }
+    return this.cache.get(userId);
+  }
+
+  async hasKeywordRules(userId) {
+    return (await this.getEnabledRules(userId)).some(rule => rule.target_type === 'keyword');
+  }
+
+  /**
+   * Whether a message should be analysed. `ownNumber` is the user's own phone number,
+   * used to recognise mentions. Resolves { monitored, reason, ruleId }.
+   */
+  async evaluate(userId, messageData, { ownNumber = null } = {}) {
+    const rules = await this.getEnabledRules(userId);
+    if (rules.length === 0) {
+      return { monitored: true, reason: 'no_rules', ruleId: null };
+    }
+
+    const satisfiesMode = (rule) =>
+      rule.mode === 'all' ||
+      (rule.mode === 'from_me' && messageData.fromMe) ||
+      (rule.mode === 'mentions' && this.mentionsUser(messageData, ownNumber));
+
+    for (const rule of rules.filter(rule => rule.list === 'deny')) {
+      const isException = rule.mode !== 'all' && satisfiesMode(rule);
+      if (this.matches(rule, messageData) && !isException) {
+        return { monitored: false, reason: 'denied', ruleId: rule.id };
+      }
+    }
+
+    const allowRules = rules.filter(rule => rule.list === 'allow');
+    if (allowRules.length === 0) {
+      return { monitored: true, reason: 'not_denied', ruleId: null };
+    }
+
+    const allowed = allowRules.find(rule => this.matches(rule, messageData) && satisfiesMode(rule));
+    return allowed
+      ? { monitored: true, reason: 'allowed', ruleId: allowed.id }
+      : { monitored: false, reason: 'not_allowed', ruleId: null };
+  }
+
+  matches(rule, messageData) {
+    switch (rule.target_type) {
+      case 'chat':
+        return !messageData.isGroup && messageData.chatId === rule.target_value;
+      case 'group':
+        return !!messageData.isGroup && messageData.chatId === rule.target_value;
+      case 'contact':
+        return this.sameContact(messageData.from, rule.target_value);
+      case 'keyword': {
+        const keyword = rule.target_value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|\\W)${keyword}(\\W|$)`, 'i').test(messageData.body || '');
+      }
+      default:
+        return false;
+    }
+  }
+
+  // "60123456789@c.us", "+60 12-345 6789" and "60123456789" are the same contact
+  sameContact(a, b) {
+    if (!a || !b) return false;
+    const digits = (value) => value.replace(/@.*$/, '').replace(/\D/g, '');
+    const [left, right] = [digits(a), digits(b)];
+    return left && right ? left === right : a.toLowerCase() === b.toLowerCase();
+  }
+
+  mentionsUser(messageData, ownNumber) {
+    if (!ownNumber) return false;
+    const digits = ownNumber.replace(/\D/g, '');
+
+    return (messageData.mentionedIds || []).some(id => this.sameContact(id, digits)) ||
+      (messageData.body || '').includes(`@${digits}`);
+  }
+}
+
+module.exports = MonitoringRules;
+module.exports.MonitoringRuleError = MonitoringRuleError;
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Delivery channels for user notifications.
+// Every channel implements: async deliver(target, message) -> { status: 'delivered' | 'skipped', detail }
+// where target is { userId, address, secret, playerIds } and message is { id, kind, title, body, url, data }.
+// Failures throw a DeliveryError; retryable ones are tried again with backoff.
+// `interruptive` channels (the ones that buzz a phone or fill an inbox) are held during quiet hours.
+
+class DeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+// Rate limits and server errors are worth retrying; other client errors won't fix themselves
+function isRetryableStatus(statusCode) {
+  return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Webhooks are POSTed from the server, so they must not reach the server itself or the network
+// around it: loopback, private and link-local ranges (169.254.169.254 is the cloud metadata
+// service) and others that aren't routable on the internet. IPv4-mapped IPv6 addresses match too.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(hostname) {
+  return new DeliveryError(`Webhook host ${hostname} is not a public address`, { retryable: false });
+}
+
+// dns.lookup that refuses hosts resolving to a non-public address. The webhook request connects
+// through it, so a host can't pass the check and then be re-pointed at the internal network.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(blockedAddressError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Rejects with a DeliveryError unless every address `url` points at is public
+async function assertPublicWebhookUrl(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) throw blockedAddressError(host);
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new DeliveryError(`Webhook host ${host} could not be resolved`);
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw blockedAddressError(host);
+  }
+}
+
+// OneSignal push to the user's registered devices
+class PushChannel {
+  constructor({ oneSignalClient, appId, userDevices }) {
+    this.oneSignalClient = oneSignalClient;
+    this.appId = appId;
+    this.userDevices = userDevices;
+    this.interruptive = true;
+  }
+
+  isAvailable() {
+    return !!this.oneSignalClient;
+  }
+
+  async deliver({ userId, playerIds }, message) {
+    const targets = playerIds || await this.userDevices.getPlayerIds(userId);
+    if (targets.length === 0) {
+      return { status: 'skipped', detail: 'No registered devices' };
+    }
+
+    let response;
+    try {
+      response = await this.oneSignalClient.createNotification({
+        app_id: this.appId,
+        include_player_ids: targets, // Only this user's devices
+        headings: { en: message.title },
+        contents: { en: message.body },
+        data: { ...message.data, notificationId: message.id },
+        ...(message.url ? { url: message.url } : {})
+      });
+    } catch (error) {
+      const reason = error.body ? JSON.stringify(error.body) : error.message;
+      throw new DeliveryError(`OneSignal error ${error.statusCode || ''}: ${reason}`.trim(), {
+        retryable: isRetryableStatus(error.statusCode)
+      });
+    }
+
+    const pruned = await this.userDevices.pruneInvalid(response);
+    if (pruned >= targets.length) {
+      throw new DeliveryError('OneSignal no longer recognises any of the registered devices', { retryable: false });
+    }
+    return { status: 'delivered', detail: `${targets.length - pruned} device(s)` };
+  }
+}
+
+// In-app alert for a connected dashboard. Nothing to retry: the app loads pending actions when it reconnects.
+class SocketChannel {
+  constructor({ userSockets }) {
+    this.userSockets = userSockets;
+    this.interruptive = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async deliver({ userId }, message) {
+    const socket = this.userSockets.get(userId);
+    if (!socket) {
+      return { status: 'skipped', detail: 'Not connected' };
+    }
+
+    socket.emit(message.kind === 'reminder' ? 'reminderNotification' : 'newActionNotification', {
+      notificationId: message.id,
+      kind: message.kind,
+      title: message.title,
+      body: message.body,
+      actionId: message.data.actionId || null,
+      type: message.data.actionType || null,
+      description: message.data.description || null,
+      reminderId: message.data.reminderId || null
+    });
+    return { status: 'delivered', detail: null };
+  }
+}
+
+// A message in the user's own WhatsApp chat ("Message yourself"), sent through their session
+class WhatsAppSelfChannel {
+  constructor({ sessionManager }) {
+    this.sessionManager = sessionManager;
+    this.interruptive = true;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async deliver({ userId, address }, message) {
+    const userSession = this.sessionManager.getUserSession(userId);
+    if (!userSession || !userSession.transport || !userSession.isConnected) {
+      throw new DeliveryError('No connected WhatsApp session');
+    }
+
+    const number = (address || userSession.phoneNumber || '').replace(/\D/g, '');
+    if (!number) {
+      throw new DeliveryError('No phone number to message', { retryable: false });
+    }
+
+    const text = `*${message.title}*\n${message.body}`;
+    // Our own message comes straight back through the session; it must not be analysed as a new one
+    this.sessionManager.expectOwnMessage(userId, text);
+    await userSession.transport.send(`${number}@c.us`, text);
+    return { status: 'delivered', detail: null };
+  }
+}
+
+class EmailChannel {
+  constructor({ smtpUrl, from }) {
+    this.from = from;
+    this.transporter = smtpUrl ? require('nodemailer').createTransport(smtpUrl) : null;
+    this.interruptive = true;
+  }
+
+  isAvailable() {
+    return !!this.transporter;
+  }
+
+  async deliver({ address }, message) {
+    if (!address) {
+      throw new DeliveryError('No email address configured', { retryable: false });
+    }
+
+    try {
+      await this.transporter.sendMail({
+        from: this.from,
+        to: address,
+        subject: message.title,
+        text: message.body
+      });
+    } catch (error) {
+      // SMTP 5xx replies are permanent (unknown mailbox, rejected sender)
+      throw new DeliveryError(`SMTP error: ${error.message}`, {
+        retryable: !(error.responseCode >= 500)
+      });
+    }
+    return { status: 'delivered', detail: null };
+  }
+}
+
+// JSON POST to a URL of the user's choosing, signed with their webhook secret:
+// X-Juta-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+class WebhookChannel {
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.interruptive = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async deliver({ address, secret }, message) {
+    if (!address) {
+      throw new DeliveryError('No webhook URL configured', { retryable: false });
+    }
+
+    const body = JSON.stringify({
+      id: message.id,
+      kind: message.kind,
+      title: message.title,
+      body: message.body,
+      data: message.data,
+      sentAt: new Date().toISOString()
+    });
+    const signature = crypto.createHmac('sha256', secret || '').update(body).digest('hex');
+
+    // Checked on every delivery, not only when the address was saved: DNS can change in between
+    await assertPublicWebhookUrl(address);
+
+    const statusCode = await this.post(address, body, {
+      'Content-Type': 'application/json',
+      'X-Juta-Delivery': String(message.id),
+      'X-Juta-Signature': `sha256=${signature}`
+    });
+
+    // Redirects aren't followed; they could lead anywhere
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new DeliveryError(`Webhook responded with HTTP ${statusCode}`, {
+        retryable: isRetryableStatus(statusCode)
+      });
+    }
+    return { status: 'delivered', detail: `HTTP ${statusCode}` };
+  }
+
+  // Resolves the response status. Connects only to public addresses (see publicLookup).
+  post(address, body, headers) {
+    const url = new URL(address);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        timeout: this.timeoutMs
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`timed out after ${this.timeoutMs}ms`)));
+      request.on('error', (error) => {
+        reject(error instanceof DeliveryError ? error : new DeliveryError(`Webhook request failed: ${error.message}`));
+      });
+      request.end(body);
+    });
+  }
+}
+
+function createNotificationChannel(type, options = {}) {
+  switch (type) {
+    case 'push':
+      return new PushChannel(options);
+    case 'socket':
+      return new SocketChannel(options);
+    case 'whatsapp':
+      return new WhatsAppSelfChannel(options);
+    case 'email':
+      return new EmailChannel(options);
+    case 'webhook':
+      return new WebhookChannel(options);
+    default:
+      throw new Error(`Unknown notification channel: ${type}`);
+  }
+}
+
+module.exports = {
+  DeliveryError,
+  EmailChannel,
+  PushChannel,
+  SocketChannel,
+  WebhookChannel,
+  WhatsAppSelfChannel,
+  assertPublicWebhookUrl,
+  createNotificationChannel
+};
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const { ClientError } = require('./clientError');
+const { assertPublicWebhookUrl } = require('./notificationChannels');
+
+class NotificationError extends ClientError {}
+
+const CHANNELS = ['push', 'socket', 'whatsapp', 'email', 'webhook'];
+const DEFAULT_ENABLED = ['push', 'socket'];
+const BATCH_SIZE = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Every notification a user gets goes through here: new actions, reminders, quiet hours digests and tests.
+ *
+ * Each notification becomes one `notification_logs` row per enabled channel. The table is both
+ * the outbox and the delivery log: rows start `pending`, are claimed by the outbox worker and end
+ * up `delivered`, `skipped` (nothing to deliver to, e.g. no registered devices), `failed` (after
+ * retries with exponential backoff), `held` (folded into a quiet hours digest) or `read`.
+ * The reason column says why, so users can see what happened to an alert they didn't get.
+ */
+class NotificationService {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.channels = options.channels || {}; // channel name -> channel, see notificationChannels.js
+    this.quietHours = options.quietHours || null;
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 30000;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 60 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.requireHttpsWebhooks = options.requireHttpsWebhooks || false;
+    this.timer = null;
+    this.processing = false;
+    this.runAgain = false;
+  }
+
+  // ================================
+  // CHANNEL SETTINGS
+  // ================================
+
+  async getChannelSettings(userId) {
+    const result = await this.db.query('SELECT * FROM notification_channels WHERE user_id = $1', [userId]);
+    const rows = new Map(result.rows.map(row => [row.channel, row]));
+
+    return CHANNELS.map(channel => {
+      const row = rows.get(channel);
+      return {
+        channel,
+        enabled: row ? row.is_enabled : DEFAULT_ENABLED.includes(channel),
+        address: row?.address || null,
+        hasSecret: !!row?.secret,
+        available: this.channels[channel]?.isAvailable() || false,
+        heldDuringQuietHours: this.channels[channel]?.interruptive || false
+      };
+    });
+  }
+
+  async getChannelTarget(userId, channel) {
+    const result = await this.db.query(
+      'SELECT address, secret FROM notification_channels WHERE user_id = $1 AND channel = $2',
+      [userId, channel]
+    );
+    return { userId, address: result.rows[0]?.address || null, secret: result.rows[0]?.secret || null };
+  }
+
+  // Resolves the channel's settings, plus `secret` when a webhook secret was just generated
+  async updateChannel(userId, channel, { enabled, address, secret } = {}) {
+    if (!CHANNELS.includes(channel)) {
+      throw new NotificationError(`Unknown channel "${channel}"`, 404);
+    }
+
+    const current = (await this.getChannelSettings(userId)).find(item => item.channel === channel);
+    const stored = await this.getChannelTarget(userId, channel);
+    const next = {
+      enabled: enabled ?? current.enabled,
+      address: address !== undefined ? (address ? String(address).trim() : null) : current.address,
+      secret: secret !== undefined ? secret : stored.secret
+    };
+
+    if (typeof next.enabled !== 'boolean') {
+      throw new NotificationError('enabled must be true or false');
+    }
+    if (next.enabled && !current.available) {
+      throw new NotificationError(`${channel} notifications are not configured on this server`);
+    }
+    await this.validateAddress(channel, next.address, next.enabled);
+
+    let generatedSecret = null;
+    if (channel === 'webhook' && next.enabled && !next.secret) {
+      generatedSecret = crypto.randomBytes(24).toString('hex');
+      next.secret = generatedSecret;
+    }
+
+    await this.db.query(
+      `INSERT INTO notification_channels (user_id, channel, is_enabled, address, secret)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, channel) DO UPDATE
+       SET is_enabled = EXCLUDED.is_enabled, address = EXCLUDED.address, secret = EXCLUDED.secret,
+           updated_at = CURRENT_TIMESTAMP`,
+      [userId, channel, next.enabled, next.address, next.secret]
+    );
+
+    const settings = (await this.getChannelSettings(userId)).find(item => item.channel === channel);
+    return generatedSecret ? { ...settings, secret: generatedSecret } : settings;
+  }
+
+  async validateAddress(channel, address, enabled) {
+    switch (channel) {
+      case 'email':
+        if (enabled && !address) throw new NotificationError('An email address is required');
+        if (address && !EMAIL_PATTERN.test(address)) throw new NotificationError('address must be an email address');
+        break;
+      case 'webhook': {
+        if (enabled && !address) throw new NotificationError('A webhook URL is required');
+        if (!address) break;
+        let url;
+        try {
+          url = new URL(address);
+        } catch (error) {
+          throw new NotificationError('address must be a URL');
+        }
+        const protocols = this.requireHttpsWebhooks ? ['https:'] : ['https:', 'http:'];
+        if (!protocols.includes(url.protocol)) {
+          throw new NotificationError(`Webhook URLs must use ${protocols.map(p => p.slice(0, -1)).join(' or ')}`);
+        }
+        // The server POSTs to it, so it must not point into the server's own network
+        try {
+          await assertPublicWebhookUrl(address);
+        } catch (error) {
+          throw new NotificationError(error.message);
+        }
+        break;
+      }
+      case 'whatsapp':
+        // Optional; defaults to the user's own number
+        if (address && address.replace(/\D/g, '').length < 8) {
+          throw new NotificationError('address must be a phone number');
+        }
+        break;
+      default:
+        if (address) throw new NotificationError(`${channel} notifications take no address`);
+    }
+  }
+
+  async getEnabledChannels(userId) {
+    return (await this.getChannelSettings(userId)).filter(item => item.enabled).map(item => item.channel);
+  }
+
+  // ================================
+  // SENDING
+  // ================================
+
+  // `action` is { actionId, type, description, priority }
+  async notifyAction(userId, action) {
+    await this.notify(userId, 'action', {
+      title: '🤖 AI Suggestion - Approval Needed',
+      body: `${action.type}: ${action.description} - Tap to approve or reject`,
+      url: 'juta-actions://action/' + action.actionId,
+      data: { actionId: action.actionId, actionType: action.type, description: action.description, userId }
+    }, action);
+  }
+
+  // A reminder coming due; `late` when it fired after the server was down
+  async notifyReminder(userId, reminder, { late = false } = {}) {
+    await this.notify(userId, 'reminder', {
+      title: `⏰ ${reminder.title}`,
+      body: late ? `${reminder.content} (missed while offline)` : reminder.content,
+      url: 'juta-actions://reminder/' + reminder.id,
+      data: { reminderId: reminder.id, actionId: reminder.action_id, userId, late }
+    }, { actionId: reminder.action_id, type: 'reminder', description: reminder.title, priority: reminder.priority });
+  }
+
+  // Queue `message` on the user's enabled channels. During quiet hours interruptive channels
+  // wait for the digest, which lists the item as `type: description`.
+  async notify(userId, kind, message, { actionId = null, type, description, priority } = {}) {
+    let held = null;
+    if (this.quietHours) {
+      const delivery = await this.quietHours.checkDelivery(userId, { priority });
+      if (!delivery.deliver) {
+        await this.quietHours.enqueue(userId, { actionId, type, description, priority }, delivery.until);
+        held = `${delivery.reason === 'snoozed' ? 'Snoozed' : 'Quiet hours'} until ${delivery.until.toISOString()}`;
+      }
+    }
+
+    for (const channel of await this.getEnabledChannels(userId)) {
+      const status = held && this.channels[channel]?.interruptive ? 'held' : 'pending';
+      await this.record(userId, channel, kind, message, { actionId, status, reason: status === 'held' ? held : null });
+    }
+    this.kick();
+  }
+
+  // One notification for everything held back during quiet hours
+  async notifyDigest(userId, notifications) {
+    const preview = notifications.slice(0, 3).map(item => `${item.action_type}: ${item.description}`).join('\n');
+    const more = notifications.length > 3 ? `\n+${notifications.length - 3} more` : '';
+    const message = {
+      title: `☀️ ${notifications.length} AI suggestion${notifications.length === 1 ? '' : 's'} while you were away`,
+      body: `${preview}${more}`,
+      url: 'juta-actions://actions',
+      data: { digest: true, actionIds: notifications.map(item => item.action_id), userId }
+    };
+
+    for (const channel of await this.getEnabledChannels(userId)) {
+      if (this.channels[channel]?.interruptive) {
+        await this.record(userId, channel, 'digest', message);
+      }
+    }
+    this.kick();
+  }
+
+  /**
+   * Send a test notification on one channel right away, enabled or not, and resolve its log entry.
+   * `playerIds` narrows a push test to specific devices.
+   */
+  async sendTest(userId, channel, { playerIds } = {}) {
+    if (!CHANNELS.includes(channel)) {
+      throw new NotificationError(`Unknown channel "${channel}"`, 404);
+    }
+    if (!this.channels[channel]?.isAvailable()) {
+      throw new NotificationError(`${channel} notifications are not configured on this server`);
+    }
+
+    const row = await this.record(userId, channel, 'test', {
+      title: '🎯 Test Notification!',
+      body: 'This is a test notification from Juta Actions!',
+      url: null,
+      data: { test: true },
+      ...(playerIds ? { target: { playerIds } } : {})
+    }, { status: 'sending', attempts: 1 });
+
+    return this.deliver(row, { retry: false });
+  }
+
+  async record(userId, channel, kind, message, { actionId = null, status = 'pending', reason = null, attempts = 0 } = {}) {
+    const result = await this.db.query(
+      `INSERT INTO notification_logs
+         (user_id, action_id, notification_type, channel, status, reason, payload, attempts, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       RETURNING *`,
+      [userId, actionId, kind, channel, status, reason, JSON.stringify(message), attempts]
+    );
+    return result.rows[0];
+  }
+
+  // ================================
+  // OUTBOX
+  // ================================
+
+  start() {
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    this.kick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  kick() {
+    this.processOutbox().catch(error => console.error('❌ Notification outbox run failed:', error.message));
+  }
+
+  async processOutbox() {
+    if (this.processing) {
+      this.runAgain = true;
+      return;
+    }
+
+    this.processing = true;
+    try {
+      do {
+        this.runAgain = false;
+
+        // Rows claimed by a process that died mid-delivery
+        await this.db.query(
+          `UPDATE notification_logs SET status = 'pending', updated_at = NOW()
+           WHERE status = 'sending' AND updated_at < NOW() - INTERVAL '5 minutes'`
+        );
+
+        const claimed = await this.db.query(
+          `UPDATE notification_logs SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+           WHERE id IN (
+             SELECT id FROM notification_logs
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [BATCH_SIZE]
+        );
+
+        for (const row of claimed.rows) {
+          await this.deliver(row);
+        }
+        if (claimed.rows.length === BATCH_SIZE) {
+          this.runAgain = true;
+        }
+      } while (this.runAgain);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Attempt one claimed row and record the outcome; resolves the updated row
+  async deliver(row, { retry = true } = {}) {
+    const channel = this.channels[row.channel];
+    const { target: overrides, ...message } = row.payload;
+
+    try {
+      let result;
+      if (!channel || !channel.isAvailable()) {
+        result = { status: 'skipped', detail: 'Channel is not configured on this server' };
+      } else {
+        const target = { ...await this.getChannelTarget(row.user_id, row.channel), ...overrides };
+        result = await channel.deliver(target, { id: row.id, kind: row.notification_type, ...message });
+      }
+
+      const updated = await this.db.query(
+        `UPDATE notification_logs
+         SET status = $2, reason = $3, delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() END, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, result.status, result.detail]
+      );
+      console.log(`🔔 ${row.notification_type} notification ${row.id} via ${row.channel} for user ${row.user_id}: ${result.status}${result.detail ? ` (${result.detail})` : ''}`);
+      return updated.rows[0];
+    } catch (error) {
+      const willRetry = retry && error.retryable !== false && row.attempts < this.maxAttempts;
+      const delayMs = Math.min(this.retryBaseDelayMs * Math.pow(2, row.attempts - 1), this.retryMaxDelayMs);
+
+      const updated = await this.db.query(
+        `UPDATE notification_logs
+         SET status = $2, reason = $3, next_attempt_at = NOW() + $4 * INTERVAL '1 millisecond', updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, willRetry ? 'pending' : 'failed', error.message, willRetry ? delayMs : 0]
+      );
+      console.error(`❌ ${row.notification_type} notification ${row.id} via ${row.channel} for user ${row.user_id} failed (attempt ${row.attempts}): ${error.message}${willRetry ? `, retrying in ${Math.round(delayMs / 1000)}s` : ''}`);
+      return updated.rows[0];
+    }
+  }
+
+  // ================================
+  // DELIVERY LOG
+  // ================================
+
+  async listLog(userId, { status, channel, actionId, limit = 50 } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (channel) {
+      params.push(channel);
+      conditions.push(`channel = $${params.length}`);
+    }
+    if (actionId) {
+      params.push(actionId);
+      conditions.push(`action_id = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    const result = await this.db.query(
+      `SELECT id, action_id, notification_type AS kind, channel, status, reason, attempts,
+              payload->>'title' AS title, payload->>'body' AS body,
+              next_attempt_at, delivered_at, read_at, created_at
+       FROM notification_logs
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  async markRead(userId, notificationId) {
+    const result = await this.db.query(
+      'SELECT status FROM notification_logs WHERE id = $1 AND user_id = $2',
+      [notificationId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new NotificationError('Notification not found', 404);
+    }
+    if (!['delivered', 'read'].includes(result.rows[0].status)) {
+      throw new NotificationError('Only delivered notifications can be marked as read', 409);
+    }
+
+    await this.db.query(
+      `UPDATE notification_logs SET status = 'read', read_at = COALESCE(read_at, NOW()), updated_at = NOW()
+       WHERE id = $1`,
+      [notificationId]
+    );
+  }
+}
+
+module.exports = NotificationService;
+module.exports.NotificationError = NotificationError;
+module.exports.CHANNELS = CHANNELS;
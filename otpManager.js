@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { ClientError } = require('./clientError');
+
+class OtpError extends ClientError {
+  constructor(message, statusCode = 401) {
+    super(message, statusCode);
+  }
+}
+
+class OtpManager {
+  constructor(db, sender, options = {}) {
+    this.db = db;
+    this.sender = sender;
+    this.secret = options.secret;
+
+    // Configuration
+    this.CODE_LENGTH = options.codeLength || 6;
+    this.CODE_TTL_SECONDS = options.codeTtlSeconds || 300; // 5 minutes
+    this.MAX_ATTEMPTS = options.maxAttempts || 5;
+    this.RESEND_COOLDOWN_SECONDS = options.resendCooldownSeconds || 30;
+  }
+
+  // Issue a new code for the phone number and deliver it through the configured sender
+  async issueCode(phoneNumber, context = {}) {
+    // Throttle code requests for the same number
+    const recent = await this.db.query(
+      `SELECT 1 FROM login_otps
+       WHERE phone_number = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+      [phoneNumber, this.RESEND_COOLDOWN_SECONDS]
+    );
+
+    if (recent.rows.length > 0) {
+      throw new OtpError(`Please wait ${this.RESEND_COOLDOWN_SECONDS} seconds before requesting another code`, 429);
+    }
+
+    const code = this.generateCode();
+
+    // Only the latest code is valid - invalidate anything still outstanding
+    await this.db.query(
+      'UPDATE login_otps SET consumed_at = NOW() WHERE phone_number = $1 AND consumed_at IS NULL',
+      [phoneNumber]
+    );
+
+    const result = await this.db.query(
+      `INSERT INTO login_otps (phone_number, code_hash, max_attempts, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       RETURNING id`,
+      [phoneNumber, this.hashCode(phoneNumber, code), this.MAX_ATTEMPTS, this.CODE_TTL_SECONDS]
+    );
+
+    try {
+      await this.sender.send(phoneNumber, code, {
+        ...context,
+        expiresInSeconds: this.CODE_TTL_SECONDS
+      });
+    } catch (error) {
+      // A code the user never received must not stay usable
+      await this.db.query('UPDATE login_otps SET consumed_at = NOW() WHERE id = $1', [result.rows[0].id]);
+      console.error(`❌ Failed to deliver login code to ${phoneNumber}:`, error.message);
+      throw new OtpError(`Failed to deliver login code: ${error.message}`, 503);
+    }
+
+    // Housekeeping - old codes are of no use to anyone
+    await this.db.query(`DELETE FROM login_otps WHERE created_at < NOW() - INTERVAL '1 day'`);
+
+    console.log(`🔐 Login code issued for ${phoneNumber}`);
+    return { expiresIn: this.CODE_TTL_SECONDS };
+  }
+
+  // Check a submitted code. Resolves when valid, throws OtpError otherwise.
+  async verifyCode(phoneNumber, code) {
+    const result = await this.db.query(
+      `SELECT id, code_hash, attempts, max_attempts, expires_at < NOW() AS expired
+       FROM login_otps
+       WHERE phone_number = $1 AND consumed_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [phoneNumber]
+    );
+
+    if (result.rows.length === 0) {
+      throw new OtpError('No active login code. Please request a new one');
+    }
+
+    const otp = result.rows[0];
+
+    if (otp.expired) {
+      throw new OtpError('Login code has expired. Please request a new one');
+    }
+
+    // Count the attempt before comparing so parallel guesses can't exceed the limit
+    const attempt = await this.db.query(
+      `UPDATE login_otps SET attempts = attempts + 1
+       WHERE id = $1 AND attempts < max_attempts AND consumed_at IS NULL
+       RETURNING attempts, max_attempts`,
+      [otp.id]
+    );
+
+    if (attempt.rows.length === 0) {
+      throw new OtpError('Too many incorrect attempts. Please request a new code', 429);
+    }
+
+    if (!this.codeMatches(phoneNumber, String(code || '').trim(), otp.code_hash)) {
+      const remaining = attempt.rows[0].max_attempts - attempt.rows[0].attempts;
+      throw new OtpError(
+        remaining > 0
+          ? `Invalid login code. ${remaining} attempt(s) remaining`
+          : 'Too many incorrect attempts. Please request a new code',
+        remaining > 0 ? 401 : 429
+      );
+    }
+
+    // Consume the code - the WHERE clause makes a code usable exactly once
+    const consumed = await this.db.query(
+      'UPDATE login_otps SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING id',
+      [otp.id]
+    );
+
+    if (consumed.rows.length === 0) {
+      throw new OtpError('Login code has already been used');
+    }
+
+    return true;
+  }
+
+  // ================================
+  // HELPER FUNCTIONS
+  // ================================
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** this.CODE_LENGTH).toString().padStart(this.CODE_LENGTH, '0');
+  }
+
+  hashCode(phoneNumber, code) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${phoneNumber}:${code}`)
+      .digest('hex');
+  }
+
+  codeMatches(phoneNumber, code, storedHash) {
+    const expected = Buffer.from(storedHash, 'hex');
+    const actual = Buffer.from(this.hashCode(phoneNumber, code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = OtpManager;
+module.exports.OtpError = OtpError;
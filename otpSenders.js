@@ -0,0 +1,49 @@
+// Delivery channels for one-time login codes.
+// Every sender implements: async send(phoneNumber, code, { userId, expiresInSeconds })
+
+// Local development sender - prints the code to the server log
+class ConsoleOtpSender {
+  async send(phoneNumber, code, { expiresInSeconds } = {}) {
+    console.log(`🔐 [DEV] Login code for ${phoneNumber}: ${code} (expires in ${Math.round(expiresInSeconds / 60)} min)`);
+  }
+}
+
+// Sends the code to the user's own chat through their connected WhatsApp session
+class WhatsAppOtpSender {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+  }
+
+  async send(phoneNumber, code, { userId, expiresInSeconds } = {}) {
+    const userSession = userId ? this.sessionManager.getUserSession(userId) : null;
+
+    if (!userSession || !userSession.transport || !userSession.isConnected) {
+      throw new Error('No connected WhatsApp session for this number');
+    }
+
+    const chatId = `${phoneNumber.replace(/\D/g, '')}@c.us`;
+    const minutes = Math.round(expiresInSeconds / 60);
+
+    const text = `🔐 Your Juta Actions login code is ${code}. It expires in ${minutes} minutes. Do not share this code with anyone.`;
+    // The code comes straight back through the session as our own message; it must not be logged or analysed
+    this.sessionManager.expectOwnMessage(userId, text);
+    await userSession.transport.send(chatId, text);
+  }
+}
+
+function createOtpSender(type, { sessionManager } = {}) {
+  switch (type) {
+    case 'whatsapp':
+      return new WhatsAppOtpSender(sessionManager);
+    case 'console':
+      return new ConsoleOtpSender();
+    default:
+      throw new Error(`Unknown OTP sender: ${type}`);
+  }
+}
+
+module.exports = {
+  ConsoleOtpSender,
+  WhatsAppOtpSender,
+  createOtpSender
+};
@@ -0,0 +1,276 @@
+const { ClientError } = require('./clientError');
+const { getZonedParts, isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+
+class QuietHoursError extends ClientError {}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Per-user quiet hours for push notifications.
+ *
+ * A schedule is a list of periods in the user's time zone, e.g.
+ *   [{ days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' }, { days: [0, 6], start: '23:00', end: '09:00' }]
+ * with days 0 (Sunday) to 6. A period ending at or before its start runs overnight and belongs
+ * to the day it starts on. Snoozing silences everything until a given time.
+ *
+ * Notifications held back during a quiet period are queued and sent as one digest when it ends.
+ * Urgent actions break through when the user allows it.
+ */
+class QuietHours {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
+    this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+    this.timer = null;
+  }
+
+  // ================================
+  // SETTINGS
+  // ================================
+
+  // The schedule runs in the user's own time zone (see userSettings.js)
+  async getSettings(userId) {
+    const result = await this.db.query(
+      `SELECT np.*, u.timezone AS user_timezone
+       FROM users u
+       LEFT JOIN notification_preferences np ON np.user_id = u.id
+       WHERE u.id = $1`,
+      [userId]
+    );
+    const row = result.rows[0];
+
+    return {
+      enabled: row?.quiet_hours_enabled ?? false,
+      timezone: row?.user_timezone || this.defaultTimezone,
+      schedule: row?.quiet_schedule ?? [],
+      allowUrgent: row?.allow_urgent ?? true,
+      snoozedUntil: row?.snoozed_until || null
+    };
+  }
+
+  async updateSettings(userId, { enabled, timezone, schedule, allowUrgent } = {}) {
+    const current = await this.getSettings(userId);
+    const next = {
+      enabled: enabled ?? current.enabled,
+      timezone: timezone ?? current.timezone,
+      schedule: schedule ?? current.schedule,
+      allowUrgent: allowUrgent ?? current.allowUrgent
+    };
+
+    if (typeof next.enabled !== 'boolean' || typeof next.allowUrgent !== 'boolean') {
+      throw new QuietHoursError('enabled and allowUrgent must be true or false');
+    }
+    if (!isValidTimeZone(next.timezone)) {
+      throw new QuietHoursError(`Unknown time zone "${next.timezone}"`);
+    }
+    this.validateSchedule(next.schedule);
+
+    await this.db.query(
+      `INSERT INTO notification_preferences (user_id, quiet_hours_enabled, quiet_schedule, allow_urgent)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE
+       SET quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+           quiet_schedule = EXCLUDED.quiet_schedule, allow_urgent = EXCLUDED.allow_urgent,
+           updated_at = CURRENT_TIMESTAMP`,
+      [userId, next.enabled, JSON.stringify(next.schedule), next.allowUrgent]
+    );
+    // Still accepted here for older clients; it is the user's time zone everywhere
+    if (timezone !== undefined && timezone !== current.timezone) {
+      await this.db.query('UPDATE users SET timezone = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [userId, next.timezone]);
+    }
+
+    return this.getSettings(userId);
+  }
+
+  validateSchedule(schedule) {
+    if (!Array.isArray(schedule) || schedule.length > 14) {
+      throw new QuietHoursError('schedule must be a list of at most 14 periods');
+    }
+
+    for (const period of schedule) {
+      const validDays = Array.isArray(period?.days) && period.days.length > 0 &&
+        period.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!validDays) {
+        throw new QuietHoursError('Each period needs days: a list of weekdays from 0 (Sunday) to 6');
+      }
+      if (!TIME_PATTERN.test(period.start || '') || !TIME_PATTERN.test(period.end || '')) {
+        throw new QuietHoursError('Each period needs start and end times as HH:MM');
+      }
+    }
+  }
+
+  // Silence everything for `minutes`; 0 ends the snooze
+  async snooze(userId, minutes) {
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_SNOOZE_MINUTES) {
+      throw new QuietHoursError(`minutes must be a whole number between 0 and ${MAX_SNOOZE_MINUTES}`);
+    }
+
+    const snoozedUntil = minutes > 0 ? new Date(Date.now() + minutes * 60000) : null;
+    await this.db.query(
+      `INSERT INTO notification_preferences (user_id, snoozed_until)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET snoozed_until = EXCLUDED.snoozed_until, updated_at = CURRENT_TIMESTAMP`,
+      [userId, snoozedUntil]
+    );
+
+    // Ending a snooze early releases what it held back
+    if (!snoozedUntil) {
+      await this.db.query(
+        'UPDATE queued_notifications SET deliver_after = NOW() WHERE user_id = $1 AND delivered_at IS NULL',
+        [userId]
+      );
+    }
+
+    return this.getSettings(userId);
+  }
+
+  // ================================
+  // DELIVERY DECISIONS
+  // ================================
+
+  /**
+   * Whether the user is in a quiet period at `now`, and until when.
+   * Resolves { quiet, until, reason } where reason is 'snoozed' or 'schedule'.
+   */
+  getQuietPeriod(settings, now = new Date()) {
+    let until = null;
+    let reason = null;
+
+    if (settings.snoozedUntil && new Date(settings.snoozedUntil) > now) {
+      until = new Date(settings.snoozedUntil);
+      reason = 'snoozed';
+    }
+
+    if (settings.enabled) {
+      const local = getZonedParts(now, settings.timezone);
+      const minuteOfDay = local.hour * 60 + local.minute;
+      const yesterday = (local.weekday + 6) % 7;
+
+      for (const period of settings.schedule) {
+        const start = toMinutes(period.start);
+        const end = toMinutes(period.end);
+        let endsOnDay = null; // 0 = today, 1 = tomorrow
+
+        if (start < end) {
+          if (period.days.includes(local.weekday) && minuteOfDay >= start && minuteOfDay < end) endsOnDay = 0;
+        } else if (period.days.includes(local.weekday) && minuteOfDay >= start) {
+          endsOnDay = 1;
+        } else if (period.days.includes(yesterday) && minuteOfDay < end) {
+          endsOnDay = 0;
+        }
+
+        if (endsOnDay !== null) {
+          const periodEnd = zonedTimeToUtc({
+            year: local.year,
+            month: local.month,
+            day: local.day + endsOnDay,
+            hour: Math.floor(end / 60),
+            minute: end % 60
+          }, settings.timezone);
+
+          if (!until || periodEnd > until) {
+            until = periodEnd;
+            reason = reason || 'schedule';
+          }
+        }
+      }
+    }
+
+    return { quiet: !!until, until, reason };
+  }
+
+  /**
+   * Decide whether a notification may be pushed now.
+   * Resolves { deliver: true } or { deliver: false, until } when it should wait for the digest.
+   */
+  async checkDelivery(userId, { priority } = {}) {
+    const settings = await this.getSettings(userId);
+    const period = this.getQuietPeriod(settings);
+
+    if (!period.quiet) {
+      return { deliver: true };
+    }
+    if (priority === 'urgent' && settings.allowUrgent) {
+      return { deliver: true, brokeThrough: true };
+    }
+    return { deliver: false, until: period.until, reason: period.reason };
+  }
+
+  async enqueue(userId, { actionId, type, description, priority }, deliverAfter) {
+    await this.db.query(
+      `INSERT INTO queued_notifications (user_id, action_id, action_type, description, priority, deliver_after)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, actionId, type, description, priority || null, deliverAfter]
+    );
+    console.log(`🌙 Notification for action ${actionId} held for user ${userId} until ${deliverAfter.toISOString()}`);
+  }
+
+  async getQueuedCount(userId) {
+    const result = await this.db.query(
+      'SELECT COUNT(*) AS count FROM queued_notifications WHERE user_id = $1 AND delivered_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  // ================================
+  // DIGESTS
+  // ================================
+
+  // `sendDigest(userId, notifications)` pushes one notification summarising the queued ones
+  start(sendDigest) {
+    this.sendDigest = sendDigest;
+    this.timer = setInterval(() => {
+      this.deliverDueDigests().catch(error => console.error('❌ Quiet hours digest run failed:', error.message));
+    }, this.checkIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async deliverDueDigests() {
+    const due = await this.db.query(
+      `SELECT DISTINCT user_id FROM queued_notifications
+       WHERE delivered_at IS NULL AND deliver_after <= NOW()`
+    );
+
+    for (const { user_id: userId } of due.rows) {
+      try {
+        // The schedule may have changed, or a new snooze started, since these were queued
+        const period = this.getQuietPeriod(await this.getSettings(userId));
+        if (period.quiet) {
+          await this.db.query(
+            'UPDATE queued_notifications SET deliver_after = $2 WHERE user_id = $1 AND delivered_at IS NULL',
+            [userId, period.until]
+          );
+          continue;
+        }
+
+        const queued = await this.db.query(
+          `UPDATE queued_notifications SET delivered_at = NOW()
+           WHERE user_id = $1 AND delivered_at IS NULL
+           RETURNING action_id, action_type, description, priority, created_at`,
+          [userId]
+        );
+
+        if (queued.rows.length > 0) {
+          await this.sendDigest(userId, queued.rows);
+          console.log(`☀️ Sent digest of ${queued.rows.length} notification(s) to user ${userId}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send notification digest to user ${userId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = QuietHours;
+module.exports.QuietHoursError = QuietHoursError;
@@ -0,0 +1,235 @@
+const { RRule, RRuleSet } = require('rrule');
+const { ClientError } = require('./clientError');
+const { getZonedParts, toInstant, zonedTimeToUtc } = require('./timezone');
+
+class RecurrenceError extends ClientError {}
+
+// Item types that can repeat, and the column holding each one's date
+const RECURRING_TYPES = {
+  reminder: 'reminder_datetime',
+  event: 'event_datetime',
+  task: 'due_datetime'
+};
+
+const MAX_EXCEPTIONS = 500;
+const MAX_OCCURRENCES = 366;
+
+/*
+ * iCalendar RRULE recurrence for reminders, tasks and events.
+ *
+ * A series is stored on the item as recurrence_rule (the RRULE without DTSTART, e.g.
+ * "FREQ=MONTHLY;BYDAY=2TU" or "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20271231T000000Z"),
+ * recurrence_start (the first occurrence, which anchors rules such as "every 2nd Tuesday") and
+ * recurrence_exceptions (occurrences that were skipped, as ISO datetimes).
+ *
+ * Rules are evaluated in the owner's time zone, so "every day at 9am" stays at 9am on their
+ * clock across DST changes: rrule works on "floating" dates whose UTC fields hold the wall-clock time.
+ */
+
+function toFloating(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+function fromFloating(date, timeZone) {
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, timeZone);
+}
+
+// Rule equivalent to a reminder's old repeat_type. Monthly and yearly repeats from a late day
+// of the month fall back to the month's last day instead of skipping months without it.
+function legacyRule(repeatType, anchor, timeZone = 'UTC') {
+  const { day, month } = anchor ? getZonedParts(new Date(anchor), timeZone) : { day: 1, month: 1 };
+  const lateDays = day > 28 ? `;BYMONTHDAY=${Array.from({ length: day - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1` : '';
+
+  switch (repeatType) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekly':
+      return 'FREQ=WEEKLY';
+    case 'monthly':
+      return `FREQ=MONTHLY${lateDays}`;
+    case 'yearly':
+      return lateDays ? `FREQ=YEARLY;BYMONTH=${month}${lateDays}` : 'FREQ=YEARLY';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a recurrence from an API request or the AI. Accepts an RRULE ("FREQ=WEEKLY;BYDAY=MO",
+ * with or without the "RRULE:" prefix), simple English ("every weekday") or
+ * { rule, exceptions }. Resolves { rule, exceptions } with the rule in canonical form; exceptions
+ * without a UTC offset are read in `timeZone`.
+ */
+function parseRecurrence(input, timeZone = 'UTC') {
+  const { rule, exceptions = [] } = typeof input === 'string' ? { rule: input } : (input || {});
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new RecurrenceError('recurrence needs a rule, e.g. "FREQ=WEEKLY;BYDAY=MO"');
+  }
+
+  let options;
+  const text = rule.trim().replace(/^RRULE:/i, '');
+  try {
+    options = /FREQ=/i.test(text) ? RRule.parseString(text.toUpperCase()) : RRule.parseText(text);
+  } catch (error) {
+    throw new RecurrenceError(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  if (!options || options.freq === undefined) {
+    throw new RecurrenceError(`Could not understand recurrence "${rule}"`);
+  }
+  if (options.freq === RRule.SECONDLY || options.freq === RRule.MINUTELY) {
+    throw new RecurrenceError('Items can repeat at most hourly');
+  }
+  delete options.dtstart;
+
+  if (!Array.isArray(exceptions) || exceptions.length > MAX_EXCEPTIONS) {
+    throw new RecurrenceError(`exceptions must be a list of at most ${MAX_EXCEPTIONS} datetimes`);
+  }
+  const parsedExceptions = exceptions.map(value => {
+    const date = toInstant(value, timeZone);
+    if (!date || isNaN(date)) throw new RecurrenceError(`Invalid exception datetime "${value}"`);
+    return date.toISOString();
+  });
+
+  return { rule: RRule.optionsToString(options).replace(/^RRULE:/, ''), exceptions: parsedExceptions };
+}
+
+// The rule an item follows, if any: its own recurrence_rule or, for reminders, its repeat_type
+function getItemRule(item, timeZone = 'UTC') {
+  return item.recurrence_rule || legacyRule(item.repeat_type, item.recurrence_start || item.reminder_datetime, timeZone);
+}
+
+function buildRuleSet(item, type, timeZone) {
+  const rule = getItemRule(item, timeZone);
+  const anchor = item.recurrence_start || item[RECURRING_TYPES[type]];
+  if (!rule || !anchor) return null;
+
+  const set = new RRuleSet();
+  set.rrule(new RRule({ ...RRule.parseString(rule), dtstart: toFloating(new Date(anchor), timeZone) }));
+  for (const exception of item.recurrence_exceptions || []) {
+    set.exdate(toFloating(new Date(exception), timeZone));
+  }
+  return set;
+}
+
+// First occurrence strictly after `after`, or null when the item doesn't repeat or the series has ended
+function nextOccurrence(item, type, after, timeZone = 'UTC') {
+  const set = buildRuleSet(item, type, timeZone);
+  if (!set) return null;
+
+  const next = set.after(toFloating(after, timeZone), false);
+  return next ? fromFloating(next, timeZone) : null;
+}
+
+// Occurrences from `start` to `end` inclusive
+function occurrencesBetween(item, type, start, end, { timeZone = 'UTC', limit = MAX_OCCURRENCES } = {}) {
+  const set = buildRuleSet(item, type, timeZone);
+  if (!set) return [];
+
+  return set.between(toFloating(start, timeZone), toFloating(end, timeZone), true, (_, count) => count < limit)
+    .map(date => fromFloating(date, timeZone));
+}
+
+// Columns to write for `recurrence` (see parseRecurrence; null clears it) on an item starting at
+// `datetime`, repeating on the clock of `timeZone`
+function recurrenceColumns(type, recurrence, datetime, timeZone = 'UTC') {
+  if (!RECURRING_TYPES[type]) {
+    throw new RecurrenceError(`${type} items can't repeat`);
+  }
+
+  if (recurrence === null) {
+    return {
+      recurrence_rule: null,
+      recurrence_start: null,
+      recurrence_exceptions: JSON.stringify([]),
+      ...(type === 'reminder' ? { repeat_type: 'none' } : {})
+    };
+  }
+
+  if (!datetime) {
+    throw new RecurrenceError(`A repeating ${type} needs a date`);
+  }
+  const { rule, exceptions } = parseRecurrence(recurrence, timeZone);
+
+  // The first occurrence may be later than the requested date ("every Monday" created on a Wednesday)
+  const start = new Date(datetime);
+  const first = nextOccurrence(
+    { recurrence_rule: rule, recurrence_start: start, recurrence_exceptions: exceptions },
+    type, new Date(start.getTime() - 1000), timeZone
+  );
+  if (!first) {
+    throw new RecurrenceError('The recurrence rule has no occurrences');
+  }
+
+  const simple = Object.entries({ daily: 'FREQ=DAILY', weekly: 'FREQ=WEEKLY', monthly: 'FREQ=MONTHLY', yearly: 'FREQ=YEARLY' })
+    .find(([, value]) => value === rule);
+
+  return {
+    recurrence_rule: rule,
+    recurrence_start: first,
+    recurrence_exceptions: JSON.stringify(exceptions),
+    [RECURRING_TYPES[type]]: first,
+    ...(type === 'reminder' ? { repeat_type: simple ? simple[0] : 'custom' } : {})
+  };
+}
+
+/**
+ * Rows with repeating items expanded into one entry per occurrence between `start` and `end`.
+ * Occurrences are copies of their series' row with the date set and `occurrence: true`; rows
+ * that don't repeat are passed through as they are (callers select those by date already).
+ */
+function expandOccurrences(rows, type, start, end, { limitPerItem = 50, timeZone = 'UTC' } = {}) {
+  const field = RECURRING_TYPES[type];
+  const expanded = [];
+
+  for (const row of rows) {
+    if (!getItemRule(row, timeZone) || !row[field]) {
+      expanded.push(row);
+      continue;
+    }
+
+    // Occurrences before the row's own date are already done (or belong to an earlier row)
+    const from = new Date(Math.max(start.getTime(), new Date(row[field]).getTime()));
+    // Events keep their length
+    const durationMs = type === 'event' && row.end_datetime ? new Date(row.end_datetime) - new Date(row[field]) : null;
+    for (const date of occurrencesBetween(row, type, from, end, { timeZone, limit: limitPerItem })) {
+      expanded.push({
+        ...row,
+        [field]: date,
+        ...(durationMs !== null ? { end_datetime: new Date(date.getTime() + durationMs) } : {}),
+        occurrence: date.getTime() !== new Date(row[field]).getTime()
+      });
+    }
+  }
+
+  return expanded.sort((a, b) => new Date(a[field]) - new Date(b[field]));
+}
+
+function describeRule(rule) {
+  try {
+    return RRule.fromString(rule).toText();
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  RECURRING_TYPES,
+  RecurrenceError,
+  describeRule,
+  expandOccurrences,
+  getItemRule,
+  legacyRule,
+  nextOccurrence,
+  occurrencesBetween,
+  parseRecurrence,
+  recurrenceColumns
+};
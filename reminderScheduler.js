@@ -0,0 +1,135 @@
+const { nextOccurrence } = require('./recurrence');
+
+const BATCH_SIZE = 50;
+
+/**
+ * Fires reminders from `internal_reminders` when they come due.
+ *
+ * The table is the job queue: an active or snoozed reminder is due when its reminder_datetime has
+ * passed and it hasn't fired since (last_fired_at). Snoozing or rescheduling moves
+ * reminder_datetime past last_fired_at, which arms it again. Repeating reminders (a
+ * recurrence_rule or a plain repeat_type) are rolled forward to their next occurrence when they fire.
+ *
+ * Due rows are claimed with FOR UPDATE SKIP LOCKED, so several server instances can poll at once
+ * without firing a reminder twice. Reminders missed while the server was down fire once, late,
+ * on the next poll; ones overdue by more than the catch-up window are rolled forward silently.
+ */
+class ReminderScheduler {
+  constructor(db, notificationService, options = {}) {
+    this.db = db;
+    this.notificationService = notificationService;
+    this.emitToUser = options.emitToUser || (() => {});
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.catchUpMs = (options.catchUpHours || 24) * 60 * 60 * 1000;
+    this.defaultTimezone = options.defaultTimezone || 'UTC'; // For users who haven't set one
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    if (this.running) return;
+    this.running = true;
+    this.fireDueReminders()
+      .catch(error => console.error('❌ Reminder scheduler run failed:', error.message))
+      .finally(() => { this.running = false; });
+  }
+
+  // Resolves the number of reminders fired
+  async fireDueReminders() {
+    let fired = 0;
+    let batch;
+
+    do {
+      batch = await this.withTransaction(async (client) => {
+        const due = await client.query(
+          `SELECT r.*, u.timezone AS user_timezone
+           FROM internal_reminders r
+           JOIN users u ON u.id = r.user_id
+           WHERE r.status IN ('active', 'snoozed') AND r.reminder_datetime <= NOW()
+             AND (r.last_fired_at IS NULL OR r.last_fired_at < r.reminder_datetime)
+           ORDER BY r.reminder_datetime
+           LIMIT $1
+           FOR UPDATE OF r SKIP LOCKED`,
+          [BATCH_SIZE]
+        );
+
+        // Notify before recording the firing: a crash in between fires the reminder again
+        // rather than losing it
+        let settled = 0;
+        for (const reminder of due.rows) {
+          try {
+            await client.query('SAVEPOINT reminder');
+            if (await this.fire(client, reminder)) fired++;
+            settled++;
+          } catch (error) {
+            // Stays due and is tried again on the next poll
+            await client.query('ROLLBACK TO SAVEPOINT reminder');
+            console.error(`❌ Failed to fire reminder ${reminder.id} for user ${reminder.user_id}:`, error.message);
+          }
+        }
+        return { claimed: due.rows.length, settled };
+      });
+    } while (batch.claimed === BATCH_SIZE && batch.settled > 0);
+
+    return fired;
+  }
+
+  // Resolves true if the user was notified, false if it was too old to be worth it
+  async fire(client, reminder) {
+    const now = new Date();
+    const overdueMs = now - new Date(reminder.reminder_datetime);
+    const notify = overdueMs <= this.catchUpMs;
+
+    if (notify) {
+      await this.notificationService.notifyReminder(reminder.user_id, reminder, {
+        late: overdueMs > 2 * this.pollIntervalMs
+      });
+    } else {
+      console.log(`⏭️ Reminder ${reminder.id} for user ${reminder.user_id} is ${Math.round(overdueMs / 3600000)}h overdue, not notifying`);
+    }
+
+    // Repeats follow the user's clock: a daily 9am reminder stays at 9am across DST changes
+    const next = nextOccurrence(reminder, 'reminder', now, reminder.user_timezone || this.defaultTimezone);
+    const updated = await client.query(
+      `UPDATE internal_reminders
+       SET last_fired_at = $2, reminder_datetime = COALESCE($3, reminder_datetime), status = 'active',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [reminder.id, now, next]
+    );
+
+    this.emitToUser(reminder.user_id, 'reminderFired', { reminder: updated.rows[0], notified: notify });
+    if (notify) {
+      console.log(`⏰ Fired reminder ${reminder.id} for user ${reminder.user_id}${next ? `, next on ${next.toISOString()}` : ''}`);
+    }
+    return notify;
+  }
+
+  async withTransaction(callback) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = ReminderScheduler;
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram Update Replay Tool
+ *
+ * Posts recorded Telegram updates to the webhook of a running server, the same way
+ * Telegram would, so the bot can be exercised locally without a public URL.
+ *
+ * Usage:
+ *   node replayTelegram.js <updates.json> [--url <webhook url>] [--link-code <code>]
+ *
+ * The file holds one update or an array of them, e.g. fixtures/telegram/example-updates.json.
+ * --link-code replaces the LINKCODE placeholder, use a code from POST /api/telegram/link.
+ */
+
+const fs = require('fs');
+const { getConfig } = require('./config');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+
+  if (!file) {
+    console.log('Usage: node replayTelegram.js <updates.json> [--url <webhook url>] [--link-code <code>]');
+    process.exit(1);
+  }
+
+  const config = getConfig();
+  if (!config.telegram.webhookSecret) {
+    throw new Error('TELEGRAM_WEBHOOK_SECRET is not set');
+  }
+
+  const url = getOption(args, '--url') || `http://localhost:${config.port}/webhooks/telegram`;
+  const linkCode = getOption(args, '--link-code');
+
+  let raw = fs.readFileSync(file, 'utf8');
+  if (linkCode) {
+    raw = raw.replace(/LINKCODE/g, linkCode);
+  }
+  const parsed = JSON.parse(raw);
+  const updates = Array.isArray(parsed) ? parsed : [parsed];
+
+  console.log(`🤖 Replaying ${updates.length} Telegram update(s) to ${url}`);
+
+  for (const update of updates) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Telegram-Bot-Api-Secret-Token': config.telegram.webhookSecret
+      },
+      body: JSON.stringify(update)
+    });
+    const body = await response.json().catch(() => ({}));
+    const text = update.message?.text || update.message?.caption || '(no text)';
+
+    console.log(`${response.ok && body.ok ? '✅' : '❌'} #${update.update_id} "${text.substring(0, 50)}" -> ${response.status} ${JSON.stringify(body)}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -1,38 +1,49 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const express = require('express');
 const { Server } = require('socket.io');
 const http = require('http');
 const cors = require('cors');
 const { Pool } = require('pg');
-const path = require('path');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const OneSignal = require('onesignal-node');
-require('dotenv').config({ path: path.resolve(__dirname, '.env') });
-
-// Set Chrome path for macOS
-process.env.CHROME_PATH = process.env.CHROME_PATH || '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+const { getConfig, ConfigError } = require('./config');
+const { sendError } = require('./clientError');
 
 const SessionManager = require('./sessionManager');
+const SessionBootQueue = require('./sessionBootQueue');
+const TelegramBotAdapter = require('./transports/telegramBotAdapter');
+const EmailIngestor = require('./transports/emailIngestor');
+const ChatExportImporter = require('./transports/chatExportImporter');
 const InternalItemsManager = require('./internalItemsManager');
 const InternalItemsCRUD = require('./internalItemsCRUD');
 const DashboardManager = require('./dashboardManager');
 const DatabaseMigrator = require('./database/migrator');
+const DatabaseSeeder = require('./database/seeder');
+const OtpManager = require('./otpManager');
+const NotificationService = require('./notificationService');
+const ReminderScheduler = require('./reminderScheduler');
+const { createNotificationChannel } = require('./notificationChannels');
+const { createOtpSender } = require('./otpSenders');
+const AuthSessionManager = require('./authSessionManager');
+const { createAuthMiddleware, requireRole } = require('./authMiddleware');
+const AuthorizedNumbersManager = require('./authorizedNumbersManager');
+const { localizeDates } = require('./timezone');
 
 class AIActionsServer {
-  constructor() {
+  constructor(config) {
+    this.config = config;
     this.app = express();
     this.server = http.createServer(this.app);
     this.io = new Server(this.server, {
       cors: {
-        origin: ["https://app.jutateknologi.com", "http://localhost:3001"],
+        origin: config.corsOrigins,
         methods: ["GET", "POST"],
         credentials: true
       }
     });
     
-    this.sessionManager = new SessionManager();
+    this.sessionManager = new SessionManager(config);
+    this.sessionBootQueue = new SessionBootQueue(this.sessionManager, config.sessionBoot);
     this.userSockets = new Map(); // userId -> socket mapping
     this.isConnected = false;
     this.currentQRCode = null;
@@ -40,82 +51,136 @@ class AIActionsServer {
 
     // Database connection
     this.db = new Pool({
-      connectionString: process.env.DATABASE_URL
+      connectionString: config.databaseUrl
     });
 
     // Initialize internal items manager
-    this.internalItemsManager = new InternalItemsManager(this.db);
-    this.internalItemsCRUD = new InternalItemsCRUD(this.db);
-    this.dashboardManager = new DashboardManager(this.db, this.internalItemsCRUD);
-
-    // Initialize OneSignal
-    this.oneSignalClient = new OneSignal.Client(
-      process.env.ONESIGNAL_APP_ID || '301d5b91-3055-4b33-8b34-902e885277f1',
-      process.env.ONESIGNAL_API_KEY || 'os_v2_app_gaovxejqkvfthczusaxiqutx6fip7opmbg2u4wv65o55a5utwahrk5tveqxrvsq5vjmnklxwhzx255qng56pdha2iuw544yb3bdhzcq'
+    this.internalItemsManager = new InternalItemsManager(this.db, { defaultTimezone: config.defaultTimezone });
+    this.internalItemsCRUD = new InternalItemsCRUD(this.db, { defaultTimezone: config.defaultTimezone });
+    this.dashboardManager = new DashboardManager(this.db, this.internalItemsCRUD, { defaultTimezone: config.defaultTimezone });
+
+    // One-time login codes, delivered over WhatsApp in production and logged locally in development
+    this.otpManager = new OtpManager(
+      this.db,
+      createOtpSender(config.otpSender, { sessionManager: this.sessionManager }),
+      { secret: config.jwtSecret }
     );
 
+    // Short-lived access tokens backed by revocable, refreshable sessions
+    this.authSessionManager = new AuthSessionManager(this.db, {
+      secret: config.jwtSecret
+    });
+
+    // Phone number whitelist, managed by admins
+    this.authorizedNumbersManager = new AuthorizedNumbersManager(this.db, {
+      adminPhoneNumbers: config.adminPhoneNumbers
+    });
+
+    // Telegram bot as a second message source, fed into the same pipeline as WhatsApp
+    this.telegramBot = config.telegram.webhookSecret
+      ? new TelegramBotAdapter(this.db, config.telegram, {
+          onMessage: (userId, messageData) => this.sessionManager.ingestMessage(userId, messageData)
+        })
+      : null;
+
+    // IMAP mailboxes and email file imports, also fed into the message pipeline
+    this.emailIngestor = new EmailIngestor(this.db, config.email, {
+      onMessage: (userId, messageData) => this.sessionManager.ingestMessage(userId, messageData)
+    });
+
+    // Past WhatsApp chats uploaded as "Export chat" files, analysed without notifications
+    this.chatExportImporter = new ChatExportImporter(this.sessionManager.messageGrouper);
+
+    // Initialize OneSignal (optional outside production)
+    this.oneSignalClient = config.oneSignal.appId && config.oneSignal.apiKey
+      ? new OneSignal.Client(config.oneSignal.appId, config.oneSignal.apiKey)
+      : null;
+
+    // Push, in-app, WhatsApp, email and webhook notifications, delivered through one outbox
+    this.notificationService = new NotificationService(this.db, {
+      ...config.notifications,
+      quietHours: this.sessionManager.quietHours,
+      requireHttpsWebhooks: config.isProduction,
+      channels: {
+        push: createNotificationChannel('push', {
+          oneSignalClient: this.oneSignalClient,
+          appId: config.oneSignal.appId,
+          userDevices: this.sessionManager.userDevices
+        }),
+        socket: createNotificationChannel('socket', { userSockets: this.userSockets }),
+        whatsapp: createNotificationChannel('whatsapp', { sessionManager: this.sessionManager }),
+        email: createNotificationChannel('email', { smtpUrl: config.notifications.smtpUrl, from: config.notifications.emailFrom }),
+        webhook: createNotificationChannel('webhook')
+      }
+    });
+
+    // Fires due reminders and rolls repeating ones forward
+    this.reminderScheduler = new ReminderScheduler(this.db, this.notificationService, {
+      ...config.reminders,
+      defaultTimezone: config.defaultTimezone,
+      emitToUser: (userId, event, data) => this.sessionManager.emitToUser(userId, event, data)
+    });
+
     this.setupExpress();
     this.setupSocketIO();
-    // Initialize session manager with socket.io and OneSignal client
+    // Initialize session manager with socket.io and the notification service
     this.sessionManager.setSocketIO(this.io, this.userSockets);
-    this.sessionManager.setOneSignalClient(this.oneSignalClient);
+    this.sessionManager.setNotificationService(this.notificationService);
     
-    // Initialize database and then existing sessions
-    this.initializeDatabase().then(async () => {
-      // Run migrations
-      try {
-        console.log('🔄 Running database migrations...');
-        const migrator = new DatabaseMigrator(process.env.DATABASE_URL);
-        await migrator.runMigrations();
-        await migrator.close();
-        console.log('✅ Database migrations completed');
-      } catch (error) {
-        console.error('❌ Migration failed:', error);
-      }
-      
+    // Bring the database schema up to date, then start existing sessions
+    this.prepareDatabase().then(() => {
       this.initializeExistingSessions();
+      this.emailIngestor.start();
+      this.notificationService.start();
+      this.reminderScheduler.start();
+      this.sessionManager.quietHours.start((userId, notifications) => this.notificationService.notifyDigest(userId, notifications));
     }).catch(error => {
-      console.error('Error initializing database:', error);
+      console.error(`❌ Database setup failed: ${error.message}`);
+      process.exit(1);
     });
-    
-    // Cache for authorized phone numbers
-    this.authorizedPhoneNumbers = new Set();
-  }
-
-  // Load authorized phone numbers from database
-  async loadAuthorizedPhoneNumbers() {
-    try {
-      const result = await this.db.query(
-        'SELECT phone_number FROM authorized_phone_numbers WHERE is_active = true'
-      );
-      
-      this.authorizedPhoneNumbers.clear();
-      result.rows.forEach(row => {
-        this.authorizedPhoneNumbers.add(row.phone_number);
-      });
-      
-      console.log(`✅ Loaded ${this.authorizedPhoneNumbers.size} authorized phone numbers from database`);
-      return this.authorizedPhoneNumbers;
-    } catch (error) {
-      console.error('❌ Error loading authorized phone numbers:', error);
-      // Fallback to empty set if database query fails
-      this.authorizedPhoneNumbers.clear();
-      throw new Error('Failed to load authorized phone numbers');
-    }
   }
 
   // Authentication methods
-  async login(phoneNumber) {
-    // Refresh authorized phone numbers from database
-    await this.loadAuthorizedPhoneNumbers();
-    
-    // Check if phone number is authorized
-    if (!this.authorizedPhoneNumbers.has(phoneNumber)) {
+  // Resolves the number as the whitelist stores it, which codes and users are keyed by,
+  // so "+60 12-345 6789" and "60123456789" log in to the same account
+  async assertPhoneNumberAuthorized(input) {
+    const phoneNumber = await this.authorizedNumbersManager.findActiveNumber(input);
+    if (!phoneNumber) {
       throw new Error('This phone number is not authorized to access the system');
     }
+    return phoneNumber;
+  }
+
+  // Step 1: send a one-time code to an authorized number
+  async login(input) {
+    const phoneNumber = await this.assertPhoneNumberAuthorized(input);
+
+    // Existing users can receive the code through their own WhatsApp session
+    const existingUser = await this.db.query(
+      'SELECT id FROM users WHERE phone_number = $1',
+      [phoneNumber]
+    );
+
+    const { expiresIn } = await this.otpManager.issueCode(phoneNumber, {
+      userId: existingUser.rows[0]?.id || null
+    });
+
+    return {
+      success: true,
+      otpRequired: true,
+      expiresIn,
+      message: 'A login code has been sent to your WhatsApp'
+    };
+  }
+
+  // Step 2: exchange a valid code for an access/refresh token pair
+  async verifyLogin(input, code, meta = {}) {
+    const phoneNumber = await this.assertPhoneNumberAuthorized(input);
+    await this.otpManager.verifyCode(phoneNumber, code);
 
     // Create or get user
     const user = await this.createOrGetUser(phoneNumber);
+    await this.touchUserActivity(user.id);
     
     // Create WhatsApp session for this user
     try {
@@ -126,16 +191,14 @@ class AIActionsServer {
       // Don't fail login if session creation fails, user can retry later
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, phoneNumber: user.phone_number },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start an auth session and issue tokens
+    const { accessToken, refreshToken, expiresIn } = await this.authSessionManager.createSession(user, meta);
 
     return {
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         phoneNumber: user.phone_number,
@@ -153,14 +216,23 @@ class AIActionsServer {
         [phoneNumber]
       );
 
+      const role = this.authorizedNumbersManager.isBootstrapAdmin(phoneNumber) ? 'admin' : null;
+
       if (existingUser.rows.length > 0) {
+        if (role && existingUser.rows[0].role !== role) {
+          const promoted = await this.db.query(
+            'UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+            [role, existingUser.rows[0].id]
+          );
+          return promoted.rows[0];
+        }
         return existingUser.rows[0];
       }
 
       // Create new user
       const newUser = await this.db.query(
-        'INSERT INTO users (phone_number, created_at, updated_at) VALUES ($1, NOW(), NOW()) RETURNING *',
-        [phoneNumber]
+        `INSERT INTO users (phone_number, role, created_at, updated_at) VALUES ($1, COALESCE($2, 'user'), NOW(), NOW()) RETURNING *`,
+        [phoneNumber, role]
       );
 
       return newUser.rows[0];
@@ -170,28 +242,12 @@ class AIActionsServer {
     }
   }
 
-  async verifyToken(token) {
+  // Recently active users get their WhatsApp session started first on boot
+  async touchUserActivity(userId) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await this.db.query(
-        'SELECT * FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-
-      if (user.rows.length === 0) {
-        throw new Error('User not found');
-      }
-
-      return {
-        user: {
-          id: user.rows[0].id,
-          phoneNumber: user.rows[0].phone_number,
-          name: user.rows[0].name,
-          isVerified: true
-        }
-      };
+      await this.db.query('UPDATE users SET last_active_at = NOW() WHERE id = $1', [userId]);
     } catch (error) {
-      throw new Error('Invalid token');
+      console.error(`Failed to record activity for user ${userId}:`, error.message);
     }
   }
 
@@ -199,8 +255,13 @@ class AIActionsServer {
     try {
       console.log('🔄 Initializing existing user sessions...');
       
-      // Get all users from database
-      const users = await this.db.query('SELECT id, phone_number FROM users ORDER BY created_at ASC');
+      // Get all users whose number is still authorized
+      const users = await this.db.query(
+        `SELECT u.id, u.phone_number, u.last_active_at FROM users u
+         JOIN authorized_phone_numbers apn
+           ON regexp_replace(apn.phone_number, '[^0-9]', '', 'g') = regexp_replace(u.phone_number, '[^0-9]', '', 'g')
+           AND apn.is_active = true`
+      );
       
       if (users.rows.length === 0) {
         console.log('📭 No existing users found');
@@ -208,25 +269,7 @@ class AIActionsServer {
       }
 
       console.log(`👥 Found ${users.rows.length} existing users, initializing sessions...`);
-      
-      // Initialize sessions for all users with delay to avoid overwhelming the system
-      for (let i = 0; i < users.rows.length; i++) {
-        const user = users.rows[i];
-        try {
-          console.log(`🚀 Creating session for user ${user.id} (${user.phone_number}) [${i + 1}/${users.rows.length}]`);
-          await this.sessionManager.createUserSession(user.id, user.phone_number);
-          console.log(`✅ Session created for user ${user.id}`);
-          
-          // Add delay between session creations (except for the last one)
-          if (i < users.rows.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay
-          }
-        } catch (error) {
-          console.error(`❌ Failed to create session for user ${user.id}:`, error.message);
-        }
-      }
-      
-      console.log('🎉 All existing user sessions initialized');
+      await this.sessionBootQueue.run(users.rows);
     } catch (error) {
       console.error('❌ Error initializing existing sessions:', error);
     }
@@ -245,23 +288,6 @@ class AIActionsServer {
     }
   }
 
-  extractDatetime(messageBody) {
-    // Simple datetime extraction - you can make this more sophisticated
-    const timeRegex = /(\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))/g;
-    const dateRegex = /(esok|tomorrow|today|hari ini|next week|minggu depan)/gi;
-    
-    const timeMatch = messageBody.match(timeRegex);
-    const dateMatch = messageBody.match(dateRegex);
-    
-    if (timeMatch || dateMatch) {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      return tomorrow.toISOString();
-    }
-    
-    return null;
-  }
-
   deduplicateActions(actions) {
     if (!actions || actions.length === 0) {
       return [];
@@ -305,209 +331,78 @@ class AIActionsServer {
     return `${action.type}:${normalizedDescription}:${messageBody}`;
   }
 
-  // Send OneSignal notification for new action
-  async sendActionNotification(action, userId) {
+  // Run migrations and refuse to start on a schema that doesn't match them
+  async prepareDatabase() {
+    const migrator = new DatabaseMigrator(this.config.databaseUrl);
     try {
-      // Get user's OneSignal player ID from database
-      const userResult = await this.db.query(
-        'SELECT onesignal_player_id FROM users WHERE id = $1',
-        [userId]
-      );
-
-      if (userResult.rows.length === 0 || !userResult.rows[0].onesignal_player_id) {
-        console.log(`⚠️ No OneSignal player ID found for user ${userId}`);
-        return;
-      }
-
-      const playerId = userResult.rows[0].onesignal_player_id;
-      console.log(`📱 Sending OneSignal notification to player ID: ${playerId} for action ${action.action_id}`);
-      
-      // Use "All" segment targeting (more reliable than specific player IDs)
-      const notification = {
-        app_id: process.env.ONESIGNAL_APP_ID || '301d5b91-3055-4b33-8b34-902e885277f1',
-        included_segments: ["All"], // Send to all subscribed users
-        headings: {
-          en: '🤖 AI Suggestion - Approval Needed'
-        },
-        contents: {
-          en: `${action.type}: ${action.description} - Tap to approve or reject`
-        },
-        data: {
-          actionId: action.action_id,
-          actionType: action.type,
-          userId: userId,
-          targetPlayerId: playerId // Include for reference
-        },
-        url: 'juta-actions://action/' + action.action_id
-      };
-
-      const response = await this.oneSignalClient.createNotification(notification);
-      console.log(`✅ OneSignal notification sent for action ${action.action_id}:`, response);
-    } catch (error) {
-      // Enhanced error logging with more specific information
-      if (error.statusCode === 400) {
-        console.error(`❌ OneSignal API validation error for action ${action.action_id}:`, error.body);
-        console.error(`   Company ID: ${companyId}`);
-        console.error(`   User ID: ${userId}`);
-      } else if (error.statusCode === 401) {
-        console.error(`❌ OneSignal API authentication error for action ${action.action_id}: Check API key`);
-      } else if (error.statusCode === 429) {
-        console.error(`❌ OneSignal API rate limit exceeded for action ${action.action_id}`);
-      } else {
-        console.error(`❌ OneSignal API error for action ${action.action_id}:`, error.message || error);
-      }
-      
-      // Send fallback notification when OneSignal fails
-      await this.sendFallbackNotification(action, userId, `OneSignal error: ${error.message || error}`);
+      console.log('🔄 Running database migrations...');
+      await migrator.runMigrations();
+      await migrator.assertNoSchemaDrift();
+      console.log('✅ Database migrations completed');
+    } finally {
+      await migrator.close();
     }
-  }
 
-  // Send fallback notification when OneSignal fails
-  async sendFallbackNotification(action, userId, reason) {
-    try {
-      console.log(`📱 Sending fallback notification for action ${action.action_id} to user ${userId}`);
-      console.log(`📱 Reason: ${reason}`);
-      
-      // Store notification in database for later retrieval
-      await this.db.query(
-        'INSERT INTO notification_logs (user_id, action_id, notification_type, status, reason, created_at) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)',
-        [userId, action.action_id, 'fallback', 'pending', reason]
-      );
-      
-      // If user has an active socket connection, send real-time notification
-      if (this.userSockets.has(userId)) {
-        this.userSockets.get(userId).emit('newActionNotification', {
-          actionId: action.action_id,
-          type: action.type,
-          description: action.description,
-          fallback: true,
-          reason: reason
-        });
-        console.log(`📱 Fallback notification sent via socket to user ${userId}`);
-      } else {
-        console.log(`📱 User ${userId} not connected via socket, notification logged for later retrieval`);
+    if (this.config.seedFile) {
+      try {
+        await new DatabaseSeeder(this.db).seedFromFile(this.config.seedFile);
+      } catch (error) {
+        console.error('❌ Seeding failed:', error.message);
       }
-      
-    } catch (error) {
-      console.error(`❌ Failed to send fallback notification for action ${action.action_id}:`, error);
     }
-  }
 
-  async initializeDatabase() {
     try {
-      // Create users table if it doesn't exist
-      await this.db.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          phone_number VARCHAR(20) UNIQUE NOT NULL,
-          name VARCHAR(255),
-          is_verified BOOLEAN DEFAULT false,
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      // Add missing columns to existing users table
-      try {
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20)`);
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS name VARCHAR(255)`);
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_verified BOOLEAN DEFAULT false`);
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW()`);
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`);
-        await this.db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS onesignal_player_id VARCHAR(255)`);
-        console.log('Added missing columns to users table');
-      } catch (error) {
-        console.log('Columns already exist or error adding them:', error.message);
-      }
-
-      // Create notification_logs table for fallback notifications
-      try {
-        await this.db.query(`
-          CREATE TABLE IF NOT EXISTS notification_logs (
-            id SERIAL PRIMARY KEY,
-            user_id INTEGER NOT NULL,
-            action_id VARCHAR(255) NOT NULL,
-            notification_type VARCHAR(50) NOT NULL,
-            status VARCHAR(50) NOT NULL,
-            reason TEXT,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id)
-          )
-        `);
-        console.log('Created notification_logs table');
-      } catch (error) {
-        console.log('notification_logs table already exists or error creating it:', error.message);
-      }
-
-      // Add your phone number to the database
-      try {
-        await this.db.query(`
-          INSERT INTO users (phone_number, name, is_verified) 
-          VALUES ('+601121677522', 'Firaz', true) 
-          ON CONFLICT (phone_number) DO NOTHING
-        `);
-        console.log('Added your phone number to the database');
-      } catch (error) {
-        console.log('Phone number already exists or error adding it:', error.message);
-      }
-
-      await this.db.query(`
-        CREATE TABLE IF NOT EXISTS ai_actions (
-          id SERIAL PRIMARY KEY,
-          action_id VARCHAR(255) UNIQUE NOT NULL,
-          type VARCHAR(100) NOT NULL,
-          description TEXT NOT NULL,
-          status VARCHAR(50) DEFAULT 'pending',
-          original_message JSONB NOT NULL,
-          details JSONB,
-          user_id INTEGER REFERENCES users(id) NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      
-      // Add the details column if it doesn't exist
-      await this.db.query(`
-        ALTER TABLE ai_actions 
-        ADD COLUMN IF NOT EXISTS details JSONB
-      `);
-      
-      // Add unique constraint to prevent duplicate actions from same message
-      try {
-        await this.db.query(`
-          CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_message_action 
-          ON ai_actions ((original_message->>'id'), type, description)
-        `);
-      } catch (error) {
-        console.log('Unique index already exists or error creating it:', error.message);
-      }
-      
-      console.log('Database initialized successfully');
+      await this.authorizedNumbersManager.bootstrapAdmins();
     } catch (error) {
-      console.error('Error initializing database:', error);
+      console.error('❌ Failed to bootstrap admin phone numbers:', error);
     }
   }
 
   setupExpress() {
     this.app.use(cors({
-      origin: ["https://app.jutateknologi.com", "http://localhost:3001"],
+      origin: this.config.corsOrigins,
       methods: ["GET", "POST", "PUT", "DELETE"],
       credentials: true
     }));
     this.app.use(express.json());
-    
-    // Get authorized phone numbers (for frontend validation)
-    this.app.get('/api/auth/authorized-numbers', async (req, res) => {
+
+    // Every /api route requires a valid access token except the public auth routes
+    this.app.use('/api', createAuthMiddleware(this.authSessionManager, this.db, {
+      defaultTimezone: this.config.defaultTimezone,
+      defaultLocale: this.config.defaultLocale
+    }));
+
+    // Dates in /api responses carry the user's UTC offset rather than Z
+    this.app.use('/api', (req, res, next) => {
+      if (req.user) {
+        const json = res.json.bind(res);
+        res.json = body => json(localizeDates(body, req.user.timezone));
+      }
+      next();
+    });
+
+    // Telegram webhook - authenticated by the secret token Telegram echoes back, not a user token
+    this.app.post('/webhooks/telegram', async (req, res) => {
+      if (!this.telegramBot) {
+        return res.status(404).json({ ok: false, error: 'Telegram integration is not enabled' });
+      }
+
+      const secret = req.get('X-Telegram-Bot-Api-Secret-Token') || '';
+      const expected = this.config.telegram.webhookSecret;
+      if (secret.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(expected))) {
+        return res.status(401).json({ ok: false, error: 'Invalid secret token' });
+      }
+
       try {
-        await this.loadAuthorizedPhoneNumbers();
-        const phoneNumbers = Array.from(this.authorizedPhoneNumbers);
-        res.json({ success: true, phoneNumbers });
+        const result = await this.telegramBot.handleUpdate(req.body);
+        res.json({ ok: true, ...result });
       } catch (error) {
-        console.error('Error getting authorized phone numbers:', error);
-        res.status(500).json({ success: false, error: 'Failed to get authorized phone numbers' });
+        // Still acknowledge - Telegram would otherwise redeliver the same failing update forever
+        console.error(`❌ Error handling Telegram update ${req.body?.update_id}:`, error);
+        res.json({ ok: false, error: 'Failed to handle update' });
       }
     });
-
+    
     // Authentication routes
     this.app.post('/api/auth/login', async (req, res) => {
       try {
@@ -521,172 +416,587 @@ class AIActionsServer {
         res.json(result);
       } catch (error) {
         console.error('Login error:', error);
-        res.status(401).json({ message: error.message || 'Login failed' });
+        res.status(error.statusCode || 401).json({ message: error.message || 'Login failed' });
       }
     });
 
-    this.app.get('/api/auth/verify', async (req, res) => {
+    this.app.post('/api/auth/login/verify', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
+        const { phoneNumber, code } = req.body;
         
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
+        if (!phoneNumber || !code) {
+          return res.status(400).json({ message: 'Phone number and code are required' });
         }
 
-        const token = authHeader.substring(7);
-        const result = await this.verifyToken(token);
+        const result = await this.verifyLogin(phoneNumber, code, {
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip
+        });
         res.json(result);
       } catch (error) {
-        console.error('Token verification error:', error);
-        res.status(401).json({ message: error.message || 'Invalid token' });
+        console.error('Login verification error:', error);
+        res.status(error.statusCode || 401).json({ message: error.message || 'Login verification failed' });
       }
     });
-    
-    this.app.get('/api/status', async (req, res) => {
+
+    this.app.post('/api/auth/refresh', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
+        const { refreshToken } = req.body;
         
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
+        if (!refreshToken) {
+          return res.status(400).json({ message: 'Refresh token is required' });
+        }
+
+        const result = await this.authSessionManager.refreshSession(refreshToken);
+        res.json({
+          success: true,
+          token: result.accessToken,
+          refreshToken: result.refreshToken,
+          expiresIn: result.expiresIn
+        });
+      } catch (error) {
+        console.error('Token refresh error:', error.message);
+        res.status(error.statusCode || 401).json({ message: error.message || 'Failed to refresh token', code: error.code });
+      }
+    });
+
+    // Log out the current device
+    this.app.post('/api/auth/logout', async (req, res) => {
+      try {
+        const { sessionId } = req.user;
+        await this.authSessionManager.revokeSession(sessionId, 'logout');
+        this.disconnectSockets(`session:${sessionId}`);
+
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, error: 'Logout failed' });
+      }
+    });
+
+    // Log out every device: invalidate all refresh tokens and drop live socket connections
+    this.app.post('/api/auth/logout-all', async (req, res) => {
+      try {
+        const userId = req.user.id;
+        const revokedCount = await this.authSessionManager.revokeAllSessions(userId, 'logout_all');
+        this.disconnectSockets(`user:${userId}`);
+
+        res.json({ success: true, revokedSessions: revokedCount });
+      } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ success: false, error: 'Logout failed' });
+      }
+    });
+
+    // The auth middleware has already validated the token by the time we get here
+    this.app.get('/api/auth/verify', (req, res) => {
+      res.json({
+        user: {
+          id: req.user.id,
+          phoneNumber: req.user.phoneNumber,
+          name: req.user.name,
+          timezone: req.user.timezone,
+          locale: req.user.locale,
+          isVerified: true
         }
+      });
+    });
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+    // Time zone and locale used for the user's dates; null resets one to the server default
+    this.app.get('/api/settings', async (req, res) => {
+      try {
+        const settings = await this.sessionManager.userSettings.getSettings(req.user.id);
+        res.json({ success: true, ...settings });
+      } catch (error) {
+        console.error('Error getting user settings:', error);
+        sendError(res, error, 'Failed to get settings');
+      }
+    });
+
+    this.app.put('/api/settings', async (req, res) => {
+      try {
+        const { timezone, locale } = req.body;
+        const settings = await this.sessionManager.userSettings.updateSettings(req.user.id, { timezone, locale });
+        res.json({ success: true, ...settings });
+      } catch (error) {
+        console.error('Error updating user settings:', error.message);
+        sendError(res, error, 'Failed to update settings');
+      }
+    });
+    
+    this.app.get('/api/status', async (req, res) => {
+      try {
+        const userId = req.user.id;
         
         const userSession = this.sessionManager.getUserSession(userId);
+        const { state } = this.sessionManager.supervisor.getStatus(userId);
         
         if (userSession) {
           res.json({
             connected: userSession.isConnected,
+            state,
             qrCode: userSession.currentQRCode,
             pairingCode: userSession.pairingCode
           });
         } else {
           res.json({
             connected: false,
+            state,
             qrCode: null,
             pairingCode: null
           });
         }
       } catch (error) {
         console.error('Status check error:', error);
-        res.status(401).json({ message: 'Invalid token' });
+        res.status(500).json({ success: false, error: 'Failed to get status' });
       }
     });
 
-    // Update OneSignal player ID for authenticated user
-    this.app.post('/api/onesignal/player-id', async (req, res) => {
+    // Telegram account linking
+    this.app.get('/api/telegram/link', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
+        if (!this.telegramBot) {
+          return res.status(503).json({ success: false, error: 'Telegram integration is not enabled' });
         }
+        const link = await this.telegramBot.getLink(req.user.id);
+        res.json({ success: true, linked: !!link, link });
+      } catch (error) {
+        console.error('Error getting Telegram link:', error);
+        res.status(500).json({ success: false, error: 'Failed to get Telegram link' });
+      }
+    });
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-        
-        const { playerId } = req.body;
-        
-        if (!playerId) {
-          return res.status(400).json({ message: 'Player ID is required' });
+    this.app.post('/api/telegram/link', async (req, res) => {
+      try {
+        if (!this.telegramBot) {
+          return res.status(503).json({ success: false, error: 'Telegram integration is not enabled' });
         }
+        const linkCode = await this.telegramBot.createLinkCode(req.user.id);
+        res.json({ success: true, ...linkCode });
+      } catch (error) {
+        console.error('Error creating Telegram link code:', error);
+        res.status(500).json({ success: false, error: 'Failed to create Telegram link code' });
+      }
+    });
 
-        // Update user's OneSignal player ID
-        await this.db.query(
-          'UPDATE users SET onesignal_player_id = $1, updated_at = NOW() WHERE id = $2',
-          [playerId, userId]
-        );
+    this.app.delete('/api/telegram/link', async (req, res) => {
+      try {
+        if (!this.telegramBot) {
+          return res.status(503).json({ success: false, error: 'Telegram integration is not enabled' });
+        }
+        const unlinked = await this.telegramBot.unlink(req.user.id);
+        res.json({ success: true, unlinked });
+      } catch (error) {
+        console.error('Error unlinking Telegram account:', error);
+        res.status(500).json({ success: false, error: 'Failed to unlink Telegram account' });
+      }
+    });
 
-        console.log(`✅ OneSignal player ID updated for user ${userId}: ${playerId}`);
-        
-        res.json({ 
-          success: true, 
-          message: 'OneSignal player ID updated successfully',
-          playerId: playerId
+    // Email accounts polled for actions
+    this.app.get('/api/email/accounts', async (req, res) => {
+      try {
+        const accounts = await this.emailIngestor.listAccounts(req.user.id);
+        res.json({ success: true, enabled: this.emailIngestor.isEnabled, accounts });
+      } catch (error) {
+        console.error('Error listing email accounts:', error);
+        res.status(500).json({ success: false, error: 'Failed to list email accounts' });
+      }
+    });
+
+    this.app.post('/api/email/accounts', async (req, res) => {
+      try {
+        const { label, emailAddress, host, port, secure, username, password, mailbox } = req.body;
+        const account = await this.emailIngestor.addAccount(req.user.id, {
+          label, emailAddress, host, port, secure, username, password, mailbox
         });
+        res.status(201).json({ success: true, account });
       } catch (error) {
-        console.error('Error updating OneSignal player ID:', error);
-        res.status(500).json({ message: 'Failed to update OneSignal player ID' });
+        console.error('Error adding email account:', error.message);
+        sendError(res, error, 'Failed to add email account');
       }
     });
 
-    // Test OneSignal notification endpoint (no auth required for testing)
-    this.app.post('/api/onesignal/test', async (req, res) => {
+    this.app.delete('/api/email/accounts/:id', async (req, res) => {
       try {
-        // Check if custom player ID is provided in request body
-        const customPlayerId = req.body.playerId;
-        let playerId;
+        await this.emailIngestor.removeAccount(req.user.id, parseInt(req.params.id));
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error removing email account:', error.message);
+        sendError(res, error, 'Failed to remove email account');
+      }
+    });
 
-        if (customPlayerId) {
-          // Use the custom player ID provided
-          playerId = customPlayerId;
-          console.log(`🧪 Using custom player ID for test: ${playerId}`);
-        } else {
-          // For testing purposes, use user ID 1 directly
-          const userId = 1;
+    // Check the mailbox now instead of waiting for the next poll
+    this.app.post('/api/email/accounts/:id/poll', async (req, res) => {
+      try {
+        const account = await this.emailIngestor.getAccount(req.user.id, parseInt(req.params.id));
+        const ingested = await this.emailIngestor.pollAccount(account);
+        res.json({ success: true, ingested });
+      } catch (error) {
+        console.error('Error polling email account:', error);
+        sendError(res, error, 'Failed to poll mailbox', 502);
+      }
+    });
 
-          // Get user's OneSignal player ID
-          const userResult = await this.db.query(
-            'SELECT onesignal_player_id FROM users WHERE id = $1',
-            [userId]
-          );
+    // WhatsApp session state and the recent transitions that led to it
+    this.app.get('/api/whatsapp/session', async (req, res) => {
+      try {
+        const supervisor = this.sessionManager.supervisor;
+        const history = await supervisor.getHistory(req.user.id, req.query.limit || 20);
+        res.json({ success: true, session: supervisor.getStatus(req.user.id), history });
+      } catch (error) {
+        console.error('Error getting WhatsApp session state:', error);
+        res.status(500).json({ success: false, error: 'Failed to get WhatsApp session state' });
+      }
+    });
 
-          if (userResult.rows.length === 0 || !userResult.rows[0].onesignal_player_id) {
-            return res.status(404).json({ 
-              success: false, 
-              message: `No OneSignal player ID found for user ${userId}` 
-            });
+    // Restart the caller's WhatsApp client, e.g. after the supervisor gave up on it
+    this.app.post('/api/whatsapp/session/reconnect', async (req, res) => {
+      try {
+        await this.sessionManager.supervisor.reconnect(req.user.id, req.user.phoneNumber);
+        res.json({ success: true, session: this.sessionManager.supervisor.getStatus(req.user.id) });
+      } catch (error) {
+        console.error('Error reconnecting WhatsApp session:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to reconnect WhatsApp session' });
+      }
+    });
+
+    // Quiet hours: when push notifications are held back and sent later as a digest
+    this.app.get('/api/notifications/quiet-hours', async (req, res) => {
+      try {
+        const quietHours = this.sessionManager.quietHours;
+        const settings = await quietHours.getSettings(req.user.id);
+        res.json({
+          success: true,
+          ...settings,
+          current: quietHours.getQuietPeriod(settings),
+          queued: await quietHours.getQueuedCount(req.user.id)
+        });
+      } catch (error) {
+        console.error('Error getting quiet hours:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quiet hours' });
+      }
+    });
+
+    this.app.put('/api/notifications/quiet-hours', async (req, res) => {
+      try {
+        const { enabled, timezone, schedule, allowUrgent } = req.body;
+        const quietHours = this.sessionManager.quietHours;
+        const settings = await quietHours.updateSettings(req.user.id, { enabled, timezone, schedule, allowUrgent });
+        res.json({ success: true, ...settings, current: quietHours.getQuietPeriod(settings) });
+      } catch (error) {
+        console.error('Error updating quiet hours:', error.message);
+        sendError(res, error, 'Failed to update quiet hours');
+      }
+    });
+
+    // Snooze all notifications for { minutes }; 0 ends the snooze
+    this.app.post('/api/notifications/snooze', async (req, res) => {
+      try {
+        const quietHours = this.sessionManager.quietHours;
+        const settings = await quietHours.snooze(req.user.id, req.body.minutes);
+        res.json({ success: true, snoozedUntil: settings.snoozedUntil, current: quietHours.getQuietPeriod(settings) });
+      } catch (error) {
+        console.error('Error snoozing notifications:', error.message);
+        sendError(res, error, 'Failed to snooze notifications');
+      }
+    });
+
+    // Delivery log: what was sent on which channel, and why anything wasn't
+    this.app.get('/api/notifications', async (req, res) => {
+      try {
+        const { status, channel, actionId, limit } = req.query;
+        const notifications = await this.notificationService.listLog(req.user.id, { status, channel, actionId, limit });
+        res.json({ success: true, notifications });
+      } catch (error) {
+        console.error('Error listing notifications:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to list notifications' });
+      }
+    });
+
+    this.app.post('/api/notifications/:id/read', async (req, res) => {
+      try {
+        await this.notificationService.markRead(req.user.id, parseInt(req.params.id));
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error marking notification as read:', error.message);
+        sendError(res, error, 'Failed to mark notification as read');
+      }
+    });
+
+    // Which channels the caller is notified on: push, socket, whatsapp, email and webhook
+    this.app.get('/api/notifications/channels', async (req, res) => {
+      try {
+        const channels = await this.notificationService.getChannelSettings(req.user.id);
+        res.json({ success: true, channels });
+      } catch (error) {
+        console.error('Error fetching notification channels:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to fetch notification channels' });
+      }
+    });
+
+    this.app.put('/api/notifications/channels/:channel', async (req, res) => {
+      try {
+        const { enabled, address, secret } = req.body;
+        const channel = await this.notificationService.updateChannel(req.user.id, req.params.channel, { enabled, address, secret });
+        res.json({ success: true, channel });
+      } catch (error) {
+        console.error('Error updating notification channel:', error.message);
+        sendError(res, error, 'Failed to update notification channel');
+      }
+    });
+
+    this.app.post('/api/notifications/channels/:channel/test', async (req, res) => {
+      try {
+        const notification = await this.notificationService.sendTest(req.user.id, req.params.channel);
+        res.status(notification.status === 'delivered' ? 200 : 502).json({
+          success: notification.status === 'delivered',
+          notification
+        });
+      } catch (error) {
+        console.error('Error sending test notification:', error.message);
+        sendError(res, error, 'Failed to send test notification');
+      }
+    });
+
+    // Allow/deny rules for which chats, contacts and keywords are analysed
+    this.app.get('/api/monitoring-rules', async (req, res) => {
+      try {
+        const rules = await this.sessionManager.monitoringRules.listRules(req.user.id);
+        res.json({ success: true, rules });
+      } catch (error) {
+        console.error('Error listing monitoring rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to list monitoring rules' });
+      }
+    });
+
+    this.app.post('/api/monitoring-rules', async (req, res) => {
+      try {
+        const { list, targetType, targetValue, targetLabel, mode, isEnabled } = req.body;
+        const rule = await this.sessionManager.monitoringRules.createRule(req.user.id, {
+          list, targetType, targetValue, targetLabel, mode, isEnabled
+        });
+        res.status(201).json({ success: true, rule });
+      } catch (error) {
+        console.error('Error creating monitoring rule:', error.message);
+        sendError(res, error, 'Failed to create monitoring rule');
+      }
+    });
+
+    this.app.put('/api/monitoring-rules/:id', async (req, res) => {
+      try {
+        const { list, targetType, targetValue, targetLabel, mode, isEnabled } = req.body;
+        const rule = await this.sessionManager.monitoringRules.updateRule(req.user.id, parseInt(req.params.id), {
+          list, targetType, targetValue, targetLabel, mode, isEnabled
+        });
+        res.json({ success: true, rule });
+      } catch (error) {
+        console.error('Error updating monitoring rule:', error.message);
+        sendError(res, error, 'Failed to update monitoring rule');
+      }
+    });
+
+    this.app.delete('/api/monitoring-rules/:id', async (req, res) => {
+      try {
+        await this.sessionManager.monitoringRules.deleteRule(req.user.id, parseInt(req.params.id));
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error deleting monitoring rule:', error.message);
+        sendError(res, error, 'Failed to delete monitoring rule');
+      }
+    });
+
+    // The caller's WhatsApp chats, most recent first, with the rules that target them
+    this.app.get('/api/chats', async (req, res) => {
+      try {
+        const userSession = this.sessionManager.getUserSession(req.user.id);
+        if (!userSession || !userSession.isConnected) {
+          return res.status(409).json({ success: false, error: 'WhatsApp is not connected' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const [chats, rules] = await Promise.all([
+          userSession.transport.listActiveChats(),
+          this.sessionManager.monitoringRules.listRules(req.user.id)
+        ]);
+
+        res.json({
+          success: true,
+          chats: chats.slice(0, limit).map(chat => ({
+            ...chat,
+            rules: rules.filter(rule =>
+              rule.target_type === (chat.isGroup ? 'group' : 'chat') && rule.target_value === chat.id
+            )
+          }))
+        });
+      } catch (error) {
+        console.error('Error listing chats:', error);
+        res.status(500).json({ success: false, error: 'Failed to list chats' });
+      }
+    });
+
+    // Original voice note, image or document an action was extracted from
+    this.app.get('/api/media/:id', async (req, res) => {
+      try {
+        const media = await this.sessionManager.mediaProcessor.getMedia(req.user.id, parseInt(req.params.id));
+        if (!media) {
+          return res.status(404).json({ success: false, error: 'Media not found' });
+        }
+
+        res.type(media.mime_type);
+        res.set('Content-Disposition', `inline; filename="${(media.filename || `media-${media.id}`).replace(/"/g, '')}"`);
+        res.sendFile(media.filePath, (error) => {
+          if (error && !res.headersSent) {
+            console.error(`Error sending media ${media.id}:`, error.message);
+            res.status(404).json({ success: false, error: 'Media file is missing' });
           }
+        });
+      } catch (error) {
+        console.error('Error getting media:', error);
+        res.status(500).json({ success: false, error: 'Failed to get media' });
+      }
+    });
+
+    // How far back to look for missed messages when the caller's session reconnects
+    this.app.get('/api/whatsapp/catch-up', async (req, res) => {
+      try {
+        const settings = await this.sessionManager.catchUp.getSettings(req.user.id);
+        res.json({ success: true, ...settings });
+      } catch (error) {
+        console.error('Error getting catch-up settings:', error);
+        res.status(500).json({ success: false, error: 'Failed to get catch-up settings' });
+      }
+    });
+
+    this.app.put('/api/whatsapp/catch-up', async (req, res) => {
+      try {
+        const { windowHours } = req.body;
+        await this.sessionManager.catchUp.setWindowHours(req.user.id, windowHours === undefined ? null : windowHours);
+        const settings = await this.sessionManager.catchUp.getSettings(req.user.id);
+        res.json({ success: true, ...settings });
+      } catch (error) {
+        console.error('Error updating catch-up settings:', error.message);
+        sendError(res, error, 'Failed to update catch-up settings');
+      }
+    });
 
-          playerId = userResult.rows[0].onesignal_player_id;
+    // Run a catch-up now instead of waiting for the next reconnect
+    this.app.post('/api/whatsapp/catch-up', async (req, res) => {
+      try {
+        const userSession = this.sessionManager.getUserSession(req.user.id);
+        if (!userSession || !userSession.isConnected) {
+          return res.status(409).json({ success: false, error: 'WhatsApp is not connected' });
         }
-        
-        // Send test notification to all users
-        const notification = {
-          app_id: process.env.ONESIGNAL_APP_ID || '301d5b91-3055-4b33-8b34-902e885277f1',
-          included_segments: ["All"], // Send to all users
-          headings: {
-            en: '🎯 Test Notification!'
-          },
-          contents: {
-            en: 'This is a test notification from Juta Actions!'
-          },
-          data: {
-            test: true,
-            playerId: playerId
+        const summary = await this.sessionManager.catchUp.run(userSession);
+        res.json({ success: !summary.error, ...summary });
+      } catch (error) {
+        console.error('Error running catch-up:', error);
+        res.status(500).json({ success: false, error: 'Failed to catch up on missed messages' });
+      }
+    });
+
+    // Backfill actions from a WhatsApp "Export chat" file (.txt or .zip) sent as the raw request body.
+    // With ?dryRun=true only the parse summary is returned; otherwise the analysis runs in the
+    // background and 'backfillComplete' is emitted to the user when it's done.
+    this.app.post('/api/whatsapp/import-export',
+      express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream', 'text/plain'], limit: '20mb' }),
+      async (req, res) => {
+        try {
+          if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, error: 'Upload the exported .txt or .zip file as the request body' });
           }
-        };
 
-        const response = await this.oneSignalClient.createNotification(notification);
-        console.log(`✅ Test notification sent to player ID ${playerId}:`, response);
-        
-        res.json({ 
-          success: true, 
-          message: 'Test notification sent successfully',
-          playerId: playerId,
-          response: response
+          const { filename, chatName, ownName, dateOrder, utcOffset, sinceDays } = req.query;
+          const userId = req.user.id;
+          const prepared = this.chatExportImporter.prepare(userId, req.body, {
+            filename,
+            chatName,
+            ownName,
+            dateOrder,
+            utcOffset,
+            sinceDays: sinceDays ? Math.max(1, parseInt(sinceDays, 10) || 30) : undefined
+          });
+          const { messages, ...summary } = prepared;
+
+          if (req.query.dryRun === 'true') {
+            return res.json({ success: true, dryRun: true, ...summary, toAnalyse: messages.length });
+          }
+
+          res.status(202).json({ success: true, ...summary, toAnalyse: messages.length });
+
+          const emitToUser = this.sessionManager.emitToUser.bind(this.sessionManager);
+          this.chatExportImporter.run(userId, prepared, emitToUser)
+            .then(result => emitToUser(userId, 'backfillComplete', result))
+            .catch(error => {
+              console.error(`❌ Chat export backfill failed for user ${userId}:`, error);
+              emitToUser(userId, 'backfillComplete', { chatName: prepared.chatName, error: 'Backfill failed' });
+            });
+        } catch (error) {
+          console.error('Error importing chat export:', error.message);
+          sendError(res, error, 'Failed to import chat export');
+        }
+      });
+
+    // Devices the caller receives push notifications on
+    this.app.get('/api/devices', async (req, res) => {
+      try {
+        const devices = await this.sessionManager.userDevices.listDevices(req.user.id);
+        res.json({ success: true, devices });
+      } catch (error) {
+        console.error('Error listing devices:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to list devices' });
+      }
+    });
+
+    // Register the OneSignal player ID of this device; the app calls this on every launch,
+    // which also keeps the device's last-seen time current
+    this.app.post('/api/devices', async (req, res) => {
+      try {
+        const { playerId, platform, deviceName, appVersion } = req.body;
+        const device = await this.sessionManager.userDevices.registerDevice(req.user.id, {
+          playerId, platform, deviceName, appVersion
+        });
+
+        console.log(`✅ Device ${device.id} registered for user ${req.user.id}`);
+        res.json({ success: true, device });
+      } catch (error) {
+        console.error('Error registering device:', error.message);
+        sendError(res, error, 'Failed to register device');
+      }
+    });
+
+    // Stop notifying a device, e.g. on sign out
+    this.app.delete('/api/devices/:id', async (req, res) => {
+      try {
+        await this.sessionManager.userDevices.unregisterDevice(req.user.id, parseInt(req.params.id));
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error unregistering device:', error.message);
+        sendError(res, error, 'Failed to unregister device');
+      }
+    });
+
+    // Send a test notification to one of the caller's devices
+    this.app.post('/api/devices/:id/test', async (req, res) => {
+      try {
+        const device = await this.sessionManager.userDevices.getDevice(req.user.id, parseInt(req.params.id));
+        const notification = await this.notificationService.sendTest(req.user.id, 'push', { playerIds: [device.player_id] });
+
+        res.status(notification.status === 'delivered' ? 200 : 502).json({
+          success: notification.status === 'delivered',
+          deviceId: device.id,
+          notification
         });
       } catch (error) {
-        console.error('Error sending test notification:', error);
-        res.status(500).json({ message: 'Failed to send test notification', error: error.message });
+        console.error('Error sending test notification:', error.message);
+        sendError(res, error, 'Failed to send test notification');
       }
     });
     
     // Get all pending actions for authenticated user
     this.app.get('/api/actions', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
         
         const result = await this.db.query(
           'SELECT * FROM ai_actions WHERE status = $1 AND user_id = $2 ORDER BY created_at DESC',
@@ -707,22 +1017,11 @@ class AIActionsServer {
       }
     });
 
-    // OneSignal registration is no longer needed - using company-based targeting
-    // All users in the company (1) will receive notifications
-
     // Approve an action
     this.app.post('/api/actions/:actionId/approve', async (req, res) => {
       const { actionId } = req.params;
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
         
         // Get the action details before updating
         const actionResult = await this.db.query(
@@ -759,7 +1058,9 @@ class AIActionsServer {
           const actionData = {
             actionId: action.action_id,
             type: action.type,
-            description: action.description
+            description: action.description,
+            // The AI's title, datetime, priority and item fields; the message is only a fallback
+            details: action.details || {}
           };
 
           // Prepare message data
@@ -767,14 +1068,18 @@ class AIActionsServer {
             body: originalMessage.body || action.description || '',
             fromName: originalMessage.fromName || 'Unknown',
             fromNumber: originalMessage.fromNumber || null,
-            location: originalMessage.location || null
+            location: originalMessage.location || null,
+            source: originalMessage.source,
+            timestamp: originalMessage.timestamp || null,
+            media: originalMessage.media || []
           };
 
           // Create internal item
           const internalItem = await this.internalItemsManager.createInternalItemFromAction(
             actionData, 
             messageData, 
-            userId
+            userId,
+            { timeZone: req.user.timezone }
           );
 
           console.log(`✅ Created internal item for approved action ${actionId}:`, internalItem);
@@ -819,15 +1124,7 @@ class AIActionsServer {
     this.app.post('/api/actions/:actionId/reject', async (req, res) => {
       const { actionId } = req.params;
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
         
         await this.db.query(
           'UPDATE ai_actions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE action_id = $2 AND user_id = $3',
@@ -848,19 +1145,11 @@ class AIActionsServer {
 
     this.app.post('/api/pairing-code', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
         
         const userSession = this.sessionManager.getUserSession(userId);
         
-        if (userSession && userSession.client && !userSession.isConnected) {
+        if (userSession && userSession.transport && !userSession.isConnected) {
           try {
             // Get phone number from request body or use session phone number
             const { phoneNumber } = req.body;
@@ -875,7 +1164,7 @@ class AIActionsServer {
             // Try to request pairing code with error handling
             let code;
             try {
-              code = await userSession.client.requestPairingCode(formattedPhoneNumber);
+              code = await userSession.transport.requestPairingCode(formattedPhoneNumber);
               console.log(`Pairing code generated successfully for user ${userId}: ${code}`);
             } catch (error) {
               console.error('Error requesting pairing code:', error);
@@ -910,7 +1199,7 @@ class AIActionsServer {
         }
       } catch (error) {
         console.error('Error processing pairing code request:', error);
-        res.status(401).json({ message: 'Invalid token' });
+        res.status(500).json({ success: false, error: 'Failed to request pairing code' });
       }
     });
 
@@ -919,15 +1208,7 @@ class AIActionsServer {
       const { message } = req.body;
       
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
         
         const result = await this.chatProcessor.processUserMessage(message);
         
@@ -967,203 +1248,33 @@ class AIActionsServer {
       }
     });
 
-    // ================================
-    // DASHBOARD API ENDPOINTS
-    // ================================
-
-    this.app.get('/api/dashboard', async (req, res) => {
-      try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const dashboardData = await this.dashboardManager.getUserDashboardData(userId);
-        res.json({ success: true, data: dashboardData });
-
-      } catch (error) {
-        console.error('Error getting dashboard data:', error);
-        res.status(500).json({ success: false, error: 'Failed to get dashboard data' });
-      }
-    });
-
-    this.app.get('/api/dashboard/quick-stats', async (req, res) => {
-      try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const quickStats = await this.dashboardManager.getQuickStats(userId);
-        res.json({ success: true, data: quickStats });
-
-      } catch (error) {
-        console.error('Error getting quick stats:', error);
-        res.status(500).json({ success: false, error: 'Failed to get quick stats' });
-      }
-    });
-
-    // ================================
-    // INTERNAL ITEMS CRUD API ENDPOINTS
-    // ================================
-
-    // Get all items of a specific type
-    this.app.get('/api/internal/:type', async (req, res) => {
-      try {
-        const { type } = req.params;
-        const { status, limit, offset, orderBy, orderDirection } = req.query;
-        
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const items = await this.internalItemsCRUD.getAllItems(type, userId, {
-          status,
-          limit: limit ? parseInt(limit) : 100,
-          offset: offset ? parseInt(offset) : 0,
-          orderBy: orderBy || 'created_at',
-          orderDirection: orderDirection || 'DESC'
-        });
-
-        res.json({ success: true, items, count: items.length });
-
-      } catch (error) {
-        console.error(`Error getting ${req.params.type} items:`, error);
-        res.status(500).json({ success: false, error: `Failed to get ${req.params.type} items` });
-      }
-    });
-
-    // Get specific item by ID
-    this.app.get('/api/internal/:type/:itemId', async (req, res) => {
-      try {
-        const { type, itemId } = req.params;
-        
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const item = await this.internalItemsCRUD.getItem(type, itemId, userId);
-
-        if (!item) {
-          return res.status(404).json({ success: false, error: 'Item not found' });
-        }
-
-        res.json({ success: true, item });
-
-      } catch (error) {
-        console.error(`Error getting ${req.params.type} item:`, error);
-        res.status(500).json({ success: false, error: `Failed to get ${req.params.type} item` });
-      }
-    });
-
-    // Update specific item
-    this.app.put('/api/internal/:type/:itemId', async (req, res) => {
-      try {
-        const { type, itemId } = req.params;
-        const updates = req.body;
-        
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const updatedItem = await this.internalItemsCRUD.updateItem(type, itemId, userId, updates);
-
-        if (!updatedItem) {
-          return res.status(404).json({ success: false, error: 'Item not found' });
-        }
-
-        res.json({ success: true, item: updatedItem });
-
-      } catch (error) {
-        console.error(`Error updating ${req.params.type} item:`, error);
-        res.status(500).json({ success: false, error: `Failed to update ${req.params.type} item` });
-      }
-    });
-
-    // Delete specific item
-    this.app.delete('/api/internal/:type/:itemId', async (req, res) => {
-      try {
-        const { type, itemId } = req.params;
-        
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const deletedItem = await this.internalItemsCRUD.deleteItem(type, itemId, userId);
+    // ================================
+    // DASHBOARD API ENDPOINTS
+    // ================================
 
-        if (!deletedItem) {
-          return res.status(404).json({ success: false, error: 'Item not found' });
-        }
+    this.app.get('/api/dashboard', async (req, res) => {
+      try {
+        const userId = req.user.id;
 
-        res.json({ success: true, message: 'Item deleted successfully', item: deletedItem });
+        const dashboardData = await this.dashboardManager.getUserDashboardData(userId, req.user.timezone);
+        res.json({ success: true, data: dashboardData });
 
       } catch (error) {
-        console.error(`Error deleting ${req.params.type} item:`, error);
-        res.status(500).json({ success: false, error: `Failed to delete ${req.params.type} item` });
+        console.error('Error getting dashboard data:', error);
+        res.status(500).json({ success: false, error: 'Failed to get dashboard data' });
       }
     });
 
-    // Update item status (complete, cancel, etc.)
-    this.app.post('/api/internal/:type/:itemId/status', async (req, res) => {
+    this.app.get('/api/dashboard/quick-stats', async (req, res) => {
       try {
-        const { type, itemId } = req.params;
-        const { status } = req.body;
-        
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const updatedItem = await this.internalItemsCRUD.updateItemStatus(type, itemId, userId, status);
+        const userId = req.user.id;
 
-        if (!updatedItem) {
-          return res.status(404).json({ success: false, error: 'Item not found' });
-        }
-
-        res.json({ success: true, item: updatedItem });
+        const quickStats = await this.dashboardManager.getQuickStats(userId, req.user.timezone);
+        res.json({ success: true, data: quickStats });
 
       } catch (error) {
-        console.error(`Error updating ${req.params.type} item status:`, error);
-        res.status(500).json({ success: false, error: `Failed to update ${req.params.type} item status` });
+        console.error('Error getting quick stats:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quick stats' });
       }
     });
 
@@ -1174,17 +1285,12 @@ class AIActionsServer {
     // Reminders
     this.app.get('/api/internal/reminders/upcoming', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
+        const userId = req.user.id;
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const reminders = await this.internalItemsCRUD.getUserReminders(userId, { upcoming: true });
+        const reminders = await this.internalItemsCRUD.getUserReminders(userId, {
+          upcoming: true,
+          timeZone: req.user.timezone
+        });
         res.json({ success: true, reminders });
 
       } catch (error) {
@@ -1198,17 +1304,12 @@ class AIActionsServer {
         const { itemId } = req.params;
         const { newDateTime } = req.body;
         
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
+        const userId = req.user.id;
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const snoozedReminder = await this.internalItemsCRUD.snoozeReminder(itemId, userId, newDateTime);
+        // Without a UTC offset, newDateTime is a time on the user's clock
+        const snoozedReminder = await this.internalItemsCRUD.snoozeReminder(itemId, userId, newDateTime, {
+          timeZone: req.user.timezone
+        });
 
         if (!snoozedReminder) {
           return res.status(404).json({ success: false, error: 'Reminder not found' });
@@ -1225,17 +1326,9 @@ class AIActionsServer {
     // Events
     this.app.get('/api/internal/events/today', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
+        const userId = req.user.id;
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
-
-        const events = await this.dashboardManager.getTodayEvents(userId);
+        const events = await this.dashboardManager.getTodayEvents(userId, req.user.timezone);
         res.json({ success: true, events });
 
       } catch (error) {
@@ -1247,15 +1340,7 @@ class AIActionsServer {
     // Tasks
     this.app.get('/api/internal/tasks/overdue', async (req, res) => {
       try {
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const tasks = await this.internalItemsCRUD.getOverdueTasks(userId);
         res.json({ success: true, tasks });
@@ -1271,15 +1356,7 @@ class AIActionsServer {
       try {
         const { itemId } = req.params;
         
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const pinnedNote = await this.internalItemsCRUD.pinNote(itemId, userId);
 
@@ -1299,15 +1376,7 @@ class AIActionsServer {
       try {
         const { itemId } = req.params;
         
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const unpinnedNote = await this.internalItemsCRUD.unpinNote(itemId, userId);
 
@@ -1329,15 +1398,7 @@ class AIActionsServer {
         const { itemId } = req.params;
         const { resolution } = req.body;
         
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const resolvedIssue = await this.internalItemsCRUD.resolveIssue(itemId, userId, resolution);
 
@@ -1365,15 +1426,7 @@ class AIActionsServer {
           return res.status(400).json({ success: false, error: 'Search term is required' });
         }
 
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const typesArray = types ? types.split(',') : [];
         const results = await this.internalItemsCRUD.searchUserItems(userId, searchTerm, {
@@ -1395,15 +1448,7 @@ class AIActionsServer {
         const { priority } = req.params;
         const { types, limit } = req.query;
         
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const typesArray = types ? types.split(',') : [];
         const results = await this.internalItemsCRUD.filterByPriority(userId, priority, {
@@ -1427,20 +1472,13 @@ class AIActionsServer {
           return res.status(400).json({ success: false, error: 'Start and end dates are required' });
         }
 
-        const authHeader = req.headers.authorization;
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
-        }
-
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const userId = decoded.userId;
+        const userId = req.user.id;
 
         const typesArray = types ? types.split(',') : [];
         const results = await this.internalItemsCRUD.filterByDateRange(userId, start, end, {
           types: typesArray,
-          limit: limit ? parseInt(limit) : 50
+          limit: limit ? parseInt(limit) : 50,
+          timeZone: req.user.timezone
         });
 
         res.json({ success: true, results, count: results.length });
@@ -1451,20 +1489,132 @@ class AIActionsServer {
       }
     });
 
-    // Process note with AI analysis (like WhatsApp messages)
-    this.app.post('/api/process-note', async (req, res) => {
+    // ================================
+    // INTERNAL ITEMS CRUD API ENDPOINTS
+    // ================================
+
+    // Registered after the specific /api/internal routes above, which :type/:itemId would otherwise match
+
+    // Get all items of a specific type
+    this.app.get('/api/internal/:type', async (req, res) => {
       try {
-        const { userId, content, title } = req.body;
+        const { type } = req.params;
+        const { status, limit, offset, orderBy, orderDirection } = req.query;
+        
+        const userId = req.user.id;
+
+        const items = await this.internalItemsCRUD.getAllItems(type, userId, {
+          status,
+          limit: limit ? parseInt(limit) : 100,
+          offset: offset ? parseInt(offset) : 0,
+          orderBy: orderBy || 'created_at',
+          orderDirection: orderDirection || 'DESC'
+        });
+
+        res.json({ success: true, items, count: items.length });
+
+      } catch (error) {
+        console.error(`Error getting ${req.params.type} items:`, error);
+        res.status(500).json({ success: false, error: `Failed to get ${req.params.type} items` });
+      }
+    });
+
+    // Get specific item by ID
+    this.app.get('/api/internal/:type/:itemId', async (req, res) => {
+      try {
+        const { type, itemId } = req.params;
+        
+        const userId = req.user.id;
+
+        const item = await this.internalItemsCRUD.getItem(type, itemId, userId);
+
+        if (!item) {
+          return res.status(404).json({ success: false, error: 'Item not found' });
+        }
+
+        res.json({ success: true, item });
+
+      } catch (error) {
+        console.error(`Error getting ${req.params.type} item:`, error);
+        res.status(500).json({ success: false, error: `Failed to get ${req.params.type} item` });
+      }
+    });
+
+    // Update specific item
+    this.app.put('/api/internal/:type/:itemId', async (req, res) => {
+      try {
+        const { type, itemId } = req.params;
+        const updates = req.body;
+        
+        const userId = req.user.id;
+
+        const updatedItem = await this.internalItemsCRUD.updateItem(type, itemId, userId, updates, {
+          timeZone: req.user.timezone
+        });
+
+        if (!updatedItem) {
+          return res.status(404).json({ success: false, error: 'Item not found' });
+        }
+
+        res.json({ success: true, item: updatedItem });
+
+      } catch (error) {
+        console.error(`Error updating ${req.params.type} item:`, error);
+        sendError(res, error, `Failed to update ${req.params.type} item`);
+      }
+    });
+
+    // Delete specific item
+    this.app.delete('/api/internal/:type/:itemId', async (req, res) => {
+      try {
+        const { type, itemId } = req.params;
         
-        const authHeader = req.headers.authorization;
+        const userId = req.user.id;
+
+        const deletedItem = await this.internalItemsCRUD.deleteItem(type, itemId, userId);
+
+        if (!deletedItem) {
+          return res.status(404).json({ success: false, error: 'Item not found' });
+        }
+
+        res.json({ success: true, message: 'Item deleted successfully', item: deletedItem });
+
+      } catch (error) {
+        console.error(`Error deleting ${req.params.type} item:`, error);
+        res.status(500).json({ success: false, error: `Failed to delete ${req.params.type} item` });
+      }
+    });
+
+    // Update item status (complete, cancel, etc.)
+    this.app.post('/api/internal/:type/:itemId/status', async (req, res) => {
+      try {
+        const { type, itemId } = req.params;
+        const { status } = req.body;
         
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-          return res.status(401).json({ message: 'No token provided' });
+        const userId = req.user.id;
+
+        const updatedItem = await this.internalItemsCRUD.updateItemStatus(type, itemId, userId, status, {
+          timeZone: req.user.timezone
+        });
+
+        if (!updatedItem) {
+          return res.status(404).json({ success: false, error: 'Item not found' });
         }
+
+        res.json({ success: true, item: updatedItem });
+
+      } catch (error) {
+        console.error(`Error updating ${req.params.type} item status:`, error);
+        res.status(500).json({ success: false, error: `Failed to update ${req.params.type} item status` });
+      }
+    });
+
+    // Process note with AI analysis (like WhatsApp messages)
+    this.app.post('/api/process-note', async (req, res) => {
+      try {
+        const { userId, content, title } = req.body;
         
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        const authenticatedUserId = decoded.userId;
+        const authenticatedUserId = req.user.id;
         
         if (!content || !content.trim()) {
           return res.status(400).json({ success: false, error: 'Content is required' });
@@ -1477,7 +1627,7 @@ class AIActionsServer {
           fromName: 'Brain Dump',
           chatName: 'Notes',
           body: content.trim(),
-          timestamp: Date.now(),
+          timestamp: Math.floor(Date.now() / 1000),
           type: 'text',
           isGroup: false,
           fromMe: true, // Mark as from user (like outgoing WhatsApp message)
@@ -1488,7 +1638,7 @@ class AIActionsServer {
 
         // Process through AI like a WhatsApp message
         const AIProcessor = require('./aiProcessor');
-        const aiProcessor = new AIProcessor();
+        const aiProcessor = new AIProcessor({ apiKey: this.config.openai.apiKey });
         
         // Get recent conversation history for context
         const recentActions = await this.db.query(
@@ -1503,7 +1653,9 @@ class AIActionsServer {
         const results = await aiProcessor.processMessageWithHistory(
           fakeMessageData, 
           conversationHistory, 
-          duplicateSignatures
+          duplicateSignatures,
+          null,
+          { timeZone: req.user.timezone }
         );
 
         let createdActions = [];
@@ -1534,8 +1686,13 @@ class AIActionsServer {
               createdActions.push(actionRecord.rows[0]);
               console.log(`✅ AI Action created from brain dump: ${actionResult.type} - ${actionResult.description}`);
               
-              // Send OneSignal notification
-              await this.sendActionNotification(actionRecord.rows[0], authenticatedUserId);
+              // Notify the user
+              await this.notificationService.notifyAction(authenticatedUserId, {
+                actionId,
+                type: actionResult.type,
+                description: actionResult.description,
+                priority: actionResult.details?.priority
+              });
               
               // Emit to frontend
               if (this.userSockets.has(authenticatedUserId)) {
@@ -1576,7 +1733,152 @@ class AIActionsServer {
       }
     });
 
-    // Include Internal Items API routes
+    // ================================
+    // ADMIN API ENDPOINTS
+    // ================================
+
+    const requireAdmin = requireRole('admin');
+
+    this.app.get('/api/admin/authorized-numbers', requireAdmin, async (req, res) => {
+      try {
+        const numbers = await this.authorizedNumbersManager.listNumbers({
+          includeInactive: req.query.includeInactive !== 'false'
+        });
+        res.json({ success: true, numbers });
+      } catch (error) {
+        console.error('Error listing authorized phone numbers:', error);
+        res.status(500).json({ success: false, error: 'Failed to list authorized phone numbers' });
+      }
+    });
+
+    this.app.post('/api/admin/authorized-numbers', requireAdmin, async (req, res) => {
+      try {
+        const { phoneNumber, name, notes } = req.body;
+
+        if (!phoneNumber) {
+          return res.status(400).json({ success: false, error: 'Phone number is required' });
+        }
+
+        const number = await this.authorizedNumbersManager.addNumber({ phoneNumber, name, notes }, req.user.id);
+        res.status(201).json({ success: true, number });
+      } catch (error) {
+        console.error('Error adding authorized phone number:', error.message);
+        sendError(res, error, 'Failed to add authorized phone number');
+      }
+    });
+
+    this.app.put('/api/admin/authorized-numbers/:id', requireAdmin, async (req, res) => {
+      try {
+        const { name, notes } = req.body;
+        const number = await this.authorizedNumbersManager.updateNumber(req.params.id, { name, notes }, req.user.id);
+        res.json({ success: true, number });
+      } catch (error) {
+        console.error('Error updating authorized phone number:', error.message);
+        sendError(res, error, 'Failed to update authorized phone number');
+      }
+    });
+
+    this.app.post('/api/admin/authorized-numbers/:id/deactivate', requireAdmin, async (req, res) => {
+      try {
+        const number = await this.authorizedNumbersManager.deactivateNumber(req.params.id, req.user.id, {
+          reason: req.body.reason
+        });
+
+        // Cut off everything the number still has running
+        const userResult = await this.db.query(
+          `SELECT id FROM users WHERE regexp_replace(phone_number, '[^0-9]', '', 'g') = regexp_replace($1, '[^0-9]', '', 'g')`,
+          [number.phone_number]
+        );
+        if (userResult.rows.length > 0) {
+          const userId = userResult.rows[0].id;
+          await this.sessionManager.destroyUserSession(userId, { reason: 'number_deactivated' });
+          await this.authSessionManager.revokeAllSessions(userId, 'number_deactivated');
+          this.disconnectSockets(`user:${userId}`);
+        }
+
+        res.json({ success: true, number });
+      } catch (error) {
+        console.error('Error deactivating authorized phone number:', error.message);
+        sendError(res, error, 'Failed to deactivate authorized phone number');
+      }
+    });
+
+    this.app.post('/api/admin/authorized-numbers/:id/reactivate', requireAdmin, async (req, res) => {
+      try {
+        const number = await this.authorizedNumbersManager.reactivateNumber(req.params.id, req.user.id, {
+          reason: req.body.reason
+        });
+        res.json({ success: true, number });
+      } catch (error) {
+        console.error('Error reactivating authorized phone number:', error.message);
+        sendError(res, error, 'Failed to reactivate authorized phone number');
+      }
+    });
+
+    this.app.get('/api/admin/authorized-numbers/audit', requireAdmin, async (req, res) => {
+      try {
+        const { phoneNumber, limit, offset } = req.query;
+        const entries = await this.authorizedNumbersManager.getAuditLog({
+          phoneNumber,
+          limit: limit ? parseInt(limit) : 100,
+          offset: offset ? parseInt(offset) : 0
+        });
+        res.json({ success: true, entries });
+      } catch (error) {
+        console.error('Error getting authorized phone number audit log:', error);
+        res.status(500).json({ success: false, error: 'Failed to get audit log' });
+      }
+    });
+
+    this.app.get('/api/admin/whatsapp/sessions', requireAdmin, async (req, res) => {
+      try {
+        const result = await this.db.query('SELECT id, phone_number, name FROM users ORDER BY id');
+        const sessions = result.rows.map(user => ({
+          ...this.sessionManager.supervisor.getStatus(user.id),
+          phoneNumber: user.phone_number,
+          name: user.name,
+          connected: this.sessionManager.getUserSession(user.id)?.isConnected || false
+        }));
+        res.json({ success: true, sessions });
+      } catch (error) {
+        console.error('Error listing WhatsApp sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list WhatsApp sessions' });
+      }
+    });
+
+    // Progress of the startup session boot queue
+    this.app.get('/api/admin/whatsapp/boot', requireAdmin, (req, res) => {
+      res.json({ success: true, boot: this.sessionBootQueue.getStatus() });
+    });
+
+    this.app.get('/api/admin/whatsapp/sessions/:userId/events', requireAdmin, async (req, res) => {
+      try {
+        const userId = parseInt(req.params.userId);
+        const events = await this.sessionManager.supervisor.getHistory(userId, req.query.limit || 100);
+        res.json({ success: true, session: this.sessionManager.supervisor.getStatus(userId), events });
+      } catch (error) {
+        console.error('Error getting WhatsApp session events:', error);
+        res.status(500).json({ success: false, error: 'Failed to get WhatsApp session events' });
+      }
+    });
+
+    this.app.post('/api/admin/whatsapp/sessions/:userId/reconnect', requireAdmin, async (req, res) => {
+      try {
+        const userId = parseInt(req.params.userId);
+        const result = await this.db.query('SELECT phone_number FROM users WHERE id = $1', [userId]);
+        if (result.rows.length === 0) {
+          return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        await this.sessionManager.supervisor.reconnect(userId, result.rows[0].phone_number);
+        res.json({ success: true, session: this.sessionManager.supervisor.getStatus(userId) });
+      } catch (error) {
+        console.error('Error reconnecting WhatsApp session:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to reconnect WhatsApp session' });
+      }
+    });
+
+    // Include Internal Items API routes (protected by the /api auth middleware above)
     const internalItemsAPI = require('./internalItemsAPI');
     this.app.use('/api/internal-items', internalItemsAPI);
   }
@@ -1591,7 +1893,8 @@ class AIActionsServer {
           return next(new Error('Authentication token required'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        // Rejects expired tokens and tokens whose session was revoked
+        const decoded = await this.authSessionManager.verifyAccessToken(token);
         const user = await this.db.query(
           'SELECT * FROM users WHERE id = $1',
           [decoded.userId]
@@ -1602,10 +1905,11 @@ class AIActionsServer {
         }
 
         socket.userId = decoded.userId;
+        socket.sessionId = decoded.sid;
         socket.user = user.rows[0];
         next();
       } catch (error) {
-        next(new Error('Invalid token'));
+        next(new Error(error.code === 'session_revoked' ? 'Session revoked' : 'Invalid token'));
       }
     });
 
@@ -1615,9 +1919,15 @@ class AIActionsServer {
       
       // Store user socket mapping
       this.userSockets.set(userId, socket);
+      this.touchUserActivity(userId);
+
+      // Rooms used to force-disconnect on logout
+      socket.join(`user:${userId}`);
+      socket.join(`session:${socket.sessionId}`);
       
       // Get user's session
       const userSession = this.sessionManager.getUserSession(userId);
+      socket.emit('sessionState', this.sessionManager.supervisor.getStatus(userId));
       
       if (userSession) {
         socket.emit('status', {
@@ -1691,9 +2001,9 @@ class AIActionsServer {
 
       socket.on('requestPairingCode', async () => {
         const userSession = this.sessionManager.getUserSession(userId);
-        if (userSession && userSession.client && !userSession.isConnected) {
+        if (userSession && userSession.transport && !userSession.isConnected) {
           try {
-            const code = await userSession.client.requestPairingCode(socket.user.phone_number);
+            const code = await userSession.transport.requestPairingCode(socket.user.phone_number);
             userSession.pairingCode = code;
             socket.emit('pairingCode', code);
           } catch (error) {
@@ -1704,21 +2014,34 @@ class AIActionsServer {
 
       socket.on('disconnect', () => {
         console.log(`Frontend disconnected for user ${userId}`);
-        this.userSockets.delete(userId);
+        // Another device may have connected since - only drop the mapping if it is still ours
+        if (this.userSockets.get(userId) === socket) {
+          this.userSockets.delete(userId);
+        }
       });
     });
   }
 
 
+  // Force-disconnect every socket in a room (a user or a single auth session)
+  disconnectSockets(room) {
+    this.io.in(room).disconnectSockets(true);
+  }
+
   async cleanup() {
     console.log('Cleaning up...');
+
+    this.emailIngestor.stop();
+    this.sessionManager.quietHours.stop();
+    this.notificationService.stop();
+    this.reminderScheduler.stop();
     
     // Clean up all user sessions
     if (this.sessionManager) {
       const sessions = this.sessionManager.getAllSessions();
       for (const session of sessions) {
         try {
-          await this.sessionManager.destroyUserSession(session.userId);
+          await this.sessionManager.destroyUserSession(session.userId, { reason: 'server_shutdown' });
         } catch (error) {
           console.error(`Error destroying session for user ${session.userId}:`, error);
         }
@@ -1782,5 +2105,21 @@ class AIActionsServer {
   }
 }
 
-const server = new AIActionsServer();
-server.start();
\ No newline at end of file
+module.exports = AIActionsServer;
+
+// Started directly (node/pm2); tests require the class without starting it
+if (require.main === module) {
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  const server = new AIActionsServer(config);
+  server.start(config.port);
+}
\ No newline at end of file
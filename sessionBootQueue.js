@@ -0,0 +1,117 @@
+// Boot statuses whose counter name differs from the status itself
+const COUNT_KEYS = { timed_out: 'timedOut', started_on_connect: 'startedOnConnect' };
+
+/**
+ * Starts existing users' WhatsApp sessions on server start without launching every browser at once.
+ * At most `concurrency` clients initialize in parallel, most recently active users first.
+ * Users inactive for `lazyAfterDays` are skipped; their session starts when they next connect.
+ */
+class SessionBootQueue {
+  constructor(sessionManager, options = {}) {
+    this.sessionManager = sessionManager;
+    this.concurrency = options.concurrency || 2;
+    this.bootTimeoutMs = options.bootTimeoutMs || 2 * 60 * 1000;
+    this.lazyAfterDays = options.lazyAfterDays || 14;
+    this.entries = [];
+    this.startedAt = null;
+    this.finishedAt = null;
+  }
+
+  /**
+   * Boot sessions for `users` ({ id, phone_number, last_active_at }).
+   * Resolves once every eager session has started, failed or timed out.
+   */
+  async run(users) {
+    const lazyCutoff = Date.now() - this.lazyAfterDays * 24 * 60 * 60 * 1000;
+
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.entries = users
+      .map(user => ({
+        userId: user.id,
+        phoneNumber: user.phone_number,
+        lastActiveAt: user.last_active_at ? new Date(user.last_active_at) : null,
+        status: 'queued',
+        error: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+      .sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+
+    for (const entry of this.entries) {
+      if (!entry.lastActiveAt || entry.lastActiveAt.getTime() < lazyCutoff) {
+        entry.status = 'deferred';
+      }
+    }
+
+    const queue = this.entries.filter(entry => entry.status === 'queued');
+    console.log(`👥 Booting ${queue.length} WhatsApp session(s), ${this.entries.length - queue.length} deferred until the user connects (concurrency ${this.concurrency})`);
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        await this.boot(queue.shift());
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+    this.finishedAt = new Date();
+    const { started, failed, timedOut } = this.getStatus().counts;
+    console.log(`🎉 Session boot finished: ${started} started, ${failed} failed, ${timedOut} still initializing`);
+  }
+
+  async boot(entry) {
+    entry.status = 'booting';
+    entry.startedAt = new Date();
+    console.log(`🚀 Creating session for user ${entry.userId} (${entry.phoneNumber})`);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), this.bootTimeoutMs);
+    });
+
+    try {
+      // A slow client gives up its slot after bootTimeoutMs; the supervisor keeps watching it
+      const result = await Promise.race([
+        this.sessionManager.createUserSession(entry.userId, entry.phoneNumber),
+        timeout
+      ]);
+      entry.status = result === 'timeout' ? 'timed_out' : 'started';
+    } catch (error) {
+      console.error(`❌ Failed to create session for user ${entry.userId}:`, error.message);
+      entry.status = 'failed';
+      entry.error = error.message;
+    } finally {
+      clearTimeout(timer);
+      entry.finishedAt = new Date();
+    }
+  }
+
+  getStatus() {
+    const counts = { queued: 0, booting: 0, started: 0, failed: 0, timedOut: 0, deferred: 0, startedOnConnect: 0 };
+
+    const users = this.entries.map(entry => {
+      // Deferred users whose session was started by their own connection since
+      const status = entry.status === 'deferred' && this.sessionManager.getUserSession(entry.userId)
+        ? 'started_on_connect'
+        : entry.status;
+
+      counts[COUNT_KEYS[status] || status] += 1;
+
+      return { ...entry, status };
+    });
+
+    return {
+      running: this.startedAt !== null && this.finishedAt === null,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      concurrency: this.concurrency,
+      lazyAfterDays: this.lazyAfterDays,
+      total: this.entries.length,
+      counts,
+      users
+    };
+  }
+}
+
+module.exports = SessionBootQueue;
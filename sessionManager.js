@@ -1,22 +1,58 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
-const path = require('path');
-const fs = require('fs');
 const { Pool } = require('pg');
+const { PostgresSessionStore, createAuthStrategy } = require('./sessionStore');
+const SessionSupervisor = require('./sessionSupervisor');
+const MessageCatchUp = require('./messageCatchUp');
+const MediaProcessor = require('./mediaProcessor');
+const MonitoringRules = require('./monitoringRules');
+const QuietHours = require('./quietHours');
+const UserDevices = require('./userDevices');
+const UserSettings = require('./userSettings');
+const { createMediaProvider } = require('./mediaProviders');
+const { createTransport } = require('./transports');
+const { getSkipReason } = require('./transports/messageNormalizer');
 
 class SessionManager {
-  constructor() {
+  constructor(config) {
+    this.config = config;
     this.sessions = new Map(); // userId -> session data
+    this.expectedOwnMessages = new Map(); // userId -> Map(text -> expiry), messages the server sent as the user
     
     // Database connection - initialize first
     this.db = new Pool({
-      connectionString: process.env.DATABASE_URL
+      connectionString: config.databaseUrl
     });
+
+    // Only used when sessions are kept in the database
+    this.sessionStore = new PostgresSessionStore(this.db);
+
+    // Restarts dropped sessions and records why they went down
+    this.supervisor = new SessionSupervisor(this, this.db, config.sessionSupervisor);
+
+    // Reads back messages missed while a session was down
+    this.catchUp = new MessageCatchUp(this, this.db, config.catchUp);
     
     // Initialize processors with database connection
-    this.aiProcessor = new (require('./aiProcessor'))();
-    this.chatProcessor = new (require('./chatProcessor'))();
-    this.messageGrouper = new (require('./messageGrouper'))(this.aiProcessor, this.db);
+    this.aiProcessor = new (require('./aiProcessor'))({ apiKey: config.openai.apiKey });
+    this.quietHours = new QuietHours(this.db, { defaultTimezone: config.defaultTimezone });
+    this.userDevices = new UserDevices(this.db);
+    this.userSettings = new UserSettings(this.db, {
+      defaultTimezone: config.defaultTimezone,
+      defaultLocale: config.defaultLocale
+    });
+    this.chatProcessor = new (require('./chatProcessor'))({ apiKey: config.openai.apiKey });
+    // Which chats, contacts and keywords each user wants analysed
+    this.monitoringRules = new MonitoringRules(this.db);
+    this.mediaProcessor = new MediaProcessor(
+      this.db,
+      createMediaProvider(config.media.provider, { apiKey: config.openai.apiKey }),
+      config.media
+    );
+    this.messageGrouper = new (require('./messageGrouper'))(this.aiProcessor, this.db, {
+      ...config.grouper,
+      defaultTimezone: config.defaultTimezone,
+      userSettings: this.userSettings
+    });
 
     // Setup periodic cleanup for message grouper
     setInterval(() => {
@@ -41,81 +77,14 @@ class SessionManager {
         connected: false 
       });
       
-      // Create unique session directory for this user
-      const sessionDir = path.join(__dirname, 'wwebjs_auth', `session-${userId}`);
-      
-      // Ensure directory exists
-      if (!fs.existsSync(sessionDir)) {
-        fs.mkdirSync(sessionDir, { recursive: true });
-      }
-
-      // Clean up any existing lock files for this user
-      const lockPath = path.join(sessionDir, 'SingletonLock');
-      if (fs.existsSync(lockPath)) {
-        fs.unlinkSync(lockPath);
-        console.log(`Removed existing lock file for user ${userId}`);
-      }
-
-      // Create WhatsApp client for this user
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: `ai-actions-client-${userId}`,
-          dataPath: sessionDir
-        }),
-        authTimeoutMs: 20000,
-        takeoverOnConflict: true,
-        restartOnAuthFail: true,
-        puppeteer: {
-          headless: true,
-          executablePath: process.env.CHROME_PATH || "/usr/bin/google-chrome",
-          ignoreHTTPSErrors: true,
-          args: [
-            "--no-sandbox",
-            "--disable-setuid-sandbox",
-            "--disable-extensions",
-            "--disable-gpu",
-            "--disable-accelerated-2d-canvas",
-            "--no-first-run",
-            "--no-zygote",
-            "--disable-dev-shm-usage",
-            "--unhandled-rejections=strict",
-            "--disable-gpu-driver-bug-workarounds",
-            "--log-level=3",
-            "--no-default-browser-check",
-            "--disable-site-isolation-trials",
-            "--no-experiments",
-            "--ignore-gpu-blacklist",
-            "--ignore-certificate-errors",
-            "--ignore-certificate-errors-spki-list",
-            "--disable-default-apps",
-            "--enable-features=NetworkService",
-            "--disable-webgl",
-            "--disable-threaded-animation",
-            "--disable-threaded-scrolling",
-            "--disable-in-process-stack-traces",
-            "--disable-histogram-customizer",
-            "--disable-gl-extensions",
-            "--disable-composited-antialiasing",
-            "--disable-canvas-aa",
-            "--disable-3d-apis",
-            "--disable-accelerated-jpeg-decoding",
-            "--disable-accelerated-mjpeg-decode",
-            "--disable-app-list-dismiss-on-blur",
-            "--disable-accelerated-video-decode",
-          ],
-          timeout: 120000,
-        },
-        webVersionCache: {
-          type: 'remote',
-          remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-        }
-      });
+      // Create the messaging transport for this user
+      const transport = this.createTransport(userId, phoneNumber);
 
       // Create session data object
       const sessionData = {
         userId,
         phoneNumber,
-        client,
+        transport,
         isConnected: false,
         currentQRCode: null,
         pairingCode: null,
@@ -128,8 +97,9 @@ class SessionManager {
 
       // Store session
       this.sessions.set(userId, sessionData);
+      this.supervisor.watch(sessionData);
 
-      // Initialize the client
+      // Start the transport
       try {
         this.emitToUser(userId, 'status', { 
           status: 'initializing', 
@@ -137,7 +107,7 @@ class SessionManager {
           connected: false 
         });
         
-        await client.initialize();
+        await transport.connect();
         console.log(`WhatsApp client initialization started for user ${userId}`);
         
         this.emitToUser(userId, 'status', { 
@@ -152,6 +122,9 @@ class SessionManager {
           message: 'Failed to start WhatsApp client',
           connected: false 
         });
+        if (!sessionData.isDestroying) {
+          this.supervisor.handleCrash(userId, `init_error: ${error.message}`);
+        }
         throw error;
       }
 
@@ -162,10 +135,27 @@ class SessionManager {
     }
   }
 
+  createTransport(userId, phoneNumber) {
+    const type = this.config.messagingTransport;
+
+    if (type === 'memory') {
+      return createTransport(type, userId, { phoneNumber });
+    }
+
+    return createTransport(type, userId, {
+      authStrategy: createAuthStrategy(userId, {
+        type: this.config.whatsappSessions.store,
+        store: this.sessionStore,
+        backupSyncIntervalMs: this.config.whatsappSessions.backupIntervalMs
+      }),
+      chromePath: this.config.chromePath
+    });
+  }
+
   setupSessionEventHandlers(sessionData) {
-    const { client, userId } = sessionData;
+    const { transport, userId } = sessionData;
 
-    client.on('qr', (qr) => {
+    transport.on('qr', (qr) => {
      // console.log(`QR Code received for user ${userId}`);
       sessionData.currentQRCode = qr;
       
@@ -183,7 +173,7 @@ class SessionManager {
      // qrcode.generate(qr, { small: true });
     });
 
-    client.on('ready', () => {
+    transport.on('ready', () => {
       console.log(`WhatsApp Client is ready for user ${userId}!`);
       sessionData.isConnected = true;
       sessionData.currentQRCode = null;
@@ -199,250 +189,107 @@ class SessionManager {
       
       this.emitToUser(userId, 'connected');
       console.log(`AI Actions is now monitoring messages for user ${userId}...`);
+
+      this.catchUp.run(sessionData);
     });
 
-    client.on('authenticated', () => {
+    transport.on('authenticated', () => {
       console.log(`WhatsApp Client authenticated for user ${userId}`);
     });
 
-    client.on('auth_failure', (msg) => {
+    transport.on('auth_failure', (msg) => {
       console.error(`Authentication failed for user ${userId}:`, msg);
       this.emitToUser(userId, 'authError', msg);
     });
 
-    client.on('disconnected', (reason) => {
+    transport.on('disconnected', (reason) => {
       console.log(`WhatsApp Client disconnected for user ${userId}:`, reason);
       sessionData.isConnected = false;
       this.emitToUser(userId, 'disconnected', reason);
     });
 
-    client.on('message', async (message) => {
-      try {
-        // Early validation to skip problematic messages
-        if (!message || !message.id) {
-          console.log(`Message without proper structure - skipping processing`);
-          return;
-        }
-        
-        // Safely get contact and chat information with error handling
-        let contact = null;
-        let chat = null;
-        
-        try {
-          // First get chat to determine if it's a group
-          chat = await message.getChat();
-          
-          // For group messages, skip contact resolution if it's problematic
-          if (chat && chat.isGroup) {
-            // In groups, use message author or from for contact info without calling getContact()
-            const contactId = message.author || message.from || 'unknown';
-            contact = {
-              number: contactId,
-              name: `Group Member (${contactId})`,
-              pushname: `Group Member (${contactId})`
-            };
-          } else if (message.author || message.from) {
-            contact = await message.getContact();
-          } else {
-            throw new Error('No contact ID available');
-          }
-        } catch (error) {
-          console.warn(`Could not get contact/chat for incoming message: ${error.message}`);
-          // Create fallback objects
-          const phoneNumber = message.from || message.author || 'unknown';
-          const isFromMe = message.fromMe;
-          
-          contact = {
-            number: phoneNumber,
-            name: isFromMe ? 'You' : phoneNumber.replace('@c.us', ''),
-            pushname: isFromMe ? 'You' : phoneNumber.replace('@c.us', '')
-          };
-          if (!chat) {
-            chat = {
-              name: 'Unknown Chat',
-              isGroup: false
-            };
-          }
-        }
-        
-        const messageData = {
-          id: message.id?._serialized || `fallback_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-          from: contact?.number || message.from || message.author || 'unknown',
-          fromName: this.getDisplayName(contact, message),
-          chatName: chat?.name || 'Unknown Chat',
-          body: message.body || '',
-          timestamp: message.timestamp || Date.now(),
-          type: message.type || 'text',
-          isGroup: chat?.isGroup || false,
-          fromMe: message.fromMe || false,
-          userId: userId // Add user context
-        };
-
-        console.log(`${message.fromMe ? 'Outgoing' : 'Incoming'} message for user ${userId}:`, messageData);
-        
-        // Only process incoming messages in the message event (outgoing handled in message_create)
-        if (message.fromMe) {
-          console.log(`Outgoing message - handled by message_create event, skipping...`);
-          return;
-        }
-        
-        // Filter out problematic messages early
-        if (!message.id || !message.id._serialized) {
-          console.log(`Message without proper ID structure - skipping processing`);
-          return;
-        }
-        
-        // Filter out status messages before processing
-        if (messageData.from && messageData.from.includes("status")) {
-          console.log(`Status message filtered out - skipping processing`);
-          return;
-        }
-        
-        // Filter out system messages or messages without body
-        if (!messageData.body || messageData.body.trim() === '') {
-          console.log(`Empty message body - skipping processing`);
-          return;
-        }
-        
-        // Note: Removed pre-filtering of group messages - let AI decide if message is relevant
-        
-        // Check if we already processed this message for this user
-        const existingActions = await this.db.query(
-          'SELECT * FROM ai_actions WHERE original_message->>\'id\' = $1 AND user_id = $2',
-          [messageData.id, userId]
-        );
-        
-        if (existingActions.rows.length > 0) {
-          console.log(`Message ${messageData.id} already processed for user ${userId}, skipping...`);
-          return;
-        }
-        
-        // Process message with enhanced grouper that handles delay and deduplication
-        await this.messageGrouper.processMessage(messageData, userId, this.emitToUser.bind(this));
-        
-        // Update last activity
-        sessionData.lastActivity = new Date();
-        
-      } catch (error) {
-        console.error(`Error processing incoming message for user ${userId}:`, error.message);
-        // Don't crash the session - just log the error and continue
-        if (error.message && error.message.includes('Data passed to getter must include an id property')) {
-          console.warn(`Skipping message due to WhatsApp Web.js contact/chat data issue - this is common in groups`);
-        }
-      }
+    transport.on('crashed', () => {
+      sessionData.isConnected = false;
     });
 
-    // Handle outgoing messages specifically (message_create event)
-    client.on('message_create', async (message) => {
-      try {
-        // Only process outgoing messages
-        if (!message.fromMe) {
-          return;
-        }
+    transport.on('message', (messageData) => this.handleMessage(sessionData, messageData));
+  }
 
-        // Early validation to skip problematic messages
-        if (!message || !message.id) {
-          console.log(`Outgoing message without proper structure - skipping processing`);
-          return;
-        }
+  async handleMessage(sessionData, messageData) {
+    if (await this.ingestMessage(sessionData.userId, messageData, { transport: sessionData.transport })) {
+      // Update last activity
+      sessionData.lastActivity = new Date();
+    }
+    await this.catchUp.recordSeen(sessionData.userId, messageData);
+  }
 
-        // Safely get contact and chat information with error handling
-        let contact = null;
-        let chat = null;
-        
-        try {
-          // First get chat to determine if it's a group
-          chat = await message.getChat();
-          
-          // For group messages, skip contact resolution if it's problematic
-          if (chat && chat.isGroup) {
-            // In groups, use message author or from for contact info without calling getContact()
-            const contactId = message.author || message.from || 'unknown';
-            contact = {
-              number: contactId,
-              name: `Group Member (${contactId})`,
-              pushname: `Group Member (${contactId})`
-            };
-          } else if (message.author || message.from) {
-            contact = await message.getContact();
-          } else {
-            throw new Error('No contact ID available');
-          }
-        } catch (error) {
-          console.warn(`Could not get contact/chat for outgoing message: ${error.message}`);
-          // Create fallback objects
-          contact = {
-            number: message.from || message.author || 'unknown',
-            name: 'Unknown Contact',
-            pushname: 'Unknown'
-          };
-          if (!chat) {
-            chat = {
-              name: 'Unknown Chat',
-              isGroup: false
-            };
-          }
-        }
-        
-        const messageData = {
-          id: message.id?._serialized || `fallback_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-          from: contact?.number || message.from || message.author || 'unknown',
-          fromName: this.getDisplayName(contact, message),
-          chatName: chat?.name || 'Unknown Chat',
-          body: message.body || '',
-          timestamp: message.timestamp || Date.now(),
-          type: message.type || 'text',
-          isGroup: chat?.isGroup || false,
-          fromMe: message.fromMe || false,
-          userId: userId
-        };
-
-        console.log(`Outgoing message created for user ${userId}:`, messageData);
-        
-        // Filter out problematic messages early
-        if (!message.id || !message.id._serialized) {
-          console.log(`Outgoing message without proper ID structure - skipping processing`);
-          return;
-        }
-        
-        // Filter out status messages before processing
-        if (messageData.from && messageData.from.includes("status")) {
-          console.log(`Status message filtered out - skipping processing`);
-          return;
-        }
-        
-        // Filter out system messages or messages without body
-        if (!messageData.body || messageData.body.trim() === '') {
-          console.log(`Empty outgoing message body - skipping processing`);
-          return;
-        }
-        
-        // Check if we already processed this message for this user
-        const existingActions = await this.db.query(
-          'SELECT * FROM ai_actions WHERE original_message->>\'id\' = $1 AND user_id = $2',
-          [messageData.id, userId]
-        );
-        
-        if (existingActions.rows.length > 0) {
-          console.log(`Message ${messageData.id} already processed for user ${userId}, skipping...`);
-          return;
-        }
-        
-        // Process outgoing message with enhanced grouper
-        await this.messageGrouper.processMessage(messageData, userId, this.emitToUser.bind(this));
-        
-        // Update last activity
-        sessionData.lastActivity = new Date();
-        
-      } catch (error) {
-        console.error(`Error processing outgoing message for user ${userId}:`, error.message);
-        // Don't crash the session - just log the error and continue
-        if (error.message && error.message.includes('Data passed to getter must include an id property')) {
-          console.warn(`Skipping outgoing message due to WhatsApp Web.js contact/chat data issue - this is common in groups`);
-        }
+  // Feed a normalized message from any source into the AI pipeline. Resolves true if it was queued.
+  // `transport` is where media attached to the message can be downloaded from.
+  async ingestMessage(userId, messageData, { transport = null } = {}) {
+    const label = messageData.fromMe ? 'Outgoing' : 'Incoming';
+
+    try {
+      // Messages the server sent itself (login codes, notifications) are not logged in full
+      if (messageData.fromMe && this.consumeOwnMessage(userId, messageData.body)) {
+        console.log(`${label} ${messageData.source} message for user ${userId} was sent by the server - skipping processing`);
+        return false;
+      }
+
+      console.log(`${label} ${messageData.source} message for user ${userId}:`, messageData);
+
+      const skipReason = getSkipReason(messageData);
+      if (skipReason) {
+        console.log(`${skipReason} - skipping processing`);
+        return false;
+      }
+
+      // The user's allow/deny rules. Keyword rules may only match text still to be extracted from media.
+      const ruleContext = { ownNumber: this.sessions.get(userId)?.phoneNumber };
+      let verdict = await this.monitoringRules.evaluate(userId, messageData, ruleContext);
+      const waitForMediaText = !verdict.monitored && verdict.reason === 'not_allowed' &&
+        messageData.hasMedia && await this.monitoringRules.hasKeywordRules(userId);
+      if (!verdict.monitored && !waitForMediaText) {
+        console.log(`Message ${messageData.id} not monitored (${verdict.reason}${verdict.ruleId ? `, rule ${verdict.ruleId}` : ''}) - skipping processing`);
+        return false;
+      }
+      
+      // Check if we already processed this message for this user
+      const existingActions = await this.db.query(
+        'SELECT * FROM ai_actions WHERE original_message->>\'id\' = $1 AND user_id = $2',
+        [messageData.id, userId]
+      );
+      
+      if (existingActions.rows.length > 0) {
+        console.log(`Message ${messageData.id} already processed for user ${userId}, skipping...`);
+        return false;
+      }
+
+      // Voice notes, images and documents: analyse the text extracted from them
+      if (messageData.hasMedia && transport) {
+        messageData = await this.mediaProcessor.process(userId, messageData, transport);
+      }
+
+      if (!messageData.body || messageData.body.trim() === '') {
+        console.log('No text in message or its media - skipping processing');
+        return false;
       }
-    });
 
+      if (messageData.hasMedia && await this.monitoringRules.hasKeywordRules(userId)) {
+        verdict = await this.monitoringRules.evaluate(userId, messageData, ruleContext);
+        if (!verdict.monitored) {
+          console.log(`Message ${messageData.id} not monitored after reading its media (${verdict.reason}) - skipping processing`);
+          return false;
+        }
+      }
+      
+      // Process message with enhanced grouper that handles delay and deduplication
+      await this.messageGrouper.processMessage(messageData, userId, this.emitToUser.bind(this));
+      return true;
+    } catch (error) {
+      console.error(`Error processing ${label.toLowerCase()} message for user ${userId}:`, error.message);
+      // Don't crash the session - just log the error and continue
+      return false;
+    }
   }
 
   generateActionContent(action, messageData) {
@@ -458,23 +305,6 @@ class SessionManager {
     }
   }
 
-  extractDatetime(messageBody) {
-    // Simple datetime extraction - you can make this more sophisticated
-    const timeRegex = /(\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))/g;
-    const dateRegex = /(esok|tomorrow|today|hari ini|next week|minggu depan)/gi;
-    
-    const timeMatch = messageBody.match(timeRegex);
-    const dateMatch = messageBody.match(dateRegex);
-    
-    if (timeMatch || dateMatch) {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      return tomorrow.toISOString();
-    }
-    
-    return null;
-  }
-
   deduplicateActions(actions) {
     // Group actions by type and select the highest confidence one
     const actionMap = new Map();
@@ -506,17 +336,19 @@ class SessionManager {
     return Array.from(this.sessions.values());
   }
 
-  async destroyUserSession(userId) {
+  // `restarting` keeps the supervisor's state so the session comes back under the same backoff
+  async destroyUserSession(userId, { restarting = false, reason = 'stopped' } = {}) {
     try {
+      if (!restarting) {
+        this.supervisor.stop(userId, reason);
+      }
+
       const session = this.sessions.get(userId);
-      if (session && session.client) {
+      if (session && session.transport) {
         console.log(`Destroying WhatsApp session for user ${userId}`);
+        session.isDestroying = true;
         
-        const browser = session.client.pupPage?.browser();
-        if (browser) {
-          await browser.close().catch((err) => console.log(`Browser close error for user ${userId}:`, err));
-        }
-        await session.client.destroy().catch((err) => console.log(`Client destroy error for user ${userId}:`, err));
+        await session.transport.disconnect().catch((err) => console.log(`Transport disconnect error for user ${userId}:`, err));
         
         this.sessions.delete(userId);
         console.log(`Session destroyed for user ${userId}`);
@@ -539,40 +371,41 @@ class SessionManager {
 
     for (const userId of inactiveSessions) {
       console.log(`Cleaning up inactive session for user ${userId}`);
-      await this.destroyUserSession(userId);
+      await this.destroyUserSession(userId, { reason: 'inactive' });
     }
 
     return inactiveSessions.length;
   }
 
-  getDisplayName(contact, message) {
-    // Try to get a proper display name
-    let displayName = contact?.name || contact?.pushname;
-    
-    if (!displayName || displayName === 'Unknown Contact' || displayName === 'Unknown') {
-      if (message.fromMe) {
-        displayName = 'You';
-      } else {
-        // Clean up the phone number for display
-        const phoneNumber = contact?.number || message.from || message.author || 'unknown';
-        displayName = phoneNumber.replace('@c.us', '');
-      }
-    }
-    
-    return displayName;
-  }
-
   setSocketIO(io, userSockets) {
     this.io = io;
     this.userSockets = userSockets;
   }
 
-  setOneSignalClient(oneSignalClient) {
-    this.oneSignalClient = oneSignalClient;
-    // Pass OneSignal client to messageGrouper
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+    // Pass notification service to messageGrouper
     if (this.messageGrouper) {
-      this.messageGrouper.setOneSignalClient(oneSignalClient);
+      this.messageGrouper.setNotificationService(notificationService);
+    }
+  }
+
+  // The server is about to send `text` from the user's own account; don't analyse it when it echoes back
+  expectOwnMessage(userId, text) {
+    if (!this.expectedOwnMessages.has(userId)) {
+      this.expectedOwnMessages.set(userId, new Map());
+    }
+    this.expectedOwnMessages.get(userId).set(text, Date.now() + 5 * 60 * 1000);
+  }
+
+  consumeOwnMessage(userId, text) {
+    const expected = this.expectedOwnMessages.get(userId);
+    if (!expected) return false;
+
+    for (const [pending, expiresAt] of expected) {
+      if (expiresAt < Date.now()) expected.delete(pending);
     }
+    return expected.delete(text);
   }
 }
 
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+
+// Where whatsapp-web.js keeps browser profiles on this host
+const LOCAL_SESSIONS_DIR = path.join(__dirname, 'wwebjs_auth');
+const REMOTE_WORK_DIR = path.join(__dirname, 'wwebjs_remote');
+
+// Only these profile entries are needed to restore a session (mirrors RemoteAuth)
+const REQUIRED_PROFILE_ENTRIES = ['Default', 'IndexedDB', 'Local Storage'];
+
+function getClientId(userId) {
+  return `ai-actions-client-${userId}`;
+}
+
+function getLocalSessionDir(userId) {
+  return path.join(LOCAL_SESSIONS_DIR, `session-${userId}`);
+}
+
+// Session name RemoteAuth uses for a user - the key in whatsapp_sessions
+function getRemoteSessionName(userId) {
+  return `RemoteAuth-${getClientId(userId)}`;
+}
+
+/**
+ * RemoteAuth store that keeps zipped session profiles in the whatsapp_sessions table.
+ * RemoteAuth hands over archives as `<session>.zip` files in the working directory.
+ */
+class PostgresSessionStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async sessionExists({ session }) {
+    const result = await this.db.query('SELECT 1 FROM whatsapp_sessions WHERE session_name = $1', [session]);
+    return result.rows.length > 0;
+  }
+
+  async save({ session }) {
+    const data = await fs.promises.readFile(`${session}.zip`);
+    await this.saveArchive(session, data);
+  }
+
+  async extract({ session, path: targetPath }) {
+    const result = await this.db.query('SELECT data FROM whatsapp_sessions WHERE session_name = $1', [session]);
+    if (result.rows.length === 0) {
+      throw new Error(`No stored WhatsApp session named ${session}`);
+    }
+    await fs.promises.writeFile(targetPath, result.rows[0].data);
+  }
+
+  async delete({ session }) {
+    await this.db.query('DELETE FROM whatsapp_sessions WHERE session_name = $1', [session]);
+  }
+
+  async saveArchive(session, data) {
+    await this.db.query(
+      `INSERT INTO whatsapp_sessions (session_name, user_id, data, size_bytes)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (session_name) DO UPDATE
+       SET data = EXCLUDED.data, size_bytes = EXCLUDED.size_bytes, updated_at = CURRENT_TIMESTAMP`,
+      [session, this.getUserIdFromSession(session), data, data.length]
+    );
+    console.log(`💾 Stored WhatsApp session ${session} (${Math.round(data.length / 1024)} KB)`);
+  }
+
+  getUserIdFromSession(session) {
+    const match = /ai-actions-client-(\d+)$/.exec(session);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  // Zip a LocalAuth profile folder into the RemoteAuth layout and store it for the user
+  async importLocalSession(userId, sessionDir = getLocalSessionDir(userId)) {
+    const profileDir = path.join(sessionDir, `session-${getClientId(userId)}`);
+
+    if (!fs.existsSync(profileDir)) {
+      throw new Error(`No local WhatsApp profile found at ${profileDir}`);
+    }
+
+    const data = await zipProfile(profileDir);
+    await this.saveArchive(getRemoteSessionName(userId), data);
+    return { session: getRemoteSessionName(userId), sizeBytes: data.length };
+  }
+}
+
+// Build the same archive RemoteAuth would, in memory
+function zipProfile(profileDir) {
+  const archiver = require('archiver');
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('warning', error => console.warn(`⚠️ Session archive warning: ${error.message}`));
+    archive.on('error', reject);
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+    for (const entry of REQUIRED_PROFILE_ENTRIES) {
+      if (entry === 'Default') continue;
+      const entryPath = path.join(profileDir, entry);
+      if (fs.existsSync(entryPath)) archive.directory(entryPath, entry);
+    }
+
+    for (const entry of REQUIRED_PROFILE_ENTRIES) {
+      const entryPath = path.join(profileDir, 'Default', entry);
+      if (fs.existsSync(entryPath)) archive.directory(entryPath, path.posix.join('Default', entry));
+    }
+
+    archive.finalize();
+  });
+}
+
+/**
+ * Auth strategy for a user's WhatsApp client.
+ * `local` (default) keeps the profile on this host's disk, `postgres` backs it up to the database.
+ */
+function createAuthStrategy(userId, { type = 'local', store, backupSyncIntervalMs } = {}) {
+  switch (type) {
+    case 'local': {
+      const sessionDir = getLocalSessionDir(userId);
+
+      // Ensure directory exists
+      if (!fs.existsSync(sessionDir)) {
+        fs.mkdirSync(sessionDir, { recursive: true });
+      }
+
+      // Clean up any existing lock files for this user
+      const lockPath = path.join(sessionDir, 'SingletonLock');
+      if (fs.existsSync(lockPath)) {
+        fs.unlinkSync(lockPath);
+        console.log(`Removed existing lock file for user ${userId}`);
+      }
+
+      return new LocalAuth({
+        clientId: getClientId(userId),
+        dataPath: sessionDir
+      });
+    }
+
+    case 'postgres':
+      if (!store) {
+        throw new Error('The postgres session store requires a store instance');
+      }
+      return new RemoteAuth({
+        clientId: getClientId(userId),
+        dataPath: REMOTE_WORK_DIR,
+        store,
+        backupSyncIntervalMs
+      });
+
+    default:
+      throw new Error(`Unknown WhatsApp session store: ${type}`);
+  }
+}
+
+module.exports = {
+  LOCAL_SESSIONS_DIR,
+  PostgresSessionStore,
+  createAuthStrategy,
+  getLocalSessionDir,
+  getRemoteSessionName
+};
@@ -0,0 +1,252 @@
+// Lifecycle states of a user's WhatsApp session
+const SESSION_STATES = ['initializing', 'qr', 'authenticated', 'ready', 'disconnected', 'failed'];
+
+// Disconnect reasons that need the user to link the device again - restarting won't help
+const TERMINAL_DISCONNECT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+/**
+ * Tracks each WhatsApp session through its state machine and recovers broken ones.
+ * `disconnected` sessions are restarted with exponential backoff; `failed` sessions
+ * need the user (auth failure, logged out) or an admin (too many restarts) to act.
+ * Every transition is stored in whatsapp_session_events.
+ */
+class SessionSupervisor {
+  constructor(sessionManager, db, options = {}) {
+    this.sessionManager = sessionManager;
+    this.db = db;
+    this.baseDelayMs = options.baseDelayMs || 5000;
+    this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+    this.maxRestarts = options.maxRestarts || 8;
+    this.initTimeoutMs = options.initTimeoutMs || 3 * 60 * 1000;
+    this.states = new Map(); // userId -> supervision state
+  }
+
+  // Start supervising a freshly created session
+  watch(sessionData) {
+    const { transport, userId } = sessionData;
+    const previous = this.states.get(userId);
+
+    this.clearTimers(previous);
+    this.states.set(userId, {
+      userId,
+      phoneNumber: sessionData.phoneNumber,
+      state: previous ? previous.state : null,
+      reason: null,
+      since: new Date(),
+      restarts: previous ? previous.restarts : 0,
+      nextRestartAt: null,
+      restartTimer: null,
+      initTimer: null
+    });
+
+    // Ignore events from a client that has since been replaced or torn down on purpose
+    const isCurrent = () => !sessionData.isDestroying && this.sessionManager.getUserSession(userId) === sessionData;
+
+    transport.on('qr', () => {
+      if (!isCurrent()) return;
+      this.disarmInitTimer(userId);
+      this.transition(userId, 'qr');
+    });
+
+    transport.on('authenticated', () => {
+      if (!isCurrent()) return;
+      this.transition(userId, 'authenticated');
+      // Authenticated sessions should reach ready shortly; re-arm in case they hang while syncing
+      this.armInitTimer(userId);
+    });
+
+    transport.on('ready', () => {
+      if (!isCurrent()) return;
+      this.disarmInitTimer(userId);
+      const entry = this.states.get(userId);
+      if (entry) entry.restarts = 0;
+      this.transition(userId, 'ready');
+    });
+
+    transport.on('auth_failure', (message) => {
+      if (!isCurrent()) return;
+      this.fail(userId, `auth_failure: ${message}`);
+    });
+
+    transport.on('disconnected', (reason) => {
+      if (!isCurrent()) return;
+      if (TERMINAL_DISCONNECT_REASONS.includes(reason)) {
+        this.fail(userId, `disconnected: ${reason}`);
+      } else {
+        this.handleCrash(userId, `disconnected: ${reason}`);
+      }
+    });
+
+    // The transport's underlying client died without saying goodbye
+    transport.on('crashed', (reason) => {
+      if (!isCurrent()) return;
+      this.handleCrash(userId, reason);
+    });
+
+    this.transition(userId, 'initializing', previous ? `restart ${previous.restarts}` : null);
+    this.armInitTimer(userId);
+  }
+
+  // The client died or never came up - schedule a restart unless we've given up
+  handleCrash(userId, reason) {
+    const entry = this.states.get(userId);
+    // Failed sessions stay down until someone reconnects them
+    if (!entry || entry.state === 'failed') return;
+
+    this.clearTimers(entry);
+
+    if (entry.restarts >= this.maxRestarts) {
+      this.fail(userId, `${reason} (gave up after ${entry.restarts} restarts)`);
+      return;
+    }
+
+    const delay = this.getBackoffDelay(entry.restarts);
+    entry.restarts += 1;
+    entry.nextRestartAt = new Date(Date.now() + delay);
+    entry.restartTimer = setTimeout(() => this.restart(userId), delay);
+
+    console.log(`🔁 WhatsApp session for user ${userId} down (${reason}), restart ${entry.restarts}/${this.maxRestarts} in ${Math.round(delay / 1000)}s`);
+    this.transition(userId, 'disconnected', reason);
+  }
+
+  fail(userId, reason) {
+    const entry = this.states.get(userId);
+    if (!entry) return;
+
+    this.clearTimers(entry);
+    console.error(`❌ WhatsApp session for user ${userId} failed: ${reason}`);
+    this.transition(userId, 'failed', reason);
+  }
+
+  async restart(userId) {
+    const entry = this.states.get(userId);
+    if (!entry) return;
+
+    entry.restartTimer = null;
+    entry.nextRestartAt = null;
+
+    try {
+      await this.sessionManager.destroyUserSession(userId, { restarting: true });
+      await this.sessionManager.createUserSession(userId, entry.phoneNumber);
+    } catch (error) {
+      // createUserSession reports initialize errors through handleCrash; this covers everything else
+      const current = this.states.get(userId);
+      if (current && !current.restartTimer && current.state !== 'failed') {
+        this.handleCrash(userId, `restart_error: ${error.message}`);
+      }
+    }
+  }
+
+  // Manual restart requested by the user or an admin - starts a fresh backoff cycle
+  async reconnect(userId, phoneNumber) {
+    const entry = this.states.get(userId);
+    if (entry) {
+      this.clearTimers(entry);
+      entry.restarts = 0;
+      entry.phoneNumber = phoneNumber || entry.phoneNumber;
+    }
+
+    await this.sessionManager.destroyUserSession(userId, { restarting: true });
+    return this.sessionManager.createUserSession(userId, phoneNumber || entry?.phoneNumber);
+  }
+
+  // Stop supervising a session that was shut down on purpose
+  stop(userId, reason = 'stopped') {
+    const entry = this.states.get(userId);
+    if (!entry) return;
+
+    this.clearTimers(entry);
+    this.transition(userId, 'disconnected', reason);
+    this.states.delete(userId);
+  }
+
+  getBackoffDelay(restarts) {
+    const delay = Math.min(this.baseDelayMs * 2 ** restarts, this.maxDelayMs);
+    // Jitter so sessions that dropped together don't all restart together
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  armInitTimer(userId) {
+    const entry = this.states.get(userId);
+    if (!entry) return;
+
+    this.disarmInitTimer(userId);
+    entry.initTimer = setTimeout(() => {
+      entry.initTimer = null;
+      this.handleCrash(userId, `stuck_${entry.state}`);
+    }, this.initTimeoutMs);
+  }
+
+  disarmInitTimer(userId) {
+    const entry = this.states.get(userId);
+    if (entry && entry.initTimer) {
+      clearTimeout(entry.initTimer);
+      entry.initTimer = null;
+    }
+  }
+
+  clearTimers(entry) {
+    if (!entry) return;
+    if (entry.initTimer) clearTimeout(entry.initTimer);
+    if (entry.restartTimer) clearTimeout(entry.restartTimer);
+    entry.initTimer = null;
+    entry.restartTimer = null;
+    entry.nextRestartAt = null;
+  }
+
+  transition(userId, state, reason = null) {
+    const entry = this.states.get(userId);
+    if (!entry) return;
+
+    const fromState = entry.state;
+    // WhatsApp refreshes the QR code every few seconds; only the first one is a transition
+    if (fromState === state && entry.reason === reason) return;
+
+    entry.state = state;
+    entry.reason = reason;
+    entry.since = new Date();
+
+    this.db.query(
+      `INSERT INTO whatsapp_session_events (user_id, from_state, to_state, reason, attempt)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, fromState, state, reason, entry.restarts]
+    ).catch(error => console.error(`Failed to record session event for user ${userId}:`, error.message));
+
+    this.sessionManager.emitToUser(userId, 'sessionState', this.getStatus(userId));
+  }
+
+  getStatus(userId) {
+    const entry = this.states.get(userId);
+    if (!entry) {
+      return { userId, state: null, reason: null, since: null, restarts: 0, nextRestartAt: null };
+    }
+
+    return {
+      userId,
+      state: entry.state,
+      reason: entry.reason,
+      since: entry.since,
+      restarts: entry.restarts,
+      nextRestartAt: entry.nextRestartAt
+    };
+  }
+
+  getAllStatuses() {
+    return Array.from(this.states.keys()).map(userId => this.getStatus(userId));
+  }
+
+  async getHistory(userId, limit = 50) {
+    const result = await this.db.query(
+      `SELECT from_state, to_state, reason, attempt, created_at
+       FROM whatsapp_session_events
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [userId, Math.min(parseInt(limit, 10) || 50, 500)]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = SessionSupervisor;
+module.exports.SESSION_STATES = SESSION_STATES;
@@ -0,0 +1,78 @@
+const { after, before, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const http = require('http');
+const { once } = require('events');
+
+const ADMIN = { id: 1, phone_number: '60111111111', role: 'admin', is_authorized: true };
+const DEACTIVATED = { id: 4, phone_number: '60123456789', is_active: false };
+
+// The admin routes of an AIActionsServer whose collaborators are stubs, listening on a random port
+function createServer() {
+  const AIActionsServer = require('../server');
+  const server = Object.create(AIActionsServer.prototype);
+  const calls = [];
+  const record = (name) => async (...args) => {
+    calls.push([name, ...args]);
+  };
+
+  server.config = { corsOrigins: '*', defaultTimezone: 'UTC', defaultLocale: 'en-MY', telegram: {} };
+  server.app = express();
+  server.authSessionManager = {
+    verifyAccessToken: async () => ({ userId: ADMIN.id, sid: 's1' }),
+    revokeAllSessions: record('revokeAllSessions')
+  };
+  server.db = {
+    async query(sql) {
+      if (sql.includes('FROM users u')) return { rows: [ADMIN] };
+      if (sql.includes('SELECT id FROM users')) return { rows: [{ id: 9 }] };
+      return { rows: [] };
+    }
+  };
+  server.authorizedNumbersManager = {
+    deactivateNumber: async (id, performedBy, options) => {
+      calls.push(['deactivateNumber', id, performedBy, options]);
+      return DEACTIVATED;
+    }
+  };
+  server.sessionManager = { destroyUserSession: record('destroyUserSession') };
+  server.io = { in: (room) => ({ disconnectSockets: () => calls.push(['disconnectSockets', room]) }) };
+
+  server.setupExpress();
+  const listener = http.createServer(server.app).listen(0, '127.0.0.1');
+  return { listener, calls };
+}
+
+describe('admin authorized number routes', () => {
+  let listener;
+  let calls;
+
+  before(async () => {
+    // Config warnings and route logs would only clutter the test output
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    ({ listener, calls } = createServer());
+    await once(listener, 'listening');
+  });
+
+  after(() => {
+    listener.close();
+  });
+
+  it('tears down the user\'s WhatsApp session, auth sessions and sockets on deactivate', async () => {
+    const response = await fetch(`http://127.0.0.1:${listener.address().port}/api/admin/authorized-numbers/4/deactivate`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer token', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: 'Left the company' })
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, number: DEACTIVATED });
+    assert.deepEqual(calls, [
+      ['deactivateNumber', '4', ADMIN.id, { reason: 'Left the company' }],
+      ['destroyUserSession', 9, { reason: 'number_deactivated' }],
+      ['revokeAllSessions', 9, 'number_deactivated'],
+      ['disconnectSockets', 'user:9']
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseChatExport } = require('../transports/chatExportImporter');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'whatsapp', 'WhatsApp Chat with Site Team.txt');
+
+const timeOf = (line) => {
+  const { messages } = parseChatExport(line, { userId: 7, utcOffset: '+08:00' });
+  return new Date(messages[0].timestamp * 1000).toISOString();
+};
+
+describe('parseChatExport', () => {
+  it('reads the Site Team fixture', () => {
+    const parsed = parseChatExport(fs.readFileSync(FIXTURE, 'utf8'), { userId: 7, chatName: 'Site Team', utcOffset: '+08:00' });
+
+    assert.equal(parsed.isGroup, true);
+    assert.equal(parsed.dateOrder, 'DMY');
+    assert.deepEqual(parsed.messages.map(message => [new Date(message.timestamp * 1000).toISOString(), message.fromName, message.fromMe]), [
+      ['2026-10-12T01:05:00.000Z', 'Aisyah', false],
+      ['2026-10-12T01:06:00.000Z', 'Aisyah', false],
+      ['2026-10-12T01:15:00.000Z', 'You', true],
+      ['2026-10-12T05:41:00.000Z', 'Daniel', false],
+      // "8:12 pg" is morning, "5:45 ptg" evening
+      ['2026-10-15T00:12:00.000Z', 'Aisyah', false],
+      ['2026-10-15T09:45:00.000Z', 'Daniel', false]
+    ]);
+    assert.equal(parsed.messages[3].body, 'Supplier quote attached, need approval by Friday\nThe total is RM 18,400 including delivery');
+  });
+
+  describe('12-hour clocks', () => {
+    const CASES = [
+      ['31/12/2023, 9:41 pg - Ali: Jumpa pagi ni', '2023-12-31T01:41:00.000Z'],
+      ['31/12/2023, 9:41 ptg - Ali: Jumpa malam ni', '2023-12-31T13:41:00.000Z'],
+      ['[31/12/2023, 12:41:05 pg] Ali: Tengah malam', '2023-12-30T16:41:05.000Z'],
+      ['[31/12/2023, 12:41:05 ptg] Ali: Tengah hari', '2023-12-31T04:41:05.000Z'],
+      ['12/31/23, 9:41 PM - Ali: See you tonight', '2023-12-31T13:41:00.000Z'],
+      ['12/31/23, 9:41 AM - Ali: See you this morning', '2023-12-31T01:41:00.000Z'],
+      ['12/31/23, 12:05 a.m. - Ali: Happy new year', '2023-12-30T16:05:00.000Z'],
+      ['12/31/23, 12:05 p.m. - Ali: Lunch?', '2023-12-31T04:05:00.000Z']
+    ];
+
+    for (const [line, expected] of CASES) {
+      it(line, () => {
+        assert.equal(timeOf(line), expected);
+      });
+    }
+  });
+});
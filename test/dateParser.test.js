@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateTime } = require('../dateParser');
+
+// Wednesday 15 October 2025, 10:00 in Kuala Lumpur
+const NOW = '2025-10-15T10:00:00+08:00';
+const KL = 'Asia/Kuala_Lumpur';
+
+const DAY_END = 'T23:59:59.999+08:00';
+
+// [text, start, end, allDay, confidence], parsed at NOW in Kuala Lumpur
+const ENGLISH = [
+  ['tomorrow at 3pm', '2025-10-16T15:00:00+08:00', null, false, 0.95],
+  ['next Friday 10am', '2025-10-24T10:00:00+08:00', null, false, 0.85],
+  ['noon tomorrow', '2025-10-16T12:00:00+08:00', null, false, 0.9],
+  ['tomorrow evening', '2025-10-16T18:00:00+08:00', null, false, 0.65],
+  ['tonight', '2025-10-15T20:00:00+08:00', null, false, 0.75],
+  ['day after tomorrow', '2025-10-17T09:00:00+08:00', `2025-10-17${DAY_END}`, true, 0.8],
+  ['this Wednesday', '2025-10-15T09:00:00+08:00', `2025-10-15${DAY_END}`, true, 0.75],
+  ['Wednesday', '2025-10-22T09:00:00+08:00', `2025-10-22${DAY_END}`, true, 0.75],
+  ['Mon, 20 Oct', '2025-10-20T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.8],
+  ['12th of Oct', '2026-10-12T09:00:00+08:00', `2026-10-12${DAY_END}`, true, 0.8],
+  ['Oct 20th 2025', '2025-10-20T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.8],
+  ['2025-10-20', '2025-10-20T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.85],
+  ['12/10/2025', '2025-10-12T09:00:00+08:00', `2025-10-12${DAY_END}`, true, 0.75],
+  ['12/10', '2026-10-12T09:00:00+08:00', `2026-10-12${DAY_END}`, true, 0.65],
+  ['in 3 days', '2025-10-18T09:00:00+08:00', `2025-10-18${DAY_END}`, true, 0.75],
+  ['end of the month', '2025-10-31T09:00:00+08:00', `2025-10-31${DAY_END}`, true, 0.6],
+  ['next month', '2025-11-15T09:00:00+08:00', `2025-11-15${DAY_END}`, true, 0.4],
+  ['in 2 hours', '2025-10-15T12:00:00+08:00', null, false, 0.9],
+  ['in half an hour', '2025-10-15T10:30:00+08:00', null, false, 0.9],
+  ['at 9', '2025-10-16T09:00:00+08:00', null, false, 0.65],
+  ['10:30', '2025-10-15T10:30:00+08:00', null, false, 0.75],
+  // A grouped message: the time it talks about, not the times its lines were sent
+  ['[9:15:02 AM] can we meet\n[9:15:40 AM] tomorrow at 3pm', '2025-10-16T15:00:00+08:00', null, false, 0.95]
+];
+
+const MALAY = [
+  ['esok pukul 3 petang', '2025-10-16T15:00:00+08:00', null, false, 0.95],
+  ['hari ini jam 5 petang', '2025-10-15T17:00:00+08:00', null, false, 0.95],
+  ['malam ni pukul 9', '2025-10-15T21:00:00+08:00', null, false, 0.75],
+  ['pukul 2 malam', '2025-10-16T02:00:00+08:00', null, false, 0.85],
+  ['12 malam', '2025-10-16T00:00:00+08:00', null, false, 0.85],
+  ['esok pagi', '2025-10-16T09:00:00+08:00', null, false, 0.65],
+  ['lusa', '2025-10-17T09:00:00+08:00', `2025-10-17${DAY_END}`, true, 0.8],
+  ['semalam', '2025-10-14T09:00:00+08:00', `2025-10-14${DAY_END}`, true, 0.8],
+  ['Jumaat depan', '2025-10-24T09:00:00+08:00', `2025-10-24${DAY_END}`, true, 0.7],
+  ['minggu depan hari Isnin', '2025-10-20T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.8],
+  ['Isnin minggu depan', '2025-10-20T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.8],
+  ['2 minggu lagi', '2025-10-29T09:00:00+08:00', `2025-10-29${DAY_END}`, true, 0.75],
+  ['hujung bulan', '2025-10-31T09:00:00+08:00', `2025-10-31${DAY_END}`, true, 0.6],
+  ['dalam 30 minit', '2025-10-15T10:30:00+08:00', null, false, 0.9],
+  ['sejam lagi', '2025-10-15T11:00:00+08:00', null, false, 0.9],
+  ['setengah jam lagi', '2025-10-15T10:30:00+08:00', null, false, 0.9]
+];
+
+const RANGES = [
+  ['3-5pm', '2025-10-15T15:00:00+08:00', '2025-10-15T17:00:00+08:00', false, 0.85],
+  ['11-1pm', '2025-10-15T11:00:00+08:00', '2025-10-15T13:00:00+08:00', false, 0.85],
+  ['between 10 and 11am', '2025-10-16T10:00:00+08:00', '2025-10-16T11:00:00+08:00', false, 0.85],
+  ['dari 2 hingga 4 petang', '2025-10-15T14:00:00+08:00', '2025-10-15T16:00:00+08:00', false, 0.85],
+  ['from Monday to Wednesday', '2025-10-20T09:00:00+08:00', `2025-10-22${DAY_END}`, true, 0.75],
+  ['Friday to Monday', '2025-10-17T09:00:00+08:00', `2025-10-20${DAY_END}`, true, 0.75],
+  ['12-14 Oct', '2026-10-12T09:00:00+08:00', `2026-10-14${DAY_END}`, true, 0.8],
+  ['12 hingga 14 Oktober 2025', '2025-10-12T09:00:00+08:00', `2025-10-14${DAY_END}`, true, 0.8],
+  ['this weekend', '2025-10-18T09:00:00+08:00', `2025-10-19${DAY_END}`, true, 0.65],
+  ['hujung minggu depan', '2025-10-25T09:00:00+08:00', `2025-10-26${DAY_END}`, true, 0.65],
+  ['next week', '2025-10-20T09:00:00+08:00', `2025-10-26${DAY_END}`, true, 0.5],
+  ['minggu depan', '2025-10-20T09:00:00+08:00', `2025-10-26${DAY_END}`, true, 0.5]
+];
+
+// [text, now, timeZone, start, end, allDay, confidence]
+const TIME_ZONES = [
+  // The day after is already the 16th in Kuala Lumpur but still the 15th in UTC
+  ['tomorrow', '2025-10-15T18:00:00Z', KL, '2025-10-17T09:00:00+08:00', `2025-10-17${DAY_END}`, true, 0.8],
+  ['tomorrow', '2025-10-15T18:00:00Z', 'UTC', '2025-10-16T09:00:00Z', '2025-10-16T23:59:59.999Z', true, 0.8],
+  ['esok pukul 3 petang', '2025-10-15T18:00:00Z', 'Europe/London', '2025-10-16T15:00:00+01:00', null, false, 0.95],
+  // New York leaves daylight saving time overnight; 9am stays 9am on the clock
+  ['tomorrow at 9am', '2025-11-01T10:00:00-04:00', 'America/New_York', '2025-11-02T09:00:00-05:00', null, false, 0.95],
+  // London leaves daylight saving time on the Sunday, so the weekend ends in GMT
+  ['this weekend', '2025-10-25T00:30:00+01:00', 'Europe/London', '2025-10-25T09:00:00+01:00', '2025-10-26T23:59:59.999Z', true, 0.65],
+  // An offset is elapsed time, even across the spring-forward gap
+  ['in 2 hours', '2025-03-30T00:30:00Z', 'Europe/London', '2025-03-30T02:30:00Z', null, false, 0.9]
+];
+
+const NOTHING = [
+  'buy 3 items for RM 12.50',
+  '[3:45:12 PM] ok noted\n[3:45:30 PM] thanks',
+  '[3:45:12\u202fpm] ok noted',
+  '[15:45:12] ok noted\n[15:46:03] thanks',
+  'see you later',
+  '31/02/2025',
+  '',
+  '   '
+];
+
+function assertParsed(text, result, [start, end, allDay, confidence]) {
+  assert.ok(result, `expected a date in "${text}"`);
+  assert.equal(result.start.toISOString(), new Date(start).toISOString(), `start of "${text}"`);
+  assert.equal(result.end && result.end.toISOString(), end && new Date(end).toISOString(), `end of "${text}"`);
+  assert.equal(result.allDay, allDay, `allDay of "${text}"`);
+  assert.equal(result.confidence, confidence, `confidence of "${text}"`);
+}
+
+describe('parseDateTime', () => {
+  for (const [name, table] of [['English', ENGLISH], ['Malay', MALAY], ['ranges', RANGES]]) {
+    describe(name, () => {
+      for (const [text, ...expected] of table) {
+        it(text, () => {
+          assertParsed(text, parseDateTime(text, { now: new Date(NOW), timeZone: KL }), expected);
+        });
+      }
+    });
+  }
+
+  describe('time zones', () => {
+    for (const [text, now, timeZone, ...expected] of TIME_ZONES) {
+      it(`${text} at ${now} in ${timeZone}`, () => {
+        assertParsed(text, parseDateTime(text, { now: new Date(now), timeZone }), expected);
+      });
+    }
+  });
+
+  describe('no date', () => {
+    for (const text of NOTHING) {
+      it(JSON.stringify(text), () => {
+        assert.equal(parseDateTime(text, { now: new Date(NOW), timeZone: KL }), null);
+      });
+    }
+  });
+
+  it('starts all-day dates at defaultHour', () => {
+    const result = parseDateTime('lusa', { now: new Date(NOW), timeZone: KL, defaultHour: 8 });
+    assert.equal(result.start.toISOString(), new Date('2025-10-17T08:00:00+08:00').toISOString());
+  });
+});
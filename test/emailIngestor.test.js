@@ -0,0 +1,252 @@
+const { before, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EmailIngestor = require('../transports/emailIngestor');
+const { encryptSecret } = require('../credentialCipher');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'email');
+const KEY = crypto.randomBytes(32);
+
+// Records queries; ingested_emails remembers which message ids were claimed
+function createDb() {
+  const claimed = new Set();
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (sql.includes('INSERT INTO ingested_emails')) {
+        const key = `${params[0]}:${params[1]}`;
+        if (claimed.has(key)) return { rows: [] };
+        claimed.add(key);
+        return { rows: [{ message_id: params[1] }] };
+      }
+      return { rows: [], rowCount: 1 };
+    },
+    accountUpdate() {
+      return queries.filter(({ sql }) => sql.includes('UPDATE email_accounts')).pop();
+    }
+  };
+}
+
+// Stand-in for an ImapFlow client over a mailbox of { uid: raw mail }
+function createImapClient(mails, { uidValidity = 1, failOnUid = null } = {}) {
+  const uids = Object.keys(mails).map(Number).sort((a, b) => a - b);
+  const client = {
+    searches: [],
+    mailbox: { uidValidity, uidNext: uids.length ? uids[uids.length - 1] + 1 : 1 },
+    async connect() {},
+    async logout() {},
+    async getMailboxLock() {
+      return { release() {} };
+    },
+    async search(query) {
+      client.searches.push(query);
+      if (query.since) return uids;
+      // Like a real server, "N:*" also matches the newest mail when N is past it
+      const from = Number(query.uid.split(':')[0]);
+      const found = uids.filter(uid => uid >= from);
+      return found.length ? found : uids.slice(-1);
+    },
+    async fetchOne(uid) {
+      if (uid === failOnUid) throw new Error('Connection reset');
+      return { uid, source: Buffer.from(mails[uid]) };
+    }
+  };
+  return client;
+}
+
+function createIngestor(db, client) {
+  const received = [];
+  const ingestor = new EmailIngestor(db, { credentialsKey: KEY }, {
+    onMessage: async (userId, messageData) => received.push(messageData)
+  });
+  ingestor.createClient = () => client;
+  return { ingestor, received };
+}
+
+function account(overrides = {}) {
+  return {
+    id: 3,
+    user_id: 7,
+    email_address: 'aisyah@example.com',
+    mailbox: 'INBOX',
+    password_encrypted: encryptSecret('secret', KEY),
+    last_uid: null,
+    uid_validity: null,
+    ...overrides
+  };
+}
+
+const mboxMails = () => new EmailIngestor(null, {}, {})
+  .splitMbox(fs.readFileSync(path.join(FIXTURES, 'thread.mbox'), 'utf8'));
+
+describe('EmailIngestor', () => {
+  // Progress logs would only clutter the test output
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  describe('importFile', () => {
+    it('turns a .eml file into messageData', async () => {
+      const ingestor = new EmailIngestor(null, {}, { onMessage: () => assert.fail('dry runs are not analysed') });
+      const { total, ingested } = await ingestor.importFile(7, path.join(FIXTURES, 'single.eml'), { dryRun: true });
+
+      assert.equal(total, 1);
+      const [message] = ingested;
+      assert.equal(message.id, 'email_<vendor-meeting-001@example.com>');
+      assert.equal(message.from, 'daniel.tan@example.com');
+      assert.equal(message.fromName, 'Daniel Tan');
+      assert.equal(message.chatName, 'Vendor meeting next week');
+      assert.equal(message.source, 'email');
+      assert.equal(message.type, 'email');
+      assert.equal(message.userId, 7);
+      assert.equal(message.fromMe, false);
+      assert.equal(message.timestamp, Date.parse('2025-10-20T09:15:00+08:00') / 1000);
+      assert.match(message.body, /^Subject: Vendor meeting next week\n\nHi Aisyah,/);
+      assert.match(message.body, /Thursday at 3pm/);
+    });
+
+    it('splits an mbox archive into one message per mail, threaded by subject', async () => {
+      const ingestor = new EmailIngestor(null, {}, {});
+      const { total, ingested } = await ingestor.importFile(7, path.join(FIXTURES, 'thread.mbox'), {
+        dryRun: true,
+        ownAddress: 'Aisyah@example.com'
+      });
+
+      assert.equal(total, 2);
+      const [invoice, reply] = ingested;
+      assert.equal(invoice.fromName, 'Daniel Tan');
+      assert.equal(invoice.fromMe, false);
+      assert.equal(reply.fromName, 'Aisyah');
+      assert.equal(reply.fromMe, true);
+
+      // The reply joins the first mail's thread, named without "Re:"
+      assert.equal(reply.chatName, 'Invoice for September');
+      assert.equal(reply.chatId, invoice.chatId);
+      assert.equal(invoice.chatId, 'email:<invoice-sept-001@example.com>');
+      assert.ok(ingested.every(message => message.source === 'email'));
+    });
+
+    it('unescapes mboxrd ">From " lines and drops the quoted reply', async () => {
+      const ingestor = new EmailIngestor(null, {}, {});
+      const { ingested } = await ingestor.importFile(7, path.join(FIXTURES, 'thread.mbox'), { dryRun: true });
+
+      assert.equal(
+        ingested[1].body,
+        'Subject: Re: Invoice for September\n\nSure, I\'ll transfer it on Thursday morning.\nFrom the finance side everything is approved.'
+      );
+    });
+
+    it('ingests each mail once per user', async () => {
+      const db = createDb();
+      const received = [];
+      const ingestor = new EmailIngestor(db, {}, { onMessage: async (userId, messageData) => received.push(messageData) });
+
+      const first = await ingestor.importFile(7, path.join(FIXTURES, 'thread.mbox'));
+      const again = await ingestor.importFile(7, path.join(FIXTURES, 'thread.mbox'));
+
+      assert.equal(first.ingested.length, 2);
+      assert.equal(again.ingested.length, 0);
+      assert.equal(received.length, 2);
+    });
+  });
+
+  describe('stripQuotedReply', () => {
+    const ingestor = new EmailIngestor(null, {}, {});
+
+    it('keeps the reply above an "On ... wrote:" header', () => {
+      assert.equal(
+        ingestor.stripQuotedReply('Sounds good.\r\n\r\nOn Mon, 20 Oct 2025 at 09:15, Daniel <d@example.com> wrote:\r\n> Earlier mail'),
+        'Sounds good.'
+      );
+    });
+
+    it('stops at an Outlook "Original Message" separator', () => {
+      assert.equal(ingestor.stripQuotedReply('Done.\n----- Original Message -----\nFrom: Daniel'), 'Done.');
+    });
+
+    it('drops quoted lines interleaved with the reply', () => {
+      assert.equal(ingestor.stripQuotedReply('> Can you call?\nYes, at 3pm.\n> Thanks'), 'Yes, at 3pm.');
+    });
+
+    it('leaves a mail without quotes as it is', () => {
+      assert.equal(ingestor.stripQuotedReply('  Line one\nLine two  '), 'Line one\nLine two');
+    });
+  });
+
+  describe('pollAccount', () => {
+    it('ingests recent mail on the first poll and records the last UID', async () => {
+      const [invoice, reply] = mboxMails();
+      const db = createDb();
+      const client = createImapClient({ 5: invoice, 6: reply }, { uidValidity: 42 });
+      const { ingestor, received } = createIngestor(db, client);
+
+      assert.equal(await ingestor.pollAccount(account()), 2);
+
+      assert.ok(client.searches[0].since instanceof Date);
+      assert.deepEqual(received.map(message => message.id), ['email_<invoice-sept-001@example.com>', 'email_<invoice-sept-002@example.com>']);
+      assert.deepEqual(db.accountUpdate().params, [42, 6, 3]);
+    });
+
+    it('fetches only mail after the last UID', async () => {
+      const [invoice, reply] = mboxMails();
+      const db = createDb();
+      const client = createImapClient({ 5: invoice, 6: reply }, { uidValidity: 42 });
+      const { ingestor, received } = createIngestor(db, client);
+
+      assert.equal(await ingestor.pollAccount(account({ last_uid: '5', uid_validity: '42' })), 1);
+
+      assert.deepEqual(client.searches, [{ uid: '6:*' }]);
+      assert.deepEqual(received.map(message => message.id), ['email_<invoice-sept-002@example.com>']);
+      assert.deepEqual(db.accountUpdate().params, [42, 6, 3]);
+    });
+
+    it('ignores the newest mail that "N:*" returns when nothing is new', async () => {
+      const [invoice] = mboxMails();
+      const db = createDb();
+      const { ingestor, received } = createIngestor(db, createImapClient({ 5: invoice }, { uidValidity: 42 }));
+
+      assert.equal(await ingestor.pollAccount(account({ last_uid: '5', uid_validity: '42' })), 0);
+
+      assert.equal(received.length, 0);
+      assert.deepEqual(db.accountUpdate().params, [42, 5, 3]);
+    });
+
+    it('starts over from recent mail when UIDVALIDITY changes', async () => {
+      const [invoice] = mboxMails();
+      const db = createDb();
+      const client = createImapClient({ 2: invoice }, { uidValidity: 43 });
+      const { ingestor } = createIngestor(db, client);
+
+      assert.equal(await ingestor.pollAccount(account({ last_uid: '900', uid_validity: '42' })), 1);
+
+      assert.ok(client.searches[0].since instanceof Date);
+      assert.deepEqual(db.accountUpdate().params, [43, 2, 3]);
+    });
+
+    it('remembers the end of an empty mailbox so the next poll searches by UID', async () => {
+      const db = createDb();
+      const client = createImapClient({}, { uidValidity: 42 });
+      client.mailbox.uidNext = 31;
+      const { ingestor } = createIngestor(db, client);
+
+      assert.equal(await ingestor.pollAccount(account()), 0);
+      assert.deepEqual(db.accountUpdate().params, [42, 30, 3]);
+    });
+
+    it('keeps the progress made before a failure and records the error', async () => {
+      const [invoice, reply] = mboxMails();
+      const db = createDb();
+      const { ingestor, received } = createIngestor(db, createImapClient({ 5: invoice, 6: reply }, { uidValidity: 42, failOnUid: 6 }));
+
+      await assert.rejects(ingestor.pollAccount(account({ last_uid: '4', uid_validity: '42' })), /Connection reset/);
+
+      assert.equal(received.length, 1);
+      assert.deepEqual(db.accountUpdate().params, [42, 5, 'Connection reset', 3]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { after, before, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MediaProcessor = require('../mediaProcessor');
+const { LocalMediaProvider } = require('../mediaProviders');
+const { createTransport } = require('../transports');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'media');
+const VOICE_NOTE = fs.readFileSync(path.join(FIXTURES, 'voice-note.ogg'));
+const SITE_NOTES = fs.readFileSync(path.join(FIXTURES, 'site-notes.txt'));
+// The first bytes of a JPEG: not text, so there is nothing to read locally
+const PHOTO = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01]);
+
+// media_attachments kept in memory, keyed by user and message
+function createDb() {
+  const rows = new Map();
+  return {
+    rows,
+    async query(sql, params) {
+      if (sql.startsWith('SELECT')) {
+        const row = rows.get(`${params[0]}:${params[1]}`);
+        return { rows: row ? [row] : [] };
+      }
+      const [userId, messageId, kind, mimeType, filename, sizeBytes, sha256, storageKey, extractedText, provider, status, error] = params;
+      const row = {
+        id: rows.size + 1, user_id: userId, message_id: messageId, kind, mime_type: mimeType, filename,
+        size_bytes: sizeBytes, sha256, storage_key: storageKey, extracted_text: extractedText, provider, status, error
+      };
+      rows.set(`${userId}:${messageId}`, row);
+      return { rows: [row] };
+    }
+  };
+}
+
+describe('LocalMediaProvider', () => {
+  const provider = new LocalMediaProvider();
+
+  it('reads the transcript a voice note fixture carries', async () => {
+    assert.equal(
+      await provider.extractText('audio', VOICE_NOTE, { mimeType: 'audio/ogg' }),
+      'Remind me to call the contractor tomorrow at 10am about the roof leak.'
+    );
+  });
+
+  it('yields nothing for binary audio and images', async () => {
+    assert.equal(await provider.extractText('image', PHOTO, { mimeType: 'image/jpeg' }), null);
+    assert.equal(await provider.extractText('audio', Buffer.from([0x4f, 0x67, 0x67, 0x53, 0x00, 0x02]), { mimeType: 'audio/ogg' }), null);
+  });
+
+  it('extracts plain-text documents', async () => {
+    assert.equal(
+      await provider.extractText('document', SITE_NOTES, { mimeType: 'text/plain' }),
+      'Site notes 20 Oct\n- Order 40 bags of cement\n- Inspection on Friday 9am'
+    );
+  });
+
+  it('yields nothing for documents it cannot read', async () => {
+    assert.equal(await provider.extractText('document', PHOTO, { mimeType: 'application/zip' }), null);
+  });
+});
+
+describe('MediaProcessor with the local provider', () => {
+  let storageDir;
+
+  before(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+    // Progress logs would only clutter the test output
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  function setup(options = {}) {
+    const db = createDb();
+    const processor = new MediaProcessor(db, new LocalMediaProvider(), { storageDir, ...options });
+    const transport = createTransport('memory', 7);
+    return { db, processor, transport };
+  }
+
+  it('puts a voice note\'s transcript in the body and stores the file', async () => {
+    const { db, processor, transport } = setup();
+    const messageData = transport.receive({
+      id: 'voice1', from: '60111', type: 'ptt', body: '',
+      media: { data: VOICE_NOTE, mimeType: 'audio/ogg; codecs=opus' }
+    });
+
+    const enriched = await processor.process(7, messageData, transport);
+
+    assert.equal(enriched.body, '[Voice note transcript]\nRemind me to call the contractor tomorrow at 10am about the roof leak.');
+    assert.deepEqual(enriched.media, [{ id: 1, kind: 'audio', mimeType: 'audio/ogg; codecs=opus', filename: null, url: '/api/media/1' }]);
+
+    const row = db.rows.get('7:voice1');
+    assert.equal(row.status, 'processed');
+    assert.equal(row.provider, 'LocalMediaProvider');
+    assert.deepEqual(fs.readFileSync(path.join(storageDir, row.storage_key)), VOICE_NOTE);
+  });
+
+  it('keeps the caption ahead of a document\'s text', async () => {
+    const { processor, transport } = setup();
+    const messageData = transport.receive({
+      id: 'doc1', from: '60111', type: 'document', body: 'Notes from today',
+      media: { data: SITE_NOTES, mimeType: 'text/plain', filename: 'site-notes.txt' }
+    });
+
+    const enriched = await processor.process(7, messageData, transport);
+
+    assert.equal(
+      enriched.body,
+      'Notes from today\n\n[Document: site-notes.txt]\nSite notes 20 Oct\n- Order 40 bags of cement\n- Inspection on Friday 9am'
+    );
+  });
+
+  it('does not download a message it has already processed', async () => {
+    const { processor, transport } = setup();
+    const messageData = transport.receive({
+      id: 'voice2', from: '60111', type: 'ptt', body: '',
+      media: { data: VOICE_NOTE, mimeType: 'audio/ogg' }
+    });
+    const first = await processor.process(7, messageData, transport);
+
+    const download = mock.method(transport, 'downloadMedia');
+    const again = await processor.process(7, messageData, transport);
+
+    assert.equal(download.mock.callCount(), 0);
+    assert.deepEqual(again, first);
+  });
+
+  it('stores a photo without text but leaves the body as it was', async () => {
+    const { db, processor, transport } = setup();
+    const messageData = transport.receive({
+      id: 'photo1', from: '60111', type: 'image', body: 'Roof',
+      media: { data: PHOTO, mimeType: 'image/jpeg' }
+    });
+
+    const enriched = await processor.process(7, messageData, transport);
+
+    assert.equal(enriched.body, 'Roof');
+    assert.equal(enriched.media.length, 1);
+    assert.equal(db.rows.get('7:photo1').extracted_text, null);
+  });
+
+  it('records unsupported and oversized media without storing them', async () => {
+    const { db, processor, transport } = setup({ maxBytes: 16 });
+    const zip = transport.receive({ id: 'zip1', from: '60111', body: '', media: { data: PHOTO, mimeType: 'application/zip' } });
+    const large = transport.receive({ id: 'big1', from: '60111', body: '', media: { data: SITE_NOTES, mimeType: 'text/plain' } });
+
+    assert.deepEqual((await processor.process(7, zip, transport)).media, []);
+    assert.deepEqual((await processor.process(7, large, transport)).media, []);
+    assert.equal(db.rows.get('7:zip1').status, 'unsupported');
+    assert.equal(db.rows.get('7:big1').status, 'too_large');
+  });
+
+  it('skips stickers without downloading them', async () => {
+    const { processor, transport } = setup();
+    const messageData = transport.receive({
+      id: 'sticker1', from: '60111', type: 'sticker', body: '',
+      media: { data: PHOTO, mimeType: 'image/webp' }
+    });
+    const download = mock.method(transport, 'downloadMedia');
+
+    assert.equal(await processor.process(7, messageData, transport), messageData);
+    assert.equal(download.mock.callCount(), 0);
+  });
+});
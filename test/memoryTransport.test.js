@@ -0,0 +1,142 @@
+const { before, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const SessionManager = require('../sessionManager');
+const { WhatsAppOtpSender } = require('../otpSenders');
+const { createTransport } = require('../transports');
+
+// A SessionManager on the memory transport, with the database-backed parts stubbed out.
+// `grouped` collects the messages that reached the message grouper.
+function createSessionManager() {
+  // The hourly grouper cleanup would keep the test process alive
+  const interval = mock.method(global, 'setInterval', () => null);
+  const sessionManager = new SessionManager({
+    messagingTransport: 'memory',
+    databaseUrl: 'postgres://localhost/unused',
+    openai: { apiKey: 'test' },
+    media: { provider: 'local' },
+    grouper: {},
+    defaultTimezone: 'UTC'
+  });
+  interval.mock.restore();
+
+  const grouped = [];
+  sessionManager.db = { query: async () => ({ rows: [] }) };
+  sessionManager.supervisor = { watch() {}, handleCrash() {} };
+  sessionManager.catchUp = { run() {}, recordSeen: async () => {} };
+  sessionManager.monitoringRules = {
+    evaluate: async () => ({ monitored: true }),
+    hasKeywordRules: async () => false
+  };
+  sessionManager.messageGrouper = { processMessage: async (messageData) => grouped.push(messageData) };
+  return { sessionManager, grouped };
+}
+
+async function connectSession(sessionManager) {
+  const session = await sessionManager.createUserSession(7, '60123456789');
+  if (!session.isConnected) await once(session.transport, 'ready');
+  return session;
+}
+
+describe('MemoryTransport', () => {
+  // Session progress logs would only clutter the test output
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  describe('on its own', () => {
+    it('connects straight to ready', async () => {
+      const transport = createTransport('memory', 7, { phoneNumber: '60123456789' });
+      const events = [];
+      transport.on('authenticated', () => events.push('authenticated'));
+      transport.on('ready', () => events.push('ready'));
+
+      await transport.connect();
+      await once(transport, 'ready');
+      assert.deepEqual(events, ['authenticated', 'ready']);
+    });
+
+    it('refuses to send before connecting', async () => {
+      const transport = createTransport('memory', 7);
+      await assert.rejects(transport.send('60111@c.us', 'hello'), /not connected/);
+    });
+
+    it('normalizes received messages and keeps chat history', async () => {
+      const transport = createTransport('memory', 7, { phoneNumber: '60123456789' });
+      await transport.connect();
+
+      const received = [];
+      transport.on('message', (messageData) => received.push(messageData));
+      transport.receive({ id: 'm1', from: '60111', fromName: 'Ali', chatId: 'site', chatName: 'Site Team', isGroup: true, body: 'Pour on Friday', timestamp: 100 });
+      transport.receive({ id: 'm2', from: '60222', body: 'Call me', timestamp: 200 });
+      await transport.send('site', 'Noted');
+
+      assert.equal(received.length, 2);
+      assert.equal(received[0].source, 'memory');
+      assert.equal(received[0].userId, 7);
+      assert.equal(received[0].fromName, 'Ali');
+      assert.equal(received[0].chatName, 'Site Team');
+      assert.equal(received[0].isGroup, true);
+
+      const history = await transport.fetchHistory('site');
+      assert.deepEqual(history.map(message => message.body), ['Pour on Friday', 'Noted']);
+      assert.equal(history[1].fromMe, true);
+      assert.deepEqual(await transport.fetchHistory('site', { limit: 1 }), history.slice(1));
+      assert.deepEqual(transport.sent, [{ chatId: 'site', text: 'Noted' }]);
+    });
+
+    it('lists active chats, most recent first', async () => {
+      const transport = createTransport('memory', 7);
+      transport.receive({ id: 'm1', from: '60111', chatId: 'old', body: 'a', timestamp: 100 });
+      transport.receive({ id: 'm2', from: '60222', chatId: 'new', body: 'b', timestamp: 300 });
+
+      assert.deepEqual((await transport.listActiveChats()).map(chat => chat.id), ['new', 'old']);
+      assert.deepEqual((await transport.listActiveChats({ since: 200 })).map(chat => chat.id), ['new']);
+    });
+
+    it('serves the media of received messages', async () => {
+      const transport = createTransport('memory', 7);
+      const media = { data: Buffer.from('hello'), mimeType: 'text/plain', filename: 'note.txt' };
+      const messageData = transport.receive({ id: 'm1', from: '60111', body: '', media });
+
+      assert.equal(messageData.hasMedia, true);
+      assert.deepEqual(await transport.downloadMedia('m1'), media);
+      assert.equal(await transport.downloadMedia('missing'), null);
+    });
+  });
+
+  describe('in a session', () => {
+    it('connects the session and feeds incoming messages to the grouper', async () => {
+      const { sessionManager, grouped } = createSessionManager();
+      const session = await connectSession(sessionManager);
+      assert.equal(session.isConnected, true);
+
+      session.transport.receive({ id: 'm1', from: '60111', fromName: 'Ali', body: 'Can you send the quote by Friday?' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(grouped.length, 1);
+      assert.equal(grouped[0].body, 'Can you send the quote by Friday?');
+      assert.equal(grouped[0].source, 'memory');
+    });
+
+    it('does not analyse a login code when it echoes back from the user\'s own chat', async () => {
+      const { sessionManager, grouped } = createSessionManager();
+      const session = await connectSession(sessionManager);
+      const logged = [];
+      console.log.mock.mockImplementation((...args) => logged.push(args.join(' ')));
+
+      await new WhatsAppOtpSender(sessionManager).send('+60123456789', '482913', { userId: 7, expiresInSeconds: 300 });
+      const [{ chatId, text }] = session.transport.sent;
+      assert.equal(chatId, '60123456789@c.us');
+      assert.match(text, /482913/);
+
+      // WhatsApp delivers our own message back to us
+      session.transport.receive({ id: 'echo', from: '60123456789', chatId, body: text, fromMe: true });
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(grouped.length, 0);
+      assert.ok(logged.every(line => !line.includes('482913')), 'the code must not be logged');
+      console.log.mock.mockImplementation(() => {});
+    });
+  });
+});
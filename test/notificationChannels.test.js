@@ -0,0 +1,75 @@
+const { afterEach, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { once } = require('events');
+const { DeliveryError, WebhookChannel, assertPublicWebhookUrl } = require('../notificationChannels');
+
+describe('assertPublicWebhookUrl', () => {
+  afterEach(() => mock.restoreAll());
+
+  const BLOCKED = [
+    'http://localhost:3000/hook',
+    'http://127.0.0.1/hook',
+    'http://127.1/hook',
+    'http://0x7f000001/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[fd00::1]/hook'
+  ];
+
+  for (const url of BLOCKED) {
+    it(`rejects ${url}`, async () => {
+      await assert.rejects(assertPublicWebhookUrl(url), (error) => {
+        assert.ok(error instanceof DeliveryError);
+        assert.match(error.message, /not a public address/);
+        assert.equal(error.retryable, false);
+        return true;
+      });
+    });
+  }
+
+  it('accepts a public address', async () => {
+    await assertPublicWebhookUrl('https://8.8.8.8/hook');
+  });
+
+  it('rejects a host with any private address among its records', async () => {
+    mock.method(dns.promises, 'lookup', async () => [
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.7', family: 4 }
+    ]);
+    await assert.rejects(assertPublicWebhookUrl('https://hooks.example.com/'), /not a public address/);
+  });
+});
+
+describe('WebhookChannel', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses to connect when the host re-resolves to a private address', async () => {
+    const server = http.createServer((req, res) => res.end());
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const requests = mock.fn();
+    server.on('request', requests);
+
+    // Public when checked, loopback by the time the request connects
+    mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+    mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    try {
+      await assert.rejects(
+        new WebhookChannel().deliver({ address: `http://hooks.example.com:${server.address().port}/`, secret: 's' }, { id: 1 }),
+        /not a public address/
+      );
+      assert.equal(requests.mock.callCount(), 0);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,142 @@
+// IANA time zone helpers built on Intl, so user-local schedules work without a date library
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// BCP 47 language tags such as en-MY, ms or zh-Hans-MY
+function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale || locale.length > 35) return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of `date` in `timeZone`; weekday is 0 (Sunday) to 6
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time in `timeZone` happens. Day overflow is allowed
+ * (day: 32 is the 1st of next month). Times skipped by a DST jump resolve forward.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = asUtc - getOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  const offset = getOffsetMinutes(new Date(firstGuess), timeZone);
+  return new Date(asUtc - offset * 60000);
+}
+
+// Midnight starting the calendar day `date` falls on in `timeZone`, `days` days later
+function startOfZonedDay(date, timeZone, days = 0) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + days }, timeZone);
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// ISO 8601 with the zone's offset: 2026-10-20T15:00:00.000+08:00
+function toZonedISOString(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `.${pad(date.getUTCMilliseconds(), 3)}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+const NAIVE_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+/**
+ * The instant a datetime from a client means. ISO strings with an offset or Z are taken as
+ * they are; ones without ("2026-10-20T15:00", "2026-10-20") are wall-clock times in `timeZone`.
+ * Resolves null for null, undefined or ''; an unreadable value gives an Invalid Date.
+ */
+function toInstant(value, timeZone) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value;
+
+  const naive = NAIVE_DATETIME.exec(String(value).trim());
+  if (naive) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = naive;
+    return zonedTimeToUtc({
+      year: Number(year), month: Number(month), day: Number(day),
+      hour: Number(hour), minute: Number(minute), second: Number(second)
+    }, timeZone);
+  }
+  return new Date(value);
+}
+
+// A response body with every Date rewritten by toZonedISOString
+function localizeDates(value, timeZone) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : toZonedISOString(value, timeZone);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => localizeDates(item, timeZone));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localizeDates(item, timeZone)]));
+  }
+  return value;
+}
+
+module.exports = {
+  getOffsetMinutes,
+  getZonedParts,
+  isValidLocale,
+  isValidTimeZone,
+  localizeDates,
+  startOfZonedDay,
+  toInstant,
+  toZonedISOString,
+  zonedTimeToUtc
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const path = require('path');
+const { normalizeMessage } = require('./messageNormalizer');
+const { ClientError } = require('../clientError');
+
+// One message header line of a WhatsApp "Export chat" file, in any of the layouts WhatsApp uses:
+//   Android: 31/12/2023, 21:41 - Name: text     12/31/23, 9:41 PM - Name: text     31.12.23, 21:41 - Name: text
+//   iOS:     [31/12/2023, 21:41:05] Name: text  [12/31/23, 9:41:05 PM] Name: text
+//   Malay:   31/12/2023, 9:41 ptg - Name: text  (ptg is petang, pm; pg is pagi, am)
+const LINE_PATTERN = /^\[?(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?|pg|ptg)?(?:\]\s*|\s+[-–]\s+)(.*)$/i;
+
+// Placeholders WhatsApp writes instead of the content
+const PLACEHOLDER_PATTERNS = [
+  /^<?(media|image|video|audio|sticker|document|gif|contact card) omitted>?$/i,
+  /^<attached: .+>$/i,
+  /^<media tidak disertakan>$/i,
+  /^(this message was deleted|you deleted this message|mesej ini telah dipadam|anda memadam mesej ini)$/i,
+  /^null$/
+];
+
+// How the exporting user appears as a sender, depending on the phone's language
+const OWN_SENDER_NAMES = ['you', 'anda'];
+
+const DEFAULT_SINCE_DAYS = 30;
+const MAX_MESSAGES = 2000;
+
+class ChatExportError extends ClientError {}
+
+/**
+ * Get the chat text out of an upload: the .txt itself or the zip WhatsApp shares.
+ * The chat name is guessed from "WhatsApp Chat with <name>.txt/.zip" when possible.
+ */
+function readChatExport(buffer, filename = '') {
+  let text;
+  let entryName = filename;
+
+  if (buffer.subarray(0, 2).toString('latin1') === 'PK') {
+    const AdmZip = require('adm-zip');
+    const entry = new AdmZip(buffer).getEntries().find(item => !item.isDirectory && item.entryName.toLowerCase().endsWith('.txt'));
+    if (!entry) {
+      throw new ChatExportError('The zip file does not contain a chat .txt file');
+    }
+    text = entry.getData().toString('utf8');
+    if (entry.entryName !== '_chat.txt') entryName = entry.entryName;
+  } else {
+    text = buffer.toString('utf8');
+  }
+
+  const match = /WhatsApp Chat (?:with|dengan) (.+?)(?:\.txt|\.zip)?$/i.exec(path.basename(entryName || ''));
+  return { text, chatName: match ? match[1] : null };
+}
+
+/**
+ * Parse an export into messageData, oldest first.
+ * Options:
+ *   chatName     - shown as the chat; defaults to 'WhatsApp export'
+ *   ownName      - the exporting user's name in the chat, for fromMe ("You" is always recognised)
+ *   dateOrder    - 'DMY' or 'MDY' when the file itself is ambiguous (default 'DMY')
+ *   utcOffset    - '+08:00' style offset of the phone that exported; server local time otherwise
+ */
+function parseChatExport(text, { userId, chatName = 'WhatsApp export', ownName = null, dateOrder = 'DMY', utcOffset = null } = {}) {
+  const entries = [];
+  let systemLines = 0;
+
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    // Direction marks and narrow spaces that WhatsApp puts around timestamps
+    const line = rawLine.replace(/[\u200E\u200F]/g, '').replace(/[\u202F\u00A0]/g, ' ');
+    const match = LINE_PATTERN.exec(line);
+
+    if (!match) {
+      // Continuation of a multi-line message
+      if (entries.length > 0 && line.trim()) {
+        entries[entries.length - 1].body += `\n${line}`;
+      }
+      continue;
+    }
+
+    const rest = match[8];
+    const separator = rest.indexOf(': ');
+    if (separator === -1) {
+      // "Messages and calls are end-to-end encrypted", "X added Y", ...
+      systemLines++;
+      continue;
+    }
+
+    entries.push({
+      parts: match.slice(1, 8),
+      sender: rest.substring(0, separator).trim(),
+      body: rest.substring(separator + 2)
+    });
+  }
+
+  const order = detectDateOrder(entries.map(entry => entry.parts), dateOrder);
+  const offsetMinutes = parseUtcOffset(utcOffset);
+  const ownNames = [...OWN_SENDER_NAMES, ownName && ownName.toLowerCase()].filter(Boolean);
+  const senders = new Set(entries.map(entry => entry.sender).filter(sender => !ownNames.includes(sender.toLowerCase())));
+  const isGroup = senders.size > 1;
+  let placeholders = 0;
+
+  const messages = [];
+  for (const entry of entries) {
+    const body = entry.body.trim();
+    if (PLACEHOLDER_PATTERNS.some(pattern => pattern.test(body))) {
+      placeholders++;
+      continue;
+    }
+
+    const timestamp = toTimestamp(entry.parts, order, offsetMinutes);
+    const fromMe = ownNames.includes(entry.sender.toLowerCase());
+    const id = crypto.createHash('sha1').update(`${chatName}|${timestamp}|${entry.sender}|${body}`).digest('hex');
+
+    messages.push(normalizeMessage({
+      id: `export_${id}`,
+      from: entry.sender,
+      body,
+      timestamp,
+      type: 'text',
+      fromMe
+    }, {
+      contact: { number: entry.sender, name: fromMe ? 'You' : entry.sender },
+      chat: { id: `export:${chatName}`, name: chatName, isGroup },
+      userId,
+      source: 'whatsapp_export'
+    }));
+  }
+
+  return { chatName, isGroup, dateOrder: order, messages, skipped: { systemLines, placeholders } };
+}
+
+// YMD when the year comes first; otherwise whichever of DMY/MDY the values allow
+function detectDateOrder(partsList, fallback) {
+  if (partsList.some(parts => parts[0].length === 4)) return 'YMD';
+  if (partsList.some(parts => parseInt(parts[0], 10) > 12)) return 'DMY';
+  if (partsList.some(parts => parseInt(parts[1], 10) > 12)) return 'MDY';
+  return fallback === 'MDY' ? 'MDY' : 'DMY';
+}
+
+function parseUtcOffset(utcOffset) {
+  if (!utcOffset) return null;
+  const match = /^([+-])(\d{1,2}):?(\d{2})?$/.exec(utcOffset.trim());
+  if (!match) {
+    throw new ChatExportError(`Invalid UTC offset "${utcOffset}", expected e.g. +08:00`);
+  }
+  return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10));
+}
+
+function toTimestamp([first, second, third, hourText, minute, secondText, meridiem], order, offsetMinutes) {
+  const [year, month, day] = order === 'YMD' ? [first, second, third]
+    : order === 'MDY' ? [third, first, second]
+    : [third, second, first];
+
+  const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+  let hour = parseInt(hourText, 10);
+
+  if (meridiem) {
+    const isPm = /^(ptg|p\.?\s?m)/i.test(meridiem);
+    if (isPm && hour < 12) hour += 12;
+    if (!isPm && hour === 12) hour = 0;
+  }
+
+  const fields = [fullYear, parseInt(month, 10) - 1, parseInt(day, 10), hour, parseInt(minute, 10), parseInt(secondText || '0', 10)];
+  const millis = offsetMinutes === null
+    ? new Date(...fields).getTime()
+    : Date.UTC(...fields) - offsetMinutes * 60 * 1000;
+
+  return Math.floor(millis / 1000);
+}
+
+/**
+ * Replays an exported chat through the AI pipeline in backfill mode:
+ * no grouping delay, no push notifications, actions marked as imported.
+ */
+class ChatExportImporter {
+  constructor(messageGrouper) {
+    this.messageGrouper = messageGrouper;
+  }
+
+  // Parse an upload and keep the messages worth analysing. Nothing is stored.
+  prepare(userId, buffer, { filename, chatName, ownName, dateOrder, utcOffset, sinceDays = DEFAULT_SINCE_DAYS } = {}) {
+    const exported = readChatExport(buffer, filename);
+    const parsed = parseChatExport(exported.text, {
+      userId,
+      chatName: chatName || exported.chatName || undefined,
+      ownName,
+      dateOrder,
+      utcOffset
+    });
+
+    if (parsed.messages.length === 0) {
+      throw new ChatExportError('No messages found - is this a WhatsApp chat export?');
+    }
+
+    const since = Math.floor(Date.now() / 1000) - sinceDays * 24 * 60 * 60;
+    const recent = parsed.messages.filter(message => message.timestamp >= since);
+
+    return {
+      chatName: parsed.chatName,
+      isGroup: parsed.isGroup,
+      dateOrder: parsed.dateOrder,
+      parsed: parsed.messages.length,
+      skipped: { ...parsed.skipped, olderThanSince: parsed.messages.length - recent.length },
+      // Most recent messages win when the export is larger than one run may analyse
+      messages: recent.slice(-MAX_MESSAGES),
+      truncated: recent.length > MAX_MESSAGES
+    };
+  }
+
+  async run(userId, prepared, emitToUser = () => {}) {
+    console.log(`📥 Backfilling ${prepared.messages.length} message(s) from "${prepared.chatName}" for user ${userId}`);
+    const actionsCreated = await this.messageGrouper.backfillMessages(prepared.messages, userId, emitToUser);
+    console.log(`✅ Backfill of "${prepared.chatName}" for user ${userId} created ${actionsCreated} action(s)`);
+    return { chatName: prepared.chatName, analysed: prepared.messages.length, actionsCreated };
+  }
+}
+
+module.exports = ChatExportImporter;
+module.exports.ChatExportError = ChatExportError;
+module.exports.parseChatExport = parseChatExport;
+module.exports.readChatExport = readChatExport;
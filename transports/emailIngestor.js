@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const { normalizeMessage } = require('./messageNormalizer');
+const { decryptSecret, encryptSecret } = require('../credentialCipher');
+const { ClientError } = require('../clientError');
+
+class EmailAccountError extends ClientError {}
+
+// Columns safe to return to the client - never the encrypted password
+const ACCOUNT_COLUMNS = `id, label, email_address, imap_host, imap_port, imap_secure, imap_username, mailbox,
+  is_active, last_uid, last_polled_at, last_error, created_at, updated_at`;
+
+const MAX_BODY_LENGTH = 4000;
+const FIRST_POLL_LOOKBACK_DAYS = 1;
+const MAX_MESSAGES_PER_POLL = 200;
+
+/**
+ * Turns email into messageData for the action pipeline.
+ * Polls users' IMAP mailboxes on an interval and imports .eml / mbox files.
+ * Each mail is ingested once per user (ingested_emails), whatever route it came in by.
+ */
+class EmailIngestor {
+  constructor(db, options = {}, { onMessage }) {
+    this.db = db;
+    this.credentialsKey = options.credentialsKey;
+    this.pollIntervalMs = options.pollIntervalMs || 5 * 60 * 1000;
+    this.onMessage = onMessage;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  get isEnabled() {
+    return !!this.credentialsKey;
+  }
+
+  start() {
+    if (!this.isEnabled || this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.pollAll(), this.pollIntervalMs);
+    console.log(`📧 Polling email accounts every ${Math.round(this.pollIntervalMs / 1000)}s`);
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  // ================================
+  // ACCOUNTS
+  // ================================
+
+  async listAccounts(userId) {
+    const result = await this.db.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM email_accounts WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Store a mailbox after checking the credentials actually work
+  async addAccount(userId, input) {
+    this.assertEnabled();
+
+    const account = {
+      label: input.label || null,
+      email_address: (input.emailAddress || input.username || '').trim().toLowerCase(),
+      imap_host: (input.host || '').trim(),
+      imap_port: input.port ? parseInt(input.port, 10) : 993,
+      imap_secure: input.secure !== false,
+      imap_username: (input.username || '').trim(),
+      mailbox: input.mailbox || 'INBOX'
+    };
+
+    if (!account.imap_host || !account.imap_username || !input.password) {
+      throw new EmailAccountError('host, username and password are required');
+    }
+    if (!Number.isInteger(account.imap_port) || account.imap_port <= 0 || account.imap_port > 65535) {
+      throw new EmailAccountError('port must be a valid TCP port');
+    }
+
+    const client = this.createClient(account, input.password);
+    try {
+      await client.connect();
+      await client.mailboxOpen(account.mailbox, { readOnly: true });
+    } catch (error) {
+      throw new EmailAccountError(`Could not open the mailbox: ${error.responseText || error.message}`, 422);
+    } finally {
+      await client.logout().catch(() => {});
+    }
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO email_accounts
+         (user_id, label, email_address, imap_host, imap_port, imap_secure, imap_username, password_encrypted, mailbox)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [
+          userId, account.label, account.email_address, account.imap_host, account.imap_port,
+          account.imap_secure, account.imap_username, encryptSecret(input.password, this.credentialsKey), account.mailbox
+        ]
+      );
+
+      console.log(`📧 Email account ${account.email_address} added for user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new EmailAccountError('This mailbox is already connected', 409);
+      }
+      throw error;
+    }
+  }
+
+  async removeAccount(userId, accountId) {
+    const result = await this.db.query(
+      'DELETE FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [accountId, userId]
+    );
+    if (result.rowCount === 0) {
+      throw new EmailAccountError('Email account not found', 404);
+    }
+  }
+
+  async getAccount(userId, accountId) {
+    const result = await this.db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [accountId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new EmailAccountError('Email account not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // ================================
+  // IMAP POLLING
+  // ================================
+
+  async pollAll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const accounts = await this.db.query(
+        `SELECT * FROM email_accounts
+         WHERE is_active = true
+         AND (last_polled_at IS NULL OR last_polled_at < NOW() - make_interval(secs => $1))
+         ORDER BY last_polled_at ASC NULLS FIRST`,
+        [Math.floor(this.pollIntervalMs / 1000) - 5]
+      );
+
+      for (const account of accounts.rows) {
+        // A broken mailbox is recorded in last_error and must not hold up the others
+        await this.pollAccount(account).catch(() => {});
+      }
+    } catch (error) {
+      console.error('❌ Error polling email accounts:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Fetch mail that arrived since the last poll. Resolves to the number of mails ingested.
+  async pollAccount(account) {
+    this.assertEnabled();
+
+    const client = this.createClient(account, decryptSecret(account.password_encrypted, this.credentialsKey));
+    let lastUid = account.last_uid ? Number(account.last_uid) : null;
+    let uidValidity = account.uid_validity ? Number(account.uid_validity) : null;
+    let ingested = 0;
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(account.mailbox);
+
+      try {
+        // A changed UIDVALIDITY means the server renumbered the mailbox; start over from recent mail
+        if (uidValidity !== Number(client.mailbox.uidValidity)) {
+          uidValidity = Number(client.mailbox.uidValidity);
+          lastUid = null;
+        }
+
+        const uids = lastUid
+          ? await client.search({ uid: `${lastUid + 1}:*` }, { uid: true })
+          : await client.search({ since: new Date(Date.now() - FIRST_POLL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }, { uid: true });
+
+        // "N:*" always matches the newest mail, even when it is older than N
+        const newUids = (uids || []).filter(uid => !lastUid || uid > lastUid).sort((a, b) => a - b).slice(0, MAX_MESSAGES_PER_POLL);
+
+        for (const uid of newUids) {
+          const message = await client.fetchOne(uid, { source: true }, { uid: true });
+          if (message && message.source) {
+            const result = await this.ingestRaw(account.user_id, message.source, {
+              source: 'imap',
+              accountId: account.id,
+              ownAddress: account.email_address
+            });
+            if (result) ingested++;
+          }
+          lastUid = uid;
+        }
+
+        // Nothing recent on the first poll - remember where the mailbox is so we don't search by date again
+        if (!lastUid && client.mailbox.uidNext) {
+          lastUid = Number(client.mailbox.uidNext) - 1;
+        }
+      } finally {
+        lock.release();
+      }
+
+      await this.db.query(
+        `UPDATE email_accounts
+         SET uid_validity = $1, last_uid = $2, last_polled_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE id = $3`,
+        [uidValidity, lastUid, account.id]
+      );
+
+      if (ingested > 0) {
+        console.log(`📧 Ingested ${ingested} email(s) from ${account.email_address} for user ${account.user_id}`);
+      }
+      return ingested;
+    } catch (error) {
+      console.error(`❌ Error polling ${account.email_address} for user ${account.user_id}:`, error.message);
+      // Keep the progress made before the failure
+      await this.db.query(
+        `UPDATE email_accounts
+         SET uid_validity = $1, last_uid = $2, last_polled_at = NOW(), last_error = $3, updated_at = NOW()
+         WHERE id = $4`,
+        [uidValidity, lastUid, error.responseText || error.message, account.id]
+      );
+      throw error;
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  createClient(account, password) {
+    return new ImapFlow({
+      host: account.imap_host,
+      port: account.imap_port,
+      secure: account.imap_secure,
+      auth: { user: account.imap_username, pass: password },
+      logger: false,
+      connectionTimeout: 30000
+    });
+  }
+
+  // ================================
+  // FILE IMPORT
+  // ================================
+
+  /**
+   * Import a .eml file or an mbox archive for a user.
+   * With `dryRun` nothing is stored or analysed; the messageData that would be ingested is returned.
+   */
+  async importFile(userId, filePath, { dryRun = false, ownAddress = null } = {}) {
+    const content = await fs.promises.readFile(filePath);
+    const mails = this.isMbox(content) ? this.splitMbox(content.toString('utf8')) : [content];
+    const results = [];
+
+    for (const raw of mails) {
+      const messageData = await this.ingestRaw(userId, raw, { source: 'import', ownAddress, dryRun });
+      if (messageData) results.push(messageData);
+    }
+
+    return { total: mails.length, ingested: results };
+  }
+
+  isMbox(content) {
+    return content.subarray(0, 5).toString('utf8') === 'From ';
+  }
+
+  // mboxrd: mails start at "From " lines; ">From " inside bodies is unescaped
+  splitMbox(text) {
+    return text
+      .split(/\r?\n(?=From \S+.*\r?\n)/)
+      .map(chunk => chunk.replace(/^From [^\n]*\n/, '').replace(/^>(>*From )/gm, '$1'))
+      .filter(chunk => chunk.trim().length > 0);
+  }
+
+  // ================================
+  // PARSING
+  // ================================
+
+  // Parse one raw mail and send it down the pipeline. Resolves to its messageData, or null if already ingested.
+  async ingestRaw(userId, raw, { source, accountId = null, ownAddress = null, dryRun = false }) {
+    const parsed = await simpleParser(raw);
+    const messageId = parsed.messageId || `<sha256-${crypto.createHash('sha256').update(raw).digest('hex')}>`;
+
+    if (!dryRun) {
+      const claimed = await this.db.query(
+        `INSERT INTO ingested_emails (user_id, message_id, email_account_id, source)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, message_id) DO NOTHING
+         RETURNING message_id`,
+        [userId, messageId.substring(0, 512), accountId, source]
+      );
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+    }
+
+    const messageData = this.toMessageData(parsed, messageId, userId, ownAddress);
+
+    if (!dryRun) {
+      await this.onMessage(userId, messageData);
+    }
+    return messageData;
+  }
+
+  // Subject and body become the message, the thread (subject without Re:/Fwd:) the chat
+  toMessageData(parsed, messageId, userId, ownAddress) {
+    const sender = parsed.from?.value?.[0] || {};
+    const address = (sender.address || 'unknown').toLowerCase();
+    const subject = (parsed.subject || '').trim() || '(no subject)';
+    const thread = subject.replace(/^((re|fw|fwd|aw|balas)\s*:\s*)+/i, '').trim() || '(no subject)';
+
+    const references = Array.isArray(parsed.references) ? parsed.references : [parsed.references].filter(Boolean);
+    const threadKey = references[0] || parsed.inReplyTo || messageId;
+
+    const body = `Subject: ${subject}\n\n${this.stripQuotedReply(parsed.text || '')}`.substring(0, MAX_BODY_LENGTH);
+
+    return normalizeMessage({
+      id: `email_${messageId}`,
+      from: address,
+      body,
+      timestamp: Math.floor((parsed.date || new Date()).getTime() / 1000),
+      type: 'email',
+      fromMe: !!ownAddress && address === ownAddress.toLowerCase()
+    }, {
+      contact: { number: address, name: sender.name || address },
+      chat: { id: `email:${threadKey}`, name: thread, isGroup: false },
+      userId,
+      source: 'email'
+    });
+  }
+
+  // Drop the quoted conversation below a reply so earlier mails aren't analysed again
+  stripQuotedReply(text) {
+    const kept = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const isReplyHeader = /^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message/i.test(line);
+      if (isReplyHeader) {
+        break;
+      }
+      if (!line.startsWith('>')) {
+        kept.push(line);
+      }
+    }
+
+    return kept.join('\n').trim();
+  }
+
+  assertEnabled() {
+    if (!this.isEnabled) {
+      throw new EmailAccountError('Email ingestion is not enabled - EMAIL_CREDENTIALS_KEY is not set', 503);
+    }
+  }
+}
+
+module.exports = EmailIngestor;
+module.exports.EmailAccountError = EmailAccountError;
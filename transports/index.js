@@ -0,0 +1,19 @@
+const MessagingTransport = require('./messagingTransport');
+const WhatsAppWebTransport = require('./whatsappWebTransport');
+const MemoryTransport = require('./memoryTransport');
+
+function createTransport(type, userId, options = {}) {
+  switch (type) {
+    case 'whatsapp-web':
+      return new WhatsAppWebTransport(userId, options);
+    case 'memory':
+      return new MemoryTransport(userId, options);
+    default:
+      throw new Error(`Unknown messaging transport: ${type}`);
+  }
+}
+
+module.exports = {
+  MessagingTransport,
+  createTransport
+};
@@ -0,0 +1,102 @@
+const MessagingTransport = require('./messagingTransport');
+const { normalizeMessage } = require('./messageNormalizer');
+
+/**
+ * In-process fake for tests and local development without Chrome.
+ * Connects straight to 'ready'; feed it messages with receive() and inspect `sent`.
+ */
+class MemoryTransport extends MessagingTransport {
+  constructor(userId, { phoneNumber } = {}) {
+    super(userId);
+    this.phoneNumber = phoneNumber;
+    this.connected = false;
+    this.sent = [];
+    this.history = new Map(); // chatId -> messageData[]
+    this.media = new Map(); // messageId -> { data, mimeType, filename }
+  }
+
+  async connect() {
+    this.connected = true;
+    setImmediate(() => {
+      this.emit('authenticated');
+      this.emit('ready');
+    });
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  async send(chatId, text) {
+    if (!this.connected) {
+      throw new Error('Memory transport is not connected');
+    }
+
+    this.sent.push({ chatId, text });
+    this.record(this.toMessageData({
+      id: `memory_${Date.now()}_${this.sent.length}`,
+      from: this.phoneNumber,
+      chatId,
+      body: text,
+      fromMe: true
+    }));
+  }
+
+  async fetchHistory(chatId, { limit = 50 } = {}) {
+    return (this.history.get(chatId) || []).slice(-limit);
+  }
+
+  async listActiveChats({ since = 0 } = {}) {
+    return Array.from(this.history.entries())
+      .map(([chatId, messages]) => {
+        const last = messages[messages.length - 1];
+        return { id: chatId, name: last.chatName, isGroup: last.isGroup, lastMessageAt: last.timestamp };
+      })
+      .filter(chat => chat.lastMessageAt >= since)
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+  }
+
+  async downloadMedia(messageId) {
+    return this.media.get(messageId) || null;
+  }
+
+  async requestPairingCode() {
+    return 'MEMORY01';
+  }
+
+  // Simulate a message arriving from the service, e.g. { id, from, body, chatName, isGroup },
+  // optionally with media: { data, mimeType, filename }
+  receive(message) {
+    if (message.media) {
+      this.media.set(message.id, message.media);
+      message = { ...message, hasMedia: true };
+    }
+    const messageData = this.toMessageData(message);
+    this.record(messageData);
+    this.emit('message', messageData);
+    return messageData;
+  }
+
+  // Simulate a lifecycle event such as 'disconnected' or 'crashed'
+  simulate(event, ...args) {
+    this.emit(event, ...args);
+  }
+
+  record(messageData) {
+    if (!this.history.has(messageData.chatId)) {
+      this.history.set(messageData.chatId, []);
+    }
+    this.history.get(messageData.chatId).push(messageData);
+  }
+
+  toMessageData(message) {
+    return normalizeMessage(message, {
+      contact: { number: message.from, name: message.fromName },
+      chat: { id: message.chatId || message.from, name: message.chatName, isGroup: message.isGroup },
+      userId: this.userId,
+      source: 'memory'
+    });
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,67 @@
+// Turns raw messages from any transport into the `messageData` shape MessageGrouper works with
+
+function getDisplayName(contact, message) {
+  // Try to get a proper display name
+  let displayName = contact?.name || contact?.pushname;
+
+  if (!displayName || displayName === 'Unknown Contact' || displayName === 'Unknown') {
+    if (message.fromMe) {
+      displayName = 'You';
+    } else {
+      // Clean up the phone number for display
+      const phoneNumber = contact?.number || message.from || message.author || 'unknown';
+      displayName = phoneNumber.replace('@c.us', '');
+    }
+  }
+
+  return displayName;
+}
+
+/**
+ * Build messageData from a transport's raw message.
+ * `message` carries the transport-independent fields (id, from, author, body, timestamp, type, fromMe, hasMedia, mentionedIds);
+ * `contact` and `chat` are whatever sender/chat details the transport could resolve.
+ */
+function normalizeMessage(message, { contact = null, chat = null, userId, source }) {
+  return {
+    id: message.id || null,
+    from: contact?.number || message.from || message.author || 'unknown',
+    fromName: getDisplayName(contact, message),
+    chatId: chat?.id || message.chatId || message.from || null,
+    chatName: chat?.name || 'Unknown Chat',
+    body: message.body || '',
+    timestamp: message.timestamp || Math.floor(Date.now() / 1000),
+    type: message.type || 'text',
+    isGroup: chat?.isGroup || false,
+    fromMe: message.fromMe || false,
+    hasMedia: message.hasMedia || false,
+    mentionedIds: message.mentionedIds || [],
+    source,
+    userId
+  };
+}
+
+// Why a normalized message should not reach the AI pipeline, or null if it should
+function getSkipReason(messageData) {
+  if (!messageData.id) {
+    return 'Message without proper ID structure';
+  }
+
+  // Filter out status messages before processing
+  if (messageData.from && messageData.from.includes('status')) {
+    return 'Status message filtered out';
+  }
+
+  // Filter out system messages or messages without body; media may still yield text
+  if ((!messageData.body || messageData.body.trim() === '') && !messageData.hasMedia) {
+    return 'Empty message body';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getDisplayName,
+  getSkipReason,
+  normalizeMessage
+};
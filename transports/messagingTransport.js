@@ -0,0 +1,52 @@
+const EventEmitter = require('events');
+
+/**
+ * Interface between SessionManager and a messaging service, one instance per user.
+ *
+ * Lifecycle events: 'qr' (qr), 'authenticated', 'ready', 'auth_failure' (message),
+ * 'disconnected' (reason) and 'crashed' (reason) when the underlying client died.
+ * Message events: 'message' (messageData) for incoming and outgoing messages,
+ * already normalized by messageNormalizer. `hasMedia` messages can be downloaded with downloadMedia().
+ */
+class MessagingTransport extends EventEmitter {
+  constructor(userId) {
+    super();
+    this.userId = userId;
+  }
+
+  // Resolves once the client has started; 'ready' follows when it can send and receive
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  async disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  async send(chatId, text) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  // Most recent messages of a chat as messageData, oldest first
+  async fetchHistory(chatId, { limit = 50 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchHistory()`);
+  }
+
+  // Chats with a message at or after `since` (unix seconds), most recent first:
+  // [{ id, name, isGroup, lastMessageAt }]
+  async listActiveChats({ since = 0 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement listActiveChats()`);
+  }
+
+  // Optional: the media of a message as { data: Buffer, mimeType, filename }, or null
+  async downloadMedia(messageId) {
+    return null;
+  }
+
+  // Optional: link the account with a code instead of a QR scan
+  async requestPairingCode(phoneNumber) {
+    throw new Error(`${this.constructor.name} does not support pairing codes`);
+  }
+}
+
+module.exports = MessagingTransport;
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { normalizeMessage } = require('./messageNormalizer');
+
+const LINK_CODE_TTL_SECONDS = 15 * 60;
+
+/**
+ * One shared Telegram bot that feeds its updates into the message pipeline.
+ * Users link their Telegram account by sending the bot a code from the app
+ * (`/start <code>`). Direct messages to the bot are analysed for the sender;
+ * group messages are analysed for every linked user who ran `/track` in that group.
+ *
+ * Works from webhook payloads only, so recorded updates can be replayed locally.
+ * Without a bot token, replies are written to the server log instead of sent.
+ */
+class TelegramBotAdapter {
+  constructor(db, options = {}, { onMessage }) {
+    this.db = db;
+    this.botToken = options.botToken;
+    this.botUsername = options.botUsername;
+    this.onMessage = onMessage;
+  }
+
+  // Code the user sends to the bot to prove the Telegram account is theirs
+  async createLinkCode(userId) {
+    const code = crypto.randomBytes(6).toString('hex').toUpperCase();
+
+    await this.db.query(
+      'UPDATE telegram_link_codes SET consumed_at = NOW() WHERE user_id = $1 AND consumed_at IS NULL',
+      [userId]
+    );
+    await this.db.query(
+      `INSERT INTO telegram_link_codes (user_id, code_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+      [userId, this.hashCode(code), LINK_CODE_TTL_SECONDS]
+    );
+
+    return {
+      code,
+      expiresIn: LINK_CODE_TTL_SECONDS,
+      deepLink: this.botUsername ? `https://t.me/${this.botUsername}?start=${code}` : null
+    };
+  }
+
+  async getLink(userId) {
+    const result = await this.db.query(
+      `SELECT a.telegram_user_id, a.telegram_username, a.linked_at,
+              COALESCE(json_agg(json_build_object('chatId', s.chat_id, 'title', s.chat_title))
+                FILTER (WHERE s.id IS NOT NULL), '[]') AS tracked_chats
+       FROM telegram_accounts a
+       LEFT JOIN telegram_chat_subscriptions s ON s.user_id = a.user_id
+       WHERE a.user_id = $1
+       GROUP BY a.user_id`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async unlink(userId) {
+    await this.db.query('DELETE FROM telegram_chat_subscriptions WHERE user_id = $1', [userId]);
+    const result = await this.db.query('DELETE FROM telegram_accounts WHERE user_id = $1', [userId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Handle one webhook update. Returns what was done, mostly for logging and replays.
+   */
+  async handleUpdate(update) {
+    const message = update && update.message;
+    if (!message || !message.from || message.from.is_bot) {
+      return { handled: false, reason: 'unsupported_update' };
+    }
+
+    const text = message.text || message.caption || '';
+    const command = this.parseCommand(text);
+
+    if (command) {
+      return this.handleCommand(command, message);
+    }
+
+    const recipients = await this.findRecipients(message);
+    if (recipients.length === 0) {
+      return { handled: false, reason: 'no_linked_user' };
+    }
+
+    for (const { userId, telegramUserId } of recipients) {
+      const messageData = this.toMessageData(message, userId, telegramUserId);
+      await this.onMessage(userId, messageData);
+    }
+
+    return { handled: true, reason: 'message', userIds: recipients.map(recipient => recipient.userId) };
+  }
+
+  // "/start ABC" or "/link@our_bot ABC" -> { name: 'start', args: ['ABC'] }
+  parseCommand(text) {
+    const match = /^\/(\w+)(?:@(\w+))?(?:\s+(.*))?$/s.exec(text.trim());
+    if (!match) return null;
+
+    // Commands addressed to another bot in the same group aren't ours
+    if (match[2] && this.botUsername && match[2].toLowerCase() !== this.botUsername.toLowerCase()) {
+      return null;
+    }
+
+    return { name: match[1].toLowerCase(), args: (match[3] || '').split(/\s+/).filter(Boolean) };
+  }
+
+  async handleCommand(command, message) {
+    const { chat, from } = message;
+    const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+
+    switch (command.name) {
+      case 'start':
+      case 'link': {
+        if (command.args.length === 0) {
+          await this.reply(chat.id, 'Open Juta Actions and choose "Link Telegram" to get your link code.');
+          return { handled: true, reason: 'link_help' };
+        }
+        if (isGroup) {
+          await this.reply(chat.id, 'Send your link code to me in a private chat, not in a group.');
+          return { handled: true, reason: 'link_in_group' };
+        }
+        return this.linkAccount(command.args[0], message);
+      }
+
+      case 'track':
+      case 'untrack': {
+        const account = await this.getAccountByTelegramId(from.id);
+        if (!account) {
+          await this.reply(chat.id, 'Link your Telegram account in Juta Actions first.');
+          return { handled: true, reason: 'not_linked' };
+        }
+        if (!isGroup) {
+          await this.reply(chat.id, `Use /${command.name} inside the group you want to ${command.name === 'track' ? 'track' : 'stop tracking'}.`);
+          return { handled: true, reason: 'track_outside_group' };
+        }
+
+        if (command.name === 'track') {
+          await this.db.query(
+            `INSERT INTO telegram_chat_subscriptions (user_id, chat_id, chat_title)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, chat_id) DO UPDATE SET chat_title = EXCLUDED.chat_title`,
+            [account.user_id, chat.id, chat.title || null]
+          );
+          await this.reply(chat.id, `Tracking this group for ${from.first_name || 'you'}.`);
+        } else {
+          await this.db.query(
+            'DELETE FROM telegram_chat_subscriptions WHERE user_id = $1 AND chat_id = $2',
+            [account.user_id, chat.id]
+          );
+          await this.reply(chat.id, `Stopped tracking this group for ${from.first_name || 'you'}.`);
+        }
+        return { handled: true, reason: command.name, userIds: [account.user_id] };
+      }
+
+      case 'unlink': {
+        const account = await this.getAccountByTelegramId(from.id);
+        if (account) {
+          await this.unlink(account.user_id);
+        }
+        await this.reply(chat.id, 'Your Telegram account is no longer linked to Juta Actions.');
+        return { handled: true, reason: 'unlink', userIds: account ? [account.user_id] : [] };
+      }
+
+      default:
+        return { handled: false, reason: 'unknown_command' };
+    }
+  }
+
+  async linkAccount(code, message) {
+    const { chat, from } = message;
+
+    const result = await this.db.query(
+      `UPDATE telegram_link_codes SET consumed_at = NOW()
+       WHERE code_hash = $1 AND consumed_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [this.hashCode(code.toUpperCase())]
+    );
+
+    if (result.rows.length === 0) {
+      await this.reply(chat.id, 'That link code is invalid or has expired. Get a new one in Juta Actions.');
+      return { handled: true, reason: 'invalid_link_code' };
+    }
+
+    const userId = result.rows[0].user_id;
+
+    // A Telegram account belongs to one user; relinking moves it
+    await this.db.query('DELETE FROM telegram_accounts WHERE telegram_user_id = $1 AND user_id <> $2', [from.id, userId]);
+    await this.db.query(
+      `INSERT INTO telegram_accounts (user_id, telegram_user_id, telegram_username, private_chat_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE
+       SET telegram_user_id = EXCLUDED.telegram_user_id, telegram_username = EXCLUDED.telegram_username,
+           private_chat_id = EXCLUDED.private_chat_id, linked_at = CURRENT_TIMESTAMP`,
+      [userId, from.id, from.username || null, chat.id]
+    );
+
+    console.log(`✅ Telegram account ${from.id} linked to user ${userId}`);
+    await this.reply(chat.id, 'Linked! Messages you send me are now turned into actions. Add me to a group and send /track to follow it too.');
+    return { handled: true, reason: 'linked', userIds: [userId] };
+  }
+
+  async getAccountByTelegramId(telegramUserId) {
+    const result = await this.db.query('SELECT * FROM telegram_accounts WHERE telegram_user_id = $1', [telegramUserId]);
+    return result.rows[0] || null;
+  }
+
+  // Users a message should be analysed for
+  async findRecipients(message) {
+    if (message.chat.type === 'private') {
+      const account = await this.getAccountByTelegramId(message.from.id);
+      return account ? [{ userId: account.user_id, telegramUserId: Number(account.telegram_user_id) }] : [];
+    }
+
+    const result = await this.db.query(
+      `SELECT s.user_id, a.telegram_user_id
+       FROM telegram_chat_subscriptions s
+       JOIN telegram_accounts a ON a.user_id = s.user_id
+       WHERE s.chat_id = $1`,
+      [message.chat.id]
+    );
+    return result.rows.map(row => ({ userId: row.user_id, telegramUserId: Number(row.telegram_user_id) }));
+  }
+
+  toMessageData(message, userId, telegramUserId) {
+    const { chat, from } = message;
+    const senderName = [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username;
+    const isGroup = chat.type !== 'private';
+    const fromMe = from.id === telegramUserId;
+
+    return normalizeMessage({
+      id: `telegram_${chat.id}_${message.message_id}`,
+      from: `telegram:${from.id}`,
+      body: message.text || message.caption || '',
+      timestamp: message.date,
+      type: message.text ? 'text' : 'caption',
+      fromMe,
+      chatId: `telegram:${chat.id}`
+    }, {
+      contact: { number: `telegram:${from.id}`, name: fromMe ? 'You' : senderName },
+      chat: { id: `telegram:${chat.id}`, name: isGroup ? chat.title : 'Telegram', isGroup },
+      userId,
+      source: 'telegram'
+    });
+  }
+
+  async reply(chatId, text) {
+    if (!this.botToken) {
+      console.log(`🤖 [DEV] Telegram reply to ${chatId}: ${text}`);
+      return;
+    }
+
+    try {
+      const response = await fetch(`https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: chatId, text })
+      });
+      if (!response.ok) {
+        console.error(`❌ Telegram sendMessage failed (${response.status}):`, await response.text());
+      }
+    } catch (error) {
+      console.error('❌ Telegram sendMessage failed:', error.message);
+    }
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+}
+
+module.exports = TelegramBotAdapter;
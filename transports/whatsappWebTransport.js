@@ -0,0 +1,200 @@
+const { Client } = require('whatsapp-web.js');
+const MessagingTransport = require('./messagingTransport');
+const { normalizeMessage } = require('./messageNormalizer');
+
+const PUPPETEER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-extensions",
+  "--disable-gpu",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--no-zygote",
+  "--disable-dev-shm-usage",
+  "--unhandled-rejections=strict",
+  "--disable-gpu-driver-bug-workarounds",
+  "--log-level=3",
+  "--no-default-browser-check",
+  "--disable-site-isolation-trials",
+  "--no-experiments",
+  "--ignore-gpu-blacklist",
+  "--ignore-certificate-errors",
+  "--ignore-certificate-errors-spki-list",
+  "--disable-default-apps",
+  "--enable-features=NetworkService",
+  "--disable-webgl",
+  "--disable-threaded-animation",
+  "--disable-threaded-scrolling",
+  "--disable-in-process-stack-traces",
+  "--disable-histogram-customizer",
+  "--disable-gl-extensions",
+  "--disable-composited-antialiasing",
+  "--disable-canvas-aa",
+  "--disable-3d-apis",
+  "--disable-accelerated-jpeg-decoding",
+  "--disable-accelerated-mjpeg-decode",
+  "--disable-app-list-dismiss-on-blur",
+  "--disable-accelerated-video-decode",
+];
+
+// whatsapp-web.js (headless WhatsApp Web in Puppeteer) adapter
+class WhatsAppWebTransport extends MessagingTransport {
+  constructor(userId, { authStrategy, chromePath }) {
+    super(userId);
+    this.disconnecting = false;
+
+    this.client = new Client({
+      authStrategy,
+      authTimeoutMs: 20000,
+      takeoverOnConflict: true,
+      restartOnAuthFail: true,
+      puppeteer: {
+        headless: true,
+        executablePath: chromePath,
+        ignoreHTTPSErrors: true,
+        args: PUPPETEER_ARGS,
+        timeout: 120000,
+      },
+      webVersionCache: {
+        type: 'remote',
+        remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+      }
+    });
+
+    for (const event of ['qr', 'authenticated', 'ready', 'auth_failure', 'disconnected']) {
+      this.client.on(event, (...args) => this.emit(event, ...args));
+    }
+
+    // Incoming messages arrive on 'message', our own on 'message_create'
+    this.client.on('message', (message) => {
+      if (!message.fromMe) this.emitMessage(message, 'incoming');
+    });
+    this.client.on('message_create', (message) => {
+      if (message.fromMe) this.emitMessage(message, 'outgoing');
+    });
+  }
+
+  async connect() {
+    await this.client.initialize();
+
+    // A dead browser never fires 'disconnected' on the client
+    this.client.pupBrowser?.on('disconnected', () => {
+      if (!this.disconnecting) this.emit('crashed', 'browser_crashed');
+    });
+  }
+
+  async disconnect() {
+    this.disconnecting = true;
+
+    const browser = this.client.pupPage?.browser();
+    if (browser) {
+      await browser.close().catch((err) => console.log(`Browser close error for user ${this.userId}:`, err));
+    }
+    await this.client.destroy().catch((err) => console.log(`Client destroy error for user ${this.userId}:`, err));
+  }
+
+  async send(chatId, text) {
+    await this.client.sendMessage(chatId, text);
+  }
+
+  async fetchHistory(chatId, { limit = 50 } = {}) {
+    const chat = await this.client.getChatById(chatId);
+    const messages = await chat.fetchMessages({ limit });
+    return Promise.all(messages.map(message => this.toMessageData(message, chat)));
+  }
+
+  async listActiveChats({ since = 0 } = {}) {
+    const chats = await this.client.getChats();
+    return chats
+      .filter(chat => chat.timestamp && chat.timestamp >= since)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(chat => ({ id: chat.id._serialized, name: chat.name, isGroup: chat.isGroup, lastMessageAt: chat.timestamp }));
+  }
+
+  async downloadMedia(messageId) {
+    const message = await this.client.getMessageById(messageId);
+    if (!message || !message.hasMedia) return null;
+
+    const media = await message.downloadMedia();
+    if (!media || !media.data) return null;
+
+    return {
+      data: Buffer.from(media.data, 'base64'),
+      mimeType: media.mimetype.split(';')[0],
+      filename: media.filename || null
+    };
+  }
+
+  async requestPairingCode(phoneNumber) {
+    return this.client.requestPairingCode(phoneNumber);
+  }
+
+  async emitMessage(message, direction) {
+    // Early validation to skip problematic messages
+    if (!message || !message.id) {
+      console.log(`${direction === 'outgoing' ? 'Outgoing message' : 'Message'} without proper structure - skipping processing`);
+      return;
+    }
+
+    try {
+      this.emit('message', await this.toMessageData(message));
+    } catch (error) {
+      console.error(`Error reading ${direction} message for user ${this.userId}:`, error.message);
+    }
+  }
+
+  // Resolve sender and chat details, falling back to what the message itself carries
+  async toMessageData(message, chat = null) {
+    let contact = null;
+
+    try {
+      // First get chat to determine if it's a group
+      chat = chat || await message.getChat();
+
+      // For group messages, skip contact resolution if it's problematic
+      if (chat && chat.isGroup) {
+        // In groups, use message author or from for contact info without calling getContact()
+        const contactId = message.author || message.from || 'unknown';
+        contact = {
+          number: contactId,
+          name: `Group Member (${contactId})`,
+          pushname: `Group Member (${contactId})`
+        };
+      } else if (message.author || message.from) {
+        contact = await message.getContact();
+      } else {
+        throw new Error('No contact ID available');
+      }
+    } catch (error) {
+      console.warn(`Could not get contact/chat for message: ${error.message}`);
+      // Create fallback objects
+      const phoneNumber = message.from || message.author || 'unknown';
+
+      contact = {
+        number: phoneNumber,
+        name: message.fromMe ? 'You' : phoneNumber.replace('@c.us', ''),
+        pushname: message.fromMe ? 'You' : phoneNumber.replace('@c.us', '')
+      };
+    }
+
+    return normalizeMessage({
+      id: message.id?._serialized,
+      from: message.from,
+      author: message.author,
+      body: message.body,
+      timestamp: message.timestamp,
+      type: message.type,
+      fromMe: message.fromMe,
+      hasMedia: message.hasMedia,
+      mentionedIds: (message.mentionedIds || []).map(id => (typeof id === 'string' ? id : id._serialized)),
+      chatId: message.fromMe ? message.to : message.from
+    }, {
+      contact,
+      chat: chat ? { id: chat.id?._serialized, name: chat.name, isGroup: chat.isGroup } : null,
+      userId: this.userId,
+      source: 'whatsapp'
+    });
+  }
+}
+
+module.exports = WhatsAppWebTransport;
@@ -0,0 +1,99 @@
+const { ClientError } = require('./clientError');
+
+class UserDeviceError extends ClientError {}
+
+const PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * The OneSignal subscriptions (player IDs) each user is signed in on.
+ *
+ * Notifications target a user's own player IDs, never a segment, so one user's WhatsApp
+ * contents only reach their devices. A player ID belongs to one user at a time: signing in
+ * as someone else on the same phone moves it over.
+ */
+class UserDevices {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async listDevices(userId) {
+    const result = await this.db.query(
+      'SELECT * FROM user_devices WHERE user_id = $1 ORDER BY last_seen_at DESC',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async getDevice(userId, deviceId) {
+    const result = await this.db.query(
+      'SELECT * FROM user_devices WHERE id = $1 AND user_id = $2',
+      [deviceId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new UserDeviceError('Device not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // Register a device, or refresh its last-seen time and details when it is already known
+  async registerDevice(userId, { playerId, platform = null, deviceName = null, appVersion = null } = {}) {
+    if (typeof playerId !== 'string' || !playerId.trim()) {
+      throw new UserDeviceError('playerId is required');
+    }
+    if (platform !== null && !PLATFORMS.includes(platform)) {
+      throw new UserDeviceError(`platform must be one of: ${PLATFORMS.join(', ')}`);
+    }
+
+    const result = await this.db.query(
+      `INSERT INTO user_devices (user_id, player_id, platform, device_name, app_version)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (player_id) DO UPDATE
+       SET user_id = EXCLUDED.user_id,
+           platform = COALESCE(EXCLUDED.platform, user_devices.platform),
+           device_name = COALESCE(EXCLUDED.device_name, user_devices.device_name),
+           app_version = COALESCE(EXCLUDED.app_version, user_devices.app_version),
+           last_seen_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        userId,
+        playerId.trim(),
+        platform,
+        deviceName ? String(deviceName).substring(0, 255) : null,
+        appVersion ? String(appVersion).substring(0, 50) : null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async unregisterDevice(userId, deviceId) {
+    const result = await this.db.query(
+      'DELETE FROM user_devices WHERE id = $1 AND user_id = $2',
+      [deviceId, userId]
+    );
+    if (result.rowCount === 0) {
+      throw new UserDeviceError('Device not found', 404);
+    }
+  }
+
+  async getPlayerIds(userId) {
+    const result = await this.db.query('SELECT player_id FROM user_devices WHERE user_id = $1', [userId]);
+    return result.rows.map(row => row.player_id);
+  }
+
+  // OneSignal reports uninstalled or unsubscribed devices in the response; stop targeting them
+  async pruneInvalid(response) {
+    const invalid = response?.body?.errors?.invalid_player_ids;
+    if (!Array.isArray(invalid) || invalid.length === 0) {
+      return 0;
+    }
+
+    const result = await this.db.query('DELETE FROM user_devices WHERE player_id = ANY($1)', [invalid]);
+    if (result.rowCount > 0) {
+      console.log(`🧹 Removed ${result.rowCount} device(s) OneSignal no longer recognises`);
+    }
+    return result.rowCount;
+  }
+}
+
+module.exports = UserDevices;
+module.exports.UserDeviceError = UserDeviceError;
@@ -0,0 +1,71 @@
+const { ClientError } = require('./clientError');
+const { isValidLocale, isValidTimeZone } = require('./timezone');
+
+class UserSettingsError extends ClientError {}
+
+/**
+ * Each user's time zone and locale.
+ *
+ * The time zone decides which day "today" is on the dashboard, what "tomorrow at 3pm" in a
+ * message means and the offset API responses are written with. Users who haven't chosen one
+ * get the server defaults; null in an update goes back to them.
+ */
+class UserSettings {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
+    this.defaultLocale = options.defaultLocale || 'en-MY';
+  }
+
+  async getSettings(userId) {
+    const result = await this.db.query('SELECT timezone, locale FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) {
+      throw new UserSettingsError('User not found', 404);
+    }
+    return this.withDefaults(result.rows[0]);
+  }
+
+  // { timezone, locale } from a users row, falling back to the defaults
+  withDefaults(row) {
+    return {
+      timezone: row?.timezone || this.defaultTimezone,
+      locale: row?.locale || this.defaultLocale
+    };
+  }
+
+  async getTimezone(userId) {
+    return (await this.getSettings(userId)).timezone;
+  }
+
+  async updateSettings(userId, { timezone, locale } = {}) {
+    if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+      throw new UserSettingsError(`Unknown time zone "${timezone}"`);
+    }
+    if (locale !== undefined && locale !== null && !isValidLocale(locale)) {
+      throw new UserSettingsError(`Invalid locale "${locale}", expected a language tag such as en-MY`);
+    }
+
+    const result = await this.db.query(
+      `UPDATE users
+       SET timezone = CASE WHEN $2 THEN $3 ELSE timezone END,
+           locale = CASE WHEN $4 THEN $5 ELSE locale END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING timezone, locale`,
+      [
+        userId,
+        timezone !== undefined, timezone ? Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone : null,
+        locale !== undefined, locale ? Intl.getCanonicalLocales(locale)[0] : null
+      ]
+    );
+    if (result.rows.length === 0) {
+      throw new UserSettingsError('User not found', 404);
+    }
+
+    console.log(`🌐 Updated time zone and locale for user ${userId}`);
+    return this.withDefaults(result.rows[0]);
+  }
+}
+
+module.exports = UserSettings;
+module.exports.UserSettingsError = UserSettingsError;